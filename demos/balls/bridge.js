@@ -0,0 +1,106 @@
+import WEED from "/src/index.js";
+
+// Destructure what we need from WEED
+const { GameObject, RigidBody, Collider, SpriteRenderer } = WEED;
+
+/**
+ * BridgeLink - small ball that is part of a rope bridge
+ */
+class BridgeLink extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  // Define components this entity uses
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  setup() {
+    this.rigidBody.maxVel = 50;
+    this.collider.radius = 10;
+    this.collider.visualRange = 45; // link radius + largest ball radius
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("ball");
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+
+    const actualBallSize = 14; //png width
+    const scale = (this.collider.radius * 2) / actualBallSize;
+    this.spriteRenderer.scaleX = scale;
+    this.spriteRenderer.scaleY = scale;
+    this.setTint(0xb5835a);
+  }
+}
+
+/**
+ * BridgeAnchor - static post that builds a rope bridge when spawned with links
+ *
+ * spawnConfig: { x, y, toX, toY, links, breakForce }
+ * Spawning happens in the logic worker, so the whole bridge (second anchor,
+ * links and rope constraints) is created right here in onSpawned()
+ */
+class BridgeAnchor extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  // Define components this entity uses
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  setup() {
+    this.rigidBody.static = 1;
+    this.collider.radius = 15;
+    this.collider.visualRange = 50;
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("square");
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+
+    const textureSize = 1024; //png width
+    this.spriteRenderer.scaleX = 30 / textureSize;
+    this.spriteRenderer.scaleY = 30 / textureSize;
+    this.setTint(0x555566);
+
+    if (spawnConfig.links > 0) {
+      this.buildBridge(spawnConfig);
+    }
+  }
+
+  /**
+   * Spawn the far anchor and a chain of links joined by ropes
+   */
+  buildBridge({ x, y, toX, toY, links, breakForce = 0 }) {
+    const end = GameObject.spawn(BridgeAnchor, { x: toX, y: toY });
+    if (!end) return;
+
+    const segment = Math.hypot(toX - x, toY - y) / (links + 1);
+    const ropeOptions = {
+      type: "rope",
+      restLength: segment * 1.05, // a little slack so the bridge sags
+      breakForce,
+    };
+
+    let previous = this;
+    for (let k = 1; k <= links; k++) {
+      const t = k / (links + 1);
+      const link = GameObject.spawn(BridgeLink, {
+        x: x + (toX - x) * t,
+        y: y + (toY - y) * t,
+      });
+      if (!link) break;
+
+      previous.connect(link, ropeOptions);
+      previous = link;
+    }
+
+    previous.connect(end, ropeOptions);
+  }
+}
+
+// ES6 module export
+export { BridgeAnchor, BridgeLink };
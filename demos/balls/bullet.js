@@ -0,0 +1,74 @@
+import WEED from "/src/index.js";
+
+// Destructure what we need from WEED
+const { GameObject, RigidBody, Collider, SpriteRenderer } = WEED;
+
+/**
+ * Bullet - small, fast body using continuous collision detection
+ * Travels further than its own size every frame, so without the bullet flag
+ * it would tunnel straight through walls and crates.
+ * Despawns after a few bounces or when it leaves the world.
+ */
+class Bullet extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  static boundaryMode = "despawn";
+
+  static maxBounces = 3;
+
+  setup() {
+    this.rigidBody.bullet = 1; // Swept against everything it crosses each frame
+    this.rigidBody.maxVel = 100;
+    this.collider.restitution = 0.5;
+    this.rigidBody.friction = 0;
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  /**
+   * @param {Object} spawnConfig - { x, y, vx, vy }
+   */
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("ball");
+    this.bounces = 0;
+
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+    this.rotation = 0;
+
+    // Verlet velocity is x - px
+    this.rigidBody.px = this.x - (spawnConfig.vx ?? 0);
+    this.rigidBody.py = this.y - (spawnConfig.vy ?? 0);
+    this.rigidBody.ax = 0;
+    this.rigidBody.ay = 0;
+
+    const radius = 4;
+    this.collider.radius = radius;
+    this.collider.visualRange = radius * 4;
+
+    const actualBallSize = 14; //png width
+    const scale = (radius * 2) / actualBallSize;
+    this.spriteRenderer.scaleX = scale;
+    this.spriteRenderer.scaleY = scale;
+    this.setTint(0xffffff);
+  }
+
+  /**
+   * @param {number} otherIndex - Entity that was hit
+   * @param {Object} contact - contact.timeOfImpact < 1 means the sweep caught it
+   */
+  onCollisionEnter(otherIndex, contact) {
+    if (contact.timeOfImpact < 1) {
+      this.setTint(0xffa500);
+    }
+    if (++this.bounces >= Bullet.maxBounces) {
+      this.despawn();
+    }
+  }
+}
+
+// ES6 module export
+export { Bullet };
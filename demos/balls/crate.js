@@ -0,0 +1,79 @@
+import WEED from "/src/index.js";
+
+// Destructure what we need from WEED
+const { GameObject, Mouse, RigidBody, Collider, SpriteRenderer } = WEED;
+
+/**
+ * Crate - dynamic box collider for the mixed shapes demo
+ * Collides with balls (circle-vs-box) and other crates (box-vs-box)
+ */
+class Crate extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  // Define components this entity uses
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  /**
+   * LIFECYCLE: Configure this entity TYPE - runs ONCE per instance
+   */
+  setup() {
+    this.rigidBody.maxVel = 50;
+    this.rigidBody.maxAcc = 2;
+    this.rigidBody.minSpeed = 0;
+
+    // Box collider (width/height set per spawn)
+    this.collider.shapeType = Collider.SHAPES.BOX;
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  /**
+   * LIFECYCLE: Called when crate is spawned/respawned from pool
+   * @param {Object} spawnConfig - Spawn-time parameters passed to GameObject.spawn()
+   */
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("square");
+
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+    this.rotation = spawnConfig.rotation ?? Math.random() * Math.PI;
+
+    // Random crate size
+    const width = Math.random() * 30 + 20;
+    const height = Math.random() * 30 + 20;
+    this.collider.width = width;
+    this.collider.height = height;
+
+    // Tumble on impacts (inertia from the box size)
+    this.enableRotation();
+
+    // The spatial worker measures neighbors from the center, so make sure
+    // we can see anything touching our corners
+    this.collider.visualRange = Math.sqrt(width * width + height * height);
+
+    const textureSize = 1024; //png width
+    this.spriteRenderer.scaleX = width / textureSize;
+    this.spriteRenderer.scaleY = height / textureSize;
+
+    this.setAlpha(1.0);
+    this.setTint(0xc8a165);
+  }
+
+  tick(dtRatio) {
+    // Mouse interaction: push crates away from cursor on click
+    if (Mouse.isDown) {
+      const dx = this.x - Mouse.x;
+      const dy = this.y - Mouse.y;
+      const dist2 = dx * dx + dy * dy;
+
+      if (dist2 > 20000) return;
+
+      this.rigidBody.ax = dx * 0.2;
+      this.rigidBody.ay = dy * 0.2;
+    }
+  }
+}
+
+// ES6 module export
+export { Crate };
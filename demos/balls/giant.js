@@ -0,0 +1,56 @@
+import WEED from "/src/index.js";
+
+// Destructure what we need from WEED
+const { GameObject, RigidBody, Collider, SpriteRenderer, rng } = WEED;
+
+/**
+ * Giant - huge, slow entity that sees far (visual range of several hundred pixels)
+ * The opposite extreme to Mote in the spatial benchmark (demos/balls/spatial.html):
+ * with one grid cellSize, either giants scan hundreds of cells or motes share
+ * crowded ones
+ */
+class Giant extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  // Define components this entity uses
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  setup() {
+    this.rigidBody.maxVel = 2;
+    this.rigidBody.friction = 0.1;
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  /**
+   * @param {Object} spawnConfig - Spawn-time parameters passed to GameObject.spawn()
+   */
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("ball");
+
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+    this.heading = rng() * Math.PI * 2;
+
+    this.collider.radius = 80 + rng() * 70;
+    this.collider.visualRange = 600;
+
+    const actualBallSize = 14; //png width
+    const scale = (this.collider.radius * 2) / actualBallSize;
+    this.spriteRenderer.scaleX = scale;
+    this.spriteRenderer.scaleY = scale;
+    this.setTint(0xff6b6b);
+    this.setAlpha(0.6);
+  }
+
+  tick(dtRatio) {
+    // Wander: slowly turning heading, pushed along it
+    this.heading += (rng() - 0.5) * 0.1;
+    this.rigidBody.ax = Math.cos(this.heading) * 0.05;
+    this.rigidBody.ay = Math.sin(this.heading) * 0.05;
+  }
+}
+
+// ES6 module export
+export { Giant };
@@ -0,0 +1,53 @@
+import WEED from "/src/index.js";
+
+// Destructure what we need from WEED
+const { GameObject, RigidBody, Collider, SpriteRenderer, rng } = WEED;
+
+/**
+ * Mote - tiny drifting entity with a tiny visual range
+ * Thousands of them crowd the spatial benchmark (demos/balls/spatial.html)
+ */
+class Mote extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  // Define components this entity uses
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  setup() {
+    this.rigidBody.maxVel = 4;
+    this.rigidBody.friction = 0;
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  /**
+   * @param {Object} spawnConfig - Spawn-time parameters passed to GameObject.spawn()
+   */
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("ball");
+
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+    this.vx = (rng() - 0.5) * 2;
+    this.vy = (rng() - 0.5) * 2;
+
+    this.collider.radius = 2 + rng() * 2;
+    this.collider.visualRange = this.collider.radius * 4;
+
+    const actualBallSize = 14; //png width
+    const scale = (this.collider.radius * 2) / actualBallSize;
+    this.spriteRenderer.scaleX = scale;
+    this.spriteRenderer.scaleY = scale;
+    this.setTint(0x95e1d3);
+  }
+
+  tick(dtRatio) {
+    // Keep drifting: a small random push every frame
+    this.rigidBody.ax = (rng() - 0.5) * 0.2;
+    this.rigidBody.ay = (rng() - 0.5) * 0.2;
+  }
+}
+
+// ES6 module export
+export { Mote };
@@ -0,0 +1,62 @@
+import WEED from "/src/index.js";
+
+// Destructure what we need from WEED
+const { GameObject, RigidBody, Collider, SpriteRenderer } = WEED;
+
+/**
+ * Platform - kinematic box sliding back and forth
+ * Logic only sets its velocity; it shoves balls and crates out of the way
+ * and carries whatever rests on it (friction), but nothing can push it.
+ * Register before the dynamic classes, like Wall
+ */
+class Platform extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  setup() {
+    this.collider.shapeType = Collider.SHAPES.BOX;
+    this.rigidBody.friction = 0.5;
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  /**
+   * @param {Object} spawnConfig - { x, y, width, height, range, speed }
+   */
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("square");
+
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+    this.rotation = 0;
+    this.setKinematic(true);
+
+    this.range = spawnConfig.range ?? 400; // Distance from the center to each end
+    this.speed = spawnConfig.speed ?? 3;
+    this.phase = 0;
+
+    const width = spawnConfig.width ?? 300;
+    const height = spawnConfig.height ?? 30;
+    this.collider.width = width;
+    this.collider.height = height;
+    this.collider.visualRange =
+      Math.sqrt(width * width + height * height) / 2 + 50;
+
+    const textureSize = 1024; //png width
+    this.spriteRenderer.scaleX = width / textureSize;
+    this.spriteRenderer.scaleY = height / textureSize;
+
+    this.setTint(0x7a6a99);
+  }
+
+  tick(dtRatio) {
+    // Smooth back-and-forth: velocity is the derivative of range * sin(phase)
+    this.phase += (this.speed / this.range) * dtRatio;
+    this.vx = this.speed * Math.cos(this.phase);
+  }
+}
+
+// ES6 module export
+export { Platform };
@@ -0,0 +1,59 @@
+import WEED from "/src/index.js";
+
+// Destructure what we need from WEED
+const { GameObject, RigidBody, Collider, SpriteRenderer } = WEED;
+
+/**
+ * Rock - irregular convex polygon collider for the mixed shapes demo
+ * Vertices live in the shared polygon vertex buffer (see Collider.setPolygon)
+ * Press [1] to see the actual polygon outlines
+ */
+class Rock extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  // Define components this entity uses
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  setup() {
+    this.rigidBody.maxVel = 50;
+    this.rigidBody.maxAcc = 2;
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  /**
+   * @param {Object} spawnConfig - Spawn-time parameters passed to GameObject.spawn()
+   */
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("ball");
+
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+    this.rotation = Math.random() * Math.PI * 2;
+
+    // Random convex outline: 5-8 points around a jittered circle
+    const size = Math.random() * 15 + 15;
+    const count = 5 + Math.floor(Math.random() * 4);
+    const points = [];
+    for (let k = 0; k < count; k++) {
+      const angle = (k / count) * Math.PI * 2;
+      const r = size * (0.75 + Math.random() * 0.25);
+      points.push([Math.cos(angle) * r, Math.sin(angle) * r]);
+    }
+    this.collider.setPolygon(points);
+    this.enableRotation();
+
+    // Radius now holds the bounding radius - use it for neighbor range too
+    this.collider.visualRange = this.collider.radius * 2;
+
+    const actualBallSize = 14; //png width
+    const scale = (size * 1.6) / actualBallSize;
+    this.spriteRenderer.scaleX = scale;
+    this.spriteRenderer.scaleY = scale;
+    this.setTint(0x8a8f98);
+  }
+}
+
+// ES6 module export
+export { Rock };
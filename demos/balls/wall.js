@@ -0,0 +1,54 @@
+import WEED from "/src/index.js";
+
+// Destructure what we need from WEED
+const { GameObject, RigidBody, Collider, SpriteRenderer } = WEED;
+
+/**
+ * Wall - static, rotated box collider (platforms, buildings)
+ * Register BEFORE the dynamic classes: collision pairs are checked from the
+ * lower entity index, so the wall's large visualRange is what finds the balls
+ */
+class Wall extends GameObject {
+  static scriptUrl = import.meta.url;
+
+  // Define components this entity uses
+  static components = [RigidBody, Collider, SpriteRenderer];
+
+  setup() {
+    // Static bodies are never moved by the solver, only push others away
+    this.rigidBody.static = 1;
+    this.collider.shapeType = Collider.SHAPES.BOX;
+
+    this.spriteRenderer.anchorX = 0.5;
+    this.spriteRenderer.anchorY = 0.5;
+  }
+
+  /**
+   * @param {Object} spawnConfig - { x, y, width, height, rotation }
+   */
+  onSpawned(spawnConfig = {}) {
+    this.setSprite("square");
+
+    this.x = spawnConfig.x;
+    this.y = spawnConfig.y;
+    this.rotation = spawnConfig.rotation ?? 0;
+
+    const width = spawnConfig.width ?? 400;
+    const height = spawnConfig.height ?? 40;
+    this.collider.width = width;
+    this.collider.height = height;
+
+    // Half diagonal + largest dynamic body we expect to touch it
+    this.collider.visualRange =
+      Math.sqrt(width * width + height * height) / 2 + 50;
+
+    const textureSize = 1024; //png width
+    this.spriteRenderer.scaleX = width / textureSize;
+    this.spriteRenderer.scaleY = height / textureSize;
+
+    this.setTint(0x555566);
+  }
+}
+
+// ES6 module export
+export { Wall };
@@ -13,6 +13,7 @@ const {
   Mouse,
   Transform,
   ShadowCaster,
+  wrapDelta,
 } = WEED;
 
 class Boid extends GameObject {
@@ -149,10 +150,16 @@ class Boid extends GameObject {
     const myEntityType = entityTypes[i];
     const myX = tX[i];
     const myY = tY[i];
+
+    // In a wrapping world, neighbors across an edge are measured the short way around
+    const wraps = this.boundaryMode === "wrap";
+    const worldWidth = this.config.worldWidth || 800;
+    const worldHeight = this.config.worldHeight || 600;
+
     const protectedRange2 =
       this.flocking.protectedRange * this.flocking.protectedRange;
 
-    // Cohesion accumulators (same type only)
+    // Cohesion accumulators (same type only, relative to this boid)
     let centerX = 0;
     let centerY = 0;
 
@@ -185,8 +192,8 @@ class Boid extends GameObject {
       const dist2 = this.neighborDistances ? this.neighborDistances[n] : 0;
 
       // Calculate delta using direct array access
-      const dx = tX[j] - myX;
-      const dy = tY[j] - myY;
+      const dx = wraps ? wrapDelta(tX[j] - myX, worldWidth) : tX[j] - myX;
+      const dy = wraps ? wrapDelta(tY[j] - myY, worldHeight) : tY[j] - myY;
 
       // Separation (all types)
       if (dist2 < protectedRange2 && dist2 > 0) {
@@ -198,8 +205,8 @@ class Boid extends GameObject {
       // Cohesion & Alignment (same type only)
       if (isSameType) {
         // if (dist2 < protectedRange2) continue;
-        centerX += tX[j];
-        centerY += tY[j];
+        centerX += dx;
+        centerY += dy;
         avgVX += rbVX[j];
         avgVY += rbVY[j];
         sameTypeCount++;
@@ -221,8 +228,8 @@ class Boid extends GameObject {
     if (sameTypeCount > 0) {
       centerX /= sameTypeCount;
       centerY /= sameTypeCount;
-      rbAX[i] += (centerX - myX) * this.flocking.centeringFactor * dtRatio;
-      rbAY[i] += (centerY - myY) * this.flocking.centeringFactor * dtRatio;
+      rbAX[i] += centerX * this.flocking.centeringFactor * dtRatio;
+      rbAY[i] += centerY * this.flocking.centeringFactor * dtRatio;
 
       // Apply alignment force
       avgVX /= sameTypeCount;
@@ -317,9 +324,13 @@ class Boid extends GameObject {
 
   /**
    * Keep boids within world boundaries
+   * Steers away before reaching the edge (smoother than physics bouncing)
+   * Not needed when the boid wraps around the world (boundaryMode "wrap")
    * CACHE-FRIENDLY: Direct array access
    */
   keepWithinBounds(i, dtRatio) {
+    if (this.boundaryMode === "wrap") return;
+
     // Cache array references
     const tX = Transform.x;
     const tY = Transform.y;
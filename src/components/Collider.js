@@ -4,6 +4,28 @@
 import { Component } from "../core/Component.js";
 
 class Collider extends Component {
+  // Shape type IDs stored in shapeType
+  static SHAPES = {
+    CIRCLE: 0,
+    BOX: 1, // width x height, rotated by Transform.rotation
+    POLYGON: 2, // convex, vertices stored in the shared polygon vertex buffer
+  };
+
+  // Hard cap for vertices per polygon (config.physics.maxPolygonVertices is clamped to this)
+  static MAX_POLYGON_VERTICES = 32;
+
+  // Polygon vertex buffer (local-space x,y pairs), shared by all workers
+  // DENSE: entity i owns floats [i * maxPolygonVertices * 2, (i + 1) * maxPolygonVertices * 2)
+  static polygonVertices = null;
+  static maxPolygonVertices = 0;
+
+  // Named collision layers: layer name -> bit (index 0 = "default" = bit 1)
+  // Filled from config.physics.collisionLayers on the main thread and in every worker
+  // collisionLayer/collisionMask are Uint16, so at most 16 layers
+  static MAX_LAYERS = 16;
+  static ALL_LAYERS = 0xffff;
+  static layerNames = ["default"];
+
   // Array schema - defines all collision properties
   static ARRAY_SCHEMA = {
     active: Uint8Array, // 0 = entity doesn't have this component, 1 = active
@@ -18,12 +40,13 @@ class Collider extends Component {
     // Circle shape
     radius: Float32Array,
 
-    // Box shape
+    // Box shape (full size, centered on entity position + offset)
     width: Float32Array,
     height: Float32Array,
 
-    // Polygon shape (TODO: future)
-    // pointsOffset: Int32Array, // pointer/index to polygon points in SAB
+    // Polygon shape (convex)
+    pointsOffset: Int32Array, // index of the first vertex float in Collider.polygonVertices
+    pointsCount: Uint8Array, // number of vertices
 
     // Trigger mode
     isTrigger: Uint8Array, // trigger=only events, no physical response
@@ -31,9 +54,10 @@ class Collider extends Component {
     // Material properties
     restitution: Float32Array, // bounciness (0-1)
 
-    // Collision filtering
-    collisionLayer: Uint16Array,
-    collisionMask: Uint16Array,
+    // Collision filtering (bitmasks, see Collider.setLayerNames)
+    // A pair collides only if (layerA & maskB) && (layerB & maskA)
+    collisionLayer: Uint16Array, // default: 1 ("default" layer)
+    collisionMask: Uint16Array, // default: 0xffff (collides with everything)
 
     // AABB cache (updated by physics system)
     aabbMinX: Float32Array,
@@ -44,6 +68,208 @@ class Collider extends Component {
     // Perception (for spatial queries)
     visualRange: Float32Array,
   };
+
+  /**
+   * Get polygon vertex buffer size in bytes
+   * @param {number} entityCount - Total number of entities
+   * @param {number} maxVertices - Max vertices per polygon
+   * @returns {number}
+   */
+  static getPolygonBufferSize(entityCount, maxVertices) {
+    return entityCount * maxVertices * 2 * Float32Array.BYTES_PER_ELEMENT;
+  }
+
+  /**
+   * Initialize the polygon vertex view (called by GameEngine and each worker)
+   * @param {SharedArrayBuffer} buffer - Polygon vertex buffer from createSharedBuffers
+   * @param {number} maxVertices - Max vertices per polygon
+   */
+  static initializePolygonBuffer(buffer, maxVertices) {
+    this.polygonVertices = new Float32Array(buffer);
+    this.maxPolygonVertices = maxVertices;
+  }
+
+  /**
+   * Turn an entity's collider into a convex polygon
+   * Vertices are local to the entity position (plus offsetX/offsetY) and rotate with it.
+   * Non-convex input is replaced by its convex hull. Overwrites radius with the
+   * bounding radius (used for broad-phase checks).
+   *
+   * DENSE: each entity writes to its own slot, so calling this from setup() in
+   * every logic worker is safe (they all write the same values)
+   *
+   * @param {number} index - Entity index
+   * @param {Array<[number, number]|{x:number, y:number}>|number[]} points - Vertices
+   * @returns {boolean} True if the polygon was stored
+   */
+  static setPolygon(index, points) {
+    if (!this.polygonVertices) {
+      console.error(
+        "Collider.setPolygon: polygon buffer not initialized (config.physics.maxPolygonVertices = 0?)"
+      );
+      return false;
+    }
+
+    // Normalize to [{x, y}, ...]
+    const input = [];
+    if (typeof points[0] === "number") {
+      for (let k = 0; k + 1 < points.length; k += 2) {
+        input.push({ x: points[k], y: points[k + 1] });
+      }
+    } else {
+      for (const p of points) {
+        input.push(
+          Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y }
+        );
+      }
+    }
+
+    const hull = convexHull(input);
+    if (hull.length < 3) {
+      console.error(
+        "Collider.setPolygon: need at least 3 non-collinear points"
+      );
+      return false;
+    }
+    if (hull.length !== input.length) {
+      console.warn(
+        `Collider.setPolygon: polygon for entity ${index} is not convex, using its convex hull (${hull.length} vertices)`
+      );
+    }
+    if (hull.length > this.maxPolygonVertices) {
+      console.error(
+        `Collider.setPolygon: ${hull.length} vertices exceeds config.physics.maxPolygonVertices (${this.maxPolygonVertices})`
+      );
+      return false;
+    }
+
+    const offset = index * this.maxPolygonVertices * 2;
+    let boundingRadius = 0;
+    for (let k = 0; k < hull.length; k++) {
+      this.polygonVertices[offset + k * 2] = hull[k].x;
+      this.polygonVertices[offset + k * 2 + 1] = hull[k].y;
+      boundingRadius = Math.max(
+        boundingRadius,
+        Math.hypot(hull[k].x, hull[k].y)
+      );
+    }
+
+    this.pointsOffset[index] = offset;
+    this.pointsCount[index] = hull.length;
+    this.radius[index] = boundingRadius;
+    this.shapeType[index] = this.SHAPES.POLYGON;
+    return true;
+  }
+
+  /**
+   * Instance shortcut: this.collider.setPolygon([[0, -20], [18, 10], [-18, 10]])
+   */
+  setPolygon(points) {
+    return Collider.setPolygon(this.index, points);
+  }
+
+  /**
+   * Replace the named layer registry (called by GameEngine and each worker)
+   * @param {string[]} names - Layer names, index = bit position ("default" is always first)
+   */
+  static setLayerNames(names = []) {
+    this.layerNames = ["default", ...names.filter((n) => n !== "default")];
+    if (this.layerNames.length > this.MAX_LAYERS) {
+      console.error(
+        `Collider: ${this.layerNames.length} collision layers registered, only ${this.MAX_LAYERS} fit in collisionLayer (Uint16)`
+      );
+      this.layerNames.length = this.MAX_LAYERS;
+    }
+  }
+
+  /**
+   * Get the bit for a named layer
+   * @param {string|number} layer - Layer name, or a bit value (returned as-is)
+   * @returns {number} Layer bit (0 if the name is unknown)
+   */
+  static getLayerBit(layer) {
+    if (typeof layer === "number") return layer;
+    const index = this.layerNames.indexOf(layer);
+    if (index === -1) {
+      console.warn(
+        `Collider: unknown collision layer "${layer}". Registered: ${this.layerNames.join(
+          ", "
+        )}`
+      );
+      return 0;
+    }
+    return 1 << index;
+  }
+
+  /**
+   * Combine layers into a bitmask
+   * @param {string|number|Array<string|number>} layers - Name(s) or bit(s)
+   * @returns {number} Bitmask
+   */
+  static getLayerMask(layers) {
+    if (!Array.isArray(layers)) return this.getLayerBit(layers);
+    let mask = 0;
+    for (const layer of layers) mask |= this.getLayerBit(layer);
+    return mask;
+  }
+
+  /**
+   * Put this collider on a named layer: this.collider.setLayer("projectile")
+   * @param {string|number} layer - Layer name or bit
+   */
+  setLayer(layer) {
+    this.collisionLayer = Collider.getLayerBit(layer);
+  }
+
+  /**
+   * Set which layers this collider collides with: this.collider.setMask(["enemy", "wall"])
+   * @param {string|number|Array<string|number>} layers - Name(s) or bit(s)
+   */
+  setMask(layers) {
+    this.collisionMask = Collider.getLayerMask(layers);
+  }
+}
+
+/**
+ * Convex hull (monotone chain)
+ * Output winding has a positive shoelace area, matching the box vertex order used by
+ * the narrow-phase, so (edgeY, -edgeX) is always the outward normal
+ * @param {Array<{x:number, y:number}>} points
+ * @returns {Array<{x:number, y:number}>}
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) =>
+    (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+  const lower = [];
+  for (const p of sorted) {
+    while (
+      lower.length >= 2 &&
+      cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0
+    ) {
+      lower.pop();
+    }
+    lower.push(p);
+  }
+
+  const upper = [];
+  for (let k = sorted.length - 1; k >= 0; k--) {
+    const p = sorted[k];
+    while (
+      upper.length >= 2 &&
+      cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0
+    ) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
 }
 
 // ES6 module export
@@ -0,0 +1,118 @@
+// Constraint.js - Distance/spring/rope constraints between two entities
+// Separate pool (NOT entity-based): indices are constraint IDs 0..maxConstraints-1
+// Solved by the physics worker inside applyConstraintsVerlet (every substep)
+
+import { Component } from "../core/Component.js";
+
+class Constraint extends Component {
+  // Constraint type IDs stored in type
+  static TYPES = {
+    DISTANCE: 0, // keeps exact restLength (rigid rod)
+    SPRING: 1, // pulls towards restLength with partial stiffness (soft)
+    ROPE: 2, // only prevents stretching beyond restLength (slack allowed)
+  };
+
+  // Pool size (set by GameEngine / workers from config.physics.maxConstraints)
+  static constraintCount = 0;
+
+  // Array schema - one slot per constraint
+  static ARRAY_SCHEMA = {
+    active: Uint8Array, // 0 = free, 1 = in use, 2 = being written (claimed with Atomics)
+    type: Uint8Array, // Constraint.TYPES
+    broken: Uint8Array, // 1 = snapped because tension exceeded breakForce
+
+    entityA: Int32Array,
+    entityB: Int32Array,
+
+    restLength: Float32Array,
+    stiffness: Float32Array, // 0-1, fraction of the error corrected per substep
+    breakForce: Float32Array, // 0 = unbreakable
+
+    // Computed by physics each substep (stiffness * stretch), readable by game code
+    tension: Float32Array,
+  };
+
+  /**
+   * Create a constraint between two entities
+   * Thread-safe: slots are claimed with Atomics.compareExchange on `active`
+   *
+   * @param {number} entityA - First entity index
+   * @param {number} entityB - Second entity index
+   * @param {Object} options
+   * @param {"distance"|"spring"|"rope"} [options.type="distance"]
+   * @param {number} [options.restLength] - Defaults to the current distance
+   * @param {number} [options.stiffness] - Defaults to 1 (0.1 for springs)
+   * @param {number} [options.breakForce=0] - Tension that snaps the constraint, 0 = never
+   * @param {number} [options.currentDistance=0] - Used when restLength is omitted
+   * @returns {number} Constraint ID, or -1 if the pool is full
+   */
+  static create(entityA, entityB, options = {}) {
+    if (!this.active) {
+      console.error(
+        "Constraint.create: constraint buffer not initialized (config.physics.maxConstraints = 0?)"
+      );
+      return -1;
+    }
+
+    const typeName = (options.type || "distance").toUpperCase();
+    const type = this.TYPES[typeName];
+    if (type === undefined) {
+      console.error(
+        `Constraint.create: unknown constraint type "${options.type}"`
+      );
+      return -1;
+    }
+
+    for (let id = 0; id < this.constraintCount; id++) {
+      // Claim free slot (0 -> 2) atomically so any worker can create constraints
+      if (Atomics.compareExchange(this.active, id, 0, 2) !== 0) continue;
+
+      this.type[id] = type;
+      this.broken[id] = 0;
+      this.entityA[id] = entityA;
+      this.entityB[id] = entityB;
+      this.restLength[id] = options.restLength ?? options.currentDistance ?? 0;
+      this.stiffness[id] =
+        options.stiffness ?? (type === this.TYPES.SPRING ? 0.1 : 1);
+      this.breakForce[id] = options.breakForce ?? 0;
+      this.tension[id] = 0;
+
+      // Publish: physics only solves slots marked 1
+      Atomics.store(this.active, id, 1);
+      return id;
+    }
+
+    console.warn(
+      `Constraint pool exhausted! All ${this.constraintCount} constraints are in use.`
+    );
+    return -1;
+  }
+
+  /**
+   * Remove a constraint, freeing its slot
+   * @param {number} id - Constraint ID returned by create()
+   */
+  static remove(id) {
+    if (!this.active || id < 0 || id >= this.constraintCount) return;
+    Atomics.store(this.active, id, 0);
+  }
+
+  /**
+   * Remove every constraint involving an entity
+   * @param {number} entityIndex - Entity index
+   * @param {number} [otherIndex=-1] - Only remove constraints to this entity (-1 = all)
+   */
+  static removeAllFor(entityIndex, otherIndex = -1) {
+    if (!this.active) return;
+    for (let id = 0; id < this.constraintCount; id++) {
+      if (this.active[id] !== 1) continue;
+      const a = this.entityA[id];
+      const b = this.entityB[id];
+      if (a !== entityIndex && b !== entityIndex) continue;
+      if (otherIndex !== -1 && a !== otherIndex && b !== otherIndex) continue;
+      Atomics.store(this.active, id, 0);
+    }
+  }
+}
+
+export { Constraint };
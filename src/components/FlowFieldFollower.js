@@ -0,0 +1,13 @@
+import { Component } from "../core/Component.js";
+
+// Steers the entity's RigidBody along a flow field (FlowField.js) before each tick()
+// Set it up with GameObject.followFlowField("goalName", options)
+export class FlowFieldFollower extends Component {
+  static ARRAY_SCHEMA = {
+    goal: Uint8Array, // FlowField goal id (FlowField.getGoalId), 0 = not following
+    speed: Float32Array, // Desired speed along the field (0 = rigidBody.maxVel)
+    steerFactor: Float32Array, // How fast velocity turns to the field (like Flocking.matchingFactor)
+    arriveDistance: Float32Array, // Slow down within this path distance of the goal (0 = never)
+    distance: Float32Array, // Path distance to the goal at the last steer (Infinity = unreachable)
+  };
+}
@@ -9,6 +9,8 @@ export class RigidBody extends Component {
   static ARRAY_SCHEMA = {
     active: Uint8Array, // 0 = entity doesn't have this component, 1 = active
     static: Uint8Array, // 0 = dynamic, 1 = static
+    kinematic: Uint8Array, // 1 = moved only by logic (vx/vy, angularVelocity): pushes dynamic bodies, never pushed back
+    bullet: Uint8Array, // 1 = continuous collision detection (fast projectiles that would tunnel)
 
     // Linear motion
     vx: Float32Array,
@@ -19,16 +21,17 @@ export class RigidBody extends Component {
     // Verlet integration (for alternative physics mode)
     px: Float32Array, // Previous X position
     py: Float32Array, // Previous Y position
+    prevRotation: Float32Array, // Previous Transform.rotation (angular Verlet)
 
-    // Angular motion
-    angularVelocity: Float32Array,
-    angularAccel: Float32Array,
+    // Angular motion (only integrated when invInertia > 0, see GameObject.enableRotation)
+    angularVelocity: Float32Array, // computed by physics (radians per frame)
+    angularAccel: Float32Array, // set by logic (applyTorque), cleared by physics each frame
 
     // Mass properties
     mass: Float32Array,
     invMass: Float32Array,
-    inertia: Float32Array, // moment of inertia
-    invInertia: Float32Array,
+    inertia: Float32Array, // moment of inertia per unit of mass (solver treats every body as mass 1)
+    invInertia: Float32Array, // 0 = physics never rotates this body
 
     // Damping
     drag: Float32Array,
@@ -44,5 +47,10 @@ export class RigidBody extends Component {
     velocityAngle: Float32Array,
     speed: Float32Array,
     collisionCount: Uint8Array, // Number of collisions this frame
+
+    // Sleeping (config.physics.allowSleeping): resting bodies are skipped by the solver
+    sleeping: Uint8Array, // 1 = asleep, woken by contact with moving bodies or by logic (ax/ay, GameObject.wake)
+    sleepTimer: Uint16Array, // frames this body has been resting (computed by physics)
+    outOfBounds: Uint8Array, // 1 = left the world with boundaryMode "despawn" (logic despawns it before its next tick)
   };
 }
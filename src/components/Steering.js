@@ -0,0 +1,36 @@
+// Steering.js - Weighted steering behaviours (see SteeringBehaviors.js)
+// Every weight starts at 0 (off). Before each tick() the enabled behaviours are
+// summed, capped at rigidBody.maxAcc and added to rigidBody.ax/ay
+// Who to pursue, evade and flock with is per class: static steering = { pursue: [Prey] }
+
+import { Component } from "../core/Component.js";
+
+export class Steering extends Component {
+  static ARRAY_SCHEMA = {
+    // Behaviour weights (0 = off)
+    seek: Float32Array, // Head for (targetX, targetY) at full speed
+    flee: Float32Array, // Run away from (targetX, targetY)
+    arrive: Float32Array, // Head for (targetX, targetY), slowing down to stop on it
+    wander: Float32Array, // Random smooth turns
+    pursue: Float32Array, // Chase the closest pursue-type neighbor (where it's going to be)
+    evade: Float32Array, // Run from the closest evade-type neighbor (where it's going to be)
+    separation: Float32Array, // Keep away from close neighbors
+    alignment: Float32Array, // Match the flock's velocity
+    cohesion: Float32Array, // Head for the flock's center
+    avoidObstacles: Float32Array, // Steer around static bodies, blocked cells and world edges
+
+    // Target of seek / flee / arrive (world position, set it from tick())
+    targetX: Float32Array,
+    targetY: Float32Array,
+
+    // Tuning (0 = default)
+    arriveDistance: Float32Array, // arrive slows down within this distance (default 100)
+    fleeDistance: Float32Array, // flee only within this distance of the target (default always)
+    separationDistance: Float32Array, // Neighbors closer than this push away (default 4 x collider radius)
+    wanderJitter: Float32Array, // Max turn of the wander angle per frame in radians (default 0.3)
+    lookAhead: Float32Array, // Obstacle probe length (default 20 frames at maxVel)
+
+    // State
+    wanderAngle: Float32Array, // Current wander direction, relative to the heading
+  };
+}
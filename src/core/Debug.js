@@ -14,6 +14,7 @@ export const DEBUG_FLAGS = {
   SHOW_PROFILER: 9, // Show detailed timing breakdown
   SHOW_ENTITY_INDICES: 10, // Show entity index numbers
   SHOW_ACTIVE_ONLY: 11, // Only show debug for active entities
+  SHOW_CONSTRAINTS: 12, // Draw entity constraints (GameObject.connect)
 };
 
 /**
@@ -41,6 +42,7 @@ export class Debug {
       aabb: 0xff8800, // Orange
       trail: 0xffffff, // White
       text: 0xffffff, // White
+      constraint: 0xff66cc, // Pink (turns red near breakForce)
     };
   }
 
@@ -149,6 +151,15 @@ export class Debug {
     return this;
   }
 
+  /**
+   * Enable/disable constraint visualization (distance/spring/rope links)
+   */
+  showConstraints(enabled = true) {
+    this.flags[DEBUG_FLAGS.SHOW_CONSTRAINTS] = enabled ? 1 : 0;
+    console.log(`🔧 Debug: Constraints ${enabled ? "ON" : "OFF"}`);
+    return this;
+  }
+
   /**
    * Enable multiple debug features at once
    * @param {Object} options - { colliders: true, velocity: true, ... }
@@ -169,6 +180,8 @@ export class Debug {
     if (options.profiler !== undefined) this.showProfiler(options.profiler);
     if (options.entityIndices !== undefined)
       this.showEntityIndices(options.entityIndices);
+    if (options.constraints !== undefined)
+      this.showConstraints(options.constraints);
     return this;
   }
 
@@ -191,6 +204,7 @@ export class Debug {
       colliders: true,
       velocity: true,
       acceleration: true,
+      constraints: true,
       aabb: false,
     });
   }
@@ -240,6 +254,7 @@ export class Debug {
       fpsGraph: this.isEnabled(DEBUG_FLAGS.SHOW_FPS_GRAPH),
       profiler: this.isEnabled(DEBUG_FLAGS.SHOW_PROFILER),
       entityIndices: this.isEnabled(DEBUG_FLAGS.SHOW_ENTITY_INDICES),
+      constraints: this.isEnabled(DEBUG_FLAGS.SHOW_CONSTRAINTS),
     };
   }
 }
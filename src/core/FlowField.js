@@ -0,0 +1,296 @@
+// FlowField.js - Shared flow fields for crowds heading to the same goals (config.flowField)
+// One field per named goal over the spatial grid cells: the flow field worker fills
+// the integration field (path cost to the goal) and the direction field (next cell
+// towards the goal) whenever the goal moves, and refreshes them so cell flag edits
+// show up. Any thread samples them: thousands of agents share one search per goal
+// FlowFieldFollower entities are steered along their goal's field before tick()
+//
+// flowFieldData layout:
+//   goal slots, GOAL_STRIDE x 4 bytes each: Float32 [x, y] + Int32 [version, builtVersion, front]
+//   Float32 integration[goalCount * 2 * totalCells]  cost in cells (Infinity = unreachable)
+//   Uint8 directions[goalCount * 2 * totalCells]     index into DIR_COLS/DIR_ROWS, NO_DIRECTION at the goal
+// Two copies of each goal's field: readers use the front one while the worker
+// writes the other, then flips front
+
+import { Transform } from "../components/Transform.js";
+import { RigidBody } from "../components/RigidBody.js";
+import { FlowFieldFollower } from "../components/FlowFieldFollower.js";
+import { Spatial } from "./Spatial.js";
+
+const GOAL_STRIDE = 5;
+const NO_DIRECTION = 255;
+
+// 8-connected moves (same order as the pathfinding worker): straight ones first
+const DIR_COLS = [1, -1, 0, 0, 1, 1, -1, -1];
+const DIR_ROWS = [0, 0, 1, -1, 1, -1, 1, -1];
+const DIR_X = DIR_COLS.map((c, d) => c / Math.hypot(c, DIR_ROWS[d]));
+const DIR_Y = DIR_ROWS.map((r, d) => r / Math.hypot(DIR_COLS[d], r));
+
+class FlowField {
+  static DIR_COLS = DIR_COLS;
+  static DIR_ROWS = DIR_ROWS;
+  static NO_DIRECTION = NO_DIRECTION;
+  static GOAL_STRIDE = GOAL_STRIDE;
+
+  static goalNames = []; // config.flowField.goals, id = position + 1
+  static totalCells = 0;
+  static avoidFlags = 1; // Cell flags fields route around (config.flowField.avoidFlags)
+
+  static goalFloats = null; // Float32Array(goalCount * GOAL_STRIDE)
+  static goalInts = null; // Int32Array, same bytes
+  static integration = null; // Float32Array(goalCount * 2 * totalCells)
+  static directions = null; // Uint8Array(goalCount * 2 * totalCells)
+
+  static scratchDirection = { x: 0, y: 0 }; // Reused by steer()
+
+  /**
+   * Goal names from config
+   * @param {Object} config - Engine config (uses config.flowField)
+   * @returns {string[]} Empty = flow fields off
+   */
+  static getGoalNames(config) {
+    return config.flowField?.goals || [];
+  }
+
+  /**
+   * Get flow field buffer size in bytes
+   * @param {Object} config - Engine config
+   * @returns {number}
+   */
+  static getBufferSize(config) {
+    const goalCount = this.getGoalNames(config).length;
+    const { totalCells } = Spatial.getLayout(config);
+    return goalCount * (GOAL_STRIDE * 4 + totalCells * 2 * 5);
+  }
+
+  /**
+   * Create views over the shared flow field buffer
+   * Called on the main thread and in every worker
+   * @param {SharedArrayBuffer} buffer - Flow field buffer
+   * @param {Object} config - Engine config
+   */
+  static initialize(buffer, config) {
+    const goalNames = this.getGoalNames(config);
+    const goalCount = goalNames.length;
+    const { totalCells } = Spatial.getLayout(config);
+    this.goalNames = goalNames;
+    this.totalCells = totalCells;
+    this.avoidFlags = config.flowField.avoidFlags ?? 1;
+
+    let offset = 0;
+    this.goalFloats = new Float32Array(buffer, 0, goalCount * GOAL_STRIDE);
+    this.goalInts = new Int32Array(buffer, 0, goalCount * GOAL_STRIDE);
+    offset += goalCount * GOAL_STRIDE * 4;
+    const fieldCells = goalCount * 2 * totalCells;
+    this.integration = new Float32Array(buffer, offset, fieldCells);
+    offset += fieldCells * 4;
+    this.directions = new Uint8Array(buffer, offset, fieldCells);
+  }
+
+  /**
+   * Id of a named goal (what FlowFieldFollower.goal holds)
+   * @param {string|number} goal - Name from config.flowField.goals (ids pass through)
+   * @returns {number} 1-based id, 0 if unknown
+   */
+  static getGoalId(goal) {
+    if (typeof goal === "number") return goal;
+    const id = this.goalNames.indexOf(goal) + 1;
+    if (id === 0) {
+      console.warn(
+        `FlowField: unknown goal "${goal}" (add it to config.flowField.goals)`
+      );
+    }
+    return id;
+  }
+
+  /**
+   * Move a goal (any thread). The flow field worker rebuilds its field
+   * on its next frame; followers keep using the old one meanwhile
+   * @param {string|number} goal - Name or id
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   *
+   * Example (main thread, right-click to send the crowd):
+   *   FlowField.setGoal("rally", Mouse.x, Mouse.y);
+   */
+  static setGoal(goal, x, y) {
+    const id = this.getGoalId(goal);
+    if (id === 0 || !this.goalInts) return;
+    const slot = (id - 1) * GOAL_STRIDE;
+    this.goalFloats[slot] = x;
+    this.goalFloats[slot + 1] = y;
+    Atomics.add(this.goalInts, slot + 2, 1);
+  }
+
+  /**
+   * Goal position
+   * @param {string|number} goal - Name or id
+   * @returns {{x:number, y:number}|null} null if never set
+   */
+  static getGoal(goal) {
+    const id = this.getGoalId(goal);
+    if (id === 0 || !this.goalInts) return null;
+    const slot = (id - 1) * GOAL_STRIDE;
+    if (Atomics.load(this.goalInts, slot + 2) === 0) return null;
+    return { x: this.goalFloats[slot], y: this.goalFloats[slot + 1] };
+  }
+
+  /**
+   * Has a goal's field been built at least once?
+   * @param {number} id - Goal id
+   * @returns {boolean}
+   */
+  static hasField(id) {
+    if (id === 0 || !this.goalInts) return false;
+    return Atomics.load(this.goalInts, (id - 1) * GOAL_STRIDE + 3) !== 0;
+  }
+
+  /**
+   * Start of a goal's published field in integration / directions
+   * @param {number} id - Goal id
+   * @returns {number}
+   */
+  static getFieldOffset(id) {
+    const front = Atomics.load(this.goalInts, (id - 1) * GOAL_STRIDE + 4);
+    return ((id - 1) * 2 + front) * this.totalCells;
+  }
+
+  /**
+   * Does a goal's field match its current position?
+   * @param {string|number} goal - Name or id
+   * @returns {boolean}
+   */
+  static isReady(goal) {
+    const id = this.getGoalId(goal);
+    if (!this.hasField(id)) return false;
+    const slot = (id - 1) * GOAL_STRIDE;
+    return (
+      Atomics.load(this.goalInts, slot + 3) ===
+      Atomics.load(this.goalInts, slot + 2)
+    );
+  }
+
+  /**
+   * Direction to follow at a world position: the cells' directions blended
+   * bilinearly (smooth turns), straight at the goal inside its cell
+   * @param {number} id - Goal id
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {{x:number, y:number}} out - Written with a unit vector, 0/0 where
+   *   the goal is unreachable
+   * @returns {{x:number, y:number}} out
+   */
+  static sample(id, x, y, out) {
+    out.x = 0;
+    out.y = 0;
+    if (!this.hasField(id)) return out;
+
+    const gridCols = Spatial.gridCols;
+    const gridRows = Spatial.gridRows;
+    const directions = this.directions;
+    const base = this.getFieldOffset(id);
+    const goalSlot = (id - 1) * GOAL_STRIDE;
+    const goalX = this.goalFloats[goalSlot];
+    const goalY = this.goalFloats[goalSlot + 1];
+
+    // The 4 cell centers around (x, y)
+    const gx = x * Spatial.invCellSize - 0.5;
+    const gy = y * Spatial.invCellSize - 0.5;
+    const col0 = Math.floor(gx);
+    const row0 = Math.floor(gy);
+    const fx = gx - col0;
+    const fy = gy - row0;
+
+    let sumX = 0;
+    let sumY = 0;
+    for (let k = 0; k < 4; k++) {
+      const col = col0 + (k & 1);
+      const row = row0 + (k >> 1);
+      if (col < 0 || row < 0 || col >= gridCols || row >= gridRows) continue;
+      const weight = (k & 1 ? fx : 1 - fx) * (k >> 1 ? fy : 1 - fy);
+      if (weight === 0) continue;
+
+      const cell = row * gridCols + col;
+      const direction = directions[base + cell];
+      if (direction !== NO_DIRECTION) {
+        sumX += DIR_X[direction] * weight;
+        sumY += DIR_Y[direction] * weight;
+      } else if (this.integration[base + cell] === 0) {
+        // Goal cell: head for the goal itself
+        const dx = goalX - x;
+        const dy = goalY - y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length > 0) {
+          sumX += (dx / length) * weight;
+          sumY += (dy / length) * weight;
+        }
+      }
+    }
+
+    const length = Math.sqrt(sumX * sumX + sumY * sumY);
+    if (length > 0) {
+      out.x = sumX / length;
+      out.y = sumY / length;
+    }
+    return out;
+  }
+
+  /**
+   * Path distance to the goal from a world position (from the integration field,
+   * straight-line inside the goal's cell)
+   * @param {number} id - Goal id
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {number} World units, Infinity if unreachable or not built yet
+   */
+  static getDistance(id, x, y) {
+    if (!this.hasField(id)) return Infinity;
+    const col = Math.floor(x * Spatial.invCellSize);
+    const row = Math.floor(y * Spatial.invCellSize);
+    if (
+      col < 0 ||
+      row < 0 ||
+      col >= Spatial.gridCols ||
+      row >= Spatial.gridRows
+    ) {
+      return Infinity;
+    }
+
+    const cost =
+      this.integration[this.getFieldOffset(id) + row * Spatial.gridCols + col];
+    if (cost !== 0) return cost * Spatial.cellSize;
+
+    const goalSlot = (id - 1) * GOAL_STRIDE;
+    const dx = this.goalFloats[goalSlot] - x;
+    const dy = this.goalFloats[goalSlot + 1] - y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Steer a FlowFieldFollower along its goal's field (logic workers and
+   * MainThreadLogicHelper call this before tick()): the boids' velocity
+   * matching, with the field's direction at the follower's speed as the target
+   * @param {number} i - Entity index
+   * @param {number} dtRatio
+   */
+  static steer(i, dtRatio) {
+    const id = FlowFieldFollower.goal[i];
+    if (!this.hasField(id)) return;
+
+    const x = Transform.x[i];
+    const y = Transform.y[i];
+    const direction = this.sample(id, x, y, this.scratchDirection);
+    const distance = this.getDistance(id, x, y);
+    FlowFieldFollower.distance[i] = distance;
+
+    let speed = FlowFieldFollower.speed[i] || RigidBody.maxVel[i];
+    const arriveDistance = FlowFieldFollower.arriveDistance[i];
+    if (distance < arriveDistance) speed *= distance / arriveDistance;
+
+    const steerFactor = FlowFieldFollower.steerFactor[i] * dtRatio;
+    RigidBody.ax[i] += (direction.x * speed - RigidBody.vx[i]) * steerFactor;
+    RigidBody.ay[i] += (direction.y * speed - RigidBody.vy[i]) * steerFactor;
+  }
+}
+
+export { FlowField };
@@ -0,0 +1,156 @@
+// FrameSync.js - Pipelined frame handoff between spatial, logic and physics (config.pipeline.enabled)
+// Workers keep their own loops, but each stage only consumes complete frames of the previous one:
+//   - neighbor lists (spatial -> logic, physics) and collision pairs (physics -> logic) are
+//     double-buffered: the producer fills the back copy, then publishes it as the front one.
+//     Readers pin the front copy while they use it; the producer waits for the pins on the
+//     copy it's about to overwrite to go away (so it's never more than one frame ahead)
+//   - forces (logic -> physics): physics applies ax/ay/torque only once all logic workers
+//     finished a frame, and logic starts its next frame only after physics applied them
+// Everything lives in syncData (Atomics.wait/notify), slots listed below
+
+// Int32 slots in syncData (0-4 are the logic job queue's, see GameEngine.createSharedBuffers)
+const FRONT = [5, 8]; // Per channel: published copy (0/1), then pins on copy 0 and copy 1
+const LOGIC_FRAMES = 11; // Logic frames finished by every logic worker
+const FORCES_APPLIED = 12; // Last logic frame whose forces physics integrated
+const SYNC_SLOTS = 13;
+
+class FrameSync {
+  // Double-buffered channels
+  static NEIGHBORS = 0; // neighborData + distanceData
+  static COLLISIONS = 1; // collisionData + contactData
+  static SYNC_SLOTS = SYNC_SLOTS;
+
+  static enabled = false;
+  static syncData = null; // Int32Array over syncData
+  static timeout = 50; // Max ms a stage waits before skipping its frame
+
+  /**
+   * Set up the views (every thread that has syncData)
+   * @param {SharedArrayBuffer} syncBuffer
+   * @param {Object} config - Engine config (config.pipeline)
+   */
+  static initialize(syncBuffer, config) {
+    this.enabled = !!config.pipeline?.enabled;
+    this.syncData = new Int32Array(syncBuffer);
+    this.timeout = config.pipeline?.timeout ?? 50;
+  }
+
+  /**
+   * Copy (0/1) of a channel that holds the latest complete frame
+   * @param {number} channel - FrameSync.NEIGHBORS or FrameSync.COLLISIONS
+   * @returns {number}
+   */
+  static getFront(channel) {
+    return Atomics.load(this.syncData, FRONT[channel]);
+  }
+
+  /**
+   * Pin the front copy of a channel for reading; release() it when done
+   * @param {number} channel
+   * @returns {number} Copy index
+   */
+  static acquire(channel) {
+    const sync = this.syncData;
+    const front = FRONT[channel];
+    while (true) {
+      const copy = Atomics.load(sync, front);
+      Atomics.add(sync, front + 1 + copy, 1);
+      // Still the front one: the producer will wait for our pin before rewriting it
+      if (Atomics.load(sync, front) === copy) return copy;
+      this.release(channel, copy);
+    }
+  }
+
+  /**
+   * Unpin a copy taken with acquire()
+   * @param {number} channel
+   * @param {number} copy
+   */
+  static release(channel, copy) {
+    const pins = FRONT[channel] + 1 + copy;
+    Atomics.sub(this.syncData, pins, 1);
+    Atomics.notify(this.syncData, pins);
+  }
+
+  /**
+   * Wait until nobody reads a copy (producer, workers only)
+   * @param {number} channel
+   * @param {number} copy
+   * @returns {boolean} false if readers still hold it after the timeout
+   */
+  static waitUntilWritable(channel, copy) {
+    const sync = this.syncData;
+    const pins = FRONT[channel] + 1 + copy;
+    const deadline = performance.now() + this.timeout;
+    let readers;
+    while ((readers = Atomics.load(sync, pins)) > 0) {
+      const remaining = deadline - performance.now();
+      if (remaining <= 0) return false;
+      Atomics.wait(sync, pins, readers, remaining);
+    }
+    return true;
+  }
+
+  /**
+   * Make a freshly written copy the front one
+   * @param {number} channel
+   * @param {number} copy
+   */
+  static publish(channel, copy) {
+    Atomics.store(this.syncData, FRONT[channel], copy);
+    Atomics.notify(this.syncData, FRONT[channel]);
+  }
+
+  /**
+   * Number of logic frames every logic worker finished
+   * @returns {number}
+   */
+  static getLogicFrame() {
+    return Atomics.load(this.syncData, LOGIC_FRAMES);
+  }
+
+  /**
+   * Wait until a logic worker may start its next frame: the others finished the
+   * frame it already did, and physics applied that frame's forces
+   * @param {number} lastFrame - Frame this worker ran last (-1 before the first)
+   * @returns {number} Frame to run now, or -1 to skip this one (timed out)
+   */
+  static waitForLogicTurn(lastFrame) {
+    const sync = this.syncData;
+    const deadline = performance.now() + this.timeout;
+
+    let frame;
+    while ((frame = Atomics.load(sync, LOGIC_FRAMES)) === lastFrame) {
+      const remaining = deadline - performance.now();
+      if (remaining <= 0) return -1;
+      Atomics.wait(sync, LOGIC_FRAMES, frame, remaining);
+    }
+
+    let applied;
+    while ((applied = Atomics.load(sync, FORCES_APPLIED)) < frame) {
+      const remaining = deadline - performance.now();
+      if (remaining <= 0) return -1;
+      Atomics.wait(sync, FORCES_APPLIED, applied, remaining);
+    }
+    return frame;
+  }
+
+  /**
+   * Called by the last logic worker to finish a frame
+   */
+  static finishLogicFrame() {
+    Atomics.add(this.syncData, LOGIC_FRAMES, 1);
+    Atomics.notify(this.syncData, LOGIC_FRAMES);
+  }
+
+  /**
+   * Physics integrated the forces of a logic frame: logic may write the next ones
+   * @param {number} frame
+   */
+  static markForcesApplied(frame) {
+    Atomics.store(this.syncData, FORCES_APPLIED, frame);
+    Atomics.notify(this.syncData, FORCES_APPLIED);
+  }
+}
+
+export { FrameSync };
@@ -0,0 +1,173 @@
+// Lockstep.js - Deterministic fixed-timestep mode (config.lockstep.enabled)
+// The main thread issues ticks through the stepData SharedArrayBuffer and the
+// simulation workers take turns on each one: spatial -> pathfinding -> flow fields ->
+// logic (all workers) -> physics. Every tick uses the same deltaTime, so the same seed
+// gives the same results. Pathfinding serves every request queued on the previous tick
+// and flow fields are rebuilt for goals moved on it, so both arrive on a fixed tick.
+// Renderer and particle workers keep their own loops (they only read simulation state)
+//
+// Messages that change the simulation (spawn, despawnAll, updatePhysicsConfig) are
+// stamped with the tick they belong to; each worker counts what it received against
+// the per-worker counter in stepData and waits for stragglers before running a tick
+
+// Int32 slots of stepData, followed by one "messages sent" counter per worker
+const TICK = 0; // Tick being simulated (1, 2, ...)
+const STAGE = 1; // Which stage may run now (STAGES)
+const FINISHED = 2; // Logic workers done with the current tick
+const LOGIC_WORKERS = 3; // Number of logic workers taking part
+const PATHFINDING_WORKER = 4; // 1 when the pathfinding worker takes part
+const FLOW_FIELD_WORKER = 5; // 1 when the flow field worker takes part
+const HEADER_SIZE = 6;
+
+// Message counter slots after the header: spatial, physics, pathfinding, flow field,
+// then logic0..logicN
+const SPATIAL_SLOT = 0;
+const PHYSICS_SLOT = 1;
+const PATHFINDING_SLOT = 2;
+const FLOW_FIELD_SLOT = 3;
+const LOGIC_SLOT = 4;
+
+class Lockstep {
+  static STAGES = {
+    IDLE: 0,
+    SPATIAL: 1,
+    LOGIC: 2,
+    PHYSICS: 3,
+    PATHFINDING: 4,
+    FLOW_FIELD: 5,
+  };
+  static TICK = TICK;
+  static STAGE = STAGE;
+
+  static stepData = null; // Int32Array over the shared step buffer
+
+  /**
+   * Get step buffer size in bytes
+   * @param {number} numberOfLogicWorkers
+   * @returns {number}
+   */
+  static getBufferSize(numberOfLogicWorkers) {
+    return (HEADER_SIZE + LOGIC_SLOT + numberOfLogicWorkers) * 4;
+  }
+
+  /**
+   * Create the view over the shared step buffer (main thread and simulation workers)
+   * @param {SharedArrayBuffer} buffer
+   */
+  static initialize(buffer) {
+    this.stepData = new Int32Array(buffer);
+  }
+
+  /**
+   * Milliseconds simulated by every tick
+   * @param {Object} config - Engine config
+   * @returns {number}
+   */
+  static getTickDuration(config) {
+    return 1000 / (config.lockstep?.tickRate || 60);
+  }
+
+  /**
+   * Index of a worker's "messages sent" counter in stepData
+   * @param {number} stage - STAGES value the worker runs in
+   * @param {number} [workerIndex=0] - Logic worker index
+   * @returns {number}
+   */
+  static getMessageCounter(stage, workerIndex = 0) {
+    const slot =
+      stage === this.STAGES.SPATIAL
+        ? SPATIAL_SLOT
+        : stage === this.STAGES.PHYSICS
+        ? PHYSICS_SLOT
+        : stage === this.STAGES.PATHFINDING
+        ? PATHFINDING_SLOT
+        : stage === this.STAGES.FLOW_FIELD
+        ? FLOW_FIELD_SLOT
+        : LOGIC_SLOT + workerIndex;
+    return HEADER_SIZE + slot;
+  }
+
+  /**
+   * Resolve once stepData[index] is no longer value
+   * Uses Atomics.waitAsync so the waiting thread keeps handling messages;
+   * polls with setTimeout where it's not supported
+   * @param {number} index - stepData slot
+   * @param {number} value - Value seen last
+   * @returns {Promise}
+   */
+  static waitForChange(index, value) {
+    if (typeof Atomics.waitAsync === "function") {
+      const result = Atomics.waitAsync(this.stepData, index, value);
+      return result.async ? result.value : Promise.resolve(result.value);
+    }
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Start a tick (main thread, only while the previous one is done)
+   * @param {number} tick - New tick number
+   */
+  static beginTick(tick) {
+    Atomics.store(this.stepData, TICK, tick);
+    Atomics.store(this.stepData, STAGE, this.STAGES.SPATIAL);
+    Atomics.notify(this.stepData, STAGE);
+  }
+
+  /**
+   * Hand the tick to the next stage (called by each worker when it's done)
+   * The last logic worker to finish is the one that moves on to physics
+   * @param {number} stage - Stage that just finished
+   */
+  static finishStage(stage) {
+    const step = this.stepData;
+    const { SPATIAL, PATHFINDING, FLOW_FIELD, LOGIC, PHYSICS, IDLE } =
+      this.STAGES;
+
+    if (stage === LOGIC) {
+      const done = Atomics.add(step, FINISHED, 1) + 1;
+      if (done < Atomics.load(step, LOGIC_WORKERS)) return;
+      Atomics.store(step, FINISHED, 0);
+    }
+
+    let next =
+      stage === SPATIAL
+        ? PATHFINDING
+        : stage === PATHFINDING
+        ? FLOW_FIELD
+        : stage === FLOW_FIELD
+        ? LOGIC
+        : stage === LOGIC
+        ? PHYSICS
+        : IDLE;
+    if (next === PATHFINDING && Atomics.load(step, PATHFINDING_WORKER) === 0) {
+      next = FLOW_FIELD;
+    }
+    if (next === FLOW_FIELD && Atomics.load(step, FLOW_FIELD_WORKER) === 0) {
+      next = LOGIC;
+    }
+    if (next === LOGIC && Atomics.load(step, LOGIC_WORKERS) === 0) {
+      next = PHYSICS;
+    }
+    Atomics.store(step, STAGE, next);
+    Atomics.notify(step, STAGE);
+  }
+
+  /**
+   * Set up a freshly created step buffer (main thread)
+   * @param {number} numberOfLogicWorkers
+   * @param {boolean} [hasPathfinding=false] - The pathfinding worker runs its stage
+   * @param {boolean} [hasFlowFields=false] - The flow field worker runs its stage
+   */
+  static reset(
+    numberOfLogicWorkers,
+    hasPathfinding = false,
+    hasFlowFields = false
+  ) {
+    this.stepData.fill(0);
+    this.stepData[LOGIC_WORKERS] = numberOfLogicWorkers;
+    this.stepData[PATHFINDING_WORKER] = hasPathfinding ? 1 : 0;
+    this.stepData[FLOW_FIELD_WORKER] = hasFlowFields ? 1 : 0;
+  }
+}
+
+export { Lockstep };
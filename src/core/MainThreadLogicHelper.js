@@ -10,6 +10,10 @@ import { SpriteRenderer } from "../components/SpriteRenderer.js";
 import { ParticleComponent } from "../components/ParticleComponent.js";
 import { ShadowCaster } from "../components/ShadowCaster.js";
 import { LightEmitter } from "../components/LightEmitter.js";
+import { FlowFieldFollower } from "../components/FlowFieldFollower.js";
+import { FlowField } from "./FlowField.js";
+import { SteeringBehaviors } from "./SteeringBehaviors.js";
+import { Scene } from "./Scene.js";
 import { SpriteSheetRegistry } from "./SpriteSheetRegistry.js";
 import Keyboard from "./Keyboard.js";
 import { collectComponents } from "./utils.js";
@@ -261,17 +265,30 @@ export class MainThreadLogicHelper {
    * @param {number} dtRatio - Delta time ratio
    */
   processEntityRange(startIndex, endIndex, dtRatio) {
+    const outOfBounds = RigidBody.outOfBounds;
+    const flowGoals = FlowFieldFollower.goal; // Undefined if no class follows a flow field
+
     for (let i = startIndex; i < endIndex; i++) {
       const obj = this.gameObjects[i];
 
       // Skip if no game object or entity is inactive
       if (!obj || !Transform.active[i]) continue;
 
+      // Left the world with boundaryMode "despawn" (flagged by physics)
+      if (outOfBounds && outOfBounds[i]) {
+        obj.despawn();
+        continue;
+      }
+
       this.entitiesProcessedThisFrame++;
 
       // Update neighbor references before tick
       obj.updateNeighbors(this.neighborData, this.distanceData);
 
+      // Steer flow field followers and Steering behaviours (tick() can still adjust or override)
+      if (flowGoals && flowGoals[i] !== 0) FlowField.steer(i, dtRatio);
+      if (obj._hasComponents.Steering) SteeringBehaviors.apply(obj, dtRatio);
+
       // Tick entity logic
       obj.tick(dtRatio);
 
@@ -426,4 +443,22 @@ export class MainThreadLogicHelper {
       `MainThreadLogicHelper: Despawned ${count} ${className} entities`
     );
   }
+
+  /**
+   * Despawn every entity of an exiting scene (main-thread-only mode)
+   * Used when there are 0 logic workers
+   *
+   * @param {number} sceneId - Scene.sceneIds value of its entities
+   */
+  despawnScene(sceneId) {
+    for (let i = 0; i < this.engine.totalEntityCount; i++) {
+      if (
+        Transform.active[i] &&
+        Scene.sceneIds[i] === sceneId &&
+        this.gameObjects[i]
+      ) {
+        this.gameObjects[i].despawn();
+      }
+    }
+  }
 }
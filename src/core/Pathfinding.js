@@ -0,0 +1,334 @@
+// Pathfinding.js - Async path requests served by the pathfinding worker (config.pathfinding)
+// Game code queues requests from any thread (GameObject.requestPath in tick()) into a
+// SharedArrayBuffer ring; the pathfinding worker runs A* on the spatial grid's cell
+// flags (see Spatial.js) and writes waypoints into a per-entity path buffer.
+// Nothing blocks: the entity checks its path status on later ticks
+//
+// pathData layout:
+//   Int32 [head, tail], Int32 sequence[capacity]   request ring (same scheme as the Physics command ring)
+//   Int32 slots[capacity * REQUEST_STRIDE]          [entity, state, fromX, fromY, toX, toY, avoidFlags, -]
+//                                                   (coordinates are Float32 over the same bytes)
+//   Int32 state[entityCount]                        request id << STATUS_BITS | status
+//   Int32 length[entityCount]                       waypoints written
+//   Float32 points[entityCount * maxWaypoints * 2]  x0, y0, x1, y1, ...
+// A result is only published if the entity's state is still the request's (compareExchange),
+// so a newer request or cancelPath() makes older ones stale
+
+const RING_HEADER_SIZE = 2;
+const REQUEST_STRIDE = 8;
+
+// Low bits of an entity's state hold the status, the rest count its requests
+const STATUS_BITS = 3;
+const STATUS_MASK = (1 << STATUS_BITS) - 1;
+
+const STATUS = {
+  NONE: 0, // Never requested or cancelled
+  PENDING: 1, // Queued or being searched
+  FOUND: 2, // Waypoints lead to the target
+  PARTIAL: 3, // Path longer than maxWaypoints: first waypoints only, request again near the end
+  NOT_FOUND: 4, // Target blocked, unreachable or search limit hit
+};
+
+class Pathfinding {
+  static STATUS = STATUS;
+
+  static capacity = 0; // Ring slots (power of two)
+  static entityCount = 0;
+  static maxWaypoints = 0;
+  static avoidFlags = 1; // Cell flags a path never crosses by default (config.pathfinding.avoidFlags)
+  static droppedRequests = 0; // Requests this thread couldn't queue (ring full)
+  static reservedTicket = 0;
+
+  static ringHeader = null; // Int32Array(RING_HEADER_SIZE)
+  static ringSequence = null; // Int32Array(capacity)
+  static requestInts = null; // Int32Array(capacity * REQUEST_STRIDE)
+  static requestFloats = null; // Float32Array, same bytes
+  static pathState = null; // Int32Array(entityCount)
+  static pathLength = null; // Int32Array(entityCount)
+  static pathPoints = null; // Float32Array(entityCount * maxWaypoints * 2)
+
+  /**
+   * Resolve ring capacity and waypoints per entity from config
+   * @param {Object} config - Engine config (uses config.pathfinding)
+   * @returns {{capacity:number, maxWaypoints:number}|null} null = pathfinding off
+   */
+  static getLayout(config) {
+    const pathfinding = config.pathfinding;
+    if (!pathfinding?.enabled) return null;
+
+    const maxRequests = pathfinding.maxRequests || 1024;
+    let capacity = 1;
+    while (capacity < maxRequests) capacity *= 2;
+    return { capacity, maxWaypoints: pathfinding.maxWaypoints || 32 };
+  }
+
+  /**
+   * Get path buffer size in bytes
+   * @param {Object} config - Engine config
+   * @param {number} entityCount - Total number of entities
+   * @returns {number}
+   */
+  static getBufferSize(config, entityCount) {
+    const layout = this.getLayout(config);
+    if (!layout) return 0;
+    const { capacity, maxWaypoints } = layout;
+    return (
+      (RING_HEADER_SIZE +
+        capacity * (1 + REQUEST_STRIDE) +
+        entityCount * (2 + maxWaypoints * 2)) *
+      4
+    );
+  }
+
+  /**
+   * Create views over the shared path buffer
+   * Called on the main thread and in every worker
+   * @param {SharedArrayBuffer} buffer - Path buffer
+   * @param {Object} config - Engine config
+   * @param {number} entityCount - Total number of entities
+   */
+  static initialize(buffer, config, entityCount) {
+    const layout = this.getLayout(config);
+    if (!layout) return;
+
+    const { capacity, maxWaypoints } = layout;
+    this.capacity = capacity;
+    this.entityCount = entityCount;
+    this.maxWaypoints = maxWaypoints;
+    this.avoidFlags = config.pathfinding.avoidFlags ?? 1;
+
+    let offset = 0;
+    this.ringHeader = new Int32Array(buffer, offset, RING_HEADER_SIZE);
+    offset += RING_HEADER_SIZE * 4;
+    this.ringSequence = new Int32Array(buffer, offset, capacity);
+    offset += capacity * 4;
+    this.requestInts = new Int32Array(
+      buffer,
+      offset,
+      capacity * REQUEST_STRIDE
+    );
+    this.requestFloats = new Float32Array(
+      buffer,
+      offset,
+      capacity * REQUEST_STRIDE
+    );
+    offset += capacity * REQUEST_STRIDE * 4;
+    this.pathState = new Int32Array(buffer, offset, entityCount);
+    offset += entityCount * 4;
+    this.pathLength = new Int32Array(buffer, offset, entityCount);
+    offset += entityCount * 4;
+    this.pathPoints = new Float32Array(
+      buffer,
+      offset,
+      entityCount * maxWaypoints * 2
+    );
+  }
+
+  /**
+   * Queue a path search for an entity (safe from any thread)
+   * The entity's status is PENDING until the pathfinding worker answers;
+   * an earlier request still in flight is dropped
+   * @param {number} entity - Entity index (owner of the path)
+   * @param {number} fromX - Start X (usually the entity's position)
+   * @param {number} fromY - Start Y
+   * @param {number} toX - Target X
+   * @param {number} toY - Target Y
+   * @param {number} [avoidFlags] - Spatial.CELL_FLAGS the path can't cross
+   *   (default config.pathfinding.avoidFlags, BLOCKED)
+   * @returns {boolean} false if pathfinding is off or the ring was full
+   */
+  static requestPath(
+    entity,
+    fromX,
+    fromY,
+    toX,
+    toY,
+    avoidFlags = this.avoidFlags
+  ) {
+    const slot = this.reserveRequest();
+    if (slot === -1) return false;
+
+    const pending =
+      (((Atomics.load(this.pathState, entity) >> STATUS_BITS) + 1) <<
+        STATUS_BITS) |
+      STATUS.PENDING;
+    Atomics.store(this.pathState, entity, pending);
+
+    const ints = this.requestInts;
+    const floats = this.requestFloats;
+    ints[slot] = entity;
+    ints[slot + 1] = pending;
+    floats[slot + 2] = fromX;
+    floats[slot + 3] = fromY;
+    floats[slot + 4] = toX;
+    floats[slot + 5] = toY;
+    ints[slot + 6] = avoidFlags;
+    this.publishRequest(slot);
+    return true;
+  }
+
+  /**
+   * Drop an entity's path and any request still in flight
+   * @param {number} entity
+   */
+  static cancelPath(entity) {
+    if (!this.pathState) return;
+    const state = Atomics.load(this.pathState, entity);
+    Atomics.store(
+      this.pathState,
+      entity,
+      ((state >> STATUS_BITS) + 1) << STATUS_BITS
+    );
+  }
+
+  /**
+   * Status of an entity's last request (Pathfinding.STATUS)
+   * @param {number} entity
+   * @returns {number}
+   */
+  static getStatus(entity) {
+    if (!this.pathState) return STATUS.NONE;
+    return Atomics.load(this.pathState, entity) & STATUS_MASK;
+  }
+
+  /**
+   * Waypoints of an entity's path (FOUND or PARTIAL), first one after the start
+   * @param {number} entity
+   * @returns {Float32Array|null} [x0, y0, x1, y1, ...], null without a path
+   */
+  static getPath(entity) {
+    const status = this.getStatus(entity);
+    if (status !== STATUS.FOUND && status !== STATUS.PARTIAL) return null;
+    const start = entity * this.maxWaypoints * 2;
+    return this.pathPoints.subarray(start, start + this.pathLength[entity] * 2);
+  }
+
+  /**
+   * Claim the next free slot of the request ring (safe from any thread)
+   * Must be followed by publishRequest() once the slot is written
+   * @returns {number} Offset of the slot, or -1 if the ring is full
+   * @private
+   */
+  static reserveRequest() {
+    const header = this.ringHeader;
+    if (!header) {
+      console.error(
+        "Pathfinding: not initialized (set config.pathfinding.enabled)"
+      );
+      return -1;
+    }
+
+    while (true) {
+      const head = Atomics.load(header, 0);
+      const tail = Atomics.load(header, 1);
+      if (((head - tail) | 0) >= this.capacity) {
+        if (this.droppedRequests++ === 0) {
+          console.warn(
+            "Pathfinding: request ring full, dropping requests (raise config.pathfinding.maxRequests)"
+          );
+        }
+        return -1;
+      }
+      // Another thread may have taken this ticket meanwhile - retry
+      if (Atomics.compareExchange(header, 0, head, (head + 1) | 0) === head) {
+        this.reservedTicket = head;
+        return (head & (this.capacity - 1)) * REQUEST_STRIDE;
+      }
+    }
+  }
+
+  /**
+   * Mark a reserved slot as ready for the pathfinding worker
+   * @param {number} slot - Offset returned by reserveRequest()
+   * @private
+   */
+  static publishRequest(slot) {
+    Atomics.store(
+      this.ringSequence,
+      slot / REQUEST_STRIDE,
+      (this.reservedTicket + 1) | 0
+    );
+  }
+
+  /**
+   * Requests queued and not read yet
+   * @returns {number}
+   */
+  static getQueuedCount() {
+    if (!this.ringHeader) return 0;
+    return (
+      (Atomics.load(this.ringHeader, 0) - Atomics.load(this.ringHeader, 1)) | 0
+    );
+  }
+
+  /**
+   * Read ready requests in order until the deadline (pathfinding worker only)
+   * Stale requests (newer request or cancel since) are skipped without a visit
+   * @param {function(number, number, number, number, number, number, number):void} visit -
+   *   Called with (entity, state, fromX, fromY, toX, toY, avoidFlags)
+   * @param {number} deadline - performance.now() value to stop at
+   * @returns {number} Number of requests read (stale ones included)
+   */
+  static consumeRequests(visit, deadline) {
+    const header = this.ringHeader;
+    if (!header) return 0;
+
+    const sequence = this.ringSequence;
+    const ints = this.requestInts;
+    const floats = this.requestFloats;
+    const mask = this.capacity - 1;
+    let tail = Atomics.load(header, 1);
+    let count = 0;
+
+    while (performance.now() < deadline) {
+      const index = tail & mask;
+      if (Atomics.load(sequence, index) !== ((tail + 1) | 0)) break;
+
+      const slot = index * REQUEST_STRIDE;
+      const entity = ints[slot];
+      const state = ints[slot + 1];
+      if (Atomics.load(this.pathState, entity) === state) {
+        visit(
+          entity,
+          state,
+          floats[slot + 2],
+          floats[slot + 3],
+          floats[slot + 4],
+          floats[slot + 5],
+          ints[slot + 6]
+        );
+      }
+      tail = (tail + 1) | 0;
+      count++;
+
+      // Free the slot right away: producers keep queueing during long searches
+      Atomics.store(header, 1, tail);
+    }
+
+    return count;
+  }
+
+  /**
+   * Publish a search result (pathfinding worker only)
+   * Waypoints must already be in pathPoints; dropped if the request went stale
+   * @param {number} entity
+   * @param {number} state - Request state from consumeRequests()
+   * @param {number} length - Waypoints written
+   * @param {number} status - STATUS.FOUND | PARTIAL | NOT_FOUND
+   * @returns {boolean} false if the request went stale
+   */
+  static publishPath(entity, state, length, status) {
+    if (Atomics.load(this.pathState, entity) !== state) return false;
+    this.pathLength[entity] = length;
+    return (
+      Atomics.compareExchange(
+        this.pathState,
+        entity,
+        state,
+        (state & ~STATUS_MASK) | status
+      ) === state
+    );
+  }
+}
+
+export { Pathfinding };
@@ -0,0 +1,432 @@
+// Physics.js - Raycasts and shape casts callable from game code (tick, onSpawned, ...)
+// Walks the spatial hash grid published by the spatial worker (see Spatial.js)
+// and runs exact ray-vs-shape tests from collision.js on the candidates
+// Works in any thread with Transform/Collider initialized (logic workers, main thread)
+//
+// Also the producer side of the physics command ring (commandData SharedArrayBuffer):
+// Physics.applyRadialImpulse() & co. queue commands from any thread and the
+// physics worker applies them at the start of its next step
+
+import { Transform } from "../components/Transform.js";
+import { Collider } from "../components/Collider.js";
+import { raycastCollider } from "./collision.js";
+import { Spatial } from "./Spatial.js";
+
+// Command ring layout: Int32 [head, tail], Int32 sequence[capacity], Float32 slots[capacity * stride]
+// head = next ticket handed to a producer, tail = next ticket the physics worker reads
+// A slot is ready once its sequence is ticket + 1 (written last, with Atomics.store)
+const COMMAND_HEADER_SIZE = 2;
+const COMMAND_STRIDE = 8; // [type, ...up to 7 float arguments]
+
+// Radial impulse falloff over the radius (1 at the center)
+const FALLOFF_MODES = ["constant", "linear", "quadratic"];
+
+class Physics {
+  // Reused output of the narrow-phase
+  static scratchHit = { distance: 0, nx: 0, ny: 0 };
+
+  // Command ring (see COMMAND_* above), capacity is a power of two
+  static COMMANDS = { RADIAL_IMPULSE: 1 };
+  static FALLOFF_MODES = FALLOFF_MODES;
+  static COMMAND_STRIDE = COMMAND_STRIDE;
+  static commandCapacity = 0;
+  static commandHeader = null; // Int32Array(COMMAND_HEADER_SIZE)
+  static commandSequence = null; // Int32Array(commandCapacity)
+  static commandData = null; // Float32Array(commandCapacity * COMMAND_STRIDE)
+  static droppedCommands = 0; // Commands this thread couldn't queue (ring full)
+  static reservedTicket = 0; // Ticket of the slot this thread is writing
+
+  /**
+   * Round the configured command count up to the ring capacity (power of two)
+   * @param {number} maxCommands - config.physics.maxPhysicsCommands
+   * @returns {number}
+   */
+  static getCommandCapacity(maxCommands) {
+    let capacity = 1;
+    while (capacity < maxCommands) capacity *= 2;
+    return capacity;
+  }
+
+  /**
+   * Get command ring buffer size in bytes
+   * @param {number} maxCommands - config.physics.maxPhysicsCommands
+   * @returns {number}
+   */
+  static getCommandBufferSize(maxCommands) {
+    const capacity = this.getCommandCapacity(maxCommands);
+    return (COMMAND_HEADER_SIZE + capacity + capacity * COMMAND_STRIDE) * 4;
+  }
+
+  /**
+   * Create views over the shared command ring
+   * Called on the main thread and in every worker (everyone writes, physics reads)
+   * @param {SharedArrayBuffer} buffer - Command buffer
+   * @param {number} maxCommands - config.physics.maxPhysicsCommands
+   */
+  static initializeCommands(buffer, maxCommands) {
+    const capacity = this.getCommandCapacity(maxCommands);
+    this.commandCapacity = capacity;
+    this.commandHeader = new Int32Array(buffer, 0, COMMAND_HEADER_SIZE);
+    this.commandSequence = new Int32Array(
+      buffer,
+      COMMAND_HEADER_SIZE * 4,
+      capacity
+    );
+    this.commandData = new Float32Array(
+      buffer,
+      (COMMAND_HEADER_SIZE + capacity) * 4,
+      capacity * COMMAND_STRIDE
+    );
+  }
+
+  /**
+   * Push every dynamic body within radius of (x, y) away from it
+   * Queued for the physics worker, which applies it at the start of its next
+   * step to all bodies in range - not limited by neighbor lists or visualRange.
+   * Static, kinematic and trigger bodies are left alone; sleeping ones wake up.
+   *
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} radius - Bodies whose center is farther away are not affected
+   * @param {number} strength - Velocity change (pixels per frame) at the center;
+   *   negative pulls bodies in (implosion)
+   * @param {string|number} [falloff="linear"] - "constant" | "linear" | "quadratic"
+   *   (or its index in Physics.FALLOFF_MODES): how strength fades towards the radius
+   * @param {string|string[]|number} [mask] - Layers affected (names or bitmask), default all
+   * @returns {boolean} false if the command ring was full and the impulse was dropped
+   *
+   * Example:
+   *   onCollisionEnter() {
+   *     Physics.applyRadialImpulse(this.x, this.y, 200, 15, "quadratic", ["debris"]);
+   *     this.despawn();
+   *   }
+   */
+  static applyRadialImpulse(
+    x,
+    y,
+    radius,
+    strength,
+    falloff = "linear",
+    mask = undefined
+  ) {
+    const falloffIndex =
+      typeof falloff === "number" ? falloff : FALLOFF_MODES.indexOf(falloff);
+    if (!FALLOFF_MODES[falloffIndex]) {
+      console.warn(
+        `Physics.applyRadialImpulse: unknown falloff "${falloff}" (use ${FALLOFF_MODES.join(
+          " | "
+        )})`
+      );
+      return false;
+    }
+
+    const slot = this.reserveCommand();
+    if (slot === -1) return false;
+
+    const data = this.commandData;
+    data[slot] = this.COMMANDS.RADIAL_IMPULSE;
+    data[slot + 1] = x;
+    data[slot + 2] = y;
+    data[slot + 3] = radius;
+    data[slot + 4] = strength;
+    data[slot + 5] = falloffIndex;
+    data[slot + 6] =
+      mask === undefined ? Collider.ALL_LAYERS : Collider.getLayerMask(mask);
+    this.publishCommand(slot);
+    return true;
+  }
+
+  /**
+   * Claim the next free slot of the command ring (safe from any thread)
+   * Must be followed by publishCommand() once the slot is written
+   * @returns {number} Offset of the slot in commandData, or -1 if the ring is full
+   * @private
+   */
+  static reserveCommand() {
+    const header = this.commandHeader;
+    if (!header) {
+      console.error(
+        "Physics: command ring not initialized (needs the commandData buffer)"
+      );
+      return -1;
+    }
+
+    while (true) {
+      const head = Atomics.load(header, 0);
+      const tail = Atomics.load(header, 1);
+      if (((head - tail) | 0) >= this.commandCapacity) {
+        if (this.droppedCommands++ === 0) {
+          console.warn(
+            "Physics: command ring full, dropping commands (raise config.physics.maxPhysicsCommands)"
+          );
+        }
+        return -1;
+      }
+      // Another thread may have taken this ticket meanwhile - retry
+      if (Atomics.compareExchange(header, 0, head, (head + 1) | 0) === head) {
+        this.reservedTicket = head;
+        return (head & (this.commandCapacity - 1)) * COMMAND_STRIDE;
+      }
+    }
+  }
+
+  /**
+   * Mark a reserved slot as ready for the physics worker
+   * @param {number} slot - Offset returned by reserveCommand()
+   * @private
+   */
+  static publishCommand(slot) {
+    Atomics.store(
+      this.commandSequence,
+      slot / COMMAND_STRIDE,
+      (this.reservedTicket + 1) | 0
+    );
+  }
+
+  /**
+   * Read every ready command in order (physics worker only)
+   * @param {function(number, Float32Array, number):void} visit -
+   *   Called with (type, commandData, offset of the slot); arguments start at offset + 1
+   * @returns {number} Number of commands read
+   */
+  static consumeCommands(visit) {
+    const header = this.commandHeader;
+    if (!header) return 0;
+
+    const sequence = this.commandSequence;
+    const data = this.commandData;
+    const mask = this.commandCapacity - 1;
+    let tail = Atomics.load(header, 1);
+    let count = 0;
+
+    while (true) {
+      const index = tail & mask;
+      if (Atomics.load(sequence, index) !== ((tail + 1) | 0)) break;
+
+      const slot = index * COMMAND_STRIDE;
+      visit(data[slot], data, slot);
+      tail = (tail + 1) | 0;
+      count++;
+    }
+
+    if (count > 0) Atomics.store(header, 1, tail);
+    return count;
+  }
+
+  /**
+   * Cast a ray and return the closest hit
+   * Colliders that contain the start point are ignored
+   *
+   * @param {number} x0 - Start X
+   * @param {number} y0 - Start Y
+   * @param {number} x1 - End X
+   * @param {number} y1 - End Y
+   * @param {Object} [options]
+   * @param {string|string[]|number} [options.mask] - Layers to hit (names or bitmask), default all
+   * @param {string|string[]|number} [options.layer] - Only hit colliders whose collisionMask
+   *   accepts these layers (cast as if it were a collider on them), default no filter
+   * @param {number|GameObject} [options.ignore] - Entity to skip (usually the caster)
+   * @param {boolean} [options.includeTriggers=false] - Also hit trigger colliders
+   * @returns {{entity:number, distance:number, x:number, y:number, nx:number, ny:number}|null}
+   *   Hit entity index, distance from the start, hit point and surface normal
+   *
+   * Example:
+   *   tick() {
+   *     const hit = Physics.raycast(this.x, this.y, target.x, target.y, {
+   *       mask: ["wall"],
+   *     });
+   *     const canSeeTarget = hit === null;
+   *   }
+   */
+  static raycast(x0, y0, x1, y1, options = {}) {
+    return this.cast(x0, y0, x1, y1, 0, options, null);
+  }
+
+  /**
+   * Cast a ray and return every hit, sorted by distance
+   * @param {number} x0 - Start X
+   * @param {number} y0 - Start Y
+   * @param {number} x1 - End X
+   * @param {number} y1 - End Y
+   * @param {Object} [options] - Same as raycast()
+   * @returns {Array<{entity:number, distance:number, x:number, y:number, nx:number, ny:number}>}
+   */
+  static raycastAll(x0, y0, x1, y1, options = {}) {
+    return this.cast(x0, y0, x1, y1, 0, options, []);
+  }
+
+  /**
+   * Sweep a circle from (x0, y0) to (x1, y1) and return the first collider it touches
+   * x/y of the hit is the contact point, the circle center at impact is
+   * (x0, y0) + direction * distance
+   * @param {number} x0 - Start X
+   * @param {number} y0 - Start Y
+   * @param {number} x1 - End X
+   * @param {number} y1 - End Y
+   * @param {number} radius - Circle radius
+   * @param {Object} [options] - Same as raycast()
+   * @returns {{entity:number, distance:number, x:number, y:number, nx:number, ny:number}|null}
+   */
+  static circleCast(x0, y0, x1, y1, radius, options = {}) {
+    return this.cast(x0, y0, x1, y1, radius, options, null);
+  }
+
+  /**
+   * Sweep a circle and return every collider it touches, sorted by distance
+   * @param {number} x0 - Start X
+   * @param {number} y0 - Start Y
+   * @param {number} x1 - End X
+   * @param {number} y1 - End Y
+   * @param {number} radius - Circle radius
+   * @param {Object} [options] - Same as raycast()
+   * @returns {Array<{entity:number, distance:number, x:number, y:number, nx:number, ny:number}>}
+   */
+  static circleCastAll(x0, y0, x1, y1, radius, options = {}) {
+    return this.cast(x0, y0, x1, y1, radius, options, []);
+  }
+
+  /**
+   * Shared implementation of all casts
+   * Visits, row by row, the grid cells within (radius + largest collider radius)
+   * of the segment, since the grid stores entities by their center only
+   * @param {Array|null} results - Collect all hits into this array, or null for closest only
+   * @returns {Object|Array|null}
+   */
+  static cast(x0, y0, x1, y1, radius, options, results) {
+    if (!Spatial.cellStart) {
+      console.error(
+        "Physics: spatial grid not initialized (casts need the gridData buffer)"
+      );
+      return results;
+    }
+
+    const segX = x1 - x0;
+    const segY = y1 - y0;
+    const length = Math.sqrt(segX * segX + segY * segY);
+    if (length === 0) return results;
+    const dirX = segX / length;
+    const dirY = segY / length;
+
+    const mask =
+      options.mask === undefined
+        ? Collider.ALL_LAYERS
+        : Collider.getLayerMask(options.mask);
+    const ignore =
+      options.ignore === undefined
+        ? -1
+        : typeof options.ignore === "number"
+        ? options.ignore
+        : options.ignore.index;
+    const layer =
+      options.layer === undefined ? 0 : Collider.getLayerMask(options.layer);
+    const includeTriggers = options.includeTriggers === true;
+
+    const stamp = Spatial.nextStamp();
+    const visitStamp = Spatial.visitStamp;
+
+    const transformActive = Transform.active;
+    const colliderActive = Collider.active;
+    const collisionLayer = Collider.collisionLayer;
+    const collisionMask = Collider.collisionMask;
+    const isTrigger = Collider.isTrigger;
+    const cellStart = Spatial.cellStart;
+    const cellEntities = Spatial.cellEntities;
+    const entityCount = Spatial.entityCount;
+    const cellSize = Spatial.cellSize;
+    const invCellSize = Spatial.invCellSize;
+    const gridCols = Spatial.gridCols;
+    const maxRow = Spatial.gridRows - 1;
+    const maxCol = gridCols - 1;
+    const hit = this.scratchHit;
+
+    const pad = radius + Spatial.getMaxRadius();
+
+    let startRow = Math.floor((Math.min(y0, y1) - pad) * invCellSize);
+    let endRow = Math.floor((Math.max(y0, y1) + pad) * invCellSize);
+    startRow = startRow < 0 ? 0 : startRow > maxRow ? maxRow : startRow;
+    endRow = endRow < 0 ? 0 : endRow > maxRow ? maxRow : endRow;
+
+    let closest = null;
+    let closestDistance = length;
+
+    for (let row = startRow; row <= endRow; row++) {
+      // Y band covered by this row, grown by pad (edge rows also hold entities clamped from outside the world)
+      const bandMin = row === 0 ? -Infinity : row * cellSize - pad;
+      const bandMax = row === maxRow ? Infinity : (row + 1) * cellSize + pad;
+
+      // Part of the segment inside the band
+      let tMin = 0;
+      let tMax = 1;
+      if (segY !== 0) {
+        let ta = (bandMin - y0) / segY;
+        let tb = (bandMax - y0) / segY;
+        if (ta > tb) {
+          const tmp = ta;
+          ta = tb;
+          tb = tmp;
+        }
+        if (ta > tMin) tMin = ta;
+        if (tb < tMax) tMax = tb;
+        if (tMin > tMax) continue;
+      } else if (y0 < bandMin || y0 > bandMax) {
+        continue;
+      }
+
+      const xa = x0 + segX * tMin;
+      const xb = x0 + segX * tMax;
+      let startCol = Math.floor(((xa < xb ? xa : xb) - pad) * invCellSize);
+      let endCol = Math.floor(((xa > xb ? xa : xb) + pad) * invCellSize);
+      startCol = startCol < 0 ? 0 : startCol > maxCol ? maxCol : startCol;
+      endCol = endCol < 0 ? 0 : endCol > maxCol ? maxCol : endCol;
+
+      const rowBase = row * gridCols;
+      for (let col = startCol; col <= endCol; col++) {
+        const cell = rowBase + col;
+        // Clamp in case the spatial worker is rewriting the grid right now
+        const start = cellStart[cell];
+        const end = Math.min(cellStart[cell + 1], entityCount);
+
+        for (let k = start; k < end; k++) {
+          const j = cellEntities[k];
+          if (j < 0 || j >= entityCount || j === ignore) continue;
+          if (visitStamp[j] === stamp) continue;
+          visitStamp[j] = stamp;
+
+          if (!transformActive[j] || !colliderActive[j]) continue;
+          if ((collisionLayer[j] & mask) === 0) continue;
+          if (layer !== 0 && (collisionMask[j] & layer) === 0) continue;
+          if (isTrigger[j] && !includeTriggers) continue;
+
+          const maxDistance = results ? length : closestDistance;
+          if (
+            !raycastCollider(j, x0, y0, dirX, dirY, maxDistance, radius, hit)
+          ) {
+            continue;
+          }
+
+          const result = {
+            entity: j,
+            distance: hit.distance,
+            x: x0 + dirX * hit.distance - hit.nx * radius,
+            y: y0 + dirY * hit.distance - hit.ny * radius,
+            nx: hit.nx,
+            ny: hit.ny,
+          };
+
+          if (results) {
+            results.push(result);
+          } else {
+            closest = result;
+            closestDistance = hit.distance;
+          }
+        }
+      }
+    }
+
+    if (!results) return closest;
+    results.sort((a, b) => a.distance - b.distance);
+    return results;
+  }
+}
+
+export { Physics };
@@ -0,0 +1,130 @@
+// Scene.js - Scenes: sets of entities and assets loaded together and unloaded together
+// Subclass it, register it with gameEngine.registerScene() and switch with gameEngine.goToScene()
+// Scene code runs on the main thread: enter() spawns, tick() runs every frame, exit() cleans up
+// Entities spawned while a scene is current (from any thread) belong to it and are
+// despawned when it exits - spawn with { persistent: true } to keep one across scenes
+// static assets are loaded before enter() and unloaded after exit()
+//
+// sceneData layout (shared by every thread):
+//   Int32 [currentSceneId, fade (Float32 bits), fadeColor]
+//   Uint16 sceneIds[entityCount]  scene each entity was spawned in (0 = global)
+
+const HEADER_SIZE = 3;
+
+class Scene {
+  // Scene-scoped assets, same format as the engine's imageUrls:
+  //   { boss: "/img/boss.png", spritesheets: { lpc: { json: "...", png: "..." } } }
+  // Images become one-frame spritesheets: this.setSpritesheet("boss")
+  static assets = {};
+
+  static header = null; // Int32Array(HEADER_SIZE)
+  static headerFloats = null; // Float32Array, same bytes (fade)
+  static sceneIds = null; // Uint16Array(entityCount)
+
+  /**
+   * Get scene buffer size in bytes
+   * @param {number} entityCount - Total entities
+   * @returns {number}
+   */
+  static getBufferSize(entityCount) {
+    return HEADER_SIZE * 4 + entityCount * 2;
+  }
+
+  /**
+   * Create views over the shared scene buffer
+   * Called on the main thread and in every worker
+   * @param {SharedArrayBuffer} buffer - Scene buffer
+   * @param {number} entityCount - Total entities
+   */
+  static initialize(buffer, entityCount) {
+    this.header = new Int32Array(buffer, 0, HEADER_SIZE);
+    this.headerFloats = new Float32Array(buffer, 0, HEADER_SIZE);
+    this.sceneIds = new Uint16Array(buffer, HEADER_SIZE * 4, entityCount);
+  }
+
+  /**
+   * Id of the current scene (0 = none), what new spawns are stamped with
+   * @returns {number}
+   */
+  static get currentId() {
+    return this.header ? Atomics.load(this.header, 0) : 0;
+  }
+
+  static set currentId(id) {
+    if (this.header) Atomics.store(this.header, 0, id);
+  }
+
+  /**
+   * Opacity of the transition overlay the renderer draws on top (0 = none, 1 = covered)
+   * @returns {number}
+   */
+  static get fade() {
+    return this.headerFloats ? this.headerFloats[1] : 0;
+  }
+
+  static set fade(value) {
+    if (this.headerFloats) this.headerFloats[1] = value;
+  }
+
+  /**
+   * Color of the transition overlay (0xRRGGBB)
+   * @returns {number}
+   */
+  static get fadeColor() {
+    return this.header ? this.header[2] : 0;
+  }
+
+  static set fadeColor(color) {
+    if (this.header) this.header[2] = color;
+  }
+
+  /**
+   * Mark a freshly spawned entity as part of the current scene
+   * Called by GameObject.spawn() on whichever thread spawns it
+   * @param {number} i - Entity index
+   * @param {boolean} persistent - Keep it across scene changes
+   */
+  static stamp(i, persistent) {
+    if (!this.sceneIds) return;
+    this.sceneIds[i] = persistent ? 0 : this.currentId;
+  }
+
+  /**
+   * @param {GameEngine} engine - Engine running the scene
+   * @param {string} name - Name it was registered with
+   */
+  constructor(engine, name) {
+    this.engine = engine;
+    this.name = name;
+    this.id = 0; // Fresh id on every enter, stamped on its entities
+    this.assetNames = []; // Spritesheets loaded for it (unloaded on exit)
+  }
+
+  /**
+   * Called once the scene's assets are loaded: spawn its entities here
+   * @param {*} data - goToScene()'s options.data
+   */
+  enter(data) {}
+
+  /**
+   * Called every main thread frame while the scene is current (not while paused)
+   * @param {number} dtRatio - Frame time relative to 60fps
+   */
+  tick(dtRatio) {}
+
+  /**
+   * Called before the scene's entities are despawned and its assets unloaded
+   */
+  exit() {}
+
+  /**
+   * Spawn an entity in this scene (shortcut for gameEngine.spawnEntity)
+   * @param {string} className - Name of the entity class
+   * @param {Object} spawnConfig - Initial configuration
+   */
+  spawn(className, spawnConfig = {}) {
+    this.engine.spawnEntity(className, spawnConfig);
+  }
+}
+
+export { Scene };
@@ -0,0 +1,635 @@
+// Spatial.js - On-demand queries on the spatial grid, callable from game code
+// The spatial worker publishes its grid every frame into the gridData SharedArrayBuffer
+// (cell starts + entity indices, by position); Spatial reads it in any thread with
+// Transform initialized: logic workers, the main thread and MainThreadLogicHelper.
+// Physics casts and the physics worker walk the same grid
+// Each grid cell also has a byte of flags (blocked, slow, water, game bits) in the
+// cellFlagsData buffer: loaded from config.spatial.cellFlags, editable from any thread
+
+import { Transform } from "../components/Transform.js";
+import { GameObject } from "./gameObject.js";
+
+// Float32 header slots at the start of the grid buffer
+const GRID_HEADER_SIZE = 1; // [0] = largest collider bounding radius this frame
+
+// Row string chars for config.spatial.cellFlags (anything else = no flags)
+const DEFAULT_FLAG_LEGEND = { "#": 1, ",": 2, "~": 4 }; // BLOCKED, SLOW, WATER
+
+class Spatial {
+  // Cell flag bits (one byte per cell). Bits from CUSTOM up (8, 16, ..., 128) are the game's
+  static CELL_FLAGS = {
+    BLOCKED: 1, // Not walkable
+    SLOW: 2,
+    WATER: 4,
+    CUSTOM: 8, // First free bit
+  };
+
+  // Grid parameters - same values the spatial worker computes from config
+  static cellSize = 0;
+  static invCellSize = 0;
+  static gridCols = 0;
+  static gridRows = 0;
+  static totalCells = 0;
+  static entityCount = 0;
+
+  // Published grid (Compressed Sparse Row layout, rebuilt by the spatial worker):
+  // entities of cell c are cellEntities[cellStart[c]] .. cellEntities[cellStart[c + 1] - 1]
+  static gridHeader = null; // Float32Array(GRID_HEADER_SIZE)
+  static cellStart = null; // Int32Array(totalCells + 1)
+  static cellEntities = null; // Int32Array(entityCount)
+
+  // Per-query dedupe: an entity is visited once even if a half-rewritten grid lists it twice
+  static visitStamp = null; // Uint32Array(entityCount), local to each thread
+  static currentStamp = 0;
+
+  // Cell flags layer, same cells as the grid (row-major)
+  static cellFlags = null; // Uint8Array(totalCells)
+
+  // Entity classes registered in this thread, by entityType (class filters match subclasses)
+  static entityClasses = [];
+  static filterTypes = new Map(); // Class -> Uint8Array(256) of matching entity types
+
+  /**
+   * Compute the grid layout from config (mirrors SpatialWorker.initialize)
+   * @param {Object} config - Engine config
+   * @returns {{cellSize:number, gridCols:number, gridRows:number, totalCells:number}}
+   */
+  static getLayout(config) {
+    const cellSize = config.spatial?.cellSize || config.cellSize;
+    const gridCols = Math.ceil(config.worldWidth / cellSize);
+    const gridRows = Math.ceil(config.worldHeight / cellSize);
+    return { cellSize, gridCols, gridRows, totalCells: gridCols * gridRows };
+  }
+
+  /**
+   * Get grid buffer size in bytes
+   * @param {Object} config - Engine config
+   * @param {number} entityCount - Total number of entities
+   * @returns {number}
+   */
+  static getBufferSize(config, entityCount) {
+    const { totalCells } = this.getLayout(config);
+    return (GRID_HEADER_SIZE + totalCells + 1 + entityCount) * 4;
+  }
+
+  /**
+   * Create views over the shared grid buffer
+   * Called on the main thread and in every worker (spatial worker writes, the rest read)
+   * @param {SharedArrayBuffer} buffer - Grid buffer
+   * @param {Object} config - Engine config
+   * @param {number} entityCount - Total number of entities
+   */
+  static initialize(buffer, config, entityCount) {
+    const layout = this.getLayout(config);
+    this.cellSize = layout.cellSize;
+    this.invCellSize = 1 / layout.cellSize;
+    this.gridCols = layout.gridCols;
+    this.gridRows = layout.gridRows;
+    this.totalCells = layout.totalCells;
+    this.entityCount = entityCount;
+
+    this.gridHeader = new Float32Array(buffer, 0, GRID_HEADER_SIZE);
+    this.cellStart = new Int32Array(
+      buffer,
+      GRID_HEADER_SIZE * 4,
+      layout.totalCells + 1
+    );
+    this.cellEntities = new Int32Array(
+      buffer,
+      (GRID_HEADER_SIZE + layout.totalCells + 1) * 4,
+      entityCount
+    );
+
+    this.visitStamp = new Uint32Array(entityCount);
+    this.currentStamp = 0;
+  }
+
+  /**
+   * Get cell flags buffer size in bytes (one byte per cell)
+   * @param {Object} config - Engine config
+   * @returns {number}
+   */
+  static getCellFlagsBufferSize(config) {
+    return this.getLayout(config).totalCells;
+  }
+
+  /**
+   * Create the view over the shared cell flags buffer (after initialize())
+   * @param {SharedArrayBuffer} buffer - Cell flags buffer
+   */
+  static initializeCellFlags(buffer) {
+    this.cellFlags = new Uint8Array(buffer);
+  }
+
+  /**
+   * Largest collider bounding radius (plus offset) in the published grid
+   * Shape queries pad their cell range by it, the grid only knows positions
+   * @returns {number}
+   */
+  static getMaxRadius() {
+    return this.gridHeader[0];
+  }
+
+  /**
+   * Start a query: new visit stamp (reset on wrap-around)
+   * @returns {number}
+   */
+  static nextStamp() {
+    if (++this.currentStamp === 0xffffffff) {
+      this.visitStamp.fill(0);
+      this.currentStamp = 1;
+    }
+    return this.currentStamp;
+  }
+
+  /**
+   * Make an entity class known to class filters in this thread
+   * Called wherever classes get their entityType (engine registration, logic workers)
+   * @param {Class} EntityClass - Class with its entityType assigned
+   */
+  static registerEntityClass(EntityClass) {
+    this.entityClasses[EntityClass.entityType] = EntityClass;
+    this.filterTypes.clear();
+  }
+
+  /**
+   * Entity types of a class and its registered subclasses
+   * @param {Class} EntityClass
+   * @returns {Uint8Array|null} 1 for every matching entity type, null if nothing is registered
+   * @private
+   */
+  static getClassTypes(EntityClass) {
+    let types = this.filterTypes.get(EntityClass);
+    if (types) return types;
+
+    types = new Uint8Array(256);
+    let found = false;
+    this.entityClasses.forEach((RegisteredClass, type) => {
+      if (
+        RegisteredClass === EntityClass ||
+        RegisteredClass.prototype instanceof EntityClass
+      ) {
+        types[type] = 1;
+        found = true;
+      }
+    });
+    if (!found) {
+      console.warn(`Spatial: ${EntityClass.name} is not a registered class`);
+      return null;
+    }
+
+    this.filterTypes.set(EntityClass, types);
+    return types;
+  }
+
+  /**
+   * Turn a query filter into a test on entity indices
+   * @param {Function|Class|Class[]|null} filter - (index) => boolean, an entity class
+   *   (with its subclasses) or an array of them; null = every entity
+   * @returns {Function|null} null = every entity (also for an unregistered class, with a warning)
+   */
+  static getFilter(filter) {
+    if (filter === undefined || filter === null) return null;
+    const entityType = Transform.entityType;
+
+    if (Array.isArray(filter)) {
+      const types = new Uint8Array(256);
+      for (const EntityClass of filter) {
+        const classTypes = this.getClassTypes(EntityClass);
+        if (!classTypes) continue;
+        for (let t = 0; t < 256; t++) types[t] |= classTypes[t];
+      }
+      return (j) => types[entityType[j]] === 1;
+    }
+    if (filter === GameObject || filter.prototype instanceof GameObject) {
+      const types = this.getClassTypes(filter);
+      if (!types) return null;
+      return (j) => types[entityType[j]] === 1;
+    }
+    if (typeof filter === "function") return filter;
+
+    console.warn("Spatial: unknown filter", filter);
+    return null;
+  }
+
+  /**
+   * Visit every active entity listed in a block of cells (clamped to the grid)
+   * @param {number} minX - Query bounds
+   * @param {number} minY
+   * @param {number} maxX
+   * @param {number} maxY
+   * @param {Function} visit - (entityIndex) => void
+   * @private
+   */
+  static forEachInBounds(minX, minY, maxX, maxY, visit) {
+    const invCellSize = this.invCellSize;
+    const gridCols = this.gridCols;
+    const maxCol = gridCols - 1;
+    const maxRow = this.gridRows - 1;
+    const cellStart = this.cellStart;
+    const cellEntities = this.cellEntities;
+    const entityCount = this.entityCount;
+    const active = Transform.active;
+    const visitStamp = this.visitStamp;
+    const stamp = this.nextStamp();
+
+    let startCol = Math.floor(minX * invCellSize);
+    let endCol = Math.floor(maxX * invCellSize);
+    let startRow = Math.floor(minY * invCellSize);
+    let endRow = Math.floor(maxY * invCellSize);
+    startCol = startCol < 0 ? 0 : startCol > maxCol ? maxCol : startCol;
+    endCol = endCol < 0 ? 0 : endCol > maxCol ? maxCol : endCol;
+    startRow = startRow < 0 ? 0 : startRow > maxRow ? maxRow : startRow;
+    endRow = endRow < 0 ? 0 : endRow > maxRow ? maxRow : endRow;
+
+    for (let row = startRow; row <= endRow; row++) {
+      const rowBase = row * gridCols;
+      for (let col = startCol; col <= endCol; col++) {
+        const cell = rowBase + col;
+        // Clamp in case the spatial worker is rewriting the grid right now
+        const start = cellStart[cell];
+        const end = Math.min(cellStart[cell + 1], entityCount);
+
+        for (let k = start; k < end; k++) {
+          const j = cellEntities[k];
+          if (j < 0 || j >= entityCount) continue;
+          if (visitStamp[j] === stamp) continue;
+          visitStamp[j] = stamp;
+          if (active[j]) visit(j);
+        }
+      }
+    }
+  }
+
+  /**
+   * Log an error when the grid buffer isn't there (like Physics casts)
+   * @returns {boolean}
+   * @private
+   */
+  static ensureGrid() {
+    if (this.cellStart) return true;
+    console.error(
+      "Spatial: grid not initialized (queries need the gridData buffer)"
+    );
+    return false;
+  }
+
+  /**
+   * Entities whose position is inside a circle
+   * @param {number} cx - Center X
+   * @param {number} cy - Center Y
+   * @param {number} radius
+   * @param {Function|Class|Class[]} [filter] - See getFilter()
+   * @param {number[]} [results=[]] - Array to fill (reuse one to avoid garbage)
+   * @returns {number[]} Entity indices (grid order)
+   *
+   * Example:
+   *   const inBlast = Spatial.queryCircle(this.x, this.y, 200, Prey);
+   */
+  static queryCircle(cx, cy, radius, filter = null, results = []) {
+    if (!this.ensureGrid()) return results;
+    const test = this.getFilter(filter);
+    const x = Transform.x;
+    const y = Transform.y;
+    const radiusSq = radius * radius;
+
+    this.forEachInBounds(
+      cx - radius,
+      cy - radius,
+      cx + radius,
+      cy + radius,
+      (j) => {
+        const dx = x[j] - cx;
+        const dy = y[j] - cy;
+        if (dx * dx + dy * dy > radiusSq) return;
+        if (test && !test(j)) return;
+        results.push(j);
+      }
+    );
+    return results;
+  }
+
+  /**
+   * Entities whose position is inside a rectangle (corners in any order)
+   * @param {number} x0 - Corner X
+   * @param {number} y0 - Corner Y
+   * @param {number} x1 - Opposite corner X
+   * @param {number} y1 - Opposite corner Y
+   * @param {Function|Class|Class[]} [filter] - See getFilter()
+   * @param {number[]} [results=[]] - Array to fill
+   * @returns {number[]} Entity indices (grid order)
+   *
+   * Example (selection box on the main thread):
+   *   const selected = Spatial.queryRect(dragStartX, dragStartY, Mouse.x, Mouse.y, Unit);
+   */
+  static queryRect(x0, y0, x1, y1, filter = null, results = []) {
+    if (!this.ensureGrid()) return results;
+    const test = this.getFilter(filter);
+    const x = Transform.x;
+    const y = Transform.y;
+    const minX = Math.min(x0, x1);
+    const minY = Math.min(y0, y1);
+    const maxX = Math.max(x0, x1);
+    const maxY = Math.max(y0, y1);
+
+    this.forEachInBounds(minX, minY, maxX, maxY, (j) => {
+      const px = x[j];
+      const py = y[j];
+      if (px < minX || px > maxX || py < minY || py > maxY) return;
+      if (test && !test(j)) return;
+      results.push(j);
+    });
+    return results;
+  }
+
+  /**
+   * Closest entity to a point (by position)
+   * Searches rings of cells around the point, stopping once no unvisited
+   * cell can hold anything closer
+   * @param {number} px - Point X
+   * @param {number} py - Point Y
+   * @param {Function|Class|Class[]} [filter] - See getFilter(); exclude the caller with
+   *   e.g. (j) => j !== this.index
+   * @param {number} [maxDistance=Infinity] - Ignore entities farther than this
+   * @returns {number} Entity index, -1 if none
+   *
+   * Example:
+   *   const prey = Spatial.nearest(this.x, this.y, Prey, this.visualRange * 4);
+   */
+  static nearest(px, py, filter = null, maxDistance = Infinity) {
+    if (!this.ensureGrid()) return -1;
+    const test = this.getFilter(filter);
+    const x = Transform.x;
+    const y = Transform.y;
+    const active = Transform.active;
+    const cellStart = this.cellStart;
+    const cellEntities = this.cellEntities;
+    const entityCount = this.entityCount;
+    const cellSize = this.cellSize;
+    const gridCols = this.gridCols;
+    const gridRows = this.gridRows;
+    const visitStamp = this.visitStamp;
+    const stamp = this.nextStamp();
+
+    let col = Math.floor(px * this.invCellSize);
+    let row = Math.floor(py * this.invCellSize);
+    col = col < 0 ? 0 : col >= gridCols ? gridCols - 1 : col;
+    row = row < 0 ? 0 : row >= gridRows ? gridRows - 1 : row;
+
+    // Distance from the point to the outside of its cell: ring r starts at least
+    // (r - 1) cell sizes + this far away
+    const edgeX = Math.min(px - col * cellSize, (col + 1) * cellSize - px);
+    const edgeY = Math.min(py - row * cellSize, (row + 1) * cellSize - py);
+    const inset = Math.max(0, Math.min(edgeX, edgeY));
+
+    const maxRing = Math.max(gridCols, gridRows);
+    let best = -1;
+    let bestDistSq = maxDistance * maxDistance;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Nothing in this ring or beyond can beat the best so far
+      if (ring > 0) {
+        const ringDistance = (ring - 1) * cellSize + inset;
+        if (ringDistance * ringDistance > bestDistSq) break;
+      }
+
+      const rowMin = row - ring;
+      const rowMax = row + ring;
+      const colMin = col - ring;
+      const colMax = col + ring;
+      for (
+        let r = Math.max(rowMin, 0);
+        r <= Math.min(rowMax, gridRows - 1);
+        r++
+      ) {
+        // Only the ring's border: full rows at the top/bottom, two cells otherwise
+        const edgeRow = r === rowMin || r === rowMax;
+        const step = edgeRow ? 1 : colMax - colMin;
+        for (let c = colMin; c <= colMax; c += step) {
+          if (c < 0 || c >= gridCols) continue;
+          const cell = r * gridCols + c;
+          const start = cellStart[cell];
+          const end = Math.min(cellStart[cell + 1], entityCount);
+
+          for (let k = start; k < end; k++) {
+            const j = cellEntities[k];
+            if (j < 0 || j >= entityCount) continue;
+            if (visitStamp[j] === stamp) continue;
+            visitStamp[j] = stamp;
+            if (!active[j]) continue;
+
+            const dx = x[j] - px;
+            const dy = y[j] - py;
+            const distSq = dx * dx + dy * dy;
+            if (distSq > bestDistSq || (distSq === bestDistSq && best !== -1)) {
+              continue;
+            }
+            if (test && !test(j)) continue;
+            best = j;
+            bestDistSq = distSq;
+          }
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Fill the cell flags from config.spatial.cellFlags (main thread, before workers start)
+   * Accepts:
+   * - a flat array of flag bytes (gridCols * gridRows, row-major)
+   * - an array of row strings, one char per cell: "#" blocked, "," slow, "~" water,
+   *   anything else none
+   * - { rows, legend }: row strings with extra chars, e.g. { "*": CUSTOM | BLOCKED }
+   * - { image, colors }: image URL (or anything drawImage takes) scaled to one pixel
+   *   per cell; each pixel gets the flags of the closest color in colors
+   *   (default { "#000000": BLOCKED }, white is always no flags unless listed)
+   *
+   * Example:
+   *   spatial: { cellSize: 32, cellFlags: { image: "/demos/maze/map.png" } }
+   *
+   * @param {Array|Object} source
+   * @returns {Promise<void>}
+   */
+  static async loadCellFlags(source) {
+    if (!this.cellFlags || !source) return;
+
+    if (Array.isArray(source) || ArrayBuffer.isView(source)) {
+      this.loadCellFlagRows(source, DEFAULT_FLAG_LEGEND);
+    } else if (source.rows) {
+      this.loadCellFlagRows(source.rows, {
+        ...DEFAULT_FLAG_LEGEND,
+        ...source.legend,
+      });
+    } else if (source.image) {
+      await this.loadCellFlagImage(source.image, source.colors);
+    } else {
+      console.warn("Spatial: unknown cellFlags source", source);
+    }
+  }
+
+  /**
+   * Fill the cell flags from a flat array or row strings
+   * @param {Array<number>|Array<string>|Uint8Array} data
+   * @param {Object} legend - Char -> flags, for row strings
+   * @private
+   */
+  static loadCellFlagRows(data, legend) {
+    const cellFlags = this.cellFlags;
+    const gridCols = this.gridCols;
+
+    if (typeof data[0] === "string") {
+      const rowCount = Math.min(data.length, this.gridRows);
+      for (let row = 0; row < rowCount; row++) {
+        const line = data[row];
+        const colCount = Math.min(line.length, gridCols);
+        for (let col = 0; col < colCount; col++) {
+          cellFlags[row * gridCols + col] = legend[line[col]] || 0;
+        }
+      }
+      return;
+    }
+
+    const count = Math.min(data.length, cellFlags.length);
+    for (let k = 0; k < count; k++) {
+      cellFlags[k] = data[k] || 0;
+    }
+  }
+
+  /**
+   * Fill the cell flags from an image, one pixel per cell after scaling
+   * Transparent pixels get no flags
+   * @param {string|CanvasImageSource} image - URL or drawable
+   * @param {Object} [colors] - "#rrggbb" -> flags
+   * @private
+   */
+  static async loadCellFlagImage(image, colors = { "#000000": 1 }) {
+    let source = image;
+    if (typeof image === "string") {
+      const response = await fetch(image);
+      source = await createImageBitmap(await response.blob());
+    }
+
+    const gridCols = this.gridCols;
+    const gridRows = this.gridRows;
+    const canvas = new OffscreenCanvas(gridCols, gridRows);
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, 0, 0, gridCols, gridRows);
+    const pixels = ctx.getImageData(0, 0, gridCols, gridRows).data;
+
+    // [r, g, b, flags] per listed color
+    const palette = Object.entries({ "#ffffff": 0, ...colors }).map(
+      ([hex, flags]) => {
+        const rgb = parseInt(hex.replace("#", ""), 16);
+        return [(rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff, flags];
+      }
+    );
+
+    const cellFlags = this.cellFlags;
+    for (let cell = 0; cell < this.totalCells; cell++) {
+      const p = cell * 4;
+      if (pixels[p + 3] < 128) {
+        cellFlags[cell] = 0;
+        continue;
+      }
+
+      let flags = 0;
+      let bestDistSq = Infinity;
+      for (const [r, g, b, colorFlags] of palette) {
+        const dr = pixels[p] - r;
+        const dg = pixels[p + 1] - g;
+        const db = pixels[p + 2] - b;
+        const distSq = dr * dr + dg * dg + db * db;
+        if (distSq < bestDistSq) {
+          bestDistSq = distSq;
+          flags = colorFlags;
+        }
+      }
+      cellFlags[cell] = flags;
+    }
+  }
+
+  /**
+   * Flags of the cell at (col, row). Outside the grid has no flags
+   * @param {number} col
+   * @param {number} row
+   * @returns {number}
+   */
+  static getCellFlags(col, row) {
+    if (!this.cellFlags) return 0;
+    if (col < 0 || row < 0 || col >= this.gridCols || row >= this.gridRows) {
+      return 0;
+    }
+    return Atomics.load(this.cellFlags, row * this.gridCols + col);
+  }
+
+  /**
+   * Flags of the cell under a world position
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {number}
+   *
+   * Example:
+   *   if (Spatial.cellFlagsAt(nextX, nextY) & Spatial.CELL_FLAGS.BLOCKED) turnAround();
+   */
+  static cellFlagsAt(x, y) {
+    return this.getCellFlags(
+      Math.floor(x * this.invCellSize),
+      Math.floor(y * this.invCellSize)
+    );
+  }
+
+  /**
+   * Index of the cell under a world position, -1 outside the grid or without flags
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {number}
+   * @private
+   */
+  static getFlagCell(x, y) {
+    if (!this.cellFlags) return -1;
+    const col = Math.floor(x * this.invCellSize);
+    const row = Math.floor(y * this.invCellSize);
+    if (col < 0 || row < 0 || col >= this.gridCols || row >= this.gridRows) {
+      return -1;
+    }
+    return row * this.gridCols + col;
+  }
+
+  /**
+   * Replace the flags of the cell under a world position (any thread, seen right away)
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {number} flags - CELL_FLAGS bits
+   */
+  static setCellFlagsAt(x, y, flags) {
+    const cell = this.getFlagCell(x, y);
+    if (cell !== -1) Atomics.store(this.cellFlags, cell, flags);
+  }
+
+  /**
+   * Set bits on the cell under a world position, keeping the others
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {number} flags - CELL_FLAGS bits
+   */
+  static addCellFlagsAt(x, y, flags) {
+    const cell = this.getFlagCell(x, y);
+    if (cell !== -1) Atomics.or(this.cellFlags, cell, flags);
+  }
+
+  /**
+   * Clear bits on the cell under a world position, keeping the others
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {number} flags - CELL_FLAGS bits
+   */
+  static removeCellFlagsAt(x, y, flags) {
+    const cell = this.getFlagCell(x, y);
+    if (cell !== -1) Atomics.and(this.cellFlags, cell, ~flags & 0xff);
+  }
+}
+
+export { Spatial };
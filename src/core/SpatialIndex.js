@@ -0,0 +1,409 @@
+// SpatialIndex.js - Alternative neighbor search structures for the spatial worker
+// (config.spatial.structure). The uniform grid stays in spatial_worker.js; these only
+// answer "which entities may be within r of (x, y)", the worker does the exact checks,
+// so every structure writes the same neighborData / distanceData.
+//
+// - Quadtree: subdivides where entities are, so dense clusters of tiny entities and
+//   sparse areas both cost about the same per query
+// - LooseGrid: coarse cells whose bounds shrink to the entities they hold; huge
+//   visual ranges visit few cells and small ones skip cells whose entities are far
+//
+// Both are rebuilt from Transform every frame and allocate nothing after the first one
+
+import { Transform } from "../components/Transform.js";
+
+const STRUCTURES = ["grid", "quadtree", "looseGrid"];
+
+/**
+ * Squared distance from a point to a box (0 inside)
+ */
+function boxDistanceSq(px, py, minX, minY, maxX, maxY) {
+  const dx = px < minX ? minX - px : px > maxX ? px - maxX : 0;
+  const dy = py < minY ? minY - py : py > maxY ? py - maxY : 0;
+  return dx * dx + dy * dy;
+}
+
+/**
+ * Point quadtree over entity positions, stored in flat typed arrays
+ * Leaves hold up to `capacity` entities (more at maxDepth, e.g. stacked entities)
+ */
+class Quadtree {
+  /**
+   * @param {number} entityCount
+   * @param {Object} [options]
+   * @param {number} [options.capacity=8] - Entities per leaf before it splits
+   * @param {number} [options.maxDepth=12]
+   */
+  constructor(entityCount, { capacity = 8, maxDepth = 12 } = {}) {
+    this.capacity = capacity;
+    this.maxDepth = maxDepth;
+
+    // Active entities, reordered so every node owns a contiguous range
+    this.entities = new Int32Array(entityCount);
+    this.count = 0;
+
+    // Node pool (grown on demand)
+    this.nodeCount = 0;
+    this.allocateNodes(Math.max(64, Math.ceil(entityCount / capacity) * 2));
+
+    this.stack = new Int32Array(maxDepth * 3 + 4); // Query traversal
+  }
+
+  /**
+   * (Re)allocate the node pool, keeping existing nodes
+   * @param {number} size
+   */
+  allocateNodes(size) {
+    const grow = (old, Type) => {
+      const next = new Type(size);
+      if (old) next.set(old.subarray(0, this.nodeCount));
+      return next;
+    };
+    this.minX = grow(this.minX, Float64Array);
+    this.minY = grow(this.minY, Float64Array);
+    this.maxX = grow(this.maxX, Float64Array);
+    this.maxY = grow(this.maxY, Float64Array);
+    this.firstChild = grow(this.firstChild, Int32Array); // -1 = leaf
+    this.start = grow(this.start, Int32Array); // Range in this.entities
+    this.end = grow(this.end, Int32Array);
+    this.nodeCapacity = size;
+  }
+
+  /**
+   * Rebuild from the current active entity positions
+   * @param {number} entityCount
+   */
+  build(entityCount) {
+    const active = Transform.active;
+    const x = Transform.x;
+    const y = Transform.y;
+    const entities = this.entities;
+
+    let count = 0;
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < entityCount; i++) {
+      if (!active[i]) continue;
+      const px = x[i];
+      const py = y[i];
+      if (px !== px || py !== py) continue; // NaN
+      entities[count++] = i;
+      if (px < minX) minX = px;
+      if (px > maxX) maxX = px;
+      if (py < minY) minY = py;
+      if (py > maxY) maxY = py;
+    }
+    this.count = count;
+    this.nodeCount = 0;
+    if (count === 0) return;
+
+    this.addNode(minX, minY, maxX, maxY, 0, count);
+    this.split(0, 0);
+  }
+
+  /**
+   * @returns {number} Node index
+   */
+  addNode(minX, minY, maxX, maxY, start, end) {
+    if (this.nodeCount === this.nodeCapacity) {
+      this.allocateNodes(this.nodeCapacity * 2);
+    }
+    const node = this.nodeCount++;
+    this.minX[node] = minX;
+    this.minY[node] = minY;
+    this.maxX[node] = maxX;
+    this.maxY[node] = maxY;
+    this.firstChild[node] = -1;
+    this.start[node] = start;
+    this.end[node] = end;
+    return node;
+  }
+
+  /**
+   * Split a node into 4 quadrants (children are consecutive) and recurse
+   * @param {number} node
+   * @param {number} depth
+   */
+  split(node, depth) {
+    const start = this.start[node];
+    const end = this.end[node];
+    if (end - start <= this.capacity || depth >= this.maxDepth) return;
+
+    const minX = this.minX[node];
+    const minY = this.minY[node];
+    const maxX = this.maxX[node];
+    const maxY = this.maxY[node];
+    const midX = (minX + maxX) * 0.5;
+    const midY = (minY + maxY) * 0.5;
+
+    // Top half | bottom half, then left | right inside each
+    const splitY = this.partition(start, end, Transform.y, midY);
+    const splitTop = this.partition(start, splitY, Transform.x, midX);
+    const splitBottom = this.partition(splitY, end, Transform.x, midX);
+
+    const first = this.addNode(minX, minY, midX, midY, start, splitTop);
+    this.addNode(midX, minY, maxX, midY, splitTop, splitY);
+    this.addNode(minX, midY, midX, maxY, splitY, splitBottom);
+    this.addNode(midX, midY, maxX, maxY, splitBottom, end);
+    this.firstChild[node] = first;
+
+    for (let c = 0; c < 4; c++) this.split(first + c, depth + 1);
+  }
+
+  /**
+   * Reorder entities[start, end) so those with coord < mid come first
+   * @returns {number} Index of the first entity with coord >= mid
+   */
+  partition(start, end, coord, mid) {
+    const entities = this.entities;
+    let lo = start;
+    let hi = end - 1;
+    while (lo <= hi) {
+      if (coord[entities[lo]] < mid) {
+        lo++;
+      } else {
+        const tmp = entities[lo];
+        entities[lo] = entities[hi];
+        entities[hi--] = tmp;
+      }
+    }
+    return lo;
+  }
+
+  /**
+   * Collect entities in leaves touching the circle (a superset of the answer)
+   * @param {number} cx
+   * @param {number} cy
+   * @param {number} r
+   * @param {Int32Array} out - At least entityCount long
+   * @returns {number} Number of candidates written
+   */
+  query(cx, cy, r, out) {
+    if (this.nodeCount === 0) return 0;
+
+    const rSq = r * r;
+    const stack = this.stack;
+    const firstChild = this.firstChild;
+    const entities = this.entities;
+    let top = 0;
+    let written = 0;
+    stack[top++] = 0;
+
+    while (top > 0) {
+      const node = stack[--top];
+      if (
+        boxDistanceSq(
+          cx,
+          cy,
+          this.minX[node],
+          this.minY[node],
+          this.maxX[node],
+          this.maxY[node]
+        ) > rSq
+      ) {
+        continue;
+      }
+
+      const child = firstChild[node];
+      if (child === -1) {
+        for (let k = this.start[node], end = this.end[node]; k < end; k++) {
+          out[written++] = entities[k];
+        }
+      } else {
+        stack[top++] = child;
+        stack[top++] = child + 1;
+        stack[top++] = child + 2;
+        stack[top++] = child + 3;
+      }
+    }
+    return written;
+  }
+}
+
+/**
+ * Coarse uniform grid whose cells keep the bounding box of the entities in them
+ * (the "loose" part: a cell's box is usually much smaller than the cell)
+ */
+class LooseGrid {
+  /**
+   * @param {number} entityCount
+   * @param {Object} options
+   * @param {number} options.cellSize - Coarse cell size (world units)
+   * @param {number} options.worldWidth
+   * @param {number} options.worldHeight
+   */
+  constructor(entityCount, { cellSize, worldWidth, worldHeight }) {
+    this.cellSize = cellSize;
+    this.invCellSize = 1 / cellSize;
+    this.cols = Math.max(1, Math.ceil(worldWidth / cellSize));
+    this.rows = Math.max(1, Math.ceil(worldHeight / cellSize));
+    const totalCells = this.cols * this.rows;
+
+    // CSR layout: entities of cell c are entities[cellStart[c], cellStart[c + 1])
+    this.cellStart = new Int32Array(totalCells + 1);
+    this.entities = new Int32Array(entityCount);
+    this.count = 0;
+    this.cellOf = new Int32Array(entityCount); // Scratch: cell of each entity
+
+    // Bounds of what each cell holds (minX, minY, maxX, maxY)
+    this.bounds = new Float64Array(totalCells * 4);
+  }
+
+  /**
+   * Rebuild from the current active entity positions (counting sort by cell)
+   * @param {number} entityCount
+   */
+  build(entityCount) {
+    const active = Transform.active;
+    const x = Transform.x;
+    const y = Transform.y;
+    const cellStart = this.cellStart;
+    const cellOf = this.cellOf;
+    const bounds = this.bounds;
+    const invCellSize = this.invCellSize;
+    const cols = this.cols;
+    const maxCol = cols - 1;
+    const maxRow = this.rows - 1;
+    const totalCells = cols * this.rows;
+
+    cellStart.fill(0);
+    for (let c = 0; c < totalCells; c++) {
+      bounds[c * 4] = Infinity;
+      bounds[c * 4 + 1] = Infinity;
+      bounds[c * 4 + 2] = -Infinity;
+      bounds[c * 4 + 3] = -Infinity;
+    }
+
+    // Count entities per cell (shifted by one, prefix sums turn it into starts)
+    for (let i = 0; i < entityCount; i++) {
+      cellOf[i] = -1;
+      if (!active[i]) continue;
+      const px = x[i];
+      const py = y[i];
+      if (px !== px || py !== py) continue; // NaN
+
+      let col = Math.floor(px * invCellSize);
+      let row = Math.floor(py * invCellSize);
+      col = col < 0 ? 0 : col > maxCol ? maxCol : col;
+      row = row < 0 ? 0 : row > maxRow ? maxRow : row;
+      const c = row * cols + col;
+      cellOf[i] = c;
+      cellStart[c + 1]++;
+
+      const b = c * 4;
+      if (px < bounds[b]) bounds[b] = px;
+      if (py < bounds[b + 1]) bounds[b + 1] = py;
+      if (px > bounds[b + 2]) bounds[b + 2] = px;
+      if (py > bounds[b + 3]) bounds[b + 3] = py;
+    }
+    for (let c = 0; c < totalCells; c++) {
+      cellStart[c + 1] += cellStart[c];
+    }
+    this.count = cellStart[totalCells];
+
+    // Scatter (cellStart[c] is used as the write cursor, then shifted back)
+    const entities = this.entities;
+    for (let i = 0; i < entityCount; i++) {
+      const c = cellOf[i];
+      if (c !== -1) entities[cellStart[c]++] = i;
+    }
+    for (let c = totalCells; c > 0; c--) {
+      cellStart[c] = cellStart[c - 1];
+    }
+    cellStart[0] = 0;
+  }
+
+  /**
+   * Collect entities of cells whose bounds touch the circle (a superset of the answer)
+   * @param {number} cx
+   * @param {number} cy
+   * @param {number} r
+   * @param {Int32Array} out - At least entityCount long
+   * @returns {number} Number of candidates written
+   */
+  query(cx, cy, r, out) {
+    const invCellSize = this.invCellSize;
+    const cols = this.cols;
+    const maxCol = cols - 1;
+    const maxRow = this.rows - 1;
+    const cellStart = this.cellStart;
+    const entities = this.entities;
+    const bounds = this.bounds;
+    const rSq = r * r;
+
+    // Clamped on both ends: entities outside the world live in the edge cells
+    let startCol = Math.floor((cx - r) * invCellSize);
+    let endCol = Math.floor((cx + r) * invCellSize);
+    let startRow = Math.floor((cy - r) * invCellSize);
+    let endRow = Math.floor((cy + r) * invCellSize);
+    startCol = startCol < 0 ? 0 : startCol > maxCol ? maxCol : startCol;
+    endCol = endCol < 0 ? 0 : endCol > maxCol ? maxCol : endCol;
+    startRow = startRow < 0 ? 0 : startRow > maxRow ? maxRow : startRow;
+    endRow = endRow < 0 ? 0 : endRow > maxRow ? maxRow : endRow;
+
+    let written = 0;
+    for (let row = startRow; row <= endRow; row++) {
+      for (let col = startCol; col <= endCol; col++) {
+        const c = row * cols + col;
+        const from = cellStart[c];
+        const to = cellStart[c + 1];
+        if (from === to) continue;
+
+        const b = c * 4;
+        if (
+          boxDistanceSq(
+            cx,
+            cy,
+            bounds[b],
+            bounds[b + 1],
+            bounds[b + 2],
+            bounds[b + 3]
+          ) > rSq
+        ) {
+          continue;
+        }
+
+        for (let k = from; k < to; k++) out[written++] = entities[k];
+      }
+    }
+    return written;
+  }
+}
+
+/**
+ * Create the neighbor search structure selected by config.spatial.structure
+ * @param {Object} config - Engine config
+ * @param {number} entityCount
+ * @returns {Quadtree|LooseGrid|null} null for "grid" (the spatial worker's own)
+ */
+function createSpatialIndex(config, entityCount) {
+  const spatial = config.spatial || {};
+  const structure = spatial.structure || "grid";
+
+  if (structure === "quadtree") {
+    return new Quadtree(entityCount, {
+      capacity: spatial.quadtreeCapacity,
+      maxDepth: spatial.quadtreeMaxDepth,
+    });
+  }
+  if (structure === "looseGrid") {
+    const cellSize = spatial.cellSize || config.cellSize;
+    return new LooseGrid(entityCount, {
+      cellSize: spatial.looseCellSize || cellSize * 4,
+      worldWidth: config.worldWidth,
+      worldHeight: config.worldHeight,
+    });
+  }
+  if (structure !== "grid") {
+    console.warn(
+      `SpatialIndex: unknown spatial.structure "${structure}", using "grid" (${STRUCTURES.join(
+        ", "
+      )})`
+    );
+  }
+  return null;
+}
+
+export { Quadtree, LooseGrid, createSpatialIndex, STRUCTURES };
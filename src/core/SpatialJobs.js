@@ -0,0 +1,158 @@
+// SpatialJobs.js - Neighbor search split across spatial workers (config.spatial.numberOfWorkers > 1)
+// Same idea as the logic job queue: entity ranges claimed with Atomics.add. Every spatial
+// worker builds its own grid (one pass over the entities) and writes the lists of the
+// ranges it claimed straight into neighborData/distanceData.
+// Worker 0 runs the frame: it opens the queue, claims jobs like the others, waits until
+// every job is done and then publishes (grid for raycasts, front copy in pipeline mode).
+// The helpers wait for frames on spatialJobData (Atomics.wait/notify)
+
+// Int32 slots of spatialJobData, followed by one (start, end) entity range per job
+const NEXT = 0; // Next job to claim
+const TOTAL = 1; // Number of jobs
+const FRAME = 2; // Frames opened by worker 0
+const DONE = 3; // Jobs finished in the current frame
+const COPY = 4; // Neighbor copy written this frame (pipeline mode), -1 = neighborData
+const HEADER_SIZE = 5;
+
+class SpatialJobs {
+  static jobData = null; // Int32Array over spatialJobData
+
+  /**
+   * Get job buffer size in bytes
+   * @param {number} totalJobs
+   * @returns {number}
+   */
+  static getBufferSize(totalJobs) {
+    return (HEADER_SIZE + totalJobs * 2) * 4;
+  }
+
+  /**
+   * Create the view over the shared job buffer (main thread and spatial workers)
+   * @param {SharedArrayBuffer} buffer
+   */
+  static initialize(buffer) {
+    this.jobData = new Int32Array(buffer);
+  }
+
+  /**
+   * Split the entities into jobs (main thread, freshly created buffer)
+   * The queue starts closed: nothing to claim until worker 0 opens a frame
+   * @param {number} entityCount
+   * @param {number} entitiesPerJob
+   */
+  static reset(entityCount, entitiesPerJob) {
+    const jobs = this.jobData;
+    const totalJobs = Math.ceil(entityCount / entitiesPerJob);
+    jobs.fill(0);
+    jobs[NEXT] = totalJobs;
+    jobs[TOTAL] = totalJobs;
+    jobs[COPY] = -1;
+    for (let i = 0; i < totalJobs; i++) {
+      jobs[HEADER_SIZE + i * 2] = i * entitiesPerJob;
+      jobs[HEADER_SIZE + i * 2 + 1] = Math.min(
+        (i + 1) * entitiesPerJob,
+        entityCount
+      );
+    }
+  }
+
+  /**
+   * Frames opened so far
+   * @returns {number}
+   */
+  static getFrame() {
+    return Atomics.load(this.jobData, FRAME);
+  }
+
+  /**
+   * Neighbor copy the current frame writes to
+   * @returns {number} 0/1, or -1 for neighborData itself
+   */
+  static getCopy() {
+    return Atomics.load(this.jobData, COPY);
+  }
+
+  /**
+   * Open a frame (worker 0, only once the previous one is done)
+   * The frame number goes up before the queue reopens, so a job claimed
+   * after this always belongs to the new frame
+   * @param {number} copy - Neighbor copy to write (-1 = neighborData)
+   */
+  static beginFrame(copy) {
+    const jobs = this.jobData;
+    Atomics.store(jobs, COPY, copy);
+    Atomics.store(jobs, DONE, 0);
+    Atomics.add(jobs, FRAME, 1);
+    Atomics.store(jobs, NEXT, 0);
+    Atomics.notify(jobs, FRAME);
+  }
+
+  /**
+   * Claim the next job of the current frame
+   * @returns {number} Job index, -1 when none is left
+   */
+  static claim() {
+    const job = Atomics.add(this.jobData, NEXT, 1);
+    return job < this.jobData[TOTAL] ? job : -1;
+  }
+
+  /**
+   * First entity of a job
+   * @param {number} job
+   * @returns {number}
+   */
+  static getStart(job) {
+    return this.jobData[HEADER_SIZE + job * 2];
+  }
+
+  /**
+   * Entity index after the last one of a job
+   * @param {number} job
+   * @returns {number}
+   */
+  static getEnd(job) {
+    return this.jobData[HEADER_SIZE + job * 2 + 1];
+  }
+
+  /**
+   * Report claimed jobs as done
+   * @param {number} count
+   */
+  static finishJobs(count) {
+    Atomics.add(this.jobData, DONE, count);
+    Atomics.notify(this.jobData, DONE);
+  }
+
+  /**
+   * Block until every job of the current frame is done (worker 0)
+   * Every job was claimed by then, so this only waits for the last ones to finish
+   */
+  static waitUntilDone() {
+    const jobs = this.jobData;
+    const total = jobs[TOTAL];
+    let done;
+    while ((done = Atomics.load(jobs, DONE)) < total) {
+      Atomics.wait(jobs, DONE, done);
+    }
+  }
+
+  /**
+   * Block until worker 0 opens a frame after lastFrame (helpers)
+   * @param {number} lastFrame - Frame seen last
+   * @param {number} timeout - Max ms to wait
+   * @returns {number} New frame, -1 on timeout
+   */
+  static waitForFrame(lastFrame, timeout) {
+    const jobs = this.jobData;
+    const deadline = performance.now() + timeout;
+    let frame;
+    while ((frame = Atomics.load(jobs, FRAME)) === lastFrame) {
+      const remaining = deadline - performance.now();
+      if (remaining <= 0) return -1;
+      Atomics.wait(jobs, FRAME, frame, remaining);
+    }
+    return frame;
+  }
+}
+
+export { SpatialJobs };
@@ -217,9 +217,10 @@ class SpriteSheetRegistry {
    * Workers can't use Map instances, so we convert to plain objects
    * NOTE: Proxy sheets are NOT serialized - they're reconstructed in workers
    *
+   * @param {string[]|null} names - Only these spritesheets (null = all)
    * @returns {Object} Serialized registry metadata
    */
-  static serialize() {
+  static serialize(names = null) {
     const serialized = {
       spritesheets: {},
       // Include spritesheet ID mappings for per-instance switching
@@ -230,6 +231,7 @@ class SpriteSheetRegistry {
     for (const [name, sheet] of this.spritesheets) {
       // Skip proxy sheets - they'll be registered separately in workers
       if (sheet.isProxy) continue;
+      if (names && !names.includes(name)) continue;
 
       serialized.spritesheets[name] = {
         name: sheet.name,
@@ -273,6 +275,36 @@ class SpriteSheetRegistry {
     );
   }
 
+  /**
+   * Add serialized spritesheets to the registry (scene assets loaded at runtime)
+   * Unlike deserialize(), keeps the sheets already registered
+   *
+   * @param {Object} serialized - serialize(names) output from the main thread
+   */
+  static merge(serialized) {
+    // IDs are assigned on the main thread - take its whole table
+    this.spritesheetNames = serialized.spritesheetNames;
+    this.spritesheetNameToId = new Map(
+      Object.entries(serialized.spritesheetNameToId)
+    );
+
+    for (const [name, sheet] of Object.entries(serialized.spritesheets)) {
+      this.spritesheets.set(name, sheet);
+    }
+  }
+
+  /**
+   * Remove spritesheets from the registry (scene assets unloaded)
+   * Their IDs stay reserved, so loading them again reuses the same ones
+   *
+   * @param {string[]} names - Spritesheet names
+   */
+  static unregister(names) {
+    for (const name of names) {
+      this.spritesheets.delete(name);
+    }
+  }
+
   /**
    * Get all registered spritesheet names
    *
@@ -933,6 +965,51 @@ class SpriteSheetRegistry {
     return { img, jsonData };
   }
 
+  /**
+   * Load and register assets as standalone spritesheets (not packed into the bigAtlas)
+   * Used for scene assets, which are loaded after the bigAtlas was sent to the renderer
+   * Individual images become one-frame spritesheets with one animation named like them
+   * Names already registered are skipped
+   *
+   * @param {Object} assetsConfig - Same format as createBigAtlas()
+   * @returns {Promise<Object>} { [name]: { json, imageBitmap } } for the renderer
+   */
+  static async loadAssets(assetsConfig) {
+    const loaded = {};
+    const entries = [];
+
+    for (const [name, url] of Object.entries(assetsConfig)) {
+      if (name === "spritesheets" || typeof url !== "string") continue;
+      entries.push([name, this._loadImage(url).then((img) => ({ img }))]);
+    }
+    for (const [name, config] of Object.entries(
+      assetsConfig.spritesheets || {}
+    )) {
+      entries.push([name, this._loadSpritesheet(name, config)]);
+    }
+
+    for (const [name, promise] of entries) {
+      if (this.spritesheets.has(name)) {
+        console.warn(`⚠️ Asset "${name}" is already loaded, skipping`);
+        continue;
+      }
+
+      const { img, jsonData } = await promise;
+      const json = jsonData || {
+        frames: {
+          [name]: { frame: { x: 0, y: 0, w: img.width, h: img.height } },
+        },
+        animations: { [name]: [name] },
+        meta: { size: { w: img.width, h: img.height }, scale: 1 },
+      };
+
+      this.register(name, json);
+      loaded[name] = { json, imageBitmap: await createImageBitmap(img) };
+    }
+
+    return loaded;
+  }
+
   /**
    * Register a proxy sheet (transparent redirection to bigAtlas)
    * @private
@@ -0,0 +1,618 @@
+// SteeringBehaviors.js - Reynolds-style steering for entities with the Steering component
+// Every behaviour gives a velocity change: the desired velocity (speed capped at
+// rigidBody.maxVel) minus the current one. apply() weights them by the entity's
+// Steering weights, caps the sum at rigidBody.maxAcc and adds it to ax/ay
+// Neighbor behaviours read this.neighbors / this.neighborDistances in a single loop
+// Logic workers and MainThreadLogicHelper call apply() before tick()
+//
+// Per class, who the neighbor behaviours look at (classes or class names, subclasses included):
+//   static steering = { pursue: [Prey], evade: [Predator], flockWith: [Boid] }
+// flockWith defaults to the entity's own class
+
+import { Transform } from "../components/Transform.js";
+import { RigidBody } from "../components/RigidBody.js";
+import { Collider } from "../components/Collider.js";
+import { Steering } from "../components/Steering.js";
+import { GameObject } from "./gameObject.js";
+import { Mouse } from "./Mouse.js";
+import { Spatial } from "./Spatial.js";
+import { rng, wrapDelta } from "./utils.js";
+
+// Per entity type bits of a class's target lookup
+const PURSUE = 1;
+const EVADE = 2;
+const FLOCK = 4;
+
+const MAX_PREDICTION = 30; // Frames pursue/evade extrapolate a target's velocity at most
+const DEFAULT_MAX_VEL = 100; // Same fallback as physics when maxVel is 0
+
+class SteeringBehaviors {
+  static targetTypes = new Map(); // Entity class -> Uint8Array(256) of PURSUE | EVADE | FLOCK by entity type
+  static force = { x: 0, y: 0 }; // Scratch for apply()
+  static scratch = { x: 0, y: 0 }; // Second scratch, for behaviours summed inside a pass
+
+  /**
+   * Steer an entity with its Steering weights (called before tick())
+   * @param {GameObject} obj - Entity with RigidBody and Steering
+   * @param {number} dtRatio
+   */
+  static apply(obj, dtRatio) {
+    const i = obj.index;
+    const force = this.force;
+    let totalX = 0;
+    let totalY = 0;
+
+    const seek = Steering.seek[i];
+    const flee = Steering.flee[i];
+    const arrive = Steering.arrive[i];
+    const wander = Steering.wander[i];
+    const targetX = Steering.targetX[i];
+    const targetY = Steering.targetY[i];
+
+    if (seek !== 0) {
+      this.seek(obj, targetX, targetY, force);
+      totalX += force.x * seek;
+      totalY += force.y * seek;
+    }
+    if (flee !== 0) {
+      this.flee(obj, targetX, targetY, force, Steering.fleeDistance[i]);
+      totalX += force.x * flee;
+      totalY += force.y * flee;
+    }
+    if (arrive !== 0) {
+      this.arrive(
+        obj,
+        targetX,
+        targetY,
+        force,
+        Steering.arriveDistance[i] || 100
+      );
+      totalX += force.x * arrive;
+      totalY += force.y * arrive;
+    }
+    if (wander !== 0) {
+      this.wander(obj, dtRatio, force);
+      totalX += force.x * wander;
+      totalY += force.y * wander;
+    }
+
+    if (obj.neighborCount > 0) {
+      this.applyNeighborBehaviors(obj, force);
+      totalX += force.x;
+      totalY += force.y;
+    }
+
+    const avoidObstacles = Steering.avoidObstacles[i];
+    if (avoidObstacles !== 0) {
+      this.avoidObstacles(obj, force);
+      totalX += force.x * avoidObstacles;
+      totalY += force.y * avoidObstacles;
+    }
+
+    // Cap the sum at maxAcc (0 = uncapped)
+    const maxAcc = RigidBody.maxAcc[i];
+    const total2 = totalX * totalX + totalY * totalY;
+    if (maxAcc > 0 && total2 > maxAcc * maxAcc) {
+      const scale = maxAcc / Math.sqrt(total2);
+      totalX *= scale;
+      totalY *= scale;
+    }
+
+    RigidBody.ax[i] += totalX * dtRatio;
+    RigidBody.ay[i] += totalY * dtRatio;
+  }
+
+  /**
+   * Head for a point at full speed
+   * @param {GameObject} obj
+   * @param {number} x - Target X
+   * @param {number} y - Target Y
+   * @param {{x:number, y:number}} out - Written with the velocity change
+   * @returns {{x:number, y:number}} out
+   */
+  static seek(obj, x, y, out) {
+    const i = obj.index;
+    return this.steerTowards(
+      i,
+      this.deltaX(obj, x - Transform.x[i]),
+      this.deltaY(obj, y - Transform.y[i]),
+      1,
+      out
+    );
+  }
+
+  /**
+   * Run away from a point at full speed
+   * @param {GameObject} obj
+   * @param {number} x - Threat X
+   * @param {number} y - Threat Y
+   * @param {{x:number, y:number}} out - Written with the velocity change
+   * @param {number} [range=0] - Only flee within this distance (0 = always)
+   * @returns {{x:number, y:number}} out (0/0 out of range)
+   */
+  static flee(obj, x, y, out, range = 0) {
+    const i = obj.index;
+    const dx = this.deltaX(obj, x - Transform.x[i]);
+    const dy = this.deltaY(obj, y - Transform.y[i]);
+    if (range > 0 && dx * dx + dy * dy > range * range) {
+      out.x = 0;
+      out.y = 0;
+      return out;
+    }
+    return this.steerTowards(i, -dx, -dy, 1, out);
+  }
+
+  /**
+   * Head for a point, slowing down within slowingDistance to stop on it
+   * @param {GameObject} obj
+   * @param {number} x - Target X
+   * @param {number} y - Target Y
+   * @param {{x:number, y:number}} out - Written with the velocity change
+   * @param {number} [slowingDistance=100]
+   * @returns {{x:number, y:number}} out
+   */
+  static arrive(obj, x, y, out, slowingDistance = 100) {
+    const i = obj.index;
+    const dx = this.deltaX(obj, x - Transform.x[i]);
+    const dy = this.deltaY(obj, y - Transform.y[i]);
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    return this.steerTowards(
+      i,
+      dx,
+      dy,
+      Math.min(1, distance / slowingDistance),
+      out
+    );
+  }
+
+  /**
+   * Chase another entity: seek where its velocity takes it by the time we get there
+   * @param {GameObject} obj
+   * @param {number} target - Entity index
+   * @param {{x:number, y:number}} out - Written with the velocity change
+   * @returns {{x:number, y:number}} out
+   */
+  static pursue(obj, target, out) {
+    const i = obj.index;
+    const dx = this.deltaX(obj, Transform.x[target] - Transform.x[i]);
+    const dy = this.deltaY(obj, Transform.y[target] - Transform.y[i]);
+    const time = this.getPredictionTime(i, dx, dy);
+    return this.steerTowards(
+      i,
+      dx + RigidBody.vx[target] * time,
+      dy + RigidBody.vy[target] * time,
+      1,
+      out
+    );
+  }
+
+  /**
+   * Run from another entity: flee where its velocity takes it
+   * @param {GameObject} obj
+   * @param {number} threat - Entity index
+   * @param {{x:number, y:number}} out - Written with the velocity change
+   * @returns {{x:number, y:number}} out
+   */
+  static evade(obj, threat, out) {
+    const i = obj.index;
+    const dx = this.deltaX(obj, Transform.x[threat] - Transform.x[i]);
+    const dy = this.deltaY(obj, Transform.y[threat] - Transform.y[i]);
+    const time = this.getPredictionTime(i, dx, dy);
+    return this.steerTowards(
+      i,
+      -(dx + RigidBody.vx[threat] * time),
+      -(dy + RigidBody.vy[threat] * time),
+      1,
+      out
+    );
+  }
+
+  /**
+   * Random smooth turns: head for a point on a circle ahead whose angle
+   * drifts by up to wanderJitter per frame
+   * @param {GameObject} obj
+   * @param {number} dtRatio
+   * @param {{x:number, y:number}} out - Written with the velocity change
+   * @returns {{x:number, y:number}} out
+   */
+  static wander(obj, dtRatio, out) {
+    const i = obj.index;
+    const jitter = Steering.wanderJitter[i] || 0.3;
+    let angle = Steering.wanderAngle[i] + (rng() * 2 - 1) * jitter * dtRatio;
+    if (angle > Math.PI) angle -= Math.PI * 2;
+    else if (angle < -Math.PI) angle += Math.PI * 2;
+    Steering.wanderAngle[i] = angle;
+
+    // Circle of radius 1, 2 units ahead along the heading
+    const vx = RigidBody.vx[i];
+    const vy = RigidBody.vy[i];
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    const headingX =
+      speed > 0.01 ? vx / speed : Math.cos(Transform.rotation[i]);
+    const headingY =
+      speed > 0.01 ? vy / speed : Math.sin(Transform.rotation[i]);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return this.steerTowards(
+      i,
+      headingX * 2 + headingX * cos - headingY * sin,
+      headingY * 2 + headingX * sin + headingY * cos,
+      1,
+      out
+    );
+  }
+
+  /**
+   * Pursue, evade, separation, alignment and cohesion in one pass over the
+   * neighbors (the Mouse entity is skipped), weighted by the entity's Steering
+   * @param {GameObject} obj
+   * @param {{x:number, y:number}} out - Written with the weighted sum
+   * @private
+   */
+  static applyNeighborBehaviors(obj, out) {
+    const i = obj.index;
+    out.x = 0;
+    out.y = 0;
+
+    const pursue = Steering.pursue[i];
+    const evade = Steering.evade[i];
+    const separation = Steering.separation[i];
+    const alignment = Steering.alignment[i];
+    const cohesion = Steering.cohesion[i];
+    if (
+      pursue === 0 &&
+      evade === 0 &&
+      separation === 0 &&
+      alignment === 0 &&
+      cohesion === 0
+    ) {
+      return;
+    }
+
+    // PERFORMANCE: Cache array references once
+    const types = this.getTargetTypes(obj.constructor);
+    const entityTypes = Transform.entityType;
+    const tX = Transform.x;
+    const tY = Transform.y;
+    const rbVX = RigidBody.vx;
+    const rbVY = RigidBody.vy;
+    const neighbors = obj.neighbors;
+    const distances = obj.neighborDistances;
+    const myX = tX[i];
+    const myY = tY[i];
+
+    const separationDistance =
+      Steering.separationDistance[i] || (Collider.radius?.[i] || 10) * 4;
+    const separationDistance2 = separationDistance * separationDistance;
+
+    let separateX = 0;
+    let separateY = 0;
+    let centerX = 0;
+    let centerY = 0;
+    let avgVX = 0;
+    let avgVY = 0;
+    let flockCount = 0;
+    let prey = -1;
+    let preyDist2 = Infinity;
+    let threat = -1;
+    let threatDist2 = Infinity;
+
+    for (let n = 0; n < obj.neighborCount; n++) {
+      const j = neighbors[n];
+      const neighborType = entityTypes[j];
+      if (neighborType === Mouse.entityType) continue;
+      const bits = types[neighborType];
+
+      const dx = this.deltaX(obj, tX[j] - myX);
+      const dy = this.deltaY(obj, tY[j] - myY);
+      // Measured by the spatial worker (center or collider edge, see spatial.neighborDistance)
+      const dist2 = distances ? distances[n] : dx * dx + dy * dy;
+
+      if (separation !== 0 && dist2 < separationDistance2) {
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length > 0) {
+          // Closer pushes harder: 1 when touching, 0 at separationDistance
+          const push = 1 - Math.sqrt(dist2) / separationDistance;
+          separateX -= (dx / length) * push;
+          separateY -= (dy / length) * push;
+        }
+      }
+
+      if ((bits & FLOCK) !== 0) {
+        centerX += dx;
+        centerY += dy;
+        avgVX += rbVX[j];
+        avgVY += rbVY[j];
+        flockCount++;
+      }
+      if ((bits & PURSUE) !== 0 && dist2 < preyDist2) {
+        preyDist2 = dist2;
+        prey = j;
+      }
+      if ((bits & EVADE) !== 0 && dist2 < threatDist2) {
+        threatDist2 = dist2;
+        threat = j;
+      }
+    }
+
+    const maxVel = this.getMaxVel(i);
+    if (separation !== 0) {
+      out.x += separateX * maxVel * separation;
+      out.y += separateY * maxVel * separation;
+    }
+
+    if (flockCount > 0) {
+      if (alignment !== 0) {
+        out.x += (avgVX / flockCount - rbVX[i]) * alignment;
+        out.y += (avgVY / flockCount - rbVY[i]) * alignment;
+      }
+      if (cohesion !== 0) {
+        const force = this.steerTowards(
+          i,
+          centerX / flockCount,
+          centerY / flockCount,
+          1,
+          this.scratch
+        );
+        out.x += force.x * cohesion;
+        out.y += force.y * cohesion;
+      }
+    }
+
+    if (pursue !== 0 && prey !== -1) {
+      const force = this.pursue(obj, prey, this.scratch);
+      out.x += force.x * pursue;
+      out.y += force.y * pursue;
+    }
+    if (evade !== 0 && threat !== -1) {
+      const force = this.evade(obj, threat, this.scratch);
+      out.x += force.x * evade;
+      out.y += force.y * evade;
+    }
+  }
+
+  /**
+   * Probe ahead along the velocity for static bodies (neighbors' AABBs grown by
+   * our collider radius), blocked cells (Spatial.CELL_FLAGS.BLOCKED) and world
+   * edges (unless wrapping), and push away from the closest hit's surface
+   * Harder the closer the hit; nothing while standing still
+   * @param {GameObject} obj
+   * @param {{x:number, y:number}} out - Written with the velocity change
+   * @returns {{x:number, y:number}} out
+   */
+  static avoidObstacles(obj, out) {
+    const i = obj.index;
+    out.x = 0;
+    out.y = 0;
+
+    const vx = RigidBody.vx[i];
+    const vy = RigidBody.vy[i];
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    if (speed < 0.01) return out;
+
+    const maxVel = this.getMaxVel(i);
+    const lookAhead = Steering.lookAhead[i] || maxVel * 20;
+    const rayX = (vx / speed) * lookAhead;
+    const rayY = (vy / speed) * lookAhead;
+    const myX = Transform.x[i];
+    const myY = Transform.y[i];
+    const radius = Collider.radius?.[i] || 0;
+
+    // Closest hit along the ray (0 = here, 1 = lookAhead away) and its surface normal
+    let hitTime = Infinity;
+    let normalX = 0;
+    let normalY = 0;
+
+    // Static bodies among the neighbors: ray vs AABB (slab test)
+    if (Collider.aabbMinX) {
+      for (let n = 0; n < obj.neighborCount; n++) {
+        const j = obj.neighbors[n];
+        if (!RigidBody.static[j] || !Collider.active[j]) continue;
+
+        // AABB relative to us (shifted like the center in a wrapping world)
+        const shiftX = this.deltaX(obj, Transform.x[j] - myX) - Transform.x[j];
+        const shiftY = this.deltaY(obj, Transform.y[j] - myY) - Transform.y[j];
+        const minX = Collider.aabbMinX[j] + shiftX - radius;
+        const maxX = Collider.aabbMaxX[j] + shiftX + radius;
+        const minY = Collider.aabbMinY[j] + shiftY - radius;
+        const maxY = Collider.aabbMaxY[j] + shiftY + radius;
+
+        if (minX <= 0 && maxX >= 0 && minY <= 0 && maxY >= 0) {
+          // Already overlapping: straight out from its center
+          const awayX = -(minX + maxX) * 0.5;
+          const awayY = -(minY + maxY) * 0.5;
+          const length = Math.sqrt(awayX * awayX + awayY * awayY) || 1;
+          hitTime = 0;
+          normalX = awayX / length;
+          normalY = awayY / length;
+          break;
+        }
+
+        let enter = 0;
+        let exit = 1;
+        let hitNormalX = 0;
+        let hitNormalY = 0;
+        if (rayX !== 0) {
+          let t0 = minX / rayX;
+          let t1 = maxX / rayX;
+          if (t0 > t1) [t0, t1] = [t1, t0];
+          if (t0 > enter) {
+            enter = t0;
+            hitNormalX = rayX > 0 ? -1 : 1;
+            hitNormalY = 0;
+          }
+          exit = Math.min(exit, t1);
+        } else if (minX > 0 || maxX < 0) {
+          continue;
+        }
+        if (rayY !== 0) {
+          let t0 = minY / rayY;
+          let t1 = maxY / rayY;
+          if (t0 > t1) [t0, t1] = [t1, t0];
+          if (t0 > enter) {
+            enter = t0;
+            hitNormalX = 0;
+            hitNormalY = rayY > 0 ? -1 : 1;
+          }
+          exit = Math.min(exit, t1);
+        } else if (minY > 0 || maxY < 0) {
+          continue;
+        }
+
+        if (enter <= exit && enter < hitTime) {
+          hitTime = enter;
+          normalX = hitNormalX;
+          normalY = hitNormalY;
+        }
+      }
+    }
+
+    // Blocked cells and world edges: probe about once per cell along the ray
+    const wraps = obj.boundaryMode === "wrap";
+    const worldWidth = obj.config?.worldWidth || 800;
+    const worldHeight = obj.config?.worldHeight || 600;
+    const probes = Math.max(1, Math.ceil(lookAhead * Spatial.invCellSize));
+    for (let step = 1; step <= probes; step++) {
+      const probe = step / probes;
+      if (probe >= hitTime) break;
+      const x = myX + rayX * probe;
+      const y = myY + rayY * probe;
+
+      if (!wraps) {
+        const outX = x < 0 ? 1 : x > worldWidth ? -1 : 0;
+        const outY = y < 0 ? 1 : y > worldHeight ? -1 : 0;
+        if (outX !== 0 || outY !== 0) {
+          const length = Math.sqrt(outX * outX + outY * outY);
+          hitTime = probe;
+          normalX = outX / length;
+          normalY = outY / length;
+          break;
+        }
+      }
+
+      if ((Spatial.cellFlagsAt(x, y) & Spatial.CELL_FLAGS.BLOCKED) !== 0) {
+        // Away from the blocked cell, towards the cell we're in
+        const invCellSize = Spatial.invCellSize;
+        const awayX = Math.sign(
+          Math.floor(myX * invCellSize) - Math.floor(x * invCellSize)
+        );
+        const awayY = Math.sign(
+          Math.floor(myY * invCellSize) - Math.floor(y * invCellSize)
+        );
+        const length = Math.sqrt(awayX * awayX + awayY * awayY);
+        hitTime = probe;
+        normalX = length > 0 ? awayX / length : -vx / speed;
+        normalY = length > 0 ? awayY / length : -vy / speed;
+        break;
+      }
+    }
+
+    if (hitTime <= 1) {
+      // Full strength when touching, half at the end of the ray
+      const strength = (1 - hitTime * 0.5) * maxVel;
+      out.x = normalX * strength;
+      out.y = normalY * strength;
+    }
+    return out;
+  }
+
+  /**
+   * Velocity change towards a direction at speedScale x maxVel
+   * @param {number} i - Entity index
+   * @param {number} dx - Direction (any length)
+   * @param {number} dy
+   * @param {number} speedScale - 0..1
+   * @param {{x:number, y:number}} out
+   * @returns {{x:number, y:number}} out
+   * @private
+   */
+  static steerTowards(i, dx, dy, speedScale, out) {
+    const length = Math.sqrt(dx * dx + dy * dy);
+    const speed = length > 0 ? (this.getMaxVel(i) * speedScale) / length : 0;
+    out.x = dx * speed - RigidBody.vx[i];
+    out.y = dy * speed - RigidBody.vy[i];
+    return out;
+  }
+
+  /**
+   * Frames to extrapolate a target's motion: time to reach it at maxVel, capped
+   * @private
+   */
+  static getPredictionTime(i, dx, dy) {
+    return Math.min(
+      Math.sqrt(dx * dx + dy * dy) / this.getMaxVel(i),
+      MAX_PREDICTION
+    );
+  }
+
+  /** @private */
+  static getMaxVel(i) {
+    const maxVel = RigidBody.maxVel[i];
+    return maxVel > 0 ? maxVel : DEFAULT_MAX_VEL;
+  }
+
+  /**
+   * X delta the short way around in a wrapping world
+   * @private
+   */
+  static deltaX(obj, dx) {
+    if (obj.boundaryMode !== "wrap") return dx;
+    return wrapDelta(dx, obj.config?.worldWidth || 800);
+  }
+
+  /**
+   * Y delta the short way around in a wrapping world
+   * @private
+   */
+  static deltaY(obj, dy) {
+    if (obj.boundaryMode !== "wrap") return dy;
+    return wrapDelta(dy, obj.config?.worldHeight || 600);
+  }
+
+  /**
+   * Resolve a class's static steering targets into a lookup by entity type
+   * (classes or class names, matched up the inheritance chain like
+   * registration). Built once per class, on first use
+   * @param {Class} EntityClass
+   * @returns {Uint8Array} PURSUE | EVADE | FLOCK bits per entity type
+   * @private
+   */
+  static getTargetTypes(EntityClass) {
+    let types = this.targetTypes.get(EntityClass);
+    if (types) return types;
+
+    const config = EntityClass.steering || {};
+    const toNames = (list) =>
+      list ? list.map((T) => (typeof T === "string" ? T : T.name)) : null;
+    const pursueNames = toNames(config.pursue);
+    const evadeNames = toNames(config.evade);
+    const flockNames = toNames(config.flockWith);
+    const extendsAny = (Class, names) => {
+      for (let c = Class; c && c !== GameObject; c = Object.getPrototypeOf(c)) {
+        if (names.includes(c.name)) return true;
+      }
+      return false;
+    };
+
+    types = new Uint8Array(256);
+    const seen = new Set();
+    for (const instance of GameObject.instances) {
+      const Class = instance.constructor;
+      if (seen.has(Class)) continue;
+      seen.add(Class);
+
+      let bits = 0;
+      if (flockNames ? extendsAny(Class, flockNames) : Class === EntityClass) {
+        bits |= FLOCK;
+      }
+      if (pursueNames && extendsAny(Class, pursueNames)) bits |= PURSUE;
+      if (evadeNames && extendsAny(Class, evadeNames)) bits |= EVADE;
+      types[Class.entityType] = bits;
+    }
+
+    this.targetTypes.set(EntityClass, types);
+    return types;
+  }
+}
+
+export { SteeringBehaviors };
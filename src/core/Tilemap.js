@@ -0,0 +1,162 @@
+// Tilemap.js - Static solid tile map shared by all threads
+// One byte per tile in a SharedArrayBuffer (0 = empty, anything else = solid)
+// The physics worker collides dynamic bodies against solid tiles, so walls cost
+// no entity slots and no neighbor checks. Loaded from config.tilemap by GameEngine.
+
+import { Collider } from "../components/Collider.js";
+
+class Tilemap {
+  static tiles = null; // Uint8Array(cols * rows), row-major
+  static tileSize = 0;
+  static invTileSize = 0;
+  static cols = 0;
+  static rows = 0;
+
+  // Collision settings (from config.tilemap)
+  static layerBit = 1; // Collider.collisionLayer bit the tiles are on
+  static restitution = 0;
+  static friction = 0;
+
+  /**
+   * Resolve the tilemap size from config (defaults to covering the whole world)
+   * @param {Object} config - Engine config
+   * @returns {{tileSize:number, cols:number, rows:number}|null} null = no tilemap
+   */
+  static getLayout(config) {
+    const tilemap = config.tilemap;
+    if (!tilemap || !(tilemap.tileSize > 0)) return null;
+
+    const tileSize = tilemap.tileSize;
+    return {
+      tileSize,
+      cols: tilemap.cols || Math.ceil(config.worldWidth / tileSize),
+      rows: tilemap.rows || Math.ceil(config.worldHeight / tileSize),
+    };
+  }
+
+  /**
+   * Get tilemap buffer size in bytes
+   * @param {number} cols - Tiles per row
+   * @param {number} rows - Number of rows
+   * @returns {number}
+   */
+  static getBufferSize(cols, rows) {
+    return cols * rows;
+  }
+
+  /**
+   * Create the view over the shared tile buffer
+   * Called on the main thread and in every worker
+   * @param {SharedArrayBuffer} buffer - Tile buffer
+   * @param {Object} config - Engine config (uses config.tilemap)
+   */
+  static initialize(buffer, config) {
+    const layout = this.getLayout(config);
+    if (!layout) return;
+
+    this.tileSize = layout.tileSize;
+    this.invTileSize = 1 / layout.tileSize;
+    this.cols = layout.cols;
+    this.rows = layout.rows;
+    this.tiles = new Uint8Array(buffer);
+
+    const tilemap = config.tilemap;
+    this.layerBit = Collider.getLayerBit(tilemap.layer || "default");
+    this.restitution = tilemap.restitution || 0;
+    this.friction = tilemap.friction || 0;
+  }
+
+  /**
+   * Fill the tiles from config data (main thread, before workers start)
+   * Accepts a flat array (cols * rows numbers) or an array of row strings
+   * where "#" or "1" is solid and anything else is empty
+   *
+   * Example:
+   *   tiles: [
+   *     "##########",
+   *     "#........#",
+   *     "#..####..#",
+   *     "##########",
+   *   ]
+   *
+   * @param {Array<number>|Array<string>|Uint8Array} data
+   */
+  static load(data) {
+    if (!this.tiles || !data) return;
+
+    if (typeof data[0] === "string") {
+      const rowCount = Math.min(data.length, this.rows);
+      for (let row = 0; row < rowCount; row++) {
+        const line = data[row];
+        const colCount = Math.min(line.length, this.cols);
+        for (let col = 0; col < colCount; col++) {
+          const char = line[col];
+          this.tiles[row * this.cols + col] =
+            char === "#" || char === "1" ? 1 : 0;
+        }
+      }
+      return;
+    }
+
+    const count = Math.min(data.length, this.tiles.length);
+    for (let k = 0; k < count; k++) {
+      this.tiles[k] = data[k] ? data[k] : 0;
+    }
+  }
+
+  /**
+   * Is the tile at (col, row) solid? Outside the map counts as empty
+   * @param {number} col
+   * @param {number} row
+   * @returns {boolean}
+   */
+  static isSolid(col, row) {
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) {
+      return false;
+    }
+    return this.tiles[row * this.cols + col] !== 0;
+  }
+
+  /**
+   * Is the tile under a world position solid?
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {boolean}
+   */
+  static isSolidAt(x, y) {
+    if (!this.tiles) return false;
+    return this.isSolid(
+      Math.floor(x * this.invTileSize),
+      Math.floor(y * this.invTileSize)
+    );
+  }
+
+  /**
+   * Change a tile at runtime (visible to physics on its next step)
+   * @param {number} col
+   * @param {number} row
+   * @param {number} value - 0 = empty, 1 = solid
+   */
+  static setTile(col, row, value) {
+    if (!this.tiles) return;
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return;
+    this.tiles[row * this.cols + col] = value;
+  }
+
+  /**
+   * Change the tile under a world position
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @param {number} value - 0 = empty, 1 = solid
+   */
+  static setTileAt(x, y, value) {
+    if (!this.tiles) return;
+    this.setTile(
+      Math.floor(x * this.invTileSize),
+      Math.floor(y * this.invTileSize),
+      value
+    );
+  }
+}
+
+export { Tilemap };
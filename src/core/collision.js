@@ -0,0 +1,955 @@
+// ============================================================================
+// COLLISION NARROW-PHASE
+// Shape tests shared by the physics worker, the renderer's debug overlay and
+// any other code that needs exact collider geometry.
+// Works directly on Transform/Collider SoA arrays (DENSE: entityIndex === componentIndex)
+// ============================================================================
+
+import { Transform } from "../components/Transform.js";
+import { Collider } from "../components/Collider.js";
+import { RigidBody } from "../components/RigidBody.js";
+import { rng } from "./utils.js";
+
+export const SHAPE_CIRCLE = Collider.SHAPES.CIRCLE;
+export const SHAPE_BOX = Collider.SHAPES.BOX;
+export const SHAPE_POLYGON = Collider.SHAPES.POLYGON;
+
+// Floats per collision pair in the contactData buffer (published with collisionData):
+// [nx, ny, x, y, timeOfImpact] - normal points towards the pair's first entity,
+// (x, y) is the contact point, timeOfImpact is the fraction of the frame at first
+// touch (< 1 only for bullets caught by continuous collision detection)
+export const CONTACT_DATA_STRIDE = 5;
+
+// Share of the overlap pushed apart when two circles sit exactly on top of each
+// other: the axis is a guess, so separate gently and let the next frames finish
+const COINCIDENT_DEPTH_SCALE = 0.1;
+
+// Upper bound for vertices of any convex shape handled here (boxes use 4)
+export const MAX_SHAPE_VERTICES = Collider.MAX_POLYGON_VERTICES;
+
+// OPTIMIZATION: Scratch vertex buffers reused by every test (no per-pair allocations)
+const vertsA = new Float32Array(MAX_SHAPE_VERTICES * 2);
+const vertsB = new Float32Array(MAX_SHAPE_VERTICES * 2);
+
+// Scratch points
+const centerA = { x: 0, y: 0 };
+const centerB = { x: 0, y: 0 };
+const bounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+
+/**
+ * Get the world-space center of an entity's collider
+ * Collider.offsetX/offsetY are in local space and rotate with Transform.rotation
+ * @param {number} i - Entity index
+ * @param {{x:number, y:number}} out - Output point
+ * @returns {{x:number, y:number}} out
+ */
+export function getColliderCenter(i, out) {
+  const ox = Collider.offsetX[i];
+  const oy = Collider.offsetY[i];
+
+  if (ox === 0 && oy === 0) {
+    out.x = Transform.x[i];
+    out.y = Transform.y[i];
+    return out;
+  }
+
+  const rot = Transform.rotation[i];
+  const cos = Math.cos(rot);
+  const sin = Math.sin(rot);
+  out.x = Transform.x[i] + ox * cos - oy * sin;
+  out.y = Transform.y[i] + ox * sin + oy * cos;
+  return out;
+}
+
+/**
+ * Write the world-space vertices of a convex collider into out as [x0, y0, x1, y1, ...]
+ * Vertices are ordered so that (edgeY, -edgeX) is the outward normal of each edge
+ * @param {number} i - Entity index
+ * @param {Float32Array|number[]} out - Output vertex array (at least MAX_SHAPE_VERTICES * 2)
+ * @param {number} cx - Collider center X (see getColliderCenter)
+ * @param {number} cy - Collider center Y
+ * @returns {number} Number of vertices written (0 for circles)
+ */
+export function getColliderVertices(i, out, cx, cy) {
+  const shape = Collider.shapeType[i];
+  if (shape === SHAPE_CIRCLE) return 0;
+
+  const rot = Transform.rotation[i];
+  const cos = Math.cos(rot);
+  const sin = Math.sin(rot);
+
+  if (shape === SHAPE_POLYGON) {
+    // Local-space vertices from the shared polygon vertex buffer
+    const verts = Collider.polygonVertices;
+    const count = Collider.pointsCount[i];
+    if (!verts || count === 0) return 0;
+
+    let offset = Collider.pointsOffset[i];
+    for (let k = 0; k < count; k++, offset += 2) {
+      const lx = verts[offset];
+      const ly = verts[offset + 1];
+      out[k * 2] = cx + lx * cos - ly * sin;
+      out[k * 2 + 1] = cy + lx * sin + ly * cos;
+    }
+    return count;
+  }
+
+  const hw = Collider.width[i] * 0.5;
+  const hh = Collider.height[i] * 0.5;
+
+  // Rotated half-axes
+  const axX = hw * cos;
+  const axY = hw * sin;
+  const ayX = -hh * sin;
+  const ayY = hh * cos;
+
+  // (-hw,-hh), (hw,-hh), (hw,hh), (-hw,hh)
+  out[0] = cx - axX - ayX;
+  out[1] = cy - axY - ayY;
+  out[2] = cx + axX - ayX;
+  out[3] = cy + axY - ayY;
+  out[4] = cx + axX + ayX;
+  out[5] = cy + axY + ayY;
+  out[6] = cx - axX + ayX;
+  out[7] = cy - axY + ayY;
+  return 4;
+}
+
+/**
+ * Get the world-space AABB of a collider
+ * @param {number} i - Entity index
+ * @param {{minX:number, minY:number, maxX:number, maxY:number}} out - Output bounds
+ * @returns {{minX:number, minY:number, maxX:number, maxY:number}} out
+ */
+export function getColliderBounds(i, out) {
+  getColliderCenter(i, centerA);
+  const cx = centerA.x;
+  const cy = centerA.y;
+  const shape = Collider.shapeType[i];
+
+  if (shape === SHAPE_BOX) {
+    const hw = Collider.width[i] * 0.5;
+    const hh = Collider.height[i] * 0.5;
+    const rot = Transform.rotation[i];
+    const cos = Math.abs(Math.cos(rot));
+    const sin = Math.abs(Math.sin(rot));
+    const ex = hw * cos + hh * sin;
+    const ey = hw * sin + hh * cos;
+    out.minX = cx - ex;
+    out.minY = cy - ey;
+    out.maxX = cx + ex;
+    out.maxY = cy + ey;
+    return out;
+  }
+
+  if (shape === SHAPE_POLYGON) {
+    const count = getColliderVertices(i, vertsA, cx, cy);
+    if (count > 0) {
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      for (let k = 0; k < count; k++) {
+        const vx = vertsA[k * 2];
+        const vy = vertsA[k * 2 + 1];
+        if (vx < minX) minX = vx;
+        if (vx > maxX) maxX = vx;
+        if (vy < minY) minY = vy;
+        if (vy > maxY) maxY = vy;
+      }
+      out.minX = minX;
+      out.minY = minY;
+      out.maxX = maxX;
+      out.maxY = maxY;
+      return out;
+    }
+  }
+
+  const r = Collider.radius[i];
+  out.minX = cx - r;
+  out.minY = cy - r;
+  out.maxX = cx + r;
+  out.maxY = cy + r;
+  return out;
+}
+
+/**
+ * Radius of the smallest circle around the collider center that contains the shape
+ * Used as a cheap early-out before running SAT
+ * (polygons store their bounding radius in Collider.radius, see Collider.setPolygon)
+ * @param {number} i - Entity index
+ * @returns {number}
+ */
+export function getBoundingRadius(i) {
+  if (Collider.shapeType[i] === SHAPE_BOX) {
+    const hw = Collider.width[i] * 0.5;
+    const hh = Collider.height[i] * 0.5;
+    return Math.sqrt(hw * hw + hh * hh);
+  }
+  return Collider.radius[i];
+}
+
+/**
+ * Refresh the Collider AABB cache (aabbMinX/Y, aabbMaxX/Y) for one entity
+ * @param {number} i - Entity index
+ */
+export function updateColliderAABB(i) {
+  getColliderBounds(i, bounds);
+  Collider.aabbMinX[i] = bounds.minX;
+  Collider.aabbMinY[i] = bounds.minY;
+  Collider.aabbMaxX[i] = bounds.maxX;
+  Collider.aabbMaxY[i] = bounds.maxY;
+}
+
+/**
+ * Separation axis for two colliders centered on the same point: from j towards i
+ * at their previous positions (Verlet px/py), random when those coincide as well
+ * @param {number} i - First entity index
+ * @param {number} j - Second entity index
+ * @param {{nx:number, ny:number}} out - Output unit normal
+ */
+function getCoincidentAxis(i, j, out) {
+  if (RigidBody.px) {
+    const dx = RigidBody.px[i] - RigidBody.px[j];
+    const dy = RigidBody.py[i] - RigidBody.py[j];
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length > 0) {
+      out.nx = dx / length;
+      out.ny = dy / length;
+      return;
+    }
+  }
+  const angle = rng() * Math.PI * 2;
+  out.nx = Math.cos(angle);
+  out.ny = Math.sin(angle);
+}
+
+/**
+ * Test two colliders for overlap and compute the separating contact
+ * Boxes and polygons go through the same convex (SAT) path
+ * Contact normal points from j towards i: moving i by (nx, ny) * depth separates them
+ * (px, py) is the contact point, halfway through the overlap (used for torque)
+ * @param {number} i - First entity index
+ * @param {number} j - Second entity index
+ * @param {{nx:number, ny:number, depth:number, px:number, py:number}} contact - Output contact
+ * @returns {boolean} True if the colliders overlap
+ */
+export function collideColliders(i, j, contact) {
+  getColliderCenter(i, centerA);
+  getColliderCenter(j, centerB);
+
+  const ax = centerA.x;
+  const ay = centerA.y;
+  const bx = centerB.x;
+  const by = centerB.y;
+
+  // Broad early-out with bounding circles (exact for circle-vs-circle)
+  const dx = ax - bx;
+  const dy = ay - by;
+  const dist2 = dx * dx + dy * dy;
+  const reach = getBoundingRadius(i) + getBoundingRadius(j);
+  if (dist2 >= reach * reach) return false;
+
+  const shapeI = Collider.shapeType[i];
+  const shapeJ = Collider.shapeType[j];
+
+  // CIRCLE vs CIRCLE
+  if (shapeI === SHAPE_CIRCLE && shapeJ === SHAPE_CIRCLE) {
+    const dist = Math.sqrt(dist2);
+
+    // Handle exact overlap (rare but possible): nudge them apart along the
+    // previous frame's axis, a random one if that's 0 too
+    if (dist === 0) {
+      getCoincidentAxis(i, j, contact);
+      contact.depth = reach * COINCIDENT_DEPTH_SCALE;
+      contact.px = ax;
+      contact.py = ay;
+      return true;
+    }
+
+    contact.nx = dx / dist;
+    contact.ny = dy / dist;
+    contact.depth = reach - dist;
+    setCircleContactPoint(ax, ay, Collider.radius[i], -1, contact);
+    return true;
+  }
+
+  // CIRCLE vs CONVEX
+  if (shapeI === SHAPE_CIRCLE) {
+    const count = getColliderVertices(j, vertsB, bx, by);
+    const r = Collider.radius[i];
+    if (!circleVsPolygon(ax, ay, r, vertsB, count, contact)) return false;
+    setCircleContactPoint(ax, ay, r, -1, contact);
+    return true;
+  }
+
+  // CONVEX vs CIRCLE (flip normal so it still points from j to i)
+  if (shapeJ === SHAPE_CIRCLE) {
+    const count = getColliderVertices(i, vertsA, ax, ay);
+    const r = Collider.radius[j];
+    if (!circleVsPolygon(bx, by, r, vertsA, count, contact)) return false;
+    contact.nx = -contact.nx;
+    contact.ny = -contact.ny;
+    setCircleContactPoint(bx, by, r, 1, contact);
+    return true;
+  }
+
+  // CONVEX vs CONVEX (SAT)
+  const countA = getColliderVertices(i, vertsA, ax, ay);
+  const countB = getColliderVertices(j, vertsB, bx, by);
+  if (!polygonVsPolygon(vertsA, countA, vertsB, countB, contact)) return false;
+
+  // Orient normal from j towards i
+  if (contact.nx * dx + contact.ny * dy < 0) {
+    contact.nx = -contact.nx;
+    contact.ny = -contact.ny;
+  }
+  setPolygonContactPoint(vertsA, countA, vertsB, countB, contact);
+  return true;
+}
+
+/**
+ * Test a collider against a static axis-aligned box (e.g. a tilemap tile)
+ * Same contact convention as collideColliders with the box as j:
+ * normal points from the box towards the collider
+ * @param {number} i - Entity index
+ * @param {number} minX - Box left
+ * @param {number} minY - Box top
+ * @param {number} maxX - Box right
+ * @param {number} maxY - Box bottom
+ * @param {{nx:number, ny:number, depth:number, px:number, py:number}} contact - Output contact
+ * @returns {boolean} True if overlapping
+ */
+export function collideColliderWithBox(i, minX, minY, maxX, maxY, contact) {
+  getColliderCenter(i, centerA);
+  const ax = centerA.x;
+  const ay = centerA.y;
+
+  // Box vertices in the same winding as getColliderVertices
+  vertsB[0] = minX;
+  vertsB[1] = minY;
+  vertsB[2] = maxX;
+  vertsB[3] = minY;
+  vertsB[4] = maxX;
+  vertsB[5] = maxY;
+  vertsB[6] = minX;
+  vertsB[7] = maxY;
+
+  const count = getColliderVertices(i, vertsA, ax, ay);
+  if (count === 0) {
+    const r = Collider.radius[i];
+    if (!circleVsPolygon(ax, ay, r, vertsB, 4, contact)) return false;
+    setCircleContactPoint(ax, ay, r, -1, contact);
+    return true;
+  }
+
+  if (!polygonVsPolygon(vertsA, count, vertsB, 4, contact)) return false;
+
+  // Orient normal from the box towards the collider
+  const dx = ax - (minX + maxX) * 0.5;
+  const dy = ay - (minY + maxY) * 0.5;
+  if (contact.nx * dx + contact.ny * dy < 0) {
+    contact.nx = -contact.nx;
+    contact.ny = -contact.ny;
+  }
+  setPolygonContactPoint(vertsA, count, vertsB, 4, contact);
+  return true;
+}
+
+/**
+ * Contact point for a circle: halfway between its deepest point and the other surface
+ * @param {number} side - -1 if the circle is i (moves along +normal), 1 if it is j
+ */
+function setCircleContactPoint(cx, cy, r, side, contact) {
+  const d = r - contact.depth * 0.5;
+  contact.px = cx + contact.nx * d * side;
+  contact.py = cy + contact.ny * d * side;
+}
+
+// Vertices within this distance of the deepest one count as the same feature (flat contact)
+const FEATURE_TOLERANCE = 0.5;
+
+/**
+ * Contact point for two convex shapes (normal already points from b to a)
+ * Finds the deepest feature (vertex or flat edge) of each shape along the normal;
+ * for face-to-face contacts uses the middle of their overlap, so a box resting
+ * flat on another gets its contact under its center instead of at one corner
+ */
+function setPolygonContactPoint(a, countA, b, countB, contact) {
+  const nx = contact.nx;
+  const ny = contact.ny;
+  const tx = -ny; // tangent
+  const ty = nx;
+
+  // Deepest into b: smallest projection of a onto the normal
+  let minA = Infinity;
+  for (let v = 0; v < countA; v++) {
+    const p = a[v * 2] * nx + a[v * 2 + 1] * ny;
+    if (p < minA) minA = p;
+  }
+  let loA = Infinity;
+  let hiA = -Infinity;
+  for (let v = 0; v < countA; v++) {
+    const p = a[v * 2] * nx + a[v * 2 + 1] * ny;
+    if (p > minA + FEATURE_TOLERANCE) continue;
+    const t = a[v * 2] * tx + a[v * 2 + 1] * ty;
+    if (t < loA) loA = t;
+    if (t > hiA) hiA = t;
+  }
+
+  // Deepest into a: largest projection of b onto the normal
+  let maxB = -Infinity;
+  for (let v = 0; v < countB; v++) {
+    const p = b[v * 2] * nx + b[v * 2 + 1] * ny;
+    if (p > maxB) maxB = p;
+  }
+  let loB = Infinity;
+  let hiB = -Infinity;
+  for (let v = 0; v < countB; v++) {
+    const p = b[v * 2] * nx + b[v * 2 + 1] * ny;
+    if (p < maxB - FEATURE_TOLERANCE) continue;
+    const t = b[v * 2] * tx + b[v * 2 + 1] * ty;
+    if (t < loB) loB = t;
+    if (t > hiB) hiB = t;
+  }
+
+  // Tangent position: overlap of both features, or the sharper one (a corner) if they don't overlap
+  const lo = loA > loB ? loA : loB;
+  const hi = hiA < hiB ? hiA : hiB;
+  let t;
+  if (lo <= hi) {
+    t = (lo + hi) * 0.5;
+  } else if (hiA - loA <= hiB - loB) {
+    t = (loA + hiA) * 0.5;
+  } else {
+    t = (loB + hiB) * 0.5;
+  }
+
+  // Normal position: middle of the penetration
+  const n = (minA + maxB) * 0.5;
+  contact.px = nx * n + tx * t;
+  contact.py = ny * n + ty * t;
+}
+
+/**
+ * Point of a collider furthest along a direction (world space)
+ * Flat edges facing the direction return their midpoint
+ * @param {number} i - Entity index
+ * @param {number} dirX - Normalized direction X
+ * @param {number} dirY - Normalized direction Y
+ * @param {{x:number, y:number}} out - Output point
+ * @returns {{x:number, y:number}} out
+ */
+export function getSupportPoint(i, dirX, dirY, out) {
+  getColliderCenter(i, centerA);
+  const cx = centerA.x;
+  const cy = centerA.y;
+
+  const count = getColliderVertices(i, vertsA, cx, cy);
+  if (count === 0) {
+    const r = Collider.radius[i];
+    out.x = cx + dirX * r;
+    out.y = cy + dirY * r;
+    return out;
+  }
+
+  let max = -Infinity;
+  for (let v = 0; v < count; v++) {
+    const p = vertsA[v * 2] * dirX + vertsA[v * 2 + 1] * dirY;
+    if (p > max) max = p;
+  }
+
+  let sumX = 0;
+  let sumY = 0;
+  let found = 0;
+  for (let v = 0; v < count; v++) {
+    const p = vertsA[v * 2] * dirX + vertsA[v * 2 + 1] * dirY;
+    if (p < max - FEATURE_TOLERANCE) continue;
+    sumX += vertsA[v * 2];
+    sumY += vertsA[v * 2 + 1];
+    found++;
+  }
+  out.x = sumX / found;
+  out.y = sumY / found;
+  return out;
+}
+
+/**
+ * Moment of inertia per unit of mass around the entity position
+ * (includes Collider.offsetX/offsetY via the parallel axis theorem)
+ * @param {number} i - Entity index
+ * @returns {number}
+ */
+export function getShapeInertia(i) {
+  const shape = Collider.shapeType[i];
+  let inertia;
+
+  if (shape === SHAPE_BOX) {
+    const w = Collider.width[i];
+    const h = Collider.height[i];
+    inertia = (w * w + h * h) / 12;
+  } else if (shape === SHAPE_POLYGON && Collider.pointsCount[i] >= 3) {
+    // Solid polygon around its local origin (signed triangle fan)
+    const verts = Collider.polygonVertices;
+    const count = Collider.pointsCount[i];
+    const offset = Collider.pointsOffset[i];
+    let numerator = 0;
+    let denominator = 0;
+    for (let k = 0; k < count; k++) {
+      const next = k + 1 === count ? 0 : k + 1;
+      const x0 = verts[offset + k * 2];
+      const y0 = verts[offset + k * 2 + 1];
+      const x1 = verts[offset + next * 2];
+      const y1 = verts[offset + next * 2 + 1];
+      const cross = x0 * y1 - x1 * y0; // signed, so any origin works
+      numerator +=
+        cross * (x0 * x0 + x0 * x1 + x1 * x1 + y0 * y0 + y0 * y1 + y1 * y1);
+      denominator += cross;
+    }
+    inertia = denominator !== 0 ? numerator / (6 * denominator) : 0;
+  } else {
+    const r = Collider.radius[i];
+    inertia = (r * r) / 2;
+  }
+
+  const ox = Collider.offsetX[i];
+  const oy = Collider.offsetY[i];
+  return inertia + ox * ox + oy * oy;
+}
+
+/**
+ * Circle vs convex polygon
+ * Normal points from the polygon towards the circle
+ * @param {number} cx - Circle center X
+ * @param {number} cy - Circle center Y
+ * @param {number} r - Circle radius
+ * @param {Float32Array} verts - Polygon vertices [x0, y0, x1, y1, ...]
+ * @param {number} count - Number of vertices
+ * @param {{nx:number, ny:number, depth:number}} contact - Output contact
+ * @returns {boolean} True if overlapping
+ */
+export function circleVsPolygon(cx, cy, r, verts, count, contact) {
+  let inside = true;
+  let maxSeparation = -Infinity;
+  let faceNx = 0;
+  let faceNy = 0;
+
+  let closestDist2 = Infinity;
+  let closestX = 0;
+  let closestY = 0;
+
+  for (let k = 0; k < count; k++) {
+    const x0 = verts[k * 2];
+    const y0 = verts[k * 2 + 1];
+    const next = k + 1 === count ? 0 : k + 1;
+    const x1 = verts[next * 2];
+    const y1 = verts[next * 2 + 1];
+
+    const ex = x1 - x0;
+    const ey = y1 - y0;
+    const len = Math.sqrt(ex * ex + ey * ey) || 1;
+
+    // Outward edge normal
+    const nx = ey / len;
+    const ny = -ex / len;
+
+    const separation = (cx - x0) * nx + (cy - y0) * ny;
+    if (separation > 0) inside = false;
+    if (separation > maxSeparation) {
+      maxSeparation = separation;
+      faceNx = nx;
+      faceNy = ny;
+    }
+
+    // Closest point on this edge segment
+    let t = ((cx - x0) * ex + (cy - y0) * ey) / (len * len);
+    t = t < 0 ? 0 : t > 1 ? 1 : t;
+    const qx = x0 + ex * t;
+    const qy = y0 + ey * t;
+    const ddx = cx - qx;
+    const ddy = cy - qy;
+    const d2 = ddx * ddx + ddy * ddy;
+    if (d2 < closestDist2) {
+      closestDist2 = d2;
+      closestX = qx;
+      closestY = qy;
+    }
+  }
+
+  // Center inside polygon: push out through the nearest face
+  if (inside) {
+    contact.nx = faceNx;
+    contact.ny = faceNy;
+    contact.depth = r - maxSeparation;
+    return true;
+  }
+
+  if (closestDist2 >= r * r) return false;
+
+  const dist = Math.sqrt(closestDist2);
+  if (dist === 0) {
+    contact.nx = faceNx;
+    contact.ny = faceNy;
+    contact.depth = r;
+    return true;
+  }
+
+  contact.nx = (cx - closestX) / dist;
+  contact.ny = (cy - closestY) / dist;
+  contact.depth = r - dist;
+  return true;
+}
+
+/**
+ * Convex polygon vs convex polygon using the Separating Axis Theorem
+ * Returns the axis of minimum penetration (orientation is left to the caller)
+ * @param {Float32Array} a - Vertices of polygon A
+ * @param {number} countA - Vertex count of A
+ * @param {Float32Array} b - Vertices of polygon B
+ * @param {number} countB - Vertex count of B
+ * @param {{nx:number, ny:number, depth:number}} contact - Output contact
+ * @returns {boolean} True if overlapping
+ */
+export function polygonVsPolygon(a, countA, b, countB, contact) {
+  contact.depth = Infinity;
+  if (!testPolygonAxes(a, countA, a, countA, b, countB, contact)) return false;
+  if (!testPolygonAxes(b, countB, a, countA, b, countB, contact)) return false;
+  return true;
+}
+
+/**
+ * Project both polygons onto every edge normal of `source`
+ * Keeps the smallest overlap in contact; returns false on a separating axis
+ */
+function testPolygonAxes(source, sourceCount, a, countA, b, countB, contact) {
+  for (let k = 0; k < sourceCount; k++) {
+    const next = k + 1 === sourceCount ? 0 : k + 1;
+    const ex = source[next * 2] - source[k * 2];
+    const ey = source[next * 2 + 1] - source[k * 2 + 1];
+    const len = Math.sqrt(ex * ex + ey * ey);
+    if (len === 0) continue;
+    const nx = ey / len;
+    const ny = -ex / len;
+
+    let minA = Infinity;
+    let maxA = -Infinity;
+    for (let v = 0; v < countA; v++) {
+      const p = a[v * 2] * nx + a[v * 2 + 1] * ny;
+      if (p < minA) minA = p;
+      if (p > maxA) maxA = p;
+    }
+
+    let minB = Infinity;
+    let maxB = -Infinity;
+    for (let v = 0; v < countB; v++) {
+      const p = b[v * 2] * nx + b[v * 2 + 1] * ny;
+      if (p < minB) minB = p;
+      if (p > maxB) maxB = p;
+    }
+
+    const overlap = Math.min(maxA, maxB) - Math.max(minA, minB);
+    if (overlap <= 0) return false;
+
+    if (overlap < contact.depth) {
+      contact.depth = overlap;
+      contact.nx = nx;
+      contact.ny = ny;
+    }
+  }
+  return true;
+}
+
+// Scratch hit for the rounded-corner pass of rayVsPolygon
+const cornerHit = { distance: 0, nx: 0, ny: 0 };
+
+/**
+ * Cast a ray (castRadius = 0) or a moving circle (castRadius > 0) against one collider
+ * Shapes that already contain the origin are ignored, so casting from inside
+ * an entity's own collider doesn't hit it
+ * @param {number} i - Entity index
+ * @param {number} ox - Origin X
+ * @param {number} oy - Origin Y
+ * @param {number} dx - Normalized direction X
+ * @param {number} dy - Normalized direction Y
+ * @param {number} maxDistance - Length of the cast
+ * @param {number} castRadius - Radius of the cast circle (0 for rays)
+ * @param {{distance:number, nx:number, ny:number}} hit - Output: distance along the
+ *   cast and the surface normal of the collider at the hit
+ * @returns {boolean} True if the cast hits the collider within maxDistance
+ */
+export function raycastCollider(
+  i,
+  ox,
+  oy,
+  dx,
+  dy,
+  maxDistance,
+  castRadius,
+  hit
+) {
+  getColliderCenter(i, centerA);
+  const cx = centerA.x;
+  const cy = centerA.y;
+
+  const count = getColliderVertices(i, vertsA, cx, cy);
+  if (count === 0) {
+    return rayVsCircle(
+      ox,
+      oy,
+      dx,
+      dy,
+      maxDistance,
+      cx,
+      cy,
+      Collider.radius[i] + castRadius,
+      hit
+    );
+  }
+
+  return rayVsPolygon(
+    ox,
+    oy,
+    dx,
+    dy,
+    maxDistance,
+    vertsA,
+    count,
+    castRadius,
+    hit
+  );
+}
+
+/**
+ * Ray vs circle (only hits from outside the circle)
+ * @param {number} ox - Origin X
+ * @param {number} oy - Origin Y
+ * @param {number} dx - Normalized direction X
+ * @param {number} dy - Normalized direction Y
+ * @param {number} maxDistance - Length of the ray
+ * @param {number} cx - Circle center X
+ * @param {number} cy - Circle center Y
+ * @param {number} r - Circle radius
+ * @param {{distance:number, nx:number, ny:number}} hit - Output hit
+ * @returns {boolean}
+ */
+export function rayVsCircle(ox, oy, dx, dy, maxDistance, cx, cy, r, hit) {
+  const mx = ox - cx;
+  const my = oy - cy;
+  const c = mx * mx + my * my - r * r;
+  if (c <= 0) return false; // origin inside
+
+  const b = mx * dx + my * dy;
+  if (b >= 0) return false; // pointing away
+
+  const disc = b * b - c;
+  if (disc < 0) return false;
+
+  const t = -b - Math.sqrt(disc);
+  if (t > maxDistance) return false;
+
+  hit.distance = t;
+  hit.nx = (mx + dx * t) / r;
+  hit.ny = (my + dy * t) / r;
+  return true;
+}
+
+/**
+ * Ray (or moving circle, radius > 0) vs an axis-aligned box, e.g. a tile
+ * @param {number} ox - Origin X
+ * @param {number} oy - Origin Y
+ * @param {number} dx - Normalized direction X
+ * @param {number} dy - Normalized direction Y
+ * @param {number} maxDistance - Length of the ray
+ * @param {number} minX - Box left
+ * @param {number} minY - Box top
+ * @param {number} maxX - Box right
+ * @param {number} maxY - Box bottom
+ * @param {number} radius - Inflation radius (0 for plain rays)
+ * @param {{distance:number, nx:number, ny:number}} hit - Output hit
+ * @returns {boolean}
+ */
+export function rayVsBox(
+  ox,
+  oy,
+  dx,
+  dy,
+  maxDistance,
+  minX,
+  minY,
+  maxX,
+  maxY,
+  radius,
+  hit
+) {
+  // Clockwise in screen space, so (edgeY, -edgeX) points outward like collider vertices
+  vertsB[0] = minX;
+  vertsB[1] = minY;
+  vertsB[2] = maxX;
+  vertsB[3] = minY;
+  vertsB[4] = maxX;
+  vertsB[5] = maxY;
+  vertsB[6] = minX;
+  vertsB[7] = maxY;
+  return rayVsPolygon(ox, oy, dx, dy, maxDistance, vertsB, 4, radius, hit);
+}
+
+/**
+ * Ray vs convex polygon, optionally inflated by radius (for circle casts)
+ * Clips the ray against every (offset) edge plane; when inflated and the entry
+ * point falls past an edge's ends, the rounded corners are tested exactly
+ * @param {number} ox - Origin X
+ * @param {number} oy - Origin Y
+ * @param {number} dx - Normalized direction X
+ * @param {number} dy - Normalized direction Y
+ * @param {number} maxDistance - Length of the ray
+ * @param {Float32Array} verts - Polygon vertices [x0, y0, x1, y1, ...]
+ * @param {number} count - Number of vertices
+ * @param {number} radius - Inflation radius (0 for plain rays)
+ * @param {{distance:number, nx:number, ny:number}} hit - Output hit
+ * @returns {boolean}
+ */
+export function rayVsPolygon(
+  ox,
+  oy,
+  dx,
+  dy,
+  maxDistance,
+  verts,
+  count,
+  radius,
+  hit
+) {
+  let tEnter = -Infinity;
+  let tExit = Infinity;
+  let enterEdge = -1;
+  let enterNx = 0;
+  let enterNy = 0;
+
+  for (let k = 0; k < count; k++) {
+    const x0 = verts[k * 2];
+    const y0 = verts[k * 2 + 1];
+    const next = k + 1 === count ? 0 : k + 1;
+    const ex = verts[next * 2] - x0;
+    const ey = verts[next * 2 + 1] - y0;
+    const len = Math.sqrt(ex * ex + ey * ey);
+    if (len === 0) continue;
+    const nx = ey / len;
+    const ny = -ex / len;
+
+    // Signed distance from the origin to the offset edge plane, and its rate along the ray
+    const dist = (ox - x0) * nx + (oy - y0) * ny - radius;
+    const denom = dx * nx + dy * ny;
+
+    if (denom === 0) {
+      if (dist > 0) return false; // parallel and outside
+      continue;
+    }
+
+    const t = -dist / denom;
+    if (denom < 0) {
+      if (t > tEnter) {
+        tEnter = t;
+        enterEdge = k;
+        enterNx = nx;
+        enterNy = ny;
+      }
+    } else if (t < tExit) {
+      tExit = t;
+    }
+    if (tEnter > tExit) return false;
+  }
+
+  // Origin inside (tEnter < 0 <= tExit) or polygon behind the ray
+  if (enterEdge === -1 || tEnter < 0 || tEnter > maxDistance) return false;
+
+  if (radius > 0) {
+    // Entry point pulled back onto the real edge - outside its ends means a rounded corner
+    const x0 = verts[enterEdge * 2];
+    const y0 = verts[enterEdge * 2 + 1];
+    const next = enterEdge + 1 === count ? 0 : enterEdge + 1;
+    const ex = verts[next * 2] - x0;
+    const ey = verts[next * 2 + 1] - y0;
+    const qx = ox + dx * tEnter - enterNx * radius - x0;
+    const qy = oy + dy * tEnter - enterNy * radius - y0;
+    const s = (qx * ex + qy * ey) / (ex * ex + ey * ey);
+    if (s < 0 || s > 1) {
+      return rayVsRoundedCorners(
+        ox,
+        oy,
+        dx,
+        dy,
+        maxDistance,
+        verts,
+        count,
+        radius,
+        hit
+      );
+    }
+  }
+
+  hit.distance = tEnter;
+  hit.nx = enterNx;
+  hit.ny = enterNy;
+  return true;
+}
+
+/**
+ * Exact ray vs inflated polygon: closest hit among the offset edge segments
+ * and the circles around each vertex
+ */
+function rayVsRoundedCorners(
+  ox,
+  oy,
+  dx,
+  dy,
+  maxDistance,
+  verts,
+  count,
+  radius,
+  hit
+) {
+  let best = Infinity;
+
+  for (let k = 0; k < count; k++) {
+    const x0 = verts[k * 2];
+    const y0 = verts[k * 2 + 1];
+
+    if (rayVsCircle(ox, oy, dx, dy, maxDistance, x0, y0, radius, cornerHit)) {
+      if (cornerHit.distance < best) {
+        best = cornerHit.distance;
+        hit.nx = cornerHit.nx;
+        hit.ny = cornerHit.ny;
+      }
+    }
+
+    const next = k + 1 === count ? 0 : k + 1;
+    const ex = verts[next * 2] - x0;
+    const ey = verts[next * 2 + 1] - y0;
+    const len2 = ex * ex + ey * ey;
+    if (len2 === 0) continue;
+    const len = Math.sqrt(len2);
+    const nx = ey / len;
+    const ny = -ex / len;
+
+    const denom = dx * nx + dy * ny;
+    if (denom >= 0) continue; // only front faces
+
+    const dist = (ox - x0) * nx + (oy - y0) * ny - radius;
+    const t = -dist / denom;
+    if (t < 0 || t >= best || t > maxDistance) continue;
+
+    const s =
+      ((ox + dx * t - nx * radius - x0) * ex +
+        (oy + dy * t - ny * radius - y0) * ey) /
+      len2;
+    if (s < 0 || s > 1) continue;
+
+    best = t;
+    hit.nx = nx;
+    hit.ny = ny;
+  }
+
+  if (best === Infinity) return false;
+  hit.distance = best;
+  return true;
+}
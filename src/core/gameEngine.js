@@ -8,9 +8,24 @@ import { Collider } from "../components/Collider.js";
 import { SpriteRenderer } from "../components/SpriteRenderer.js";
 import { ParticleComponent } from "../components/ParticleComponent.js";
 import { ShadowCaster } from "../components/ShadowCaster.js";
+import { Constraint } from "../components/Constraint.js";
 import { SpriteSheetRegistry } from "./SpriteSheetRegistry.js";
-import { setupWorkerCommunication, seededRandom } from "./utils.js";
+import {
+  setupWorkerCommunication,
+  seededRandom,
+  BOUNDARY_MODES,
+} from "./utils.js";
 import { Debug } from "./Debug.js";
+import { Physics } from "./Physics.js";
+import { CONTACT_DATA_STRIDE } from "./collision.js";
+import { Tilemap } from "./Tilemap.js";
+import { Spatial } from "./Spatial.js";
+import { Pathfinding } from "./Pathfinding.js";
+import { FlowField } from "./FlowField.js";
+import { Scene } from "./Scene.js";
+import { Lockstep } from "./Lockstep.js";
+import { FrameSync } from "./FrameSync.js";
+import { SpatialJobs } from "./SpatialJobs.js";
 import { Mouse } from "./Mouse.js";
 import { BigAtlasInspector } from "./BigAtlasInspector.js";
 import { MainThreadLogicHelper } from "./MainThreadLogicHelper.js";
@@ -42,10 +57,24 @@ class GameEngine {
       collisionResponseStrength: 0.5,
       verletDamping: 0.995,
       minSpeedForRotation: 0.1,
+      restitutionCombine: "average", // Collider.restitution of a pair: average | min | max | multiply
+      frictionCombine: "average", // RigidBody.friction of a pair: average | min | max | multiply
+      boundaryMode: "bounce", // World edges: bounce | wrap | open | despawn (per class: static boundaryMode)
+      allowSleeping: false, // Resting bodies stop being simulated until something wakes them
+      sleepThreshold: 0.05, // Max movement per frame (pixels, and radians for rotation) that counts as resting
+      sleepFrames: 60, // Frames a whole island (bodies touching each other) must rest before sleeping
+      maxPolygonVertices: 8, // Per-entity slots in the polygon vertex buffer (0 = no polygons)
+      maxConstraints: 1000, // Distance/spring/rope constraint pool (GameObject.connect)
+      maxPhysicsCommands: 1024, // Physics.applyRadialImpulse & co. queued per frame (command ring slots)
       ...(config.physics || {}),
     };
     this.config.physics.gravity = this.config.physics.gravity ||
       this.config.gravity || { x: 0, y: 0 };
+
+    // Named collision layers (bit index = position, "default" is always bit 0)
+    // Extend with config.physics.collisionLayers or registerCollisionLayer() before init()
+    Collider.setLayerNames(this.config.physics.collisionLayers || []);
+    this.config.physics.collisionLayers = Collider.layerNames;
     this.config.gravity = this.config.physics.gravity;
 
     // State
@@ -57,21 +86,91 @@ class GameEngine {
       y: 0,
     };
 
+    // Deterministic fixed-timestep mode: the main thread drives spatial -> logic -> physics
+    // tickRate: simulated ticks per second, manual: only advance on gameEngine.step()
+    this.config.lockstep = {
+      enabled: false,
+      tickRate: 60,
+      manual: false,
+      ...(config.lockstep || {}),
+    };
+    if (
+      this.config.lockstep.enabled &&
+      this.config.logic?.useMainThreadAsLogicWorker
+    ) {
+      console.warn(
+        "GameEngine: lockstep mode doesn't use the main thread as a logic worker (its frames aren't in step)"
+      );
+      this.config.logic = {
+        ...this.config.logic,
+        useMainThreadAsLogicWorker: false,
+      };
+    }
+    this.lockstepTick = 0; // Last tick issued
+    this.lockstepOutbox = []; // Simulation messages waiting for the next tick
+    this.lockstepPending = null; // Promise of the tick in flight
+    this.lockstepStopped = false;
+
+    // Pipelined frames: spatial/logic/physics keep their own loops but only consume complete
+    // frames of the previous stage (double-buffered neighbors and collisions, see FrameSync)
+    // timeout: max ms a stage waits for the previous one before skipping its frame
+    this.config.pipeline = {
+      enabled: false,
+      timeout: 50,
+      ...(config.pipeline || {}),
+    };
+    if (this.config.pipeline.enabled && this.config.lockstep.enabled) {
+      console.warn(
+        "GameEngine: pipeline mode is ignored in lockstep mode (stages already take turns)"
+      );
+      this.config.pipeline.enabled = false;
+    }
+    if (
+      this.config.pipeline.enabled &&
+      this.config.logic?.useMainThreadAsLogicWorker
+    ) {
+      console.warn(
+        "GameEngine: pipeline mode doesn't use the main thread as a logic worker (it can't block on other stages)"
+      );
+      this.config.logic = {
+        ...this.config.logic,
+        useMainThreadAsLogicWorker: false,
+      };
+    }
+
     // Get number of logic workers from config (default to 1 for backward compatibility)
     // Note: Use ?? instead of || to allow 0 logic workers (main thread only mode)
     this.numberOfLogicWorkers = this.config.logic?.numberOfLogicWorkers ?? 1;
 
+    // Spatial workers splitting the neighbor search (the first one runs the frames, see SpatialJobs)
+    this.numberOfSpatialWorkers = Math.max(
+      1,
+      this.config.spatial?.numberOfWorkers ?? 1
+    );
+
     // Workers
     this.workers = {
       spatial: null,
+      spatialHelpers: [], // Extra spatial workers (spatial.numberOfWorkers > 1)
       logicWorkers: [], // Array of logic workers
       physics: null,
       renderer: null,
       particle: null, // Particle physics worker
+      pathfinding: null, // A* worker (config.pathfinding.enabled)
+      flowField: null, // Flow field worker (config.flowField.goals)
     };
 
     this.pendingPhysicsUpdates = [];
 
+    // Scenes (registerScene / goToScene)
+    this.scenes = {}; // name -> Scene subclass
+    this.currentScene = null; // Scene instance entered last
+    this.nextSceneId = 1; // Every enter gets a fresh id (0 = global entities)
+    this.sceneSwitch = Promise.resolve(); // goToScene() calls run one after another
+    this.pendingSceneSwitches = 0; // Scene tick() is off while > 0
+    this.sceneFadeTween = null; // { from, to, duration, elapsed, resolve } while fading
+    this.pendingAssetLoads = []; // Resolvers waiting for the renderer's "assetsLoaded"
+
     const engine = this;
     this.physics = new Proxy(this.config.physics, {
       get(target, prop) {
@@ -91,6 +190,9 @@ class GameEngine {
       physics: false,
       renderer: false,
     };
+    for (let i = 1; i < this.numberOfSpatialWorkers; i++) {
+      this.workerReadyStates[`spatial${i}`] = false;
+    }
     // Add ready states for each logic worker
     for (let i = 0; i < this.numberOfLogicWorkers; i++) {
       this.workerReadyStates[`logic${i}`] = false;
@@ -100,8 +202,23 @@ class GameEngine {
     if (this.hasParticles) {
       this.workerReadyStates.particle = false;
     }
+    // Add pathfinding worker if configured
+    this.hasPathfinding = !!this.config.pathfinding?.enabled;
+    if (this.hasPathfinding) {
+      this.workerReadyStates.pathfinding = false;
+    }
+    // Add flow field worker if goals are configured
+    this.hasFlowFields = FlowField.getGoalNames(this.config).length > 0;
+    if (this.hasFlowFields) {
+      this.workerReadyStates.flowField = false;
+    }
     this.totalWorkers =
-      3 + this.numberOfLogicWorkers + (this.hasParticles ? 1 : 0);
+      2 +
+      this.numberOfSpatialWorkers +
+      this.numberOfLogicWorkers +
+      (this.hasParticles ? 1 : 0) +
+      (this.hasPathfinding ? 1 : 0) +
+      (this.hasFlowFields ? 1 : 0);
 
     // Shared buffers
     this.buffers = {
@@ -109,11 +226,24 @@ class GameEngine {
       neighborData: null,
       distanceData: null, // Squared distances for each neighbor
       collisionData: null,
+      contactData: null, // Contact normal/point for each collision pair
       inputData: null,
       cameraData: null,
       syncData: null, // Synchronization buffer for logic workers
       jobQueueData: null, // Job queue buffer for dynamic work distribution
+      spatialJobData: null, // Neighbor search jobs (spatial.numberOfWorkers > 1)
       debugData: null, // Debug flags for visualization
+      polygonVertexData: null, // Convex polygon collider vertices (Collider.setPolygon)
+      constraintData: null, // Constraint pool (GameObject.connect)
+      gridData: null, // Spatial grid published for Spatial queries and Physics casts
+      cellFlagsData: null, // Per-cell flags on the spatial grid (config.spatial.cellFlags)
+      pathData: null, // Path request ring + waypoints per entity (config.pathfinding)
+      flowFieldData: null, // Integration + direction field per goal (config.flowField)
+      sceneData: null, // Current scene, transition fade and the scene of each entity
+      tilemapData: null, // Solid tiles (config.tilemap), collided by physics
+      commandData: null, // Command ring: Physics.applyRadialImpulse & co. -> physics worker
+      stepData: null, // Lockstep tick/stage barrier (config.lockstep.enabled)
+      pipeline: null, // Back copies of neighbor/collision data (config.pipeline.enabled)
       // Component buffers (core + custom components auto-registered)
       componentData: {
         Transform: null,
@@ -269,6 +399,7 @@ class GameEngine {
     // Frame timing
     this.lastFrameTime = performance.now();
     this.updateRate = 1000 / 60; // 60 fps
+    this.workerStats = {}; // Last FPS report of each worker (fps + worker-specific numbers)
 
     // Initialization promise
     this.readyPromise = new Promise((resolve) => {
@@ -315,12 +446,24 @@ class GameEngine {
       return;
     }
 
+    if (
+      EntityClass.boundaryMode &&
+      !BOUNDARY_MODES.includes(EntityClass.boundaryMode)
+    ) {
+      console.warn(
+        `⚠️ ${EntityClass.name}: unknown boundaryMode "${
+          EntityClass.boundaryMode
+        }" (expected ${BOUNDARY_MODES.join(" | ")}), using the global one`
+      );
+    }
+
     const startIndex = this.totalEntityCount;
 
     // AUTO-ASSIGN ENTITY TYPE ID
     // Sequential ID assignment: 0 = Mouse, 1 = first registered class, 2 = second, etc.
     const entityTypeId = this.registeredClasses.length;
     EntityClass.entityType = entityTypeId;
+    Spatial.registerEntityClass(EntityClass);
 
     // DENSE ALLOCATION: Just register custom components (no index tracking needed)
     // All components will have slots for ALL entities (entityIndex === componentIndex)
@@ -365,6 +508,29 @@ class GameEngine {
     // );
   }
 
+  /**
+   * Register a named collision layer (must be called before init())
+   * Game code then uses collider.setLayer("name") / collider.setMask([...])
+   * @param {string} name - Layer name
+   * @returns {number} Layer bit
+   */
+  registerCollisionLayer(name) {
+    if (!Collider.layerNames.includes(name)) {
+      Collider.setLayerNames([...Collider.layerNames, name]);
+      this.config.physics.collisionLayers = Collider.layerNames;
+    }
+    return Collider.getLayerBit(name);
+  }
+
+  /**
+   * Get the bit for a named collision layer
+   * @param {string} name - Layer name
+   * @returns {number} Layer bit
+   */
+  getLayerBit(name) {
+    return Collider.getLayerBit(name);
+  }
+
   /**
    * Convert a full URL (from import.meta.url) to an absolute path
    * @param {string} url - Full URL like "http://localhost:3000/demos/predators/prey.js"
@@ -381,6 +547,59 @@ class GameEngine {
     }
   }
 
+  /**
+   * Turn a class's static neighborQuery into plain data for the spatial worker
+   * types (classes or class names) become entity type IDs, subclasses included
+   * @param {Class} EntityClass
+   * @returns {Object|null} - { types: number[] | null, sortByDistance, k } (k 0 = maxNeighbors)
+   * @private
+   */
+  _resolveNeighborQuery(EntityClass) {
+    const query = EntityClass.neighborQuery;
+    if (!query) return null;
+
+    let types = null;
+    if (query.types) {
+      const names = query.types.map((T) =>
+        typeof T === "string" ? T : T.name
+      );
+      for (const name of names) {
+        if (!this.registeredClasses.some((r) => r.class.name === name)) {
+          console.warn(
+            `⚠️ ${EntityClass.name}: neighborQuery type "${name}" is not registered`
+          );
+        }
+      }
+
+      // By name up the chain, like registration (same ES module edge cases)
+      types = [];
+      for (const r of this.registeredClasses) {
+        let current = r.class;
+        while (current && current !== GameObject) {
+          if (names.includes(current.name)) {
+            types.push(r.entityType);
+            break;
+          }
+          current = Object.getPrototypeOf(current);
+        }
+      }
+    }
+
+    const maxNeighbors =
+      this.config.spatial?.maxNeighbors || this.config.maxNeighbors || 100;
+    if (query.k > maxNeighbors) {
+      console.warn(
+        `⚠️ ${EntityClass.name}: neighborQuery.k ${query.k} is over spatial.maxNeighbors (${maxNeighbors}), using ${maxNeighbors}`
+      );
+    }
+
+    return {
+      types,
+      sortByDistance: !!query.sortByDistance,
+      k: Math.min(query.k || 0, maxNeighbors),
+    };
+  }
+
   /**
    * Auto-detect and register parent classes in the inheritance chain
    * This ensures base classes are registered even if they have 0 instances
@@ -424,6 +643,7 @@ class GameEngine {
         // Assign entity type ID to parent class
         const entityTypeId = this.registeredClasses.length;
         ParentClass.entityType = entityTypeId;
+        Spatial.registerEntityClass(ParentClass);
 
         // Parent classes don't get script paths automatically
         // Developer must explicitly register base classes that workers need to load
@@ -551,7 +771,16 @@ class GameEngine {
     // Neighbor data buffer (create before initializing GameObject)
     const maxNeighbors =
       this.config.spatial?.maxNeighbors || this.config.maxNeighbors || 100;
-    const NEIGHBOR_BUFFER_SIZE = this.totalEntityCount * (1 + maxNeighbors) * 4;
+    // [count, id1, ..., id_MAX] per entity; with any neighborQuery class, a second
+    // half laid out the same holds their unfiltered collision candidates
+    const hasNeighborQuery = this.registeredClasses.some(
+      (r) => r.class.neighborQuery
+    );
+    const NEIGHBOR_BUFFER_SIZE =
+      this.totalEntityCount *
+      (1 + maxNeighbors) *
+      4 *
+      (hasNeighborQuery ? 2 : 1);
     this.buffers.neighborData = new SharedArrayBuffer(NEIGHBOR_BUFFER_SIZE);
 
     // Distance data buffer (stores squared distances for each neighbor)
@@ -566,6 +795,15 @@ class GameEngine {
       this.buffers.distanceData
     );
 
+    // Pipeline mode: second copy of the neighbor lists (spatial fills one while the
+    // other is read), collision copies are added below
+    if (this.config.pipeline.enabled) {
+      this.buffers.pipeline = {
+        neighborData: new SharedArrayBuffer(NEIGHBOR_BUFFER_SIZE),
+        distanceData: new SharedArrayBuffer(DISTANCE_BUFFER_SIZE),
+      };
+    }
+
     // 2. Create Component buffers
     // SIMPLIFIED: ALL components are allocated for ALL entities (dense allocation)
     // This means entity index === component index, making code much simpler
@@ -683,6 +921,11 @@ class GameEngine {
     // Pre-initialize entityType values (MUST be after Transform initialization!)
     this.preInitializeEntityTypeArrays();
 
+    // Default collision filtering: "default" layer, collides with everything
+    // (setup() runs later in the logic workers and may override per class)
+    Collider.collisionLayer.fill(1);
+    Collider.collisionMask.fill(Collider.ALL_LAYERS);
+
     // Mouse is always at index 0 (registered first), no configuration needed
 
     // Collision data buffer (for Unity-style collision detection)
@@ -695,6 +938,135 @@ class GameEngine {
     this.views.collision = new Int32Array(this.buffers.collisionData);
     this.views.collision[0] = 0; // Initialize pair count to 0
 
+    // Contact data for each pair above (normal, point, time of impact)
+    this.buffers.contactData = new SharedArrayBuffer(
+      maxCollisionPairs * CONTACT_DATA_STRIDE * 4
+    );
+    if (this.buffers.pipeline) {
+      this.buffers.pipeline.collisionData = new SharedArrayBuffer(
+        COLLISION_BUFFER_SIZE
+      );
+      this.buffers.pipeline.contactData = new SharedArrayBuffer(
+        maxCollisionPairs * CONTACT_DATA_STRIDE * 4
+      );
+    }
+
+    // Polygon vertex buffer (local-space x,y pairs for polygon colliders)
+    // DENSE: every entity owns maxPolygonVertices slots, so any worker can call
+    // Collider.setPolygon() without coordinating allocations
+    const maxPolygonVertices = Math.min(
+      this.config.physics.maxPolygonVertices || 0,
+      Collider.MAX_POLYGON_VERTICES
+    );
+    if (maxPolygonVertices > 0) {
+      this.buffers.polygonVertexData = new SharedArrayBuffer(
+        Collider.getPolygonBufferSize(this.totalEntityCount, maxPolygonVertices)
+      );
+      Collider.initializePolygonBuffer(
+        this.buffers.polygonVertexData,
+        maxPolygonVertices
+      );
+      console.log(
+        `   🔷 Polygon vertices: ${this.buffers.polygonVertexData.byteLength} bytes (${maxPolygonVertices} vertices/entity)`
+      );
+    }
+
+    // Constraint buffer (separate pool like particles, NOT entity-based)
+    const maxConstraints = this.config.physics.maxConstraints || 0;
+    if (maxConstraints > 0) {
+      this.buffers.constraintData = new SharedArrayBuffer(
+        Constraint.getBufferSize(maxConstraints)
+      );
+      Constraint.initializeArrays(this.buffers.constraintData, maxConstraints);
+      Constraint.constraintCount = maxConstraints;
+      console.log(
+        `   🔗 Constraints: ${this.buffers.constraintData.byteLength} bytes for ${maxConstraints} constraints (separate pool)`
+      );
+    }
+
+    // Spatial grid buffer (written by the spatial worker, read by Spatial queries and Physics casts)
+    this.buffers.gridData = new SharedArrayBuffer(
+      Spatial.getBufferSize(this.config, this.totalEntityCount)
+    );
+    Spatial.initialize(
+      this.buffers.gridData,
+      this.config,
+      this.totalEntityCount
+    );
+    console.log(
+      `   🧭 Spatial grid: ${this.buffers.gridData.byteLength} bytes (${Spatial.gridCols}x${Spatial.gridRows} cells)`
+    );
+
+    // Cell flags (blocked, slow, water...), one byte per grid cell.
+    // Always allocated so game code can flag cells at runtime; filled in createWorkers()
+    this.buffers.cellFlagsData = new SharedArrayBuffer(
+      Spatial.getCellFlagsBufferSize(this.config)
+    );
+    Spatial.initializeCellFlags(this.buffers.cellFlagsData);
+
+    // Path requests and waypoints (written by logic and the pathfinding worker)
+    if (this.hasPathfinding) {
+      this.buffers.pathData = new SharedArrayBuffer(
+        Pathfinding.getBufferSize(this.config, this.totalEntityCount)
+      );
+      Pathfinding.initialize(
+        this.buffers.pathData,
+        this.config,
+        this.totalEntityCount
+      );
+      console.log(
+        `   🧭 Pathfinding: ${this.buffers.pathData.byteLength} bytes (${Pathfinding.capacity} request slots, ${Pathfinding.maxWaypoints} waypoints per entity)`
+      );
+    }
+
+    // Flow fields (written by the flow field worker, sampled by followers)
+    if (this.hasFlowFields) {
+      this.buffers.flowFieldData = new SharedArrayBuffer(
+        FlowField.getBufferSize(this.config)
+      );
+      FlowField.initialize(this.buffers.flowFieldData, this.config);
+      console.log(
+        `   🧭 Flow fields: ${this.buffers.flowFieldData.byteLength} bytes (${FlowField.goalNames.length} goals)`
+      );
+    }
+
+    // Scene of each entity (stamped on spawn from any thread) + transition fade
+    this.buffers.sceneData = new SharedArrayBuffer(
+      Scene.getBufferSize(this.totalEntityCount)
+    );
+    Scene.initialize(this.buffers.sceneData, this.totalEntityCount);
+
+    // Physics command ring (written from any thread, drained by the physics worker)
+    const maxPhysicsCommands = this.config.physics.maxPhysicsCommands || 1;
+    this.buffers.commandData = new SharedArrayBuffer(
+      Physics.getCommandBufferSize(maxPhysicsCommands)
+    );
+    Physics.initializeCommands(this.buffers.commandData, maxPhysicsCommands);
+    console.log(
+      `   💥 Physics commands: ${this.buffers.commandData.byteLength} bytes (${Physics.commandCapacity} slots)`
+    );
+
+    // Tilemap buffer (static solid tiles, one byte each)
+    const tilemapLayout = Tilemap.getLayout(this.config);
+    if (tilemapLayout) {
+      this.buffers.tilemapData = new SharedArrayBuffer(
+        Tilemap.getBufferSize(tilemapLayout.cols, tilemapLayout.rows)
+      );
+      Tilemap.initialize(this.buffers.tilemapData, this.config);
+      Tilemap.load(this.config.tilemap.tiles);
+
+      // Tiles now live in the buffer - don't copy them to every worker
+      this.config.tilemap = {
+        ...this.config.tilemap,
+        cols: tilemapLayout.cols,
+        rows: tilemapLayout.rows,
+        tiles: null,
+      };
+      console.log(
+        `   🧱 Tilemap: ${tilemapLayout.cols}x${tilemapLayout.rows} tiles of ${tilemapLayout.tileSize}px`
+      );
+    }
+
     const INPUT_BUFFER_SIZE = this.inputBufferSize * 4; // 4 bytes per Int32
     this.buffers.inputData = new SharedArrayBuffer(INPUT_BUFFER_SIZE);
     this.views.input = new Int32Array(this.buffers.inputData);
@@ -721,7 +1093,8 @@ class GameEngine {
     // [2]: Total number of logic workers (including main thread if job stealing enabled)
     // [3]: Barrier flag for Atomics.wait/notify
     // [4]: Main thread active flag (1 = active/visible, 0 = inactive/hidden tab)
-    const SYNC_BUFFER_SIZE = 5 * 4;
+    // [5-12]: Pipeline mode front copies, readers and frame counters (see FrameSync)
+    const SYNC_BUFFER_SIZE = FrameSync.SYNC_SLOTS * 4;
     this.buffers.syncData = new SharedArrayBuffer(SYNC_BUFFER_SIZE);
     const syncView = new Int32Array(this.buffers.syncData);
     syncView[0] = 0; // Initialize frame counter
@@ -736,6 +1109,20 @@ class GameEngine {
     syncView[2] = totalWorkers; // Total workers (logic workers + main thread if enabled)
     syncView[3] = 0; // Barrier flag
     syncView[4] = 1; // Main thread active (starts active)
+    FrameSync.initialize(this.buffers.syncData, this.config);
+
+    // Lockstep barrier: tick number, current stage, message counters per worker
+    if (this.config.lockstep.enabled) {
+      this.buffers.stepData = new SharedArrayBuffer(
+        Lockstep.getBufferSize(this.numberOfLogicWorkers)
+      );
+      Lockstep.initialize(this.buffers.stepData);
+      Lockstep.reset(
+        this.numberOfLogicWorkers,
+        this.hasPathfinding,
+        this.hasFlowFields
+      );
+    }
 
     // Job queue buffer for dynamic work distribution
     // [0]: Current job index (atomically incremented by workers)
@@ -764,6 +1151,19 @@ class GameEngine {
     //   `📋 Created ${totalJobs} jobs (${entitiesPerJob} entities per job)`
     // );
 
+    // Neighbor search jobs shared by the spatial workers (see SpatialJobs)
+    if (this.numberOfSpatialWorkers > 1) {
+      const spatialEntitiesPerJob =
+        this.config.spatial?.numberOfEntitiesPerJob || 500;
+      this.buffers.spatialJobData = new SharedArrayBuffer(
+        SpatialJobs.getBufferSize(
+          Math.ceil(this.totalEntityCount / spatialEntitiesPerJob)
+        )
+      );
+      SpatialJobs.initialize(this.buffers.spatialJobData);
+      SpatialJobs.reset(this.totalEntityCount, spatialEntitiesPerJob);
+    }
+
     // Center camera on world
     const worldCenterX =
       this.config.worldWidth / 2 - this.config.canvasWidth / 2;
@@ -980,6 +1380,16 @@ class GameEngine {
       { type: "module" }
     );
 
+    // Extra spatial workers only take neighbor search jobs
+    for (let i = 1; i < this.numberOfSpatialWorkers; i++) {
+      const spatialWorker = new Worker(
+        `/src/workers/spatial_worker.js${cacheBust}`,
+        { type: "module" }
+      );
+      spatialWorker.name = `spatial${i}`;
+      this.workers.spatialHelpers.push(spatialWorker);
+    }
+
     // Create multiple logic workers based on config
     for (let i = 0; i < this.numberOfLogicWorkers; i++) {
       const logicWorker = new Worker(
@@ -1008,6 +1418,24 @@ class GameEngine {
       this.workers.particle.name = "particle";
     }
 
+    // Create pathfinding worker if configured
+    if (this.hasPathfinding) {
+      this.workers.pathfinding = new Worker(
+        `/src/workers/pathfinding_worker.js${cacheBust}`,
+        { type: "module" }
+      );
+      this.workers.pathfinding.name = "pathfinding";
+    }
+
+    // Create flow field worker if goals are configured
+    if (this.hasFlowFields) {
+      this.workers.flowField = new Worker(
+        `/src/workers/flowfield_worker.js${cacheBust}`,
+        { type: "module" }
+      );
+      this.workers.flowField.name = "flowField";
+    }
+
     this.workers.spatial.name = "spatial";
     this.workers.physics.name = "physics";
     this.workers.renderer.name = "renderer";
@@ -1017,6 +1445,13 @@ class GameEngine {
     const spritesheetConfigs = this.imageUrls.spritesheets || {};
     await this.preloadAssets(this.imageUrls, spritesheetConfigs);
 
+    // Cell flags from config (may be an image) - before any worker reads them
+    if (this.config.spatial?.cellFlags) {
+      await Spatial.loadCellFlags(this.config.spatial.cellFlags);
+      // Flags now live in the buffer - don't copy them (or an image) to every worker
+      this.config.spatial = { ...this.config.spatial, cellFlags: null };
+    }
+
     // Collect unique script paths for workers (filter out nulls/undefined)
     // Supports: absolute paths (/demos/...), relative paths (../../demos/...), and URLs (http://...)
     const scriptsToLoad = [
@@ -1053,11 +1488,24 @@ class GameEngine {
         neighborData: this.buffers.neighborData,
         distanceData: this.buffers.distanceData,
         collisionData: this.buffers.collisionData,
+        contactData: this.buffers.contactData, // Contact normal/point per collision pair
         inputData: this.buffers.inputData,
         cameraData: this.buffers.cameraData,
         syncData: this.buffers.syncData, // Synchronization buffer for logic workers
         jobQueueData: this.buffers.jobQueueData, // Job queue for dynamic work distribution
+        spatialJobData: this.buffers.spatialJobData, // Neighbor search jobs (null with one spatial worker)
         debugData: this.buffers.debugData, // Debug visualization flags
+        polygonVertexData: this.buffers.polygonVertexData, // Polygon collider vertices
+        constraintData: this.buffers.constraintData, // Entity-to-entity constraints
+        gridData: this.buffers.gridData, // Spatial grid for queries and raycasts
+        cellFlagsData: this.buffers.cellFlagsData, // Per-cell flags (blocked, slow, water...)
+        pathData: this.buffers.pathData, // Path requests and waypoints (null without pathfinding)
+        flowFieldData: this.buffers.flowFieldData, // Flow fields (null without goals)
+        sceneData: this.buffers.sceneData, // Current scene + scene of each entity
+        tilemapData: this.buffers.tilemapData, // Static solid tiles
+        commandData: this.buffers.commandData, // Physics command ring
+        stepData: this.buffers.stepData, // Lockstep barrier (null when off)
+        pipeline: this.buffers.pipeline, // Back copies for pipeline mode (null when off)
         // Component buffers
         componentData: this.buffers.componentData,
       },
@@ -1070,6 +1518,15 @@ class GameEngine {
         startIndex: r.startIndex,
         entityType: r.entityType, // Auto-assigned entity type ID
         components: r.components.map((c) => c.name), // Component names
+        // Optional neighbor filter: static neighborLayers = ["prey", "wall"]
+        neighborMask:
+          r.class.neighborLayers !== undefined
+            ? Collider.getLayerMask(r.class.neighborLayers)
+            : Collider.ALL_LAYERS,
+        // Optional per-class world edge behavior: static boundaryMode = "wrap"
+        boundaryMode: r.class.boundaryMode ?? null,
+        // Optional: static neighborQuery = { types: [Prey], sortByDistance: true, k: 16 }
+        neighborQuery: this._resolveNeighborQuery(r.class),
         // Note: componentIndices no longer needed - dense allocation means entityIndex === componentIndex
       })),
       // Component pool sizes (all pools have totalEntityCount slots - dense allocation)
@@ -1124,8 +1581,11 @@ class GameEngine {
         : null,
     };
 
-    // Initialize spatial worker (no ports needed for now)
+    // Initialize spatial workers (no ports needed for now)
     this.workers.spatial.postMessage(initData);
+    this.workers.spatialHelpers.forEach((worker, i) => {
+      worker.postMessage({ ...initData, workerIndex: i + 1 });
+    });
 
     // Initialize logic workers (using job-based system - no static ranges)
     for (let i = 0; i < this.numberOfLogicWorkers; i++) {
@@ -1156,6 +1616,16 @@ class GameEngine {
       this.workers.particle.postMessage(initData);
     }
 
+    // Initialize pathfinding worker if configured
+    if (this.hasPathfinding && this.workers.pathfinding) {
+      this.workers.pathfinding.postMessage(initData);
+    }
+
+    // Initialize flow field worker if goals are configured
+    if (this.hasFlowFields && this.workers.flowField) {
+      this.workers.flowField.postMessage(initData);
+    }
+
     // Initialize renderer worker (transfer canvas, textures, spritesheets, and ports)
     const offscreenCanvas = this.canvas.transferControlToOffscreen();
 
@@ -1184,12 +1654,19 @@ class GameEngine {
     // Setup message handlers for all workers
     const allWorkers = [
       this.workers.spatial,
+      ...this.workers.spatialHelpers,
       ...this.workers.logicWorkers,
       this.workers.physics,
       this.workers.renderer,
       ...(this.hasParticles && this.workers.particle
         ? [this.workers.particle]
         : []),
+      ...(this.hasPathfinding && this.workers.pathfinding
+        ? [this.workers.pathfinding]
+        : []),
+      ...(this.hasFlowFields && this.workers.flowField
+        ? [this.workers.flowField]
+        : []),
     ];
 
     for (let worker of allWorkers) {
@@ -1216,6 +1693,7 @@ class GameEngine {
     // const fromWorker = this.workers[e.currentTarget.name];
 
     if (e.data.msg === "fps") {
+      this.workerStats[e.currentTarget.name] = e.data;
       this.updateFPS(
         e.currentTarget.name,
         e.data.fps,
@@ -1230,6 +1708,9 @@ class GameEngine {
       });
     } else if (e.data.msg === "workerReady") {
       this.handleWorkerReady(e.currentTarget.name);
+    } else if (e.data.msg === "assetsLoaded") {
+      const resolve = this.pendingAssetLoads.shift();
+      if (resolve) resolve();
     }
   }
 
@@ -1280,12 +1761,19 @@ class GameEngine {
 
     const allWorkers = [
       this.workers.spatial,
+      ...this.workers.spatialHelpers,
       ...this.workers.logicWorkers,
       this.workers.physics,
       this.workers.renderer,
       ...(this.hasParticles && this.workers.particle
         ? [this.workers.particle]
         : []),
+      ...(this.hasPathfinding && this.workers.pathfinding
+        ? [this.workers.pathfinding]
+        : []),
+      ...(this.hasFlowFields && this.workers.flowField
+        ? [this.workers.flowField]
+        : []),
     ];
 
     for (const worker of allWorkers) {
@@ -1298,6 +1786,10 @@ class GameEngine {
     this.spawnEntity("Mouse", {});
     // console.log("🖱️ Mouse entity spawned for spatial tracking");
 
+    if (this.config.lockstep.enabled && !this.config.lockstep.manual) {
+      this.runLockstep();
+    }
+
     // console.log("✅ All workers started synchronously!");
   }
 
@@ -1315,14 +1807,109 @@ class GameEngine {
       this.workerReadyStates &&
       this.workerReadyStates.physics
     ) {
-      this.workers.physics.postMessage({
-        msg: "updatePhysicsConfig",
-        config: updatePayload,
-      });
+      this.postSimulationMessage(
+        this.workers.physics,
+        Lockstep.STAGES.PHYSICS,
+        0,
+        {
+          msg: "updatePhysicsConfig",
+          config: updatePayload,
+        }
+      );
     } else {
       this.pendingPhysicsUpdates.push(updatePayload);
     }
   }
+
+  /**
+   * Send a message that changes the simulation to a spatial/logic/physics worker
+   * In lockstep mode it's held back and delivered stamped with the next tick,
+   * so it lands on the same tick in every run
+   * @param {Worker} worker
+   * @param {number} stage - Lockstep.STAGES value of that worker
+   * @param {number} workerIndex - Logic worker index (0 for the others)
+   * @param {Object} message
+   */
+  postSimulationMessage(worker, stage, workerIndex, message) {
+    if (!this.config.lockstep.enabled) {
+      worker.postMessage(message);
+      return;
+    }
+    this.lockstepOutbox.push({ worker, stage, workerIndex, message });
+  }
+
+  /**
+   * Advance the simulation by one fixed tick (lockstep mode)
+   * Runs automatically at config.lockstep.tickRate unless lockstep.manual is set;
+   * call it yourself for tests, replays or networked lockstep
+   * @returns {Promise<number>} Resolves with the tick number once physics finished it
+   */
+  step() {
+    if (!Lockstep.stepData) {
+      console.warn("GameEngine.step() needs config.lockstep.enabled");
+      return Promise.resolve(this.lockstepTick);
+    }
+    // One tick at a time: callers during a tick wait for that one
+    if (!this.lockstepPending) {
+      this.lockstepPending = this.runLockstepTick().then((tick) => {
+        this.lockstepPending = null;
+        return tick;
+      });
+    }
+    return this.lockstepPending;
+  }
+
+  /**
+   * Deliver this tick's messages, start it and wait until every stage ran
+   * @returns {Promise<number>}
+   * @private
+   */
+  async runLockstepTick() {
+    const tick = ++this.lockstepTick;
+
+    // Counters go up before the tick starts, so workers know what to wait for
+    for (const { worker, stage, workerIndex, message } of this.lockstepOutbox) {
+      worker.postMessage({ ...message, lockstepTick: tick });
+      Atomics.add(
+        Lockstep.stepData,
+        Lockstep.getMessageCounter(stage, workerIndex),
+        1
+      );
+    }
+    this.lockstepOutbox = [];
+
+    Lockstep.beginTick(tick);
+    let stage;
+    while (
+      (stage = Atomics.load(Lockstep.stepData, Lockstep.STAGE)) !==
+      Lockstep.STAGES.IDLE
+    ) {
+      await Lockstep.waitForChange(Lockstep.STAGE, stage);
+    }
+    return tick;
+  }
+
+  /**
+   * Issue ticks at config.lockstep.tickRate (skipped while paused)
+   * Slow ticks slow the simulation down instead of making it less precise
+   * @private
+   */
+  async runLockstep() {
+    const tickDuration = Lockstep.getTickDuration(this.config);
+    let nextTickTime = performance.now();
+
+    while (!this.lockstepStopped) {
+      if (!this.state.pause) await this.step();
+
+      nextTickTime += tickDuration;
+      const now = performance.now();
+      // Far behind (hidden tab, heavy ticks): don't catch up in a burst
+      if (now - nextTickTime > tickDuration * 5) nextTickTime = now;
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.max(0, nextTickTime - now))
+      );
+    }
+  }
   updateFPS(id, fps, activeEntities, data = {}) {
     const element = document.getElementById(id + "FPS");
     if (element) {
@@ -1335,6 +1922,19 @@ class GameEngine {
         const visible =
           (data.visibleEntities || 0) + (data.visibleParticles || 0);
         element.textContent = `${baseText}: ${fps} FPS (${data.drawCalls} draw calls, ${visible} visible)`;
+      } else if (id === "spatial" && data.neighborTime !== undefined) {
+        // Spatial worker - show structure and neighbor search time
+        const workers =
+          this.numberOfSpatialWorkers > 1
+            ? `, ${this.numberOfSpatialWorkers} workers`
+            : "";
+        element.textContent = `${baseText}: ${fps} FPS (${data.structure}${workers}, neighbors ${data.neighborTime} ms)`;
+      } else if (id === "pathfinding" && data.solvedPaths !== undefined) {
+        // Pathfinding worker - show paths solved since the last report and backlog
+        element.textContent = `${baseText}: ${fps} FPS (${data.solvedPaths} paths, ${data.queuedPaths} queued, ${data.searchTime} ms)`;
+      } else if (id === "flowField" && data.builtFields !== undefined) {
+        // Flow field worker - show fields rebuilt since the last report
+        element.textContent = `${baseText}: ${fps} FPS (${data.builtFields} fields, ${data.buildTime} ms)`;
       } else if (activeEntities !== undefined) {
         element.textContent = `${baseText}: ${fps} FPS (${activeEntities} active)`;
       } else {
@@ -1561,6 +2161,15 @@ class GameEngine {
 
     this.updateCameraBuffer();
 
+    this.updateSceneFade(deltaTime);
+    if (
+      this.currentScene &&
+      !this.state.pause &&
+      this.pendingSceneSwitches === 0
+    ) {
+      this.currentScene.tick(dtRatio);
+    }
+
     // Main thread job stealing: help workers by processing entity jobs
     if (this.mainThreadHelper) {
       this.mainThreadHelper.processJobs(deltaTime, dtRatio);
@@ -1583,14 +2192,22 @@ class GameEngine {
 
   // Cleanup
   destroy() {
+    this.lockstepStopped = true;
     const allWorkers = [
       this.workers.spatial,
+      ...this.workers.spatialHelpers,
       ...this.workers.logicWorkers,
       this.workers.physics,
       this.workers.renderer,
       ...(this.hasParticles && this.workers.particle
         ? [this.workers.particle]
         : []),
+      ...(this.hasPathfinding && this.workers.pathfinding
+        ? [this.workers.pathfinding]
+        : []),
+      ...(this.hasFlowFields && this.workers.flowField
+        ? [this.workers.flowField]
+        : []),
     ];
 
     allWorkers.forEach((worker) => {
@@ -1608,12 +2225,19 @@ class GameEngine {
     this.state.pause = true;
     const allWorkers = [
       this.workers.spatial,
+      ...this.workers.spatialHelpers,
       ...this.workers.logicWorkers,
       this.workers.physics,
       this.workers.renderer,
       ...(this.hasParticles && this.workers.particle
         ? [this.workers.particle]
         : []),
+      ...(this.hasPathfinding && this.workers.pathfinding
+        ? [this.workers.pathfinding]
+        : []),
+      ...(this.hasFlowFields && this.workers.flowField
+        ? [this.workers.flowField]
+        : []),
     ];
 
     allWorkers.forEach((worker) => {
@@ -1625,12 +2249,19 @@ class GameEngine {
     this.state.pause = false;
     const allWorkers = [
       this.workers.spatial,
+      ...this.workers.spatialHelpers,
       ...this.workers.logicWorkers,
       this.workers.physics,
       this.workers.renderer,
       ...(this.hasParticles && this.workers.particle
         ? [this.workers.particle]
         : []),
+      ...(this.hasPathfinding && this.workers.pathfinding
+        ? [this.workers.pathfinding]
+        : []),
+      ...(this.hasFlowFields && this.workers.flowField
+        ? [this.workers.flowField]
+        : []),
     ];
 
     allWorkers.forEach((worker) => {
@@ -1652,8 +2283,8 @@ class GameEngine {
     // If we have logic workers, broadcast to them
     if (this.workers.logicWorkers && this.workers.logicWorkers.length > 0) {
       // Broadcast to all logic workers - each worker manages its own entity range
-      this.workers.logicWorkers.forEach((worker) => {
-        worker.postMessage({
+      this.workers.logicWorkers.forEach((worker, i) => {
+        this.postSimulationMessage(worker, Lockstep.STAGES.LOGIC, i, {
           msg: "spawn",
           className: className,
           spawnConfig: spawnConfig,
@@ -1678,8 +2309,8 @@ class GameEngine {
     // If we have logic workers, broadcast to them
     if (this.workers.logicWorkers && this.workers.logicWorkers.length > 0) {
       // Broadcast to all logic workers - each worker despawns entities in its range
-      this.workers.logicWorkers.forEach((worker) => {
-        worker.postMessage({
+      this.workers.logicWorkers.forEach((worker, i) => {
+        this.postSimulationMessage(worker, Lockstep.STAGES.LOGIC, i, {
           msg: "despawnAll",
           className: className,
         });
@@ -1694,6 +2325,220 @@ class GameEngine {
     }
   }
 
+  /**
+   * Despawn every entity of a scene (the one that's exiting)
+   *
+   * @param {number} sceneId - Scene.sceneIds value of its entities
+   */
+  despawnSceneEntities(sceneId) {
+    if (this.workers.logicWorkers && this.workers.logicWorkers.length > 0) {
+      // Each worker despawns the ones it owns
+      this.workers.logicWorkers.forEach((worker, i) => {
+        this.postSimulationMessage(worker, Lockstep.STAGES.LOGIC, i, {
+          msg: "despawnScene",
+          sceneId: sceneId,
+        });
+      });
+    } else if (this.mainThreadHelper) {
+      this.mainThreadHelper.despawnScene(sceneId);
+    }
+  }
+
+  /**
+   * Register a scene so goToScene() can switch to it
+   *
+   * @param {string} name - Scene name
+   * @param {Class} SceneClass - The class (must extend Scene)
+   *
+   * @example
+   * gameEngine.registerScene("menu", MenuScene);
+   * gameEngine.registerScene("level1", Level1Scene);
+   */
+  registerScene(name, SceneClass) {
+    if (!(SceneClass.prototype instanceof Scene)) {
+      console.error(`❌ Scene "${name}": ${SceneClass.name} must extend Scene`);
+      return;
+    }
+    this.scenes[name] = SceneClass;
+  }
+
+  /**
+   * Switch to a registered scene (call it after init() resolved)
+   * The current scene exits: its entities are despawned and its assets unloaded.
+   * Then the new scene's assets are loaded and it enters. With the fade transition
+   * the overlay covers the screen before the switch and uncovers it after; every
+   * worker keeps running underneath, but scene tick()s stop until the switch is
+   * over. Calls made during a switch wait for it
+   *
+   * @param {string} name - Name given to registerScene()
+   * @param {Object} options
+   * @param {string} options.transition - "fade" or "none" (default "fade")
+   * @param {number} options.duration - Fade time in ms, half out and half in (default 500)
+   * @param {number} options.color - Fade color (default 0x000000)
+   * @param {*} options.data - Passed to the scene's enter()
+   * @returns {Promise<Scene|null>} The entered scene, once the transition ended
+   *
+   * @example
+   * await gameEngine.goToScene("level2", { data: { score } });
+   */
+  goToScene(name, options = {}) {
+    const SceneClass = this.scenes[name];
+    if (!SceneClass) {
+      console.error(
+        `❌ Unknown scene "${name}". Registered: ${Object.keys(
+          this.scenes
+        ).join(", ")}`
+      );
+      return Promise.resolve(null);
+    }
+
+    // A failed switch shouldn't block the next ones
+    this.pendingSceneSwitches++;
+    this.sceneSwitch = this.sceneSwitch
+      .catch(() => {})
+      .then(() => this.switchScene(name, SceneClass, options))
+      .finally(() => this.pendingSceneSwitches--);
+    return this.sceneSwitch;
+  }
+
+  /**
+   * Exit the current scene and enter a new one (goToScene does the queueing)
+   * @private
+   */
+  async switchScene(name, SceneClass, options) {
+    const {
+      transition = "fade",
+      duration = 500,
+      color = 0x000000,
+      data,
+    } = options;
+    const fade = transition === "fade" && duration > 0;
+
+    if (fade) {
+      Scene.fadeColor = color;
+      await this.fadeScene(1, duration / 2);
+    }
+
+    const scene = new SceneClass(this, name);
+    scene.id = this.nextSceneId;
+    this.nextSceneId = this.nextSceneId === 0xffff ? 1 : this.nextSceneId + 1;
+
+    // New spawns belong to the new scene from now on, so anything the old one
+    // spawns before its despawn message arrives is still despawned by it
+    Scene.currentId = scene.id;
+
+    const previous = this.currentScene;
+    this.currentScene = null;
+    if (previous) {
+      previous.exit();
+      this.despawnSceneEntities(previous.id);
+      this.unloadSceneAssets(previous.assetNames);
+    }
+
+    scene.assetNames = await this.loadSceneAssets(SceneClass.assets);
+    scene.enter(data);
+    this.currentScene = scene;
+
+    if (fade) {
+      await this.fadeScene(0, duration / 2);
+    }
+    return scene;
+  }
+
+  /**
+   * Animate the transition overlay (the renderer reads Scene.fade every frame)
+   * @param {number} to - Target opacity (0-1)
+   * @param {number} duration - ms
+   * @returns {Promise} Resolves when it gets there
+   */
+  fadeScene(to, duration) {
+    if (this.sceneFadeTween) this.sceneFadeTween.resolve();
+    return new Promise((resolve) => {
+      this.sceneFadeTween = {
+        from: Scene.fade,
+        to: to,
+        duration: duration,
+        elapsed: 0,
+        resolve: resolve,
+      };
+    });
+  }
+
+  /**
+   * Advance the transition overlay (called from update)
+   * @param {number} deltaTime - ms since last frame
+   * @private
+   */
+  updateSceneFade(deltaTime) {
+    const tween = this.sceneFadeTween;
+    if (!tween) return;
+
+    tween.elapsed += deltaTime;
+    const t =
+      tween.duration > 0 ? Math.min(tween.elapsed / tween.duration, 1) : 1;
+    Scene.fade = tween.from + (tween.to - tween.from) * t;
+
+    if (t === 1) {
+      this.sceneFadeTween = null;
+      tween.resolve();
+    }
+  }
+
+  /**
+   * Load a scene's assets on this thread, the logic workers and the renderer
+   * Resolves once the renderer has them, so the scene can spawn with them
+   *
+   * @param {Object} assets - Scene.assets format
+   * @returns {Promise<string[]>} Names of the spritesheets loaded
+   * @private
+   */
+  async loadSceneAssets(assets) {
+    if (!assets || Object.keys(assets).length === 0) return [];
+
+    const spritesheets = await SpriteSheetRegistry.loadAssets(assets);
+    const names = Object.keys(spritesheets);
+    if (names.length === 0) return names;
+
+    const registry = SpriteSheetRegistry.serialize(names);
+    this.workers.logicWorkers.forEach((worker, i) => {
+      this.postSimulationMessage(worker, Lockstep.STAGES.LOGIC, i, {
+        msg: "loadAssets",
+        registry: registry,
+      });
+    });
+
+    const loaded = new Promise((resolve) => {
+      this.pendingAssetLoads.push(resolve);
+    });
+    this.workers.renderer.postMessage(
+      { msg: "loadAssets", registry: registry, spritesheets: spritesheets },
+      names.map((name) => spritesheets[name].imageBitmap)
+    );
+    await loaded;
+
+    console.log(`🎬 Loaded ${names.length} scene assets: ${names.join(", ")}`);
+    return names;
+  }
+
+  /**
+   * Unload assets loaded by loadSceneAssets() everywhere
+   *
+   * @param {string[]} names - Spritesheet names
+   * @private
+   */
+  unloadSceneAssets(names) {
+    if (!names || names.length === 0) return;
+
+    SpriteSheetRegistry.unregister(names);
+    this.workers.logicWorkers.forEach((worker, i) => {
+      this.postSimulationMessage(worker, Lockstep.STAGES.LOGIC, i, {
+        msg: "unloadAssets",
+        names: names,
+      });
+    });
+    this.workers.renderer.postMessage({ msg: "unloadAssets", names: names });
+  }
+
   /**
    * Get pool statistics for an entity class
    * Note: This reads from SharedArrayBuffer so it's always current
@@ -7,6 +7,12 @@ import { Collider } from "../components/Collider.js";
 import { SpriteRenderer } from "../components/SpriteRenderer.js";
 import { LightEmitter } from "../components/LightEmitter.js";
 import { ShadowCaster } from "../components/ShadowCaster.js";
+import { Constraint } from "../components/Constraint.js";
+import { FlowFieldFollower } from "../components/FlowFieldFollower.js";
+import { Pathfinding } from "./Pathfinding.js";
+import { FlowField } from "./FlowField.js";
+import { Scene } from "./Scene.js";
+import { getShapeInertia } from "./collision.js";
 import { SpriteSheetRegistry } from "./SpriteSheetRegistry.js";
 import { collectComponents } from "./utils.js";
 import Keyboard from "./Keyboard.js";
@@ -23,6 +29,17 @@ export class GameObject {
   // Override in subclasses, e.g.: static components = [RigidBody, Collider, SpriteRenderer]
   static components = []; // By default, only Transform (added automatically)
 
+  // World edge behavior for this class: "bounce" | "wrap" | "open" | "despawn"
+  // null = use config.physics.boundaryMode
+  static boundaryMode = null;
+
+  // How the spatial worker fills this class's neighbor lists, e.g.
+  // { types: [Prey], sortByDistance: true, k: 16 }
+  // types: only these classes (and subclasses), sortByDistance: keep the k closest,
+  // nearest first, k: list size (default spatial.maxNeighbors). null = first found
+  // Only this.neighbors changes: physics still collides with everything found
+  static neighborQuery = null;
+
   // Neighbor data (from spatial worker)
   static neighborData = null;
   static distanceData = null; // Squared distances for each neighbor
@@ -140,7 +157,7 @@ export class GameObject {
     // Neighbor properties (updated each frame before tick)
     this.neighborCount = 0;
     this.neighbors = null; // Will be a TypedArray subarray
-    this.neighborDistances = null; // Will be a TypedArray subarray of squared distances
+    this.neighborDistances = null; // Will be a TypedArray subarray of squared distances (center or collider edge, see spatial.neighborDistance)
 
     // Component instance cache (lazy-loaded on first access)
     this._componentCache = {};
@@ -255,6 +272,7 @@ export class GameObject {
 
   /**
    * Rotation - forwards to Transform
+   * NOTE: Setting rotation also updates RigidBody.prevRotation to prevent angular velocity
    */
   get rotation() {
     return Transform.rotation[this.index];
@@ -262,6 +280,9 @@ export class GameObject {
 
   set rotation(value) {
     Transform.rotation[this.index] = value;
+    if (this._hasComponents.RigidBody) {
+      RigidBody.prevRotation[this.index] = value;
+    }
   }
 
   /**
@@ -298,6 +319,19 @@ export class GameObject {
     return Transform.entityType[this.index];
   }
 
+  /**
+   * World edge behavior of this entity: the class's static boundaryMode,
+   * or config.physics.boundaryMode
+   * @returns {"bounce"|"wrap"|"open"|"despawn"}
+   */
+  get boundaryMode() {
+    return (
+      this.constructor.boundaryMode ||
+      this.config?.physics?.boundaryMode ||
+      "bounce"
+    );
+  }
+
   // Component accessors are now dynamically created in _createComponentAccessors()
   // No need for hardcoded getters - works for both core and custom components!
 
@@ -581,6 +615,242 @@ export class GameObject {
     }
   }
 
+  /**
+   * Connect this entity to another with a distance, spring or rope constraint
+   * Solved by the physics worker every substep. Call from onSpawned()/tick(),
+   * NOT setup() (setup runs in every logic worker and would create duplicates)
+   *
+   * @param {GameObject|number} other - Entity (or entity index) to connect to
+   * @param {Object} options
+   * @param {"distance"|"spring"|"rope"} [options.type="distance"]
+   * @param {number} [options.restLength] - Defaults to the current distance
+   * @param {number} [options.stiffness] - 0-1 (default 1, springs 0.1)
+   * @param {number} [options.breakForce=0] - Tension that snaps it, 0 = unbreakable
+   * @returns {number} Constraint ID (use with disconnect), -1 if the pool is full
+   *
+   * Example:
+   *   onSpawned() {
+   *     this.connect(previousLink, { type: "rope", restLength: 20 });
+   *   }
+   */
+  connect(other, options = {}) {
+    const otherIndex = typeof other === "number" ? other : other.index;
+    const dx = Transform.x[otherIndex] - Transform.x[this.index];
+    const dy = Transform.y[otherIndex] - Transform.y[this.index];
+
+    return Constraint.create(this.index, otherIndex, {
+      ...options,
+      currentDistance: Math.sqrt(dx * dx + dy * dy),
+    });
+  }
+
+  /**
+   * Remove constraints created with connect()
+   * @param {number|GameObject} [target] - Constraint ID, an entity to disconnect
+   *                                       from, or nothing to remove all of them
+   */
+  disconnect(target) {
+    if (typeof target === "number") {
+      Constraint.remove(target);
+    } else if (target) {
+      Constraint.removeAllFor(this.index, target.index);
+    } else {
+      Constraint.removeAllFor(this.index);
+    }
+  }
+
+  /**
+   * Let physics rotate this entity: off-center collisions, walls, applyTorque()
+   * and applyForceAtPoint() make it spin. Inertia comes from the collider shape,
+   * so call this after the shape is set (e.g. after setPolygon in onSpawned)
+   * Without it, rotation stays fully under game code control
+   *
+   * @param {number} [inertiaScale=1] - Multiplies the shape inertia (> 1 = harder to spin)
+   */
+  enableRotation(inertiaScale = 1) {
+    if (!this._hasComponents.RigidBody || !this._hasComponents.Collider) {
+      console.warn(
+        `${this.constructor.name}: enableRotation() needs RigidBody and Collider components`
+      );
+      return;
+    }
+
+    const inertia = getShapeInertia(this.index) * inertiaScale;
+    RigidBody.inertia[this.index] = inertia;
+    RigidBody.invInertia[this.index] = inertia > 0 ? 1 / inertia : 0;
+    RigidBody.prevRotation[this.index] = Transform.rotation[this.index];
+  }
+
+  /**
+   * Stop physics from rotating this entity (keeps the current rotation)
+   */
+  disableRotation() {
+    if (!this._hasComponents.RigidBody) return;
+    RigidBody.invInertia[this.index] = 0;
+    RigidBody.angularVelocity[this.index] = 0;
+  }
+
+  /**
+   * Add a torque for this frame (needs enableRotation)
+   * Like rigidBody.ax/ay, it's consumed by the physics worker on its next step
+   * @param {number} torque - Positive spins the same way rotation increases
+   */
+  applyTorque(torque) {
+    if (!this._hasComponents.RigidBody) return;
+    RigidBody.angularAccel[this.index] +=
+      torque * RigidBody.invInertia[this.index];
+  }
+
+  /**
+   * Push the entity at a world-space point: accelerates it by (fx, fy) and,
+   * if the point is off-center, spins it (needs enableRotation for the spin)
+   * @param {number} fx - Force X
+   * @param {number} fy - Force Y
+   * @param {number} pointX - World X where the force is applied
+   * @param {number} pointY - World Y where the force is applied
+   */
+  applyForceAtPoint(fx, fy, pointX, pointY) {
+    if (!this._hasComponents.RigidBody) return;
+    const i = this.index;
+    RigidBody.ax[i] += fx;
+    RigidBody.ay[i] += fy;
+
+    const rx = pointX - Transform.x[i];
+    const ry = pointY - Transform.y[i];
+    RigidBody.angularAccel[i] += (rx * fy - ry * fx) * RigidBody.invInertia[i];
+  }
+
+  /**
+   * Wake this body if physics put it to sleep (config.physics.allowSleeping)
+   * Setting ax/ay or being hit by a moving body already wakes it; call this
+   * after changes physics can't see, like removing the tile it rests on
+   */
+  wake() {
+    if (!this._hasComponents.RigidBody) return;
+    RigidBody.sleeping[this.index] = 0;
+    RigidBody.sleepTimer[this.index] = 0;
+  }
+
+  /**
+   * Switch between a kinematic body (moved only by logic: set vx/vy and
+   * rigidBody.angularVelocity, or x/y to teleport) and a regular dynamic one
+   * Kinematic bodies push dynamic bodies out of the way but are never pushed,
+   * so they work for moving platforms, doors and scripted vehicles
+   * @param {boolean} [kinematic=true]
+   */
+  setKinematic(kinematic = true) {
+    if (!this._hasComponents.RigidBody) return;
+    const i = this.index;
+    RigidBody.kinematic[i] = kinematic ? 1 : 0;
+
+    // Start from rest either way: no leftover Verlet velocity
+    RigidBody.px[i] = Transform.x[i];
+    RigidBody.py[i] = Transform.y[i];
+    RigidBody.prevRotation[i] = Transform.rotation[i];
+    RigidBody.vx[i] = 0;
+    RigidBody.vy[i] = 0;
+    RigidBody.angularVelocity[i] = 0;
+    this.wake();
+  }
+
+  /**
+   * Ask the pathfinding worker for a path from here to (tx, ty)
+   * (needs config.pathfinding.enabled). Doesn't wait: pathStatus is PENDING
+   * until the worker answers, usually a frame or two later; a request still
+   * in flight is replaced
+   * @param {number} tx - Target X
+   * @param {number} ty - Target Y
+   * @param {number} [avoidFlags] - Spatial.CELL_FLAGS the path can't cross
+   *   (default config.pathfinding.avoidFlags, BLOCKED)
+   * @returns {boolean} false if the request couldn't be queued
+   *
+   * Example:
+   *   tick() {
+   *     if (this.pathStatus === Pathfinding.STATUS.NONE) {
+   *       this.requestPath(goal.x, goal.y);
+   *     } else if (this.path) {
+   *       // Steer towards this.path[2 * w], this.path[2 * w + 1]
+   *     }
+   *   }
+   */
+  requestPath(tx, ty, avoidFlags = Pathfinding.avoidFlags) {
+    return Pathfinding.requestPath(
+      this.index,
+      Transform.x[this.index],
+      Transform.y[this.index],
+      tx,
+      ty,
+      avoidFlags
+    );
+  }
+
+  /**
+   * Drop the current path and any request in flight (pathStatus back to NONE)
+   */
+  cancelPath() {
+    Pathfinding.cancelPath(this.index);
+  }
+
+  /**
+   * Status of the last requestPath(): Pathfinding.STATUS.NONE | PENDING |
+   * FOUND | PARTIAL (first maxWaypoints waypoints only) | NOT_FOUND
+   * @returns {number}
+   */
+  get pathStatus() {
+    return Pathfinding.getStatus(this.index);
+  }
+
+  /**
+   * Waypoints of the last path found: [x0, y0, x1, y1, ...], the first one after
+   * the start and the last one the target. null while PENDING or without a path
+   * A view of the shared buffer: valid until the next requestPath()
+   * @returns {Float32Array|null}
+   */
+  get path() {
+    return Pathfinding.getPath(this.index);
+  }
+
+  /**
+   * Steer along a flow field goal's field every frame, before tick()
+   * (needs the FlowFieldFollower component and the goal in config.flowField.goals)
+   * @param {string|null} goal - Goal name, null to stop following
+   * @param {Object} [options]
+   * @param {number} [options.speed=0] - Desired speed (0 = rigidBody.maxVel)
+   * @param {number} [options.steerFactor=0.1] - How fast velocity turns to the field
+   * @param {number} [options.arriveDistance=0] - Slow down within this path
+   *   distance of the goal (0 = never)
+   * @returns {boolean} false if the goal is unknown or the component is missing
+   *
+   * Example:
+   *   static components = [RigidBody, FlowFieldFollower];
+   *   onSpawned() {
+   *     this.followFlowField("base", { arriveDistance: 100 });
+   *   }
+   *   tick() {
+   *     if (this.flowFieldFollower.distance < 20) this.despawn(); // Arrived
+   *   }
+   */
+  followFlowField(
+    goal,
+    { speed = 0, steerFactor = 0.1, arriveDistance = 0 } = {}
+  ) {
+    if (!this.flowFieldFollower) {
+      console.warn(
+        `${this.constructor.name}: followFlowField() needs the FlowFieldFollower component`
+      );
+      return false;
+    }
+
+    const i = this.index;
+    const id = goal === null ? 0 : FlowField.getGoalId(goal);
+    FlowFieldFollower.goal[i] = id;
+    FlowFieldFollower.speed[i] = speed;
+    FlowFieldFollower.steerFactor[i] = steerFactor;
+    FlowFieldFollower.arriveDistance[i] = arriveDistance;
+    FlowFieldFollower.distance[i] = Infinity;
+    return id !== 0 || goal === null;
+  }
+
   /**
    * LIFECYCLE: Called at the END of constructor - runs ONCE per entity lifetime
    * Override in subclasses to configure entity TYPE properties
@@ -675,6 +945,22 @@ export class GameObject {
       this.onDespawned();
     }
 
+    // Sleeping bodies resting on this one would float once it's gone
+    if (this.rigidBody) {
+      for (let n = 0; n < this.neighborCount; n++) {
+        const j = this.neighbors[n];
+        RigidBody.sleeping[j] = 0;
+        RigidBody.sleepTimer[j] = 0;
+      }
+    }
+
+    // A pooled entity shouldn't inherit its path (or one still being searched)
+    Pathfinding.cancelPath(this.index);
+    if (this.flowFieldFollower) FlowFieldFollower.goal[this.index] = 0;
+
+    // Constraints go now: the slot may be reused before physics notices the despawn
+    Constraint.removeAllFor(this.index);
+
     // Deactivate all component active flags
     Transform.active[this.index] = 0;
     if (this.rigidBody) RigidBody.active[this.index] = 0;
@@ -757,8 +1043,13 @@ export class GameObject {
    * Override in subclasses to handle collision start events
    *
    * @param {number} otherIndex - Index of the other entity in collision
+   *   (-1 = a tilemap tile hit by a bullet)
+   * @param {{nx:number, ny:number, x:number, y:number, timeOfImpact:number}} contact -
+   *   Normal pointing towards this entity, contact point, and fraction of the frame at
+   *   first touch (< 1 when a bullet was stopped by continuous collision detection).
+   *   Reused between calls: copy what you need to keep
    */
-  onCollisionEnter(otherIndex) {
+  onCollisionEnter(otherIndex, contact) {
     // Override in subclasses
   }
 
@@ -767,8 +1058,9 @@ export class GameObject {
    * Override in subclasses to handle continuous collision
    *
    * @param {number} otherIndex - Index of the other entity in collision
+   * @param {Object} contact - Same as onCollisionEnter
    */
-  onCollisionStay(otherIndex) {
+  onCollisionStay(otherIndex, contact) {
     // Override in subclasses
   }
 
@@ -835,6 +1127,7 @@ export class GameObject {
    *
    * @param {Class} EntityClass - The entity class to spawn (e.g., Ball, Car)
    * @param {Object} spawnConfig - Initial configuration (position, velocity, etc.)
+   *                               persistent: true keeps it alive across scene changes
    * @returns {GameObject|null} - The spawned entity instance, or null if pool exhausted
    */
   static spawn(EntityClass, spawnConfig = {}) {
@@ -886,6 +1179,12 @@ export class GameObject {
       instance.rigidBody.velocityAngle = 0;
       instance.rigidBody.px = 0;
       instance.rigidBody.py = 0;
+      instance.rigidBody.prevRotation = 0;
+      instance.rigidBody.angularVelocity = 0;
+      instance.rigidBody.angularAccel = 0;
+      instance.rigidBody.outOfBounds = 0;
+      instance.rigidBody.sleeping = 0;
+      instance.rigidBody.sleepTimer = 0;
     }
 
     if (instance.transform) {
@@ -932,12 +1231,17 @@ export class GameObject {
       }
     }
 
-    // Initialize previous positions for Verlet integration
+    // Initialize previous positions (and rotation) for Verlet integration
     if (instance.rigidBody && instance.transform) {
       instance.rigidBody.px = instance.transform.x - instance.rigidBody.vx;
       instance.rigidBody.py = instance.transform.y - instance.rigidBody.vy;
+      instance.rigidBody.prevRotation =
+        instance.transform.rotation - instance.rigidBody.angularVelocity;
     }
 
+    // Belongs to the current scene (despawned when it exits) unless persistent
+    Scene.stamp(i, spawnConfig.persistent);
+
     // LIFECYCLE: Call onSpawned() BEFORE activating
     // This allows entity to initialize instance state based on spawn config
     if (instance.onSpawned) {
@@ -1018,6 +1322,7 @@ export class GameObject {
           despawnedCount++;
         } else {
           // Manual despawn if instance missing
+          Constraint.removeAllFor(i);
           Transform.active[i] = 0;
 
           // Return to free list if exists
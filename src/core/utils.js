@@ -260,6 +260,69 @@ export function setupWorkerCommunication(connections) {
 // VALIDATION UTILITIES
 // ============================================================================
 
+// How two material values (restitution, friction) are combined for a contact pair
+export const MATERIAL_COMBINE_MODES = ["average", "min", "max", "multiply"];
+
+/**
+ * Combine the material values of two colliding entities
+ * @param {number} a - Value of the first entity
+ * @param {number} b - Value of the second entity
+ * @param {string} mode - One of MATERIAL_COMBINE_MODES
+ * @returns {number} Combined value
+ */
+export function combineMaterial(a, b, mode) {
+  switch (mode) {
+    case "min":
+      return a < b ? a : b;
+    case "max":
+      return a > b ? a : b;
+    case "multiply":
+      return a * b;
+    default:
+      return (a + b) * 0.5;
+  }
+}
+
+// What happens to a body that reaches the edge of the world
+// (config.physics.boundaryMode, or static boundaryMode on an entity class)
+//   bounce  - pushed back inside, bouncing with boundaryElasticity
+//   wrap    - leaves one side and comes back on the opposite one (toroidal world)
+//   open    - no boundary at all
+//   despawn - despawned once its collider is completely outside the world
+export const BOUNDARY_MODES = ["bounce", "wrap", "open", "despawn"];
+
+/**
+ * Resolve the boundary mode of every entity type into a lookup table
+ * Classes without their own static boundaryMode use the global one
+ * @param {Array<{entityType:number, boundaryMode:?string}>} registeredClasses - Class metadata from GameEngine
+ * @param {string} globalMode - config.physics.boundaryMode
+ * @returns {Uint8Array} BOUNDARY_MODES index for each entityType
+ */
+export function getBoundaryModeTable(registeredClasses, globalMode) {
+  const table = new Uint8Array(256).fill(
+    Math.max(0, BOUNDARY_MODES.indexOf(globalMode))
+  );
+  for (const cls of registeredClasses) {
+    const mode = BOUNDARY_MODES.indexOf(cls.boundaryMode);
+    if (mode !== -1) table[cls.entityType] = mode;
+  }
+  return table;
+}
+
+/**
+ * Shortest signed difference between two coordinates on a wrapping axis
+ * e.g. in a 1000 wide wrapping world, x = 990 is 20 units left of x = 10
+ * @param {number} delta - Plain difference (b - a)
+ * @param {number} size - World size on this axis
+ * @returns {number} Difference in [-size / 2, size / 2]
+ */
+export function wrapDelta(delta, size) {
+  const half = size * 0.5;
+  if (delta > half) return delta - size;
+  if (delta < -half) return delta + size;
+  return delta;
+}
+
 /**
  * Validate and merge physics configuration
  * @param {Object} currentConfig - Current configuration
@@ -287,6 +350,26 @@ export function validatePhysicsConfig(currentConfig, newConfig) {
     ),
     minSpeedForRotation:
       newConfig.minSpeedForRotation ?? currentConfig.minSpeedForRotation,
+    restitutionCombine: MATERIAL_COMBINE_MODES.includes(
+      newConfig.restitutionCombine
+    )
+      ? newConfig.restitutionCombine
+      : currentConfig.restitutionCombine,
+    frictionCombine: MATERIAL_COMBINE_MODES.includes(newConfig.frictionCombine)
+      ? newConfig.frictionCombine
+      : currentConfig.frictionCombine,
+    boundaryMode: BOUNDARY_MODES.includes(newConfig.boundaryMode)
+      ? newConfig.boundaryMode
+      : currentConfig.boundaryMode,
+    allowSleeping: newConfig.allowSleeping ?? currentConfig.allowSleeping,
+    sleepThreshold: Math.max(
+      0,
+      newConfig.sleepThreshold ?? currentConfig.sleepThreshold
+    ),
+    sleepFrames: Math.max(
+      1,
+      newConfig.sleepFrames ?? currentConfig.sleepFrames
+    ),
     gravity: {
       x:
         newConfig.gravity && typeof newConfig.gravity.x === "number"
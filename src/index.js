@@ -10,6 +10,13 @@ export { GameEngine } from "./core/gameEngine.js";
 export { GameObject, Keyboard } from "./core/gameObject.js";
 export { Component } from "./core/Component.js";
 export { Debug } from "./core/Debug.js";
+export { Physics } from "./core/Physics.js";
+export { Spatial } from "./core/Spatial.js";
+export { Pathfinding } from "./core/Pathfinding.js";
+export { FlowField } from "./core/FlowField.js";
+export { SteeringBehaviors } from "./core/SteeringBehaviors.js";
+export { Tilemap } from "./core/Tilemap.js";
+export { Scene } from "./core/Scene.js";
 export { Mouse } from "./core/Mouse.js";
 export { SpriteSheetRegistry } from "./core/SpriteSheetRegistry.js";
 export { BigAtlasInspector } from "./core/BigAtlasInspector.js";
@@ -26,6 +33,9 @@ export { MouseComponent } from "./components/MouseComponent.js";
 export { ParticleComponent } from "./components/ParticleComponent.js";
 export { LightEmitter } from "./components/LightEmitter.js";
 export { ShadowCaster } from "./components/ShadowCaster.js";
+export { Constraint } from "./components/Constraint.js";
+export { FlowFieldFollower } from "./components/FlowFieldFollower.js";
+export { Steering } from "./components/Steering.js";
 
 // ============================================================================
 // PARTICLES
@@ -57,6 +67,13 @@ import { GameEngine } from "./core/gameEngine.js";
 import { GameObject, Keyboard } from "./core/gameObject.js";
 import { Component } from "./core/Component.js";
 import { Debug } from "./core/Debug.js";
+import { Physics } from "./core/Physics.js";
+import { Spatial } from "./core/Spatial.js";
+import { Pathfinding } from "./core/Pathfinding.js";
+import { FlowField } from "./core/FlowField.js";
+import { SteeringBehaviors } from "./core/SteeringBehaviors.js";
+import { Tilemap } from "./core/Tilemap.js";
+import { Scene } from "./core/Scene.js";
 import { Mouse } from "./core/Mouse.js";
 import { SpriteSheetRegistry } from "./core/SpriteSheetRegistry.js";
 import { BigAtlasInspector } from "./core/BigAtlasInspector.js";
@@ -72,6 +89,9 @@ import { ParticleComponent } from "./components/ParticleComponent.js";
 import { ParticleEmitter } from "./core/ParticleEmitter.js";
 import { LightEmitter } from "./components/LightEmitter.js";
 import { ShadowCaster } from "./components/ShadowCaster.js";
+import { Constraint } from "./components/Constraint.js";
+import { FlowFieldFollower } from "./components/FlowFieldFollower.js";
+import { Steering } from "./components/Steering.js";
 import { AbstractWorker } from "./workers/AbstractWorker.js";
 
 // Create the WEED namespace object (like PIXI)
@@ -81,6 +101,13 @@ const WEED = {
   GameObject,
   Component,
   Debug,
+  Physics,
+  Spatial,
+  Pathfinding,
+  FlowField,
+  SteeringBehaviors,
+  Tilemap,
+  Scene,
   Mouse,
   Keyboard,
   SpriteSheetRegistry,
@@ -95,6 +122,9 @@ const WEED = {
   ParticleComponent,
   LightEmitter,
   ShadowCaster,
+  Constraint,
+  FlowFieldFollower,
+  Steering,
   // Particles
   ParticleEmitter,
 
@@ -2,6 +2,16 @@
 // Provides common functionality: frame timing,  FPS tracking, pause state, message handling
 
 import { GameObject } from "../core/gameObject.js";
+import { Collider } from "../components/Collider.js";
+import { Constraint } from "../components/Constraint.js";
+import { Physics } from "../core/Physics.js";
+import { Spatial } from "../core/Spatial.js";
+import { Pathfinding } from "../core/Pathfinding.js";
+import { FlowField } from "../core/FlowField.js";
+import { Scene } from "../core/Scene.js";
+import { Tilemap } from "../core/Tilemap.js";
+import { Lockstep } from "../core/Lockstep.js";
+import { FrameSync } from "../core/FrameSync.js";
 import { seededRandom } from "../core/utils.js";
 
 /**
@@ -40,12 +50,21 @@ export class AbstractWorker {
     // Script loading
     this.needsGameScripts = true; // Override to false in generic workers (spatial, physics)
 
+    // Lockstep mode (config.lockstep.enabled): ticks come from the main thread instead
+    this.lockstepStage = Lockstep.STAGES.IDLE; // Override in simulation workers (spatial, pathfinding, flow field, logic, physics)
+    this.lockstep = false; // true once initialized in lockstep mode
+    this.lockstepInbox = []; // Tick-stamped messages waiting for their tick
+    this.lockstepReceived = 0; // Tick-stamped messages received so far
+    this.lockstepMessageArrived = null; // Resolves a wait for late messages
+
     // Shared buffers (common to most workers)
     // Following the naming pattern: xBuffer (SharedArrayBuffer) -> xData (TypedArray view)
     this.inputData = null;
     this.cameraData = null;
     this.neighborData = null;
     this.distanceData = null; // Squared distances for each neighbor
+    this.neighborViews = null; // Pipeline mode: [copy 0, copy 1] of neighborData
+    this.distanceViews = null; // Pipeline mode: [copy 0, copy 1] of distanceData
 
     // Registered entity classes information (set during initialization)
     this.registeredClasses = [];
@@ -153,7 +172,9 @@ export class AbstractWorker {
     this.isPaused = false;
     this.lastFrameTime = performance.now(); // Reset timing
 
-    if (this.usesCustomScheduler) {
+    if (this.lockstep) {
+      this.runLockstep();
+    } else if (this.usesCustomScheduler) {
       // Custom scheduler will call gameLoop manually
       this.onCustomSchedulerStart();
     } else {
@@ -162,6 +183,56 @@ export class AbstractWorker {
     }
   }
 
+  /**
+   * Lockstep loop: wait for this worker's stage of each new tick, run it, hand over
+   * Keeps going while paused - the main thread just stops issuing ticks
+   */
+  async runLockstep() {
+    const { TICK, STAGE } = Lockstep;
+    const deltaTime = Lockstep.getTickDuration(this.config);
+    const dtRatio = deltaTime / 16.67;
+    let lastTick = 0;
+
+    while (true) {
+      const stage = Atomics.load(Lockstep.stepData, STAGE);
+      const tick = Atomics.load(Lockstep.stepData, TICK);
+      if (stage !== this.lockstepStage || tick === lastTick) {
+        await Lockstep.waitForChange(STAGE, stage);
+        continue;
+      }
+      lastTick = tick;
+
+      await this.receiveLockstepMessages();
+
+      this.frameNumber = tick;
+      this.updateFrameTiming(); // FPS only, the simulated time is fixed
+      this.update(deltaTime, dtRatio, false);
+      this.reportFPS();
+
+      Lockstep.finishStage(this.lockstepStage);
+    }
+  }
+
+  /**
+   * Handle every tick-stamped message sent before the current tick started,
+   * waiting for the ones still in flight
+   */
+  async receiveLockstepMessages() {
+    const counter = Lockstep.getMessageCounter(
+      this.lockstepStage,
+      this.workerIndex
+    );
+    while (this.lockstepReceived < Atomics.load(Lockstep.stepData, counter)) {
+      await new Promise((resolve) => (this.lockstepMessageArrived = resolve));
+    }
+
+    const inbox = this.lockstepInbox;
+    this.lockstepInbox = [];
+    for (const message of inbox) {
+      this.handleCustomMessage(message);
+    }
+  }
+
   /**
    * Override this if using custom scheduler (like PIXI ticker)
    */
@@ -269,6 +340,75 @@ export class AbstractWorker {
       this.distanceData = new Float32Array(data.buffers.distanceData);
     }
 
+    // Constraint pool (solved by physics, created by logic, drawn by renderer)
+    if (data.buffers?.constraintData) {
+      const maxConstraints = this.config.physics?.maxConstraints || 0;
+      Constraint.initializeArrays(data.buffers.constraintData, maxConstraints);
+      Constraint.constraintCount = maxConstraints;
+    }
+
+    // Named collision layers (same registry as the main thread)
+    Collider.setLayerNames(this.config.physics?.collisionLayers || []);
+
+    // Polygon collider vertices (shared by physics, logic and renderer)
+    if (data.buffers?.polygonVertexData) {
+      Collider.initializePolygonBuffer(
+        data.buffers.polygonVertexData,
+        Math.min(
+          this.config.physics?.maxPolygonVertices || 0,
+          Collider.MAX_POLYGON_VERTICES
+        )
+      );
+    }
+
+    // Spatial grid published by the spatial worker (Spatial queries, Physics.raycast & co.)
+    if (data.buffers?.gridData) {
+      Spatial.initialize(data.buffers.gridData, this.config, this.entityCount);
+    }
+
+    // Cell flags on the same grid (Spatial.cellFlagsAt, editable from any thread)
+    if (data.buffers?.cellFlagsData) {
+      Spatial.initializeCellFlags(data.buffers.cellFlagsData);
+    }
+
+    // Physics command ring (Physics.applyRadialImpulse from any worker)
+    if (data.buffers?.commandData) {
+      Physics.initializeCommands(
+        data.buffers.commandData,
+        this.config.physics?.maxPhysicsCommands || 1
+      );
+    }
+
+    // Path requests and results (GameObject.requestPath from logic, A* in the pathfinding worker)
+    if (data.buffers?.pathData) {
+      Pathfinding.initialize(
+        data.buffers.pathData,
+        this.config,
+        this.entityCount
+      );
+    }
+
+    // Flow fields (built by the flow field worker, sampled by FlowFieldFollower steering)
+    if (data.buffers?.flowFieldData) {
+      FlowField.initialize(data.buffers.flowFieldData, this.config);
+    }
+
+    // Current scene and which scene each entity belongs to (GameObject.spawn stamps it)
+    if (data.buffers?.sceneData) {
+      Scene.initialize(data.buffers.sceneData, this.entityCount);
+    }
+
+    // Static solid tiles (collided by physics, queried/edited by game code)
+    if (data.buffers?.tilemapData) {
+      Tilemap.initialize(data.buffers.tilemapData, this.config);
+    }
+
+    // Lockstep ticks (simulation workers only)
+    if (data.buffers?.stepData && this.lockstepStage !== Lockstep.STAGES.IDLE) {
+      Lockstep.initialize(data.buffers.stepData);
+      this.lockstep = true;
+    }
+
     // Store registered classes (used by logic worker and potentially others)
     this.registeredClasses = data.registeredClasses || [];
     this.reportLog("finished initializing common buffers");
@@ -282,6 +422,50 @@ export class AbstractWorker {
     if (GameObject.distanceData) {
       this.distanceData = GameObject.distanceData;
     }
+
+    // Pipeline mode: spatial alternates between two copies of the neighbor lists
+    if (data.buffers?.syncData) {
+      FrameSync.initialize(data.buffers.syncData, this.config);
+    }
+    if (data.buffers?.pipeline && this.neighborData) {
+      this.neighborViews = [
+        this.neighborData,
+        new Int32Array(data.buffers.pipeline.neighborData),
+      ];
+      this.distanceViews = [
+        this.distanceData,
+        new Float32Array(data.buffers.pipeline.distanceData),
+      ];
+    }
+  }
+
+  /**
+   * Pipeline mode: pin the latest complete neighbor lists for this frame
+   * Spatial won't overwrite them until releaseNeighbors()
+   * @returns {number} Copy to release, -1 when pipelining is off
+   */
+  acquireNeighbors() {
+    if (!FrameSync.enabled || !this.neighborViews) return -1;
+    const copy = FrameSync.acquire(FrameSync.NEIGHBORS);
+    this.useNeighborCopy(copy);
+    return copy;
+  }
+
+  /**
+   * Unpin neighbor lists taken with acquireNeighbors()
+   * @param {number} copy
+   */
+  releaseNeighbors(copy) {
+    if (copy !== -1) FrameSync.release(FrameSync.NEIGHBORS, copy);
+  }
+
+  /**
+   * Point neighborData/distanceData (here and on GameObject) at one copy
+   * @param {number} copy - 0 or 1
+   */
+  useNeighborCopy(copy) {
+    this.neighborData = GameObject.neighborData = this.neighborViews[copy];
+    this.distanceData = GameObject.distanceData = this.distanceViews[copy];
   }
 
   initSeendedRandom(seed) {
@@ -298,6 +482,17 @@ export class AbstractWorker {
   async handleMessage(e) {
     const { msg } = e.data;
 
+    // Lockstep: simulation changes wait for the tick they were sent for
+    if (e.data.lockstepTick !== undefined) {
+      this.lockstepInbox.push(e.data);
+      this.lockstepReceived++;
+      if (this.lockstepMessageArrived) {
+        this.lockstepMessageArrived();
+        this.lockstepMessageArrived = null;
+      }
+      return;
+    }
+
     switch (msg) {
       case "init":
         this.initSeendedRandom(e.data.config.seed);
@@ -411,6 +606,9 @@ export class AbstractWorker {
     this.isPaused = false;
     this.lastFrameTime = performance.now(); // Reset timing to avoid large delta
 
+    // Lockstep loop never stopped, ticks simply resume
+    if (this.lockstep) return;
+
     // Reset moving average to avoid pause spike affecting FPS
     this.frameTimes.fill(16.67);
     this.frameTimesSum = 16.67 * this.fpsFrameCount;
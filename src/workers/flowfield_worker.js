@@ -0,0 +1,340 @@
+// flowfield_worker.js - Builds the FlowField goals' fields on the spatial grid
+// Dijkstra from the goal cell over every cell (same move rules as the pathfinding
+// worker: cells matching config.flowField.avoidFlags are walls, SLOW cells cost
+// config.flowField.slowCost), then each cell points at the neighbor it was reached from
+// A field is rebuilt when its goal moves, and every updateInterval ms for cell flag edits
+// In lockstep mode it's the stage before logic and counts simulated time, so followers
+// always see the field of the goal set on the previous tick
+
+import { Transform } from "../components/Transform.js";
+import { Spatial } from "../core/Spatial.js";
+import { FlowField } from "../core/FlowField.js";
+import { Lockstep } from "../core/Lockstep.js";
+import { AbstractWorker } from "./AbstractWorker.js";
+
+// Make components globally available
+self.Transform = Transform;
+
+const { DIR_COLS, DIR_ROWS, NO_DIRECTION, GOAL_STRIDE } = FlowField;
+const OPPOSITE = [1, 0, 3, 2, 7, 6, 5, 4]; // Index of the reverse move
+const SQRT2 = Math.SQRT2;
+
+/**
+ * FlowFieldWorker - Keeps one integration + direction field per flow field goal
+ * Fields are built in local arrays, copied into the goal's back copy in the shared
+ * buffer and flipped to the front, so followers never sample a half-built field
+ */
+class FlowFieldWorker extends AbstractWorker {
+  constructor(selfRef) {
+    super(selfRef);
+
+    // Flow field worker doesn't need game scripts
+    this.needsGameScripts = false;
+    this.lockstepStage = Lockstep.STAGES.FLOW_FIELD;
+
+    // Settings (config.flowField)
+    this.slowCost = 3; // Cost multiplier of SLOW cells
+    this.updateInterval = 1000; // ms between rebuilds of an unchanged goal (0 = only when it moves)
+
+    // Build state, one slot per cell
+    this.cost = null; // Float32Array - integration field being built
+    this.directions = null; // Uint8Array - direction field being built
+    this.done = null; // Uint8Array - cost is final
+
+    // Per goal: version of the last build and when it ran
+    this.builtVersions = [];
+    this.buildTimes = [];
+    this.simulatedTime = 0; // Clock for buildTimes in lockstep mode (ms of ticks run)
+
+    // Open list: binary min-heap on cost (cells can be in it several times)
+    this.heapCells = new Int32Array(1024);
+    this.heapScores = new Float32Array(1024);
+    this.heapSize = 0;
+
+    // Stats for the FPS report
+    this.builtFields = 0;
+    this.buildTime = 0;
+  }
+
+  /**
+   * Initialize the flow field worker
+   */
+  initialize(data) {
+    const flowField = this.config.flowField || {};
+    this.slowCost = flowField.slowCost ?? 3;
+    this.updateInterval = flowField.updateInterval ?? 1000;
+
+    const totalCells = Spatial.totalCells;
+    this.cost = new Float32Array(totalCells);
+    this.directions = new Uint8Array(totalCells);
+    this.done = new Uint8Array(totalCells);
+    this.builtVersions = FlowField.goalNames.map(() => 0);
+    this.buildTimes = FlowField.goalNames.map(() => 0);
+
+    if (!Spatial.cellFlags) {
+      console.warn(
+        "FlowFieldWorker: no cell flags buffer, every cell is walkable"
+      );
+    }
+  }
+
+  /**
+   * Update method called each frame (implementation of AbstractWorker.update)
+   * Rebuilds every goal that moved, plus at most one periodic refresh
+   */
+  update(deltaTime, dtRatio, resuming) {
+    const start = performance.now();
+    // Lockstep: refreshes follow simulated time, wall-clock time differs per run
+    this.simulatedTime += deltaTime;
+    const now = this.lockstep ? this.simulatedTime : start;
+    const goalInts = FlowField.goalInts;
+    let refreshed = false;
+
+    for (let goal = 0; goal < this.builtVersions.length; goal++) {
+      const version = Atomics.load(goalInts, goal * GOAL_STRIDE + 2);
+      if (version === 0) continue; // Never set
+
+      if (version !== this.builtVersions[goal]) {
+        this.buildField(goal, version, now);
+      } else if (
+        !refreshed &&
+        this.updateInterval > 0 &&
+        now - this.buildTimes[goal] >= this.updateInterval
+      ) {
+        this.buildField(goal, version, now);
+        refreshed = true;
+      }
+    }
+
+    this.buildTime = performance.now() - start;
+  }
+
+  /**
+   * Build one goal's fields and publish them (write the back copy, then flip)
+   * @param {number} goal - Goal index (id - 1)
+   * @param {number} version - Goal version the build is for
+   * @param {number} now - Build time (see update)
+   */
+  buildField(goal, version, now) {
+    const base = goal * GOAL_STRIDE;
+    this.computeField(
+      FlowField.goalFloats[base],
+      FlowField.goalFloats[base + 1],
+      FlowField.avoidFlags
+    );
+
+    const goalInts = FlowField.goalInts;
+    const back = 1 - Atomics.load(goalInts, base + 4);
+    const offset = (goal * 2 + back) * Spatial.totalCells;
+    FlowField.integration.set(this.cost, offset);
+    FlowField.directions.set(this.directions, offset);
+    Atomics.store(goalInts, base + 4, back);
+    Atomics.store(goalInts, base + 3, version);
+
+    this.builtVersions[goal] = version;
+    this.buildTimes[goal] = now;
+    this.builtFields++;
+  }
+
+  /**
+   * Dijkstra outwards from the goal cell into this.cost / this.directions
+   * Cost is in cells (straight move 1, diagonal SQRT2, times slowCost when the
+   * cell moved into is SLOW). Cells matching avoidFlags stay unreachable, but
+   * point at their cheapest open neighbor so agents pushed into them get out
+   * @param {number} goalX - Goal position
+   * @param {number} goalY
+   * @param {number} avoidFlags - Cell flags the field routes around
+   */
+  computeField(goalX, goalY, avoidFlags) {
+    const cellFlags = Spatial.cellFlags;
+    const gridCols = Spatial.gridCols;
+    const gridRows = Spatial.gridRows;
+    const slowFlag = Spatial.CELL_FLAGS.SLOW;
+    const slowCost = this.slowCost;
+    const cost = this.cost;
+    const directions = this.directions;
+    const done = this.done;
+
+    cost.fill(Infinity);
+    directions.fill(NO_DIRECTION);
+    done.fill(0);
+
+    const goalCol = this.clampCol(Math.floor(goalX * Spatial.invCellSize));
+    const goalRow = this.clampRow(Math.floor(goalY * Spatial.invCellSize));
+    const goalCell = goalRow * gridCols + goalCol;
+    if (cellFlags && (cellFlags[goalCell] & avoidFlags) !== 0) return;
+
+    cost[goalCell] = 0;
+    this.heapSize = 0;
+    this.pushOpen(goalCell, 0);
+
+    while (this.heapSize > 0) {
+      const cell = this.popOpen();
+      if (done[cell]) continue; // Older, worse entry
+      done[cell] = 1;
+
+      const col = cell % gridCols;
+      const row = (cell - col) / gridCols;
+      // Moving into this cell from a neighbor costs its own multiplier
+      const multiplier =
+        cellFlags && (cellFlags[cell] & slowFlag) !== 0 ? slowCost : 1;
+      const c = cost[cell];
+
+      for (let d = 0; d < 8; d++) {
+        const nextCol = col + DIR_COLS[d];
+        const nextRow = row + DIR_ROWS[d];
+        if (
+          nextCol < 0 ||
+          nextRow < 0 ||
+          nextCol >= gridCols ||
+          nextRow >= gridRows
+        ) {
+          continue;
+        }
+
+        const next = nextRow * gridCols + nextCol;
+        if (done[next]) continue;
+        if (cellFlags) {
+          if ((cellFlags[next] & avoidFlags) !== 0) continue;
+          // No corner cutting: both cells beside a diagonal move must be open
+          if (
+            d >= 4 &&
+            ((cellFlags[row * gridCols + nextCol] & avoidFlags) !== 0 ||
+              (cellFlags[nextRow * gridCols + col] & avoidFlags) !== 0)
+          ) {
+            continue;
+          }
+        }
+
+        const nextCost = c + (d < 4 ? 1 : SQRT2) * multiplier;
+        if (nextCost >= cost[next]) continue;
+        cost[next] = nextCost;
+        directions[next] = OPPOSITE[d];
+        this.pushOpen(next, nextCost);
+      }
+    }
+
+    if (cellFlags) this.computeEscapeDirections(avoidFlags);
+  }
+
+  /**
+   * Point each avoided cell at its reachable neighbor closest to the goal
+   * @param {number} avoidFlags
+   * @private
+   */
+  computeEscapeDirections(avoidFlags) {
+    const cellFlags = Spatial.cellFlags;
+    const gridCols = Spatial.gridCols;
+    const gridRows = Spatial.gridRows;
+    const cost = this.cost;
+    const directions = this.directions;
+
+    for (let cell = 0; cell < Spatial.totalCells; cell++) {
+      if ((cellFlags[cell] & avoidFlags) === 0) continue;
+      const col = cell % gridCols;
+      const row = (cell - col) / gridCols;
+
+      let best = Infinity;
+      for (let d = 0; d < 8; d++) {
+        const nextCol = col + DIR_COLS[d];
+        const nextRow = row + DIR_ROWS[d];
+        if (
+          nextCol < 0 ||
+          nextRow < 0 ||
+          nextCol >= gridCols ||
+          nextRow >= gridRows
+        ) {
+          continue;
+        }
+        const nextCost = cost[nextRow * gridCols + nextCol];
+        if (nextCost < best) {
+          best = nextCost;
+          directions[cell] = d;
+        }
+      }
+    }
+  }
+
+  /** @private */
+  clampCol(col) {
+    return col < 0 ? 0 : col >= Spatial.gridCols ? Spatial.gridCols - 1 : col;
+  }
+
+  /** @private */
+  clampRow(row) {
+    return row < 0 ? 0 : row >= Spatial.gridRows ? Spatial.gridRows - 1 : row;
+  }
+
+  /**
+   * Add a cell to the open heap (grows it when full)
+   * @private
+   */
+  pushOpen(cell, score) {
+    if (this.heapSize === this.heapCells.length) {
+      const cells = new Int32Array(this.heapSize * 2);
+      const scores = new Float32Array(this.heapSize * 2);
+      cells.set(this.heapCells);
+      scores.set(this.heapScores);
+      this.heapCells = cells;
+      this.heapScores = scores;
+    }
+
+    const cells = this.heapCells;
+    const scores = this.heapScores;
+    let i = this.heapSize++;
+    while (i > 0) {
+      const up = (i - 1) >> 1;
+      if (scores[up] <= score) break;
+      cells[i] = cells[up];
+      scores[i] = scores[up];
+      i = up;
+    }
+    cells[i] = cell;
+    scores[i] = score;
+  }
+
+  /**
+   * Remove and return the cell with the lowest score
+   * @private
+   */
+  popOpen() {
+    const cells = this.heapCells;
+    const scores = this.heapScores;
+    const top = cells[0];
+    const size = --this.heapSize;
+    const cell = cells[size];
+    const score = scores[size];
+
+    let i = 0;
+    while (true) {
+      let child = i * 2 + 1;
+      if (child >= size) break;
+      if (child + 1 < size && scores[child + 1] < scores[child]) child++;
+      if (scores[child] >= score) break;
+      cells[i] = cells[child];
+      scores[i] = scores[child];
+      i = child;
+    }
+    cells[i] = cell;
+    scores[i] = score;
+    return top;
+  }
+
+  /**
+   * Override reportFPS to include fields built and build time
+   */
+  reportFPS() {
+    if (this.frameNumber % this.fpsReportInterval === 0) {
+      self.postMessage({
+        msg: "fps",
+        fps: this.currentFPS.toFixed(2),
+        builtFields: this.builtFields,
+        buildTime: this.buildTime.toFixed(2),
+      });
+      this.builtFields = 0;
+    }
+  }
+}
+
+// Create singleton instance and setup message handler
+const flowFieldWorker = new FlowFieldWorker(self);
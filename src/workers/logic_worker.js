@@ -17,7 +17,16 @@ import { SpriteRenderer } from "../components/SpriteRenderer.js";
 import { ParticleComponent } from "../components/ParticleComponent.js";
 import { SpriteSheetRegistry } from "../core/SpriteSheetRegistry.js";
 import { ParticleEmitter } from "../core/ParticleEmitter.js";
+import { Physics } from "../core/Physics.js";
+import { Spatial } from "../core/Spatial.js";
+import { FlowFieldFollower } from "../components/FlowFieldFollower.js";
+import { FlowField } from "../core/FlowField.js";
+import { SteeringBehaviors } from "../core/SteeringBehaviors.js";
+import { Scene } from "../core/Scene.js";
+import { CONTACT_DATA_STRIDE } from "../core/collision.js";
 import { AbstractWorker } from "./AbstractWorker.js";
+import { Lockstep } from "../core/Lockstep.js";
+import { FrameSync } from "../core/FrameSync.js";
 
 // Make imported classes globally available for dynamic instantiation
 self.GameObject = GameObject;
@@ -29,6 +38,7 @@ self.ParticleComponent = ParticleComponent;
 self.Mouse = Mouse;
 self.Keyboard = Keyboard;
 self.ParticleEmitter = ParticleEmitter;
+self.Physics = Physics;
 
 // Game-specific scripts will be loaded dynamically during initialization
 
@@ -43,6 +53,9 @@ class LogicWorker extends AbstractWorker {
     // Logic worker NEEDS game scripts (entity classes)
     this.needsGameScripts = true;
 
+    // Lockstep: all logic workers run together, between spatial and physics
+    this.lockstepStage = Lockstep.STAGES.LOGIC;
+
     // Game objects - one per entity
     this.gameObjects = [];
 
@@ -76,6 +89,15 @@ class LogicWorker extends AbstractWorker {
 
     // Collision tracking (Unity-style Enter/Stay/Exit)
     this.collisionData = null; // SharedArrayBuffer for collision pairs from physics worker
+    this.contactData = null; // Contact normal/point/time of impact for each pair
+    this.collisionViews = null; // Pipeline mode: [copy 0, copy 1] of collisionData
+    this.contactViews = null; // Pipeline mode: [copy 0, copy 1] of contactData
+    this.lastLogicFrame = -1; // Pipeline mode: last frame this worker ran
+
+    // Contact passed to onCollisionEnter/Stay, reused (copy it to keep it)
+    // Normal points towards the entity receiving the callback
+    this.contactForA = { nx: 0, ny: 0, x: 0, y: 0, timeOfImpact: 1 };
+    this.contactForB = { nx: 0, ny: 0, x: 0, y: 0, timeOfImpact: 1 };
 
     // Optimized collision tracking using numeric keys instead of strings
     // Uses Cantor pairing function: key = (a + b) * (a + b + 1) / 2 + b
@@ -153,6 +175,19 @@ class LogicWorker extends AbstractWorker {
       this.collisionData = new Int32Array(data.buffers.collisionData);
       console.log("LOGIC WORKER: Collision callbacks enabled");
     }
+    if (data.buffers.contactData) {
+      this.contactData = new Float32Array(data.buffers.contactData);
+    }
+    if (data.buffers.pipeline && this.collisionData) {
+      this.collisionViews = [
+        this.collisionData,
+        new Int32Array(data.buffers.pipeline.collisionData),
+      ];
+      this.contactViews = [
+        this.contactData,
+        new Float32Array(data.buffers.pipeline.contactData),
+      ];
+    }
 
     // Initialize screen visibility tracking array
     this.previousScreenVisibility = new Uint8Array(data.entityCount);
@@ -241,6 +276,7 @@ class LogicWorker extends AbstractWorker {
         EntityClass.startIndex = startIndex;
         EntityClass.totalCount = count;
         EntityClass.entityType = entityType; // Auto-assigned entity type ID
+        Spatial.registerEntityClass(EntityClass); // Class filters of Spatial queries
 
         // CRITICAL: Initialize instances array for THIS class (not inherited from GameObject)
         // Without this, all entity types share GameObject.instances causing spawn bugs
@@ -285,6 +321,22 @@ class LogicWorker extends AbstractWorker {
    * Uses job-based system: workers atomically claim jobs and process them
    */
   update(deltaTime, dtRatio, resuming) {
+    // Pipeline mode: wait until the other logic workers are done with the last
+    // frame and physics applied its forces, then pin the latest neighbors/collisions
+    let neighbors = -1;
+    let collisions = -1;
+    if (FrameSync.enabled) {
+      const frame = FrameSync.waitForLogicTurn(this.lastLogicFrame);
+      if (frame === -1) return; // Previous stages still busy, try next frame
+      this.lastLogicFrame = frame;
+      neighbors = this.acquireNeighbors();
+      if (this.collisionViews) {
+        collisions = FrameSync.acquire(FrameSync.COLLISIONS);
+        this.collisionData = this.collisionViews[collisions];
+        this.contactData = this.contactViews[collisions];
+      }
+    }
+
     this.frameStartTime = performance.now();
     let t0, t1, t2, t3, t4;
 
@@ -305,6 +357,9 @@ class LogicWorker extends AbstractWorker {
         this.profilingStats.collisionTime += t1 - t0;
       }
     }
+    if (collisions !== -1) {
+      FrameSync.release(FrameSync.COLLISIONS, collisions);
+    }
 
     // Count active entities while processing jobs
     let activeCount = 0;
@@ -316,10 +371,23 @@ class LogicWorker extends AbstractWorker {
       t2 = performance.now();
     }
 
+    const outOfBounds = RigidBody.outOfBounds;
+    const flowGoals = FlowFieldFollower.goal; // Undefined if no class follows a flow field
+
+    // Lockstep: fixed job assignment (worker k takes jobs k, k + n, ...) so every
+    // run ticks each entity on the same worker, with the same rng sequence
+    let staticJobIndex = this.workerIndex;
+
     // Job-based processing: atomically claim jobs until none remain
     while (true) {
       // Atomically claim the next job
-      const jobIndex = Atomics.add(this.jobQueueData, 0, 1);
+      let jobIndex;
+      if (this.lockstep) {
+        jobIndex = staticJobIndex;
+        staticJobIndex += this.totalLogicWorkers;
+      } else {
+        jobIndex = Atomics.add(this.jobQueueData, 0, 1);
+      }
       const totalJobs = this.jobQueueData[1];
 
       // Check if all jobs are claimed
@@ -337,6 +405,13 @@ class LogicWorker extends AbstractWorker {
       for (let i = jobStartIndex; i < jobEndIndex; i++) {
         if (this.gameObjects[i] && Transform.active[i]) {
           const obj = this.gameObjects[i];
+
+          // Left the world with boundaryMode "despawn" (flagged by physics)
+          if (outOfBounds && outOfBounds[i]) {
+            obj.despawn();
+            continue;
+          }
+
           activeCount++;
           this.entitiesProcessedThisFrame++;
 
@@ -354,6 +429,11 @@ class LogicWorker extends AbstractWorker {
             totalNeighborsThisFrame += this.neighborData[neighborOffset];
           }
 
+          // Steer flow field followers and Steering behaviours (tick() can still adjust or override)
+          if (flowGoals && flowGoals[i] !== 0) FlowField.steer(i, dtRatio);
+          if (obj._hasComponents.Steering)
+            SteeringBehaviors.apply(obj, dtRatio);
+
           // Tick entity logic (no inputData parameter - use this.mouse / this.keyboard instead)
           const tickStart = this.enableProfiling ? performance.now() : 0;
           obj.tick(dtRatio);
@@ -371,7 +451,9 @@ class LogicWorker extends AbstractWorker {
 
     // Reset job queue for next frame
     // Use syncData[1] as a "workers finished" counter for this frame
-    if (this.syncData && this.totalLogicWorkers > 1) {
+    if (this.lockstep) {
+      // Nothing claimed from the shared queue
+    } else if (this.syncData && this.totalLogicWorkers > 1) {
       // Check if main thread is active (syncData[4] = 1 means active, 0 means hidden tab)
       // When window is hidden, requestAnimationFrame stops, so main thread won't participate
       const mainThreadActive = Atomics.load(this.syncData, 4);
@@ -385,11 +467,14 @@ class LogicWorker extends AbstractWorker {
         // Last worker to finish - reset for next frame
         Atomics.store(this.jobQueueData, 0, 0); // Reset job counter
         Atomics.store(this.syncData, 1, 0); // Reset finished counter
+        if (FrameSync.enabled) FrameSync.finishLogicFrame();
       }
     } else if (this.totalLogicWorkers === 1) {
       // Single worker mode - just reset directly
       Atomics.store(this.jobQueueData, 0, 0);
+      if (FrameSync.enabled) FrameSync.finishLogicFrame();
     }
+    this.releaseNeighbors(neighbors);
 
     if (this.enableProfiling) {
       t3 = performance.now();
@@ -416,8 +501,10 @@ class LogicWorker extends AbstractWorker {
    */
   getCollisionKey(a, b) {
     // Cantor pairing function: maps two naturals to a unique natural
-    // key = (a + b) * (a + b + 1) / 2 + b
-    return ((a + b) * (a + b + 1)) / 2 + b;
+    // key = (a + b) * (a + b + 1) / 2 + b, shifted by one for tile hits (-1)
+    const x = a + 1;
+    const y = b + 1;
+    return ((x + y) * (x + y + 1)) / 2 + y;
   }
 
   /**
@@ -456,6 +543,9 @@ class LogicWorker extends AbstractWorker {
       const keyAB = this.getCollisionKey(entityA, entityB);
       const keyBA = this.getCollisionKey(entityB, entityA);
 
+      // Same pair listed twice (bullet hit + regular contact): first one wins
+      if (this.currentCollisions.has(keyAB)) continue;
+
       this.currentCollisions.add(keyAB);
       this.currentCollisions.add(keyBA);
 
@@ -470,23 +560,26 @@ class LogicWorker extends AbstractWorker {
 
       const objA = this.gameObjects[entityA];
       const objB = this.gameObjects[entityB];
+      this.readContact(i);
+      const contactA = this.contactForA;
+      const contactB = this.contactForB;
 
       if (isNewCollision) {
         // OnCollisionEnter - First frame of collision
         // Call BOTH entities' callbacks since physics only stores pairs once (i < j)
         if (objA && objA.onCollisionEnter) {
-          objA.onCollisionEnter(entityB);
+          objA.onCollisionEnter(entityB, contactA);
         }
         if (objB && objB.onCollisionEnter) {
-          objB.onCollisionEnter(entityA);
+          objB.onCollisionEnter(entityA, contactB);
         }
       } else {
         // OnCollisionStay - Continuous collision
         if (objA && objA.onCollisionStay) {
-          objA.onCollisionStay(entityB);
+          objA.onCollisionStay(entityB, contactA);
         }
         if (objB && objB.onCollisionStay) {
-          objB.onCollisionStay(entityA);
+          objB.onCollisionStay(entityA, contactB);
         }
       }
     }
@@ -525,6 +618,25 @@ class LogicWorker extends AbstractWorker {
     this.currentCollisions = temp;
   }
 
+  /**
+   * Fill contactForA / contactForB from the contact of one collision pair
+   * @param {number} pair - Pair index in collisionData
+   */
+  readContact(pair) {
+    const a = this.contactForA;
+    const b = this.contactForB;
+    if (!this.contactData) return;
+
+    const c = pair * CONTACT_DATA_STRIDE;
+    a.nx = this.contactData[c];
+    a.ny = this.contactData[c + 1];
+    a.x = b.x = this.contactData[c + 2];
+    a.y = b.y = this.contactData[c + 3];
+    a.timeOfImpact = b.timeOfImpact = this.contactData[c + 4];
+    b.nx = -a.nx;
+    b.ny = -a.ny;
+  }
+
   /**
    * Check screen visibility changes and trigger lifecycle methods
    * Detects when entities enter or exit the screen and calls onScreenEnter/onScreenExit
@@ -710,6 +822,37 @@ class LogicWorker extends AbstractWorker {
         break;
       }
 
+      case "despawnScene": {
+        // Despawn the exiting scene's entities that this worker "owns"
+        const { sceneId } = data;
+
+        for (let i = 0; i < this.entityCount; i++) {
+          if (i % this.totalLogicWorkers !== this.workerIndex) {
+            continue;
+          }
+
+          if (
+            Transform.active[i] &&
+            Scene.sceneIds[i] === sceneId &&
+            this.gameObjects[i]
+          ) {
+            this.gameObjects[i].despawn();
+          }
+        }
+        break;
+      }
+
+      case "loadAssets": {
+        // Scene assets: spritesheet metadata for setSpritesheet()/setAnimation()
+        SpriteSheetRegistry.merge(data.registry);
+        break;
+      }
+
+      case "unloadAssets": {
+        SpriteSheetRegistry.unregister(data.names);
+        break;
+      }
+
       default:
         // Unknown message - ignore or log
         break;
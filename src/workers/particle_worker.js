@@ -353,7 +353,9 @@ class ParticleWorker extends AbstractWorker {
     // this.updateEntityLighting();
 
     // Calculate shadow sprite positions (uses same neighbor data as lighting)
+    const neighbors = this.acquireNeighbors();
     this.updateShadowSprites();
+    this.releaseNeighbors(neighbors);
 
     // Update screen visibility for all game entities
     this.updateEntityScreenVisibility();
@@ -0,0 +1,483 @@
+// pathfinding_worker.js - A* on the spatial grid for Pathfinding requests
+// Drains the request ring every frame (within a time budget) and writes each
+// entity's waypoints into the shared path buffer. Cells whose flags match the
+// request's avoidFlags are walls, SLOW cells cost config.pathfinding.slowCost
+// In lockstep mode it's the stage between spatial and logic and serves every
+// queued request (no time budget), so a path always arrives on the tick after its request
+
+import { Transform } from "../components/Transform.js";
+import { Spatial } from "../core/Spatial.js";
+import { Pathfinding } from "../core/Pathfinding.js";
+import { Lockstep } from "../core/Lockstep.js";
+import { AbstractWorker } from "./AbstractWorker.js";
+
+// Make components globally available
+self.Transform = Transform;
+
+// 8-connected moves: straight ones first
+const DIR_COLS = [1, -1, 0, 0, 1, 1, -1, -1];
+const DIR_ROWS = [0, 0, 1, -1, 1, -1, 1, -1];
+const SQRT2 = Math.SQRT2;
+
+/**
+ * PathfindingWorker - Serves path requests queued with Pathfinding.requestPath()
+ * One search at a time over the grid cells (Spatial.gridCols x gridRows),
+ * search state is reused between requests
+ */
+class PathfindingWorker extends AbstractWorker {
+  constructor(selfRef) {
+    super(selfRef);
+
+    // Pathfinding worker doesn't need game scripts
+    this.needsGameScripts = false;
+    this.lockstepStage = Lockstep.STAGES.PATHFINDING;
+
+    // Settings (config.pathfinding)
+    this.maxMsPerFrame = 8; // Time budget per frame, the rest waits in the ring
+    this.maxSearchNodes = 0; // Cells expanded before giving up (0 = every cell)
+    this.slowCost = 3; // Cost multiplier of SLOW cells
+
+    // Search state, one slot per cell (stamps avoid clearing between searches)
+    this.gScore = null; // Float32Array - cost from the start
+    this.parent = null; // Int32Array - previous cell on the best path
+    this.openStamp = null; // Uint32Array - cell reached by the current search
+    this.closedStamp = null; // Uint32Array - cell expanded by the current search
+    this.currentSearch = 0;
+    this.cellPath = null; // Int32Array - cells of the last path, start first
+
+    // Open list: binary min-heap on f = g + h (cells can be in it several times)
+    this.heapCells = new Int32Array(1024);
+    this.heapScores = new Float32Array(1024);
+    this.heapSize = 0;
+
+    this.waypointCount = 0; // Waypoints written by the last findPath()
+
+    // Stats for the FPS report
+    this.solvedPaths = 0;
+    this.searchTime = 0;
+
+    this.solveRequest = this.solveRequest.bind(this);
+  }
+
+  /**
+   * Initialize the pathfinding worker
+   */
+  initialize(data) {
+    const pathfinding = this.config.pathfinding || {};
+    this.maxMsPerFrame = pathfinding.maxMsPerFrame || 8;
+    this.maxSearchNodes = pathfinding.maxSearchNodes || Spatial.totalCells;
+    this.slowCost = pathfinding.slowCost ?? 3;
+
+    const totalCells = Spatial.totalCells;
+    this.gScore = new Float32Array(totalCells);
+    this.parent = new Int32Array(totalCells);
+    this.openStamp = new Uint32Array(totalCells);
+    this.closedStamp = new Uint32Array(totalCells);
+    this.cellPath = new Int32Array(totalCells);
+
+    if (!Spatial.cellFlags) {
+      console.warn(
+        "PathfindingWorker: no cell flags buffer, every cell is walkable"
+      );
+    }
+  }
+
+  /**
+   * Update method called each frame (implementation of AbstractWorker.update)
+   */
+  update(deltaTime, dtRatio, resuming) {
+    const start = performance.now();
+    // Lockstep: a time budget would make results depend on machine speed
+    const deadline = this.lockstep ? Infinity : start + this.maxMsPerFrame;
+    Pathfinding.consumeRequests(this.solveRequest, deadline);
+    this.searchTime = performance.now() - start;
+  }
+
+  /**
+   * Search one request and publish the result
+   * @param {number} entity
+   * @param {number} state - Request state (see Pathfinding)
+   */
+  solveRequest(entity, state, fromX, fromY, toX, toY, avoidFlags) {
+    const status = this.findPath(entity, fromX, fromY, toX, toY, avoidFlags);
+    if (Pathfinding.publishPath(entity, state, this.waypointCount, status)) {
+      this.solvedPaths++;
+    }
+  }
+
+  /**
+   * A* from the start cell to the target cell, then string pulling:
+   * waypoints are the cell centers where the path turns, the last one is always the target
+   * Writes into the entity's slot of Pathfinding.pathPoints
+   * @param {number} entity - Path owner
+   * @param {number} fromX - Start position
+   * @param {number} fromY
+   * @param {number} toX - Target position
+   * @param {number} toY
+   * @param {number} avoidFlags - Cell flags the path can't cross
+   * @returns {number} Pathfinding.STATUS value
+   */
+  findPath(entity, fromX, fromY, toX, toY, avoidFlags) {
+    const { FOUND, PARTIAL, NOT_FOUND } = Pathfinding.STATUS;
+    const cellFlags = Spatial.cellFlags;
+    const gridCols = Spatial.gridCols;
+    const gridRows = Spatial.gridRows;
+    const cellSize = Spatial.cellSize;
+    const invCellSize = Spatial.invCellSize;
+    const slowFlag = Spatial.CELL_FLAGS.SLOW;
+    const slowCost = this.slowCost;
+    this.waypointCount = 0;
+
+    const startCol = this.clampCol(Math.floor(fromX * invCellSize));
+    const startRow = this.clampRow(Math.floor(fromY * invCellSize));
+    const goalCol = this.clampCol(Math.floor(toX * invCellSize));
+    const goalRow = this.clampRow(Math.floor(toY * invCellSize));
+    const startCell = startRow * gridCols + startCol;
+    const goalCell = goalRow * gridCols + goalCol;
+
+    // Target inside the grid (its cell when it's outside the world)
+    const targetX = Math.min(
+      Math.max(toX, goalCol * cellSize),
+      (goalCol + 1) * cellSize - 0.001
+    );
+    const targetY = Math.min(
+      Math.max(toY, goalRow * cellSize),
+      (goalRow + 1) * cellSize - 0.001
+    );
+
+    if (cellFlags && (cellFlags[goalCell] & avoidFlags) !== 0) {
+      return NOT_FOUND;
+    }
+
+    const gScore = this.gScore;
+    const parent = this.parent;
+    const openStamp = this.openStamp;
+    const closedStamp = this.closedStamp;
+    const search = this.nextSearch();
+
+    gScore[startCell] = 0;
+    parent[startCell] = -1;
+    openStamp[startCell] = search;
+    this.heapSize = 0;
+    this.pushOpen(
+      startCell,
+      this.heuristic(startCol, startRow, goalCol, goalRow)
+    );
+
+    let expanded = 0;
+    let found = false;
+    while (this.heapSize > 0) {
+      const cell = this.popOpen();
+      if (closedStamp[cell] === search) continue; // Older, worse entry
+      closedStamp[cell] = search;
+      if (cell === goalCell) {
+        found = true;
+        break;
+      }
+      if (++expanded > this.maxSearchNodes) break;
+
+      const col = cell % gridCols;
+      const row = (cell - col) / gridCols;
+      const g = gScore[cell];
+
+      for (let d = 0; d < 8; d++) {
+        const nextCol = col + DIR_COLS[d];
+        const nextRow = row + DIR_ROWS[d];
+        if (
+          nextCol < 0 ||
+          nextRow < 0 ||
+          nextCol >= gridCols ||
+          nextRow >= gridRows
+        ) {
+          continue;
+        }
+
+        const next = nextRow * gridCols + nextCol;
+        if (closedStamp[next] === search) continue;
+
+        let cost = d < 4 ? 1 : SQRT2;
+        if (cellFlags) {
+          const flags = cellFlags[next];
+          if ((flags & avoidFlags) !== 0) continue;
+          // No corner cutting: both cells beside a diagonal move must be open
+          if (
+            d >= 4 &&
+            ((cellFlags[row * gridCols + nextCol] & avoidFlags) !== 0 ||
+              (cellFlags[nextRow * gridCols + col] & avoidFlags) !== 0)
+          ) {
+            continue;
+          }
+          if ((flags & slowFlag) !== 0) cost *= slowCost;
+        }
+
+        const nextG = g + cost;
+        if (openStamp[next] === search && nextG >= gScore[next]) continue;
+        openStamp[next] = search;
+        gScore[next] = nextG;
+        parent[next] = cell;
+        this.pushOpen(
+          next,
+          nextG + this.heuristic(nextCol, nextRow, goalCol, goalRow)
+        );
+      }
+    }
+
+    if (!found) return NOT_FOUND;
+
+    // Cells from start to goal
+    const cellPath = this.cellPath;
+    let cellCount = 0;
+    for (let cell = goalCell; cell !== -1; cell = parent[cell]) {
+      cellPath[cellCount++] = cell;
+    }
+    cellPath.subarray(0, cellCount).reverse();
+
+    // String pulling: from each waypoint, skip ahead while the next point is in
+    // sight. Points are the centers of cells 1 .. n-2, then the target
+    // SLOW cells only get crossed where A* chose to, so they block the sight line
+    const sightFlags = avoidFlags | (slowCost > 1 ? slowFlag : 0);
+    const points = Pathfinding.pathPoints;
+    const base = entity * Pathfinding.maxWaypoints * 2;
+    const maxWaypoints = Pathfinding.maxWaypoints;
+    const lastPoint = cellCount - 1;
+    let anchorX = fromX;
+    let anchorY = fromY;
+    let k = 1;
+    let count = 0;
+
+    // Start and goal in the same cell: the target is the only waypoint
+    if (lastPoint === 0) {
+      points[base] = targetX;
+      points[base + 1] = targetY;
+      count = 1;
+    }
+
+    while (k <= lastPoint) {
+      let j = k;
+      while (
+        j < lastPoint &&
+        this.hasLineOfSight(
+          anchorX,
+          anchorY,
+          this.getPointX(j + 1, lastPoint, targetX),
+          this.getPointY(j + 1, lastPoint, targetY),
+          sightFlags
+        )
+      ) {
+        j++;
+      }
+
+      anchorX = this.getPointX(j, lastPoint, targetX);
+      anchorY = this.getPointY(j, lastPoint, targetY);
+      points[base + count * 2] = anchorX;
+      points[base + count * 2 + 1] = anchorY;
+      count++;
+      k = j + 1;
+
+      if (count === maxWaypoints && k <= lastPoint) {
+        this.waypointCount = count;
+        return PARTIAL;
+      }
+    }
+
+    this.waypointCount = count;
+    return FOUND;
+  }
+
+  /**
+   * X of string pulling point i: center of cellPath[i], or the target for the last one
+   * @private
+   */
+  getPointX(i, lastPoint, targetX) {
+    if (i === lastPoint) return targetX;
+    const col = this.cellPath[i] % Spatial.gridCols;
+    return (col + 0.5) * Spatial.cellSize;
+  }
+
+  /**
+   * Y of string pulling point i (see getPointX)
+   * @private
+   */
+  getPointY(i, lastPoint, targetY) {
+    if (i === lastPoint) return targetY;
+    const row = Math.floor(this.cellPath[i] / Spatial.gridCols);
+    return (row + 0.5) * Spatial.cellSize;
+  }
+
+  /**
+   * Does a segment only cross cells without blockFlags? (grid DDA)
+   * The start cell doesn't count, the agent is already there. Passing exactly
+   * through a corner needs both cells beside it open, like diagonal moves
+   * @param {number} x0 - Segment start
+   * @param {number} y0
+   * @param {number} x1 - Segment end
+   * @param {number} y1
+   * @param {number} blockFlags
+   * @returns {boolean}
+   */
+  hasLineOfSight(x0, y0, x1, y1, blockFlags) {
+    const cellFlags = Spatial.cellFlags;
+    if (!cellFlags) return true;
+
+    const gridCols = Spatial.gridCols;
+    const cellSize = Spatial.cellSize;
+    const invCellSize = Spatial.invCellSize;
+    let col = this.clampCol(Math.floor(x0 * invCellSize));
+    let row = this.clampRow(Math.floor(y0 * invCellSize));
+    const endCol = this.clampCol(Math.floor(x1 * invCellSize));
+    const endRow = this.clampRow(Math.floor(y1 * invCellSize));
+
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const stepCol = dx > 0 ? 1 : dx < 0 ? -1 : 0;
+    const stepRow = dy > 0 ? 1 : dy < 0 ? -1 : 0;
+    const deltaX = stepCol !== 0 ? cellSize / Math.abs(dx) : Infinity;
+    const deltaY = stepRow !== 0 ? cellSize / Math.abs(dy) : Infinity;
+    let maxX =
+      stepCol > 0
+        ? ((col + 1) * cellSize - x0) / dx
+        : stepCol < 0
+        ? (col * cellSize - x0) / dx
+        : Infinity;
+    let maxY =
+      stepRow > 0
+        ? ((row + 1) * cellSize - y0) / dy
+        : stepRow < 0
+        ? (row * cellSize - y0) / dy
+        : Infinity;
+
+    // Rounding can miss the end cell by one step: never walk further than this
+    let steps = Math.abs(endCol - col) + Math.abs(endRow - row);
+    while ((col !== endCol || row !== endRow) && steps-- > 0) {
+      if (maxX < maxY) {
+        col += stepCol;
+        maxX += deltaX;
+      } else if (maxY < maxX) {
+        row += stepRow;
+        maxY += deltaY;
+      } else {
+        if (
+          (cellFlags[row * gridCols + col + stepCol] & blockFlags) !== 0 ||
+          (cellFlags[(row + stepRow) * gridCols + col] & blockFlags) !== 0
+        ) {
+          return false;
+        }
+        col += stepCol;
+        row += stepRow;
+        maxX += deltaX;
+        maxY += deltaY;
+        steps--;
+      }
+      if ((cellFlags[row * gridCols + col] & blockFlags) !== 0) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Octile distance in cells (8-connected moves, straight cost 1)
+   * @private
+   */
+  heuristic(col, row, goalCol, goalRow) {
+    const dx = Math.abs(col - goalCol);
+    const dy = Math.abs(row - goalRow);
+    return dx + dy + (SQRT2 - 2) * Math.min(dx, dy);
+  }
+
+  /** @private */
+  clampCol(col) {
+    return col < 0 ? 0 : col >= Spatial.gridCols ? Spatial.gridCols - 1 : col;
+  }
+
+  /** @private */
+  clampRow(row) {
+    return row < 0 ? 0 : row >= Spatial.gridRows ? Spatial.gridRows - 1 : row;
+  }
+
+  /**
+   * Start a search: new stamp (reset on wrap-around)
+   * @returns {number}
+   * @private
+   */
+  nextSearch() {
+    if (++this.currentSearch === 0xffffffff) {
+      this.openStamp.fill(0);
+      this.closedStamp.fill(0);
+      this.currentSearch = 1;
+    }
+    return this.currentSearch;
+  }
+
+  /**
+   * Add a cell to the open heap (grows it when full)
+   * @private
+   */
+  pushOpen(cell, score) {
+    if (this.heapSize === this.heapCells.length) {
+      const cells = new Int32Array(this.heapSize * 2);
+      const scores = new Float32Array(this.heapSize * 2);
+      cells.set(this.heapCells);
+      scores.set(this.heapScores);
+      this.heapCells = cells;
+      this.heapScores = scores;
+    }
+
+    const cells = this.heapCells;
+    const scores = this.heapScores;
+    let i = this.heapSize++;
+    while (i > 0) {
+      const up = (i - 1) >> 1;
+      if (scores[up] <= score) break;
+      cells[i] = cells[up];
+      scores[i] = scores[up];
+      i = up;
+    }
+    cells[i] = cell;
+    scores[i] = score;
+  }
+
+  /**
+   * Remove and return the cell with the lowest score
+   * @private
+   */
+  popOpen() {
+    const cells = this.heapCells;
+    const scores = this.heapScores;
+    const top = cells[0];
+    const size = --this.heapSize;
+    const cell = cells[size];
+    const score = scores[size];
+
+    let i = 0;
+    while (true) {
+      let child = i * 2 + 1;
+      if (child >= size) break;
+      if (child + 1 < size && scores[child + 1] < scores[child]) child++;
+      if (scores[child] >= score) break;
+      cells[i] = cells[child];
+      scores[i] = scores[child];
+      i = child;
+    }
+    cells[i] = cell;
+    scores[i] = score;
+    return top;
+  }
+
+  /**
+   * Override reportFPS to include paths solved and requests waiting
+   */
+  reportFPS() {
+    if (this.frameNumber % this.fpsReportInterval === 0) {
+      self.postMessage({
+        msg: "fps",
+        fps: this.currentFPS.toFixed(2),
+        solvedPaths: this.solvedPaths,
+        queuedPaths: Pathfinding.getQueuedCount(),
+        searchTime: this.searchTime.toFixed(2),
+      });
+      this.solvedPaths = 0;
+    }
+  }
+}
+
+// Create singleton instance and setup message handler
+const pathfindingWorker = new PathfindingWorker(self);
@@ -11,12 +11,47 @@ import { GameObject } from "../core/gameObject.js";
 import { Transform } from "../components/Transform.js";
 import { RigidBody } from "../components/RigidBody.js";
 import { Collider } from "../components/Collider.js";
+import { Constraint } from "../components/Constraint.js";
+import { Tilemap } from "../core/Tilemap.js";
 import { AbstractWorker } from "./AbstractWorker.js";
-import { clamp01, validatePhysicsConfig } from "../core/utils.js";
-import { rng } from "../core/utils.js";
+import { Lockstep } from "../core/Lockstep.js";
+import { FrameSync } from "../core/FrameSync.js";
+import {
+  BOUNDARY_MODES,
+  combineMaterial,
+  getBoundaryModeTable,
+  validatePhysicsConfig,
+  wrapDelta,
+} from "../core/utils.js";
+import { Physics } from "../core/Physics.js";
+import { Spatial } from "../core/Spatial.js";
+import {
+  CONTACT_DATA_STRIDE,
+  SHAPE_BOX,
+  SHAPE_CIRCLE,
+  collideColliders,
+  collideColliderWithBox,
+  getBoundingRadius,
+  getColliderBounds,
+  getColliderCenter,
+  getSupportPoint,
+  rayVsBox,
+  updateColliderAABB,
+} from "../core/collision.js";
 // Note: Game-specific scripts are loaded dynamically by AbstractWorker
 // Physics worker uses RigidBody component for physics calculations
 
+// Largest rotation change per frame for bodies with angular physics
+const MAX_ANGULAR_STEP = Math.PI / 4;
+
+// Bullet hits (continuous collision detection) kept per frame for collision callbacks
+const MAX_BULLET_HITS = 1024;
+
+// BOUNDARY_MODES indices (values of boundaryModeByType)
+const BOUNDARY_BOUNCE = BOUNDARY_MODES.indexOf("bounce");
+const BOUNDARY_WRAP = BOUNDARY_MODES.indexOf("wrap");
+const BOUNDARY_OPEN = BOUNDARY_MODES.indexOf("open");
+
 /**
  * PhysicsWorker - Handles physics integration for all entities
  * Integrates acceleration -> velocity -> position
@@ -29,6 +64,9 @@ class PhysicsWorker extends AbstractWorker {
     // Physics worker is generic - doesn't need game-specific classes
     this.needsGameScripts = false;
 
+    // Last in each lockstep tick, after logic set forces and velocities
+    this.lockstepStage = Lockstep.STAGES.PHYSICS;
+
     // Runtime physics settings (filled from config)
     this.settings = {
       subStepCount: 4,
@@ -36,12 +74,67 @@ class PhysicsWorker extends AbstractWorker {
       collisionResponseStrength: 0.5,
       verletDamping: 0.995,
       minSpeedForRotation: 0.1,
+      restitutionCombine: "average",
+      frictionCombine: "average",
+      boundaryMode: "bounce",
+      allowSleeping: false,
+      sleepThreshold: 0.05,
+      sleepFrames: 60,
       gravity: { x: 0, y: 0 },
     };
 
     // Collision data buffer for Unity-style callbacks
     this.collisionData = null;
     this.maxCollisionPairs = 10000; // Default, will be set from config
+    this.contactData = null; // Float32Array, CONTACT_DATA_STRIDE floats per pair
+    this.collisionViews = null; // Pipeline mode: [copy 0, copy 1] of collisionData
+    this.contactViews = null; // Pipeline mode: [copy 0, copy 1] of contactData
+    this.appliedLogicFrame = 0; // Pipeline mode: last logic frame whose forces were applied
+
+    // Bullet (CCD) hits of this frame, written first into collisionData every substep
+    this.bulletHitCount = 0;
+    this.bulletPairs = new Int32Array(MAX_BULLET_HITS * 2);
+    this.bulletContacts = new Float32Array(
+      MAX_BULLET_HITS * CONTACT_DATA_STRIDE
+    );
+
+    // Resolved world edge behavior per entityType (see utils.getBoundaryModeTable)
+    this.boundaryModeByType = null;
+
+    // Per entityType: 1 = has a neighborQuery, its collision candidates are the
+    // spatial worker's unfiltered lists (second half of neighborData)
+    this.candidateListByType = null;
+
+    // Sleeping islands (allowSleeping): bodies touching each other this frame
+    // are joined with union-find and fall asleep / wake up together
+    this.islandParent = null; // Int32Array(rigidBodyCount), union-find parent
+    this.islandRestTime = null; // Int32Array, per root: shortest sleepTimer in the island
+    this.islandRestless = null; // Uint8Array, per root: 1 = a member moved this frame
+    this.frameStartX = null; // Float32Array, positions before this frame's step
+    this.frameStartY = null;
+    this.frameStartRotation = null;
+
+    // Reusable narrow-phase outputs (GC optimization)
+    this.contact = { nx: 0, ny: 0, depth: 0, px: 0, py: 0 };
+    this.scratchBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    this.scratchPoint = { x: 0, y: 0 };
+    this.relativeVelocity = { x: 0, y: 0 };
+    this.sweepHit = { distance: 0, nx: 0, ny: 0 };
+    this.scratchTileHit = { distance: 0, nx: 0, ny: 0 };
+
+    // Physics.consumeCommands callback (created once, no per-frame closures)
+    this.runCommand = (type, data, offset) => {
+      if (type === Physics.COMMANDS.RADIAL_IMPULSE) {
+        this.applyRadialImpulse(
+          data[offset + 1],
+          data[offset + 2],
+          data[offset + 3],
+          data[offset + 4],
+          data[offset + 5],
+          data[offset + 6]
+        );
+      }
+    };
   }
 
   /**
@@ -75,11 +168,29 @@ class PhysicsWorker extends AbstractWorker {
         this.config.physics?.maxCollisionPairs ||
         this.config.maxCollisionPairs ||
         10000;
+      if (data.buffers.contactData) {
+        this.contactData = new Float32Array(data.buffers.contactData);
+      }
+      if (data.buffers.pipeline) {
+        this.collisionViews = [
+          this.collisionData,
+          new Int32Array(data.buffers.pipeline.collisionData),
+        ];
+        this.contactViews = [
+          this.contactData,
+          new Float32Array(data.buffers.pipeline.contactData),
+        ];
+      }
       // console.log(
       //   `PHYSICS WORKER: Collision callbacks enabled (max ${this.maxCollisionPairs} pairs)`
       // );
     }
 
+    this.candidateListByType = new Uint8Array(256);
+    for (const cls of this.registeredClasses) {
+      if (cls.neighborQuery) this.candidateListByType[cls.entityType] = 1;
+    }
+
     this.applyPhysicsConfig(this.config.physics || {});
 
     // console.log("PHYSICS WORKER: Using Verlet integration exclusively");
@@ -101,8 +212,32 @@ class PhysicsWorker extends AbstractWorker {
    * Performs physics integration for all entities
    */
   update(deltaTime, dtRatio, resuming) {
+    // Pipeline mode: pin the latest neighbors and write this step's collisions into
+    // the copy logic isn't reading (none at all if it's still held after the timeout)
+    let neighbors = -1;
+    let collisions = -1;
+    if (FrameSync.enabled) {
+      neighbors = this.acquireNeighbors();
+      if (this.collisionViews) {
+        const back = 1 - FrameSync.getFront(FrameSync.COLLISIONS);
+        if (FrameSync.waitUntilWritable(FrameSync.COLLISIONS, back)) {
+          collisions = back;
+          this.collisionData = this.collisionViews[back];
+          this.contactData = this.contactViews[back];
+        } else {
+          this.collisionData = null;
+          this.contactData = null;
+        }
+      }
+    }
+
     this.updateVerlet(deltaTime, dtRatio);
 
+    if (collisions !== -1) {
+      FrameSync.publish(FrameSync.COLLISIONS, collisions);
+    }
+    this.releaseNeighbors(neighbors);
+
     // CRITICAL: Sync RigidBody positions to Transform for rendering
     this.syncPhysicsToTransform();
   }
@@ -119,7 +254,22 @@ class PhysicsWorker extends AbstractWorker {
     };
 
     // Use utility function for validation and merging
+    const previousGravity = this.settings.gravity;
     this.settings = validatePhysicsConfig(this.settings, this.config.physics);
+
+    // Sleeping bodies don't notice new forces: wake everything
+    if (
+      !this.settings.allowSleeping ||
+      previousGravity.x !== this.settings.gravity.x ||
+      previousGravity.y !== this.settings.gravity.y
+    ) {
+      this.wakeAllBodies();
+    }
+
+    this.boundaryModeByType = getBoundaryModeTable(
+      this.registeredClasses,
+      this.settings.boundaryMode
+    );
   }
 
   handleCustomMessage(data) {
@@ -179,6 +329,19 @@ class PhysicsWorker extends AbstractWorker {
     const gx = this.settings.gravity.x || 0;
     const gy = this.settings.gravity.y || 0;
 
+    const allowSleeping = this.settings.allowSleeping;
+    if (allowSleeping)
+      this.beginSleepFrame(active, rigidBodyActive, rigidBodyCount);
+
+    // Step 0: Commands queued by logic since the last step (Physics.applyRadialImpulse)
+    Physics.consumeCommands(this.runCommand);
+
+    // Pipeline mode: forces are applied once per finished logic frame (logic may be
+    // writing the next frame's ones right now, so they're neither read nor cleared)
+    const logicFrame = FrameSync.enabled ? FrameSync.getLogicFrame() : 0;
+    const applyForces =
+      !FrameSync.enabled || logicFrame !== this.appliedLogicFrame;
+
     // Step 1: Move balls using Verlet integration
     this.moveBallsVerlet(
       active,
@@ -196,6 +359,21 @@ class PhysicsWorker extends AbstractWorker {
       gy,
       maxVel,
       radius,
+      rigidBodyCount,
+      applyForces
+    );
+    if (FrameSync.enabled && applyForces) {
+      this.appliedLogicFrame = logicFrame;
+      FrameSync.markForcesApplied(logicFrame);
+    }
+
+    // Step 1b: Fast bullets stop at their first hit instead of tunneling
+    this.sweepBullets(
+      active,
+      rigidBodyActive,
+      colliderActive,
+      isTrigger,
+      dtRatio,
       rigidBodyCount
     );
 
@@ -216,7 +394,11 @@ class PhysicsWorker extends AbstractWorker {
       );
     }
 
-    // Step 3: Update derived properties (velocityAngle, speed) from positions
+    // Step 3: Put resting islands to sleep, wake the ones something moved in
+    if (allowSleeping)
+      this.updateSleeping(active, rigidBodyActive, rigidBodyCount);
+
+    // Step 4: Update derived properties (velocityAngle, speed) from positions
     this.updateDerivedProperties(
       active,
       rigidBodyActive,
@@ -230,12 +412,31 @@ class PhysicsWorker extends AbstractWorker {
       speed,
       rigidBodyCount
     );
+
+    // Step 5: Refresh collider AABB cache for the final positions of this frame
+    this.updateColliderBounds(active, colliderActive);
+  }
+
+  /**
+   * Refresh Collider.aabbMin/Max for every active collider
+   * Includes colliders without a RigidBody (e.g. Mouse) since logic code may move them
+   */
+  updateColliderBounds(active, colliderActive) {
+    for (let i = 0; i < this.entityCount; i++) {
+      if (!active[i] || !colliderActive[i]) continue;
+      updateColliderAABB(i);
+    }
   }
 
   /**
    * Move balls using Verlet integration
    * ENHANCED: Now includes configurable damping for energy dissipation
    * Static bodies (RigidBody.static = 1) are skipped - they don't move
+   * Kinematic bodies move by the velocity logic gave them, see moveKinematic
+   * Sleeping bodies are skipped too, unless logic gave them acceleration (wakes them)
+   * Rotation is integrated the same way (rotation vs prevRotation) for bodies
+   * with invInertia > 0; everything else keeps whatever rotation logic sets
+   * applyForces = false (pipeline mode, logic frame not finished) leaves ax/ay/angularAccel alone
    */
   moveBallsVerlet(
     active,
@@ -253,10 +454,19 @@ class PhysicsWorker extends AbstractWorker {
     gy,
     maxVel,
     radius,
-    rigidBodyCount
+    rigidBodyCount,
+    applyForces = true
   ) {
     const damping = this.settings.verletDamping;
     const isStatic = RigidBody.static;
+    const rotation = Transform.rotation;
+    const prevRotation = RigidBody.prevRotation;
+    const angularVelocity = RigidBody.angularVelocity;
+    const angularAccel = RigidBody.angularAccel;
+    const angularDrag = RigidBody.angularDrag;
+    const invInertia = RigidBody.invInertia;
+    const sleeping = RigidBody.sleeping;
+    const kinematic = RigidBody.kinematic;
 
     const gravityScale = Math.pow(dtRatio, 2);
 
@@ -267,6 +477,17 @@ class PhysicsWorker extends AbstractWorker {
       // Static bodies don't move - skip physics integration entirely
       if (isStatic[i]) continue;
 
+      if (kinematic[i]) {
+        this.moveKinematic(i, dtRatio, applyForces);
+        continue;
+      }
+
+      if (sleeping[i]) {
+        if (!applyForces) continue;
+        if (ax[i] === 0 && ay[i] === 0 && angularAccel[i] === 0) continue;
+        this.wakeBody(i);
+      }
+
       // Store old position for Verlet integration
       const oldX = x[i];
       const oldY = y[i];
@@ -276,8 +497,12 @@ class PhysicsWorker extends AbstractWorker {
       let dy = (y[i] - py[i]) * damping;
 
       // Add forces: gravity + game logic acceleration
-      dx += gravityScale * gx + ax[i] * dtRatio;
-      dy += gravityScale * gy + ay[i] * dtRatio;
+      dx += gravityScale * gx;
+      dy += gravityScale * gy;
+      if (applyForces) {
+        dx += ax[i] * dtRatio;
+        dy += ay[i] * dtRatio;
+      }
 
       // Speed limiting
       // Use entity's maxVel setting or default to a reasonable cap
@@ -310,14 +535,165 @@ class PhysicsWorker extends AbstractWorker {
       vy[i] = dy / dtRatio;
 
       // Clear acceleration (will be set by logic worker next frame)
-      ax[i] = 0;
-      ay[i] = 0;
+      if (applyForces) {
+        ax[i] = 0;
+        ay[i] = 0;
+      }
+
+      // Angular Verlet: implicit angular velocity from rotation history
+      if (invInertia[i] > 0) {
+        const oldRotation = rotation[i];
+        let dr =
+          (oldRotation - prevRotation[i]) * damping * (1 - angularDrag[i]);
+        if (applyForces) dr += angularAccel[i] * dtRatio;
+
+        // Clamp spin to keep deep contacts from exploding (max 1/8 turn per frame)
+        dr = Math.max(-MAX_ANGULAR_STEP, Math.min(MAX_ANGULAR_STEP, dr));
+
+        rotation[i] = oldRotation + dr;
+        prevRotation[i] = oldRotation;
+        angularVelocity[i] = dr / dtRatio;
+        if (applyForces) angularAccel[i] = 0;
+      }
+    }
+  }
+
+  /**
+   * Radial impulse queued with Physics.applyRadialImpulse
+   * Candidates come from the published spatial grid (all bodies whose cell
+   * touches the circle, one cell of margin since the grid is a frame old),
+   * or from every body if there is no grid. Velocity changes go through px/py
+   * @param {number} cx - Center X
+   * @param {number} cy - Center Y
+   * @param {number} radius
+   * @param {number} strength - Velocity change at the center (pixels per frame)
+   * @param {number} falloff - Index in Physics.FALLOFF_MODES
+   * @param {number} mask - Collision layers affected
+   */
+  applyRadialImpulse(cx, cy, radius, strength, falloff, mask) {
+    if (radius <= 0 || strength === 0) return;
+
+    const cellStart = Spatial.cellStart;
+    if (!cellStart) {
+      for (let i = 0; i < this.entityCount; i++) {
+        this.applyRadialImpulseTo(i, cx, cy, radius, strength, falloff, mask);
+      }
+      return;
+    }
+
+    const cellEntities = Spatial.cellEntities;
+    const invCellSize = Spatial.invCellSize;
+    const maxCol = Spatial.gridCols - 1;
+    const maxRow = Spatial.gridRows - 1;
+    const startCol = Math.max(0, Math.floor((cx - radius) * invCellSize) - 1);
+    const endCol = Math.min(
+      maxCol,
+      Math.floor((cx + radius) * invCellSize) + 1
+    );
+    const startRow = Math.max(0, Math.floor((cy - radius) * invCellSize) - 1);
+    const endRow = Math.min(
+      maxRow,
+      Math.floor((cy + radius) * invCellSize) + 1
+    );
+
+    for (let row = startRow; row <= endRow; row++) {
+      for (let col = startCol; col <= endCol; col++) {
+        const cell = row * Spatial.gridCols + col;
+        for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+          this.applyRadialImpulseTo(
+            cellEntities[k],
+            cx,
+            cy,
+            radius,
+            strength,
+            falloff,
+            mask
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * One body's share of a radial impulse (see applyRadialImpulse)
+   */
+  applyRadialImpulseTo(i, cx, cy, radius, strength, falloff, mask) {
+    if (i >= RigidBody.px.length) return;
+    if (!Transform.active[i] || !RigidBody.active[i]) return;
+    if (RigidBody.static[i] || RigidBody.kinematic[i]) return;
+    if (Collider.active[i]) {
+      if (Collider.isTrigger[i]) return;
+      if ((Collider.collisionLayer[i] & mask) === 0) return;
     }
+
+    const dx = Transform.x[i] - cx;
+    const dy = Transform.y[i] - cy;
+    const distSq = dx * dx + dy * dy;
+    if (distSq > radius * radius) return;
+
+    const dist = Math.sqrt(distSq);
+    const t = dist / radius;
+    const scale = falloff === 0 ? 1 : falloff === 1 ? 1 - t : (1 - t) * (1 - t);
+    const impulse = strength * scale;
+    if (impulse === 0) return;
+
+    // Dead center: no direction to push in, pick one
+    const nx = dist > 0 ? dx / dist : 1;
+    const ny = dist > 0 ? dy / dist : 0;
+
+    RigidBody.px[i] -= nx * impulse;
+    RigidBody.py[i] -= ny * impulse;
+    if (RigidBody.sleeping[i]) this.wakeBody(i);
+  }
+
+  /**
+   * Kinematic body: no forces, damping or speed limit, it just follows
+   * vx/vy and angularVelocity as set by logic. px/py trail the new position
+   * by exactly that velocity, so contacts see how fast it moves (friction
+   * carries bodies on a moving platform) and nothing is added on top.
+   * Setting x/y from logic teleports it (the setters sync px/py)
+   * @param {number} i - Entity index
+   * @param {number} dtRatio
+   * @param {boolean} [clearForces=true] - Drop forces logic gave it (ignored anyway)
+   */
+  moveKinematic(i, dtRatio, clearForces = true) {
+    const x = Transform.x;
+    const y = Transform.y;
+    const rotation = Transform.rotation;
+
+    RigidBody.px[i] = x[i];
+    RigidBody.py[i] = y[i];
+    x[i] += RigidBody.vx[i] * dtRatio;
+    y[i] += RigidBody.vy[i] * dtRatio;
+
+    RigidBody.prevRotation[i] = rotation[i];
+    rotation[i] += RigidBody.angularVelocity[i] * dtRatio;
+
+    if (!clearForces) return;
+    RigidBody.ax[i] = 0;
+    RigidBody.ay[i] = 0;
+    RigidBody.angularAccel[i] = 0;
+  }
+
+  /**
+   * Is a kinematic body moving this frame (so it wakes what it touches)
+   * @param {number} i - Entity index
+   * @returns {boolean}
+   */
+  isKinematicMoving(i) {
+    return (
+      Transform.x[i] !== RigidBody.px[i] ||
+      Transform.y[i] !== RigidBody.py[i] ||
+      Transform.rotation[i] !== RigidBody.prevRotation[i]
+    );
   }
 
   /**
    * Apply constraints: boundary constraints and collision resolution
    * ENHANCED: Now includes configurable boundary elasticity (bouncy walls)
+   * World edges follow each entity type's boundaryMode (bounce / wrap / open / despawn)
+   * Also solves entity constraints (GameObject.connect) before boundaries,
+   * and tilemap collisions right after them
    * This is run multiple times per frame (sub-stepping) for stability
    */
   applyConstraintsVerlet(
@@ -337,44 +713,102 @@ class PhysicsWorker extends AbstractWorker {
     const px = RigidBody.px;
     const py = RigidBody.py;
 
-    const boundaryElasticity = this.settings.boundaryElasticity;
     const isStatic = RigidBody.static;
+    const invInertia = RigidBody.invInertia;
+    const outOfBounds = RigidBody.outOfBounds;
+    const sleeping = RigidBody.sleeping;
+    const kinematic = RigidBody.kinematic;
+    const entityType = Transform.entityType;
+    const boundaryModeByType = this.boundaryModeByType;
+
+    // Entity-to-entity constraints (distance / spring / rope)
+    if (Constraint.active) {
+      this.solveEntityConstraints(active, rigidBodyActive, x, y);
+    }
 
-    // Apply boundary constraints with bounce - only for entities with RigidBody
+    // Scratch output for collider geometry (avoid per-entity allocations)
+    const bounds = this.scratchBounds;
+
+    // Apply boundary constraints (boundaryMode) - only for entities with RigidBody
     for (let i = 0; i < rigidBodyCount; i++) {
       if (!active[i] || !rigidBodyActive[i]) continue;
 
-      // Static bodies don't need boundary constraints (they don't move)
-      if (isStatic[i]) continue;
+      // Static and sleeping bodies don't need boundary constraints (they don't move)
+      if (isStatic[i] || sleeping[i]) continue;
 
-      const r = radius[i];
+      const boundaryMode = boundaryModeByType[entityType[i]];
+      if (boundaryMode === BOUNDARY_OPEN) continue;
+
+      // Logic keeps kinematic bodies in place, walls don't push them back
+      if (kinematic[i] && boundaryMode === BOUNDARY_BOUNCE) continue;
+
+      // Toroidal world: the center crosses an edge and reappears on the other side
+      if (boundaryMode === BOUNDARY_WRAP) {
+        this.wrapPosition(i, worldWidth, worldHeight);
+        continue;
+      }
+
+      // World-space AABB of the collider (circle, rotated box or polygon)
+      getColliderBounds(i, bounds);
+
+      // Despawn mode: flag bodies that are completely outside, logic despawns them
+      if (boundaryMode !== BOUNDARY_BOUNCE) {
+        if (
+          bounds.maxX < 0 ||
+          bounds.minX > worldWidth ||
+          bounds.maxY < 0 ||
+          bounds.minY > worldHeight
+        ) {
+          outOfBounds[i] = 1;
+        }
+        continue;
+      }
+
+      // Rotating bodies get pushed at the touching corner/edge (walls make them tumble)
+      if (invInertia[i] > 0) {
+        this.applyBoundaryWithRotation(i, bounds, worldWidth, worldHeight);
+        continue;
+      }
+
+      const boundaryElasticity = this.getBoundaryElasticity(i);
 
       // Left boundary
-      if (x[i] < r) {
-        x[i] = r;
+      if (bounds.minX < 0) {
+        x[i] -= bounds.minX;
         // Apply bounce by reversing velocity component (manipulate previous position)
         px[i] = x[i] + (x[i] - px[i]) * boundaryElasticity;
       }
 
       // Right boundary
-      if (x[i] > worldWidth - r) {
-        x[i] = worldWidth - r;
+      if (bounds.maxX > worldWidth) {
+        x[i] -= bounds.maxX - worldWidth;
         px[i] = x[i] + (x[i] - px[i]) * boundaryElasticity;
       }
 
       // Top boundary
-      if (y[i] < r) {
-        y[i] = r;
+      if (bounds.minY < 0) {
+        y[i] -= bounds.minY;
         py[i] = y[i] + (y[i] - py[i]) * boundaryElasticity;
       }
 
       // Bottom boundary
-      if (y[i] > worldHeight - r) {
-        y[i] = worldHeight - r;
+      if (bounds.maxY > worldHeight) {
+        y[i] -= bounds.maxY - worldHeight;
         py[i] = y[i] + (y[i] - py[i]) * boundaryElasticity;
       }
     }
 
+    // Static tile geometry (config.tilemap)
+    if (Tilemap.tiles) {
+      this.collideWithTilemap(
+        active,
+        rigidBodyActive,
+        colliderActive,
+        isTrigger,
+        rigidBodyCount
+      );
+    }
+
     // Apply collision constraints using spatial grid
     if (this.neighborData) {
       // In Verlet mode, we don't need to rely on neighborData strictly if we're just checking all pairs
@@ -394,13 +828,349 @@ class PhysicsWorker extends AbstractWorker {
     }
   }
 
+  /**
+   * Wrap a body around the world edges (boundaryMode "wrap")
+   * The previous position moves by the same amount, so velocity is kept
+   * @param {number} i - Entity index
+   * @param {number} worldWidth
+   * @param {number} worldHeight
+   */
+  wrapPosition(i, worldWidth, worldHeight) {
+    const x = Transform.x;
+    const y = Transform.y;
+
+    if (x[i] < 0) {
+      x[i] += worldWidth;
+      RigidBody.px[i] += worldWidth;
+    } else if (x[i] >= worldWidth) {
+      x[i] -= worldWidth;
+      RigidBody.px[i] -= worldWidth;
+    }
+
+    if (y[i] < 0) {
+      y[i] += worldHeight;
+      RigidBody.py[i] += worldHeight;
+    } else if (y[i] >= worldHeight) {
+      y[i] -= worldHeight;
+      RigidBody.py[i] -= worldHeight;
+    }
+  }
+
+  /**
+   * Bounciness of the world boundaries for one entity
+   * boundaryElasticity acts as the walls' restitution; entities with their own
+   * Collider.restitution combine with it (restitutionCombine), the rest use it as is
+   * @param {number} i - Entity index
+   * @returns {number}
+   */
+  getBoundaryElasticity(i) {
+    const restitution = Collider.restitution[i];
+    if (!(restitution > 0)) return this.settings.boundaryElasticity;
+    return combineMaterial(
+      this.settings.boundaryElasticity,
+      restitution,
+      this.settings.restitutionCombine
+    );
+  }
+
+  /**
+   * World boundaries for a body with angular physics
+   * @param {number} i - Entity index
+   * @param {{minX:number, minY:number, maxX:number, maxY:number}} bounds - Collider AABB
+   */
+  applyBoundaryWithRotation(i, bounds, worldWidth, worldHeight) {
+    if (bounds.minX < 0) this.pushOffBoundary(i, 1, 0, -bounds.minX);
+    if (bounds.maxX > worldWidth) {
+      this.pushOffBoundary(i, -1, 0, bounds.maxX - worldWidth);
+    }
+    if (bounds.minY < 0) this.pushOffBoundary(i, 0, 1, -bounds.minY);
+    if (bounds.maxY > worldHeight) {
+      this.pushOffBoundary(i, 0, -1, bounds.maxY - worldHeight);
+    }
+  }
+
+  /**
+   * Push a rotating body out of a world boundary at its deepest point
+   * @param {number} i - Entity index
+   * @param {number} nx - Boundary normal X (pointing into the world)
+   * @param {number} ny - Boundary normal Y
+   * @param {number} depth - Penetration depth
+   */
+  pushOffBoundary(i, nx, ny, depth) {
+    const point = getSupportPoint(i, -nx, -ny, this.scratchPoint);
+    this.pushOffStatic(
+      i,
+      nx,
+      ny,
+      depth,
+      point.x,
+      point.y,
+      this.getBoundaryElasticity(i),
+      0
+    );
+  }
+
+  /**
+   * Push a dynamic body out of static geometry (world boundaries, tiles)
+   * The correction is shared between position and rotation at the contact point
+   * (rotation only if invInertia > 0), so with rotation some overlap is left
+   * for the next substeps
+   * Then, only while still moving into the surface: the normal velocity is
+   * reflected with restitution and the tangential one reduced by friction
+   * @param {number} i - Entity index
+   * @param {number} nx - Surface normal X (pointing towards the body)
+   * @param {number} ny - Surface normal Y
+   * @param {number} depth - Penetration depth
+   * @param {number} pointX - Contact point X
+   * @param {number} pointY - Contact point Y
+   * @param {number} restitution - Bounciness of this contact
+   * @param {number} friction - Friction of this contact
+   */
+  pushOffStatic(i, nx, ny, depth, pointX, pointY, restitution, friction) {
+    const x = Transform.x;
+    const y = Transform.y;
+    const px = RigidBody.px;
+    const py = RigidBody.py;
+    const invInertia = RigidBody.invInertia[i];
+
+    const cross = (pointX - x[i]) * ny - (pointY - y[i]) * nx;
+    const step = depth / (1 + cross * cross * invInertia);
+
+    x[i] += nx * step;
+    y[i] += ny * step;
+    if (invInertia > 0) Transform.rotation[i] += cross * invInertia * step;
+
+    const vx = x[i] - px[i];
+    const vy = y[i] - py[i];
+    const normalSpeed = vx * nx + vy * ny;
+    if (normalSpeed >= 0) return;
+
+    // Normal: v' = -restitution * v
+    const normalChange = -normalSpeed * (1 + restitution);
+    let dvx = nx * normalChange;
+    let dvy = ny * normalChange;
+
+    // Tangential: Coulomb-style, never reverses the sliding direction
+    if (friction > 0) {
+      const tangentX = vx - normalSpeed * nx;
+      const tangentY = vy - normalSpeed * ny;
+      const tangentSpeed = Math.sqrt(tangentX * tangentX + tangentY * tangentY);
+      if (tangentSpeed > 0) {
+        const tangentChange =
+          Math.min(tangentSpeed, friction * (depth - normalSpeed)) /
+          tangentSpeed;
+        dvx -= tangentX * tangentChange;
+        dvy -= tangentY * tangentChange;
+      }
+    }
+
+    px[i] -= dvx;
+    py[i] -= dvy;
+  }
+
+  /**
+   * Collide dynamic bodies with the solid tiles of the Tilemap
+   * Only tiles overlapping each body's AABB are tested. Contacts whose normal
+   * points into another solid tile are skipped: those are the hidden seams
+   * between neighboring tiles, and they'd snag bodies sliding along a wall
+   * Tiles behave like a static body on Tilemap.layerBit (collisionMask applies)
+   */
+  collideWithTilemap(
+    active,
+    rigidBodyActive,
+    colliderActive,
+    isTrigger,
+    rigidBodyCount
+  ) {
+    const isStatic = RigidBody.static;
+    const sleeping = RigidBody.sleeping;
+    const kinematic = RigidBody.kinematic;
+    const friction = RigidBody.friction;
+    const restitution = Collider.restitution;
+    const collisionMask = Collider.collisionMask;
+    const tileSize = Tilemap.tileSize;
+    const invTileSize = Tilemap.invTileSize;
+    const maxCol = Tilemap.cols - 1;
+    const maxRow = Tilemap.rows - 1;
+    const layerBit = Tilemap.layerBit;
+    const combineMode = this.settings.restitutionCombine;
+    const frictionCombine = this.settings.frictionCombine;
+    const bounds = this.scratchBounds;
+    const contact = this.contact;
+
+    for (let i = 0; i < rigidBodyCount; i++) {
+      if (!active[i] || !rigidBodyActive[i] || !colliderActive[i]) continue;
+      if (isStatic[i] || kinematic[i] || sleeping[i] || isTrigger[i]) continue;
+      if ((collisionMask[i] & layerBit) === 0) continue;
+
+      getColliderBounds(i, bounds);
+      let startCol = Math.floor(bounds.minX * invTileSize);
+      let endCol = Math.floor(bounds.maxX * invTileSize);
+      let startRow = Math.floor(bounds.minY * invTileSize);
+      let endRow = Math.floor(bounds.maxY * invTileSize);
+      if (endCol < 0 || endRow < 0 || startCol > maxCol || startRow > maxRow) {
+        continue;
+      }
+      if (startCol < 0) startCol = 0;
+      if (startRow < 0) startRow = 0;
+      if (endCol > maxCol) endCol = maxCol;
+      if (endRow > maxRow) endRow = maxRow;
+
+      for (let row = startRow; row <= endRow; row++) {
+        for (let col = startCol; col <= endCol; col++) {
+          if (!Tilemap.isSolid(col, row)) continue;
+
+          const minX = col * tileSize;
+          const minY = row * tileSize;
+          if (
+            !collideColliderWithBox(
+              i,
+              minX,
+              minY,
+              minX + tileSize,
+              minY + tileSize,
+              contact
+            )
+          ) {
+            continue;
+          }
+
+          // Skip seams: the tile next to this one in the normal's direction is solid too
+          const nx = contact.nx;
+          const ny = contact.ny;
+          if (Math.abs(nx) >= Math.abs(ny)) {
+            if (Tilemap.isSolid(col + (nx > 0 ? 1 : -1), row)) continue;
+          } else if (Tilemap.isSolid(col, row + (ny > 0 ? 1 : -1))) {
+            continue;
+          }
+
+          this.pushOffStatic(
+            i,
+            nx,
+            ny,
+            contact.depth,
+            contact.px,
+            contact.py,
+            combineMaterial(Tilemap.restitution, restitution[i], combineMode),
+            combineMaterial(Tilemap.friction, friction[i], frictionCombine)
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Solve distance, spring and rope constraints (position-based, one pass per substep)
+   * Correction is split evenly like collisions; static bodies don't move.
+   * despawn() frees an entity's constraints, ones still on an inactive entity
+   * are freed here, and constraints whose tension (stiffness * stretch) exceeds
+   * breakForce snap (broken = 1).
+   * Sleeping endpoints hold still like anchors; connected bodies share a
+   * sleep island, so moving one end wakes the other.
+   */
+  solveEntityConstraints(active, rigidBodyActive, x, y) {
+    const constraintActive = Constraint.active;
+    const type = Constraint.type;
+    const entityA = Constraint.entityA;
+    const entityB = Constraint.entityB;
+    const restLength = Constraint.restLength;
+    const stiffness = Constraint.stiffness;
+    const breakForce = Constraint.breakForce;
+    const tension = Constraint.tension;
+    const broken = Constraint.broken;
+    const isStatic = RigidBody.static;
+    const kinematic = RigidBody.kinematic;
+    const sleeping = RigidBody.sleeping;
+    const trackIslands = this.settings.allowSleeping;
+    const ROPE = Constraint.TYPES.ROPE;
+    const count = Constraint.constraintCount;
+
+    for (let c = 0; c < count; c++) {
+      if (constraintActive[c] !== 1) continue;
+
+      const a = entityA[c];
+      const b = entityB[c];
+
+      // Auto-cleanup: an endpoint was despawned
+      if (!active[a] || !active[b]) {
+        Atomics.store(constraintActive, c, 0);
+        continue;
+      }
+
+      const dx = x[b] - x[a];
+      const dy = y[b] - y[a];
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist === 0) continue;
+
+      const stretch = dist - restLength[c];
+
+      // Ropes only resist stretching (slack is free)
+      if (type[c] === ROPE && stretch <= 0) {
+        tension[c] = 0;
+        continue;
+      }
+
+      tension[c] = Math.abs(stretch) * stiffness[c];
+
+      // Snap when overloaded
+      if (breakForce[c] > 0 && tension[c] > breakForce[c]) {
+        broken[c] = 1;
+        Atomics.store(constraintActive, c, 0);
+        continue;
+      }
+
+      const aDynamic = rigidBodyActive[a] && !isStatic[a] && !kinematic[a];
+      const bDynamic = rigidBodyActive[b] && !isStatic[b] && !kinematic[b];
+      if (trackIslands && aDynamic && bDynamic) this.joinIslands(a, b);
+
+      // A moving kinematic anchor drags whatever hangs from it awake
+      if (sleeping[b] && kinematic[a] && this.isKinematicMoving(a)) {
+        this.wakeBody(b);
+      } else if (sleeping[a] && kinematic[b] && this.isKinematicMoving(b)) {
+        this.wakeBody(a);
+      }
+
+      // Bodies without RigidBody (or static / kinematic / sleeping ones) act as fixed anchors
+      const aFixed = !aDynamic || sleeping[a];
+      const bFixed = !bDynamic || sleeping[b];
+      if (aFixed && bFixed) continue;
+
+      const correction = (stretch / dist) * stiffness[c];
+      const cx = dx * correction;
+      const cy = dy * correction;
+
+      if (aFixed) {
+        x[b] -= cx;
+        y[b] -= cy;
+      } else if (bFixed) {
+        x[a] += cx;
+        y[a] += cy;
+      } else {
+        x[a] += cx * 0.5;
+        y[a] += cy * 0.5;
+        x[b] -= cx * 0.5;
+        y[b] -= cy * 0.5;
+      }
+    }
+  }
+
   /**
    * Resolve collisions using constraint-based approach
    * ENHANCED: Better handling of exact overlaps and configurable response strength
    * Pushes overlapping entities apart (RopeBall style)
    * Also records collision pairs for Unity-style callbacks (Enter/Stay/Exit)
    *
+   * Supports circles, rotated boxes and convex polygons (SAT) via collision.js
+   * Pairs are skipped unless (layerA & maskB) && (layerB & maskA)
+   *
+   * Pairs with restitution or friction (combined per config.physics.*Combine)
+   * also get a velocity pass, see applyContactMaterial
+   *
    * Note: Trigger colliders (isTrigger=1) detect collisions but don't apply physical response
+   * Sleeping bodies are still tested (callbacks keep firing) but never moved here
+   * Kinematic bodies push like static ones, but their velocity counts for materials
+   * Pairs with a wrapping body touch across the world edges: j is moved next to i
+   * for the test and the response, then back (see shiftBody)
    */
   resolveCollisionsVerlet(
     active,
@@ -415,23 +1185,46 @@ class PhysicsWorker extends AbstractWorker {
   ) {
     const maxNeighbors =
       this.config.spatial?.maxNeighbors || this.config.maxNeighbors || 100;
+    const candidateListByType = this.candidateListByType;
+    const candidateBase = this.entityCount * (1 + maxNeighbors);
+    const entityType = Transform.entityType;
+    const boundaryModeByType = this.boundaryModeByType;
+    const worldWidth = this.config.worldWidth;
+    const worldHeight = this.config.worldHeight;
 
     // Get collision response strength (0.5 = soft/bouncy, 1.0 = rigid)
     const responseStrength = this.settings.collisionResponseStrength;
 
-    // Track collision pairs for callbacks
-    let pairCount = 0;
+    const isStatic = RigidBody.static;
+    const kinematic = RigidBody.kinematic;
+    const sleeping = RigidBody.sleeping;
+    const trackIslands = this.settings.allowSleeping;
+    const invInertia = RigidBody.invInertia;
+    const friction = RigidBody.friction;
+    const restitution = Collider.restitution;
+    const restitutionCombine = this.settings.restitutionCombine;
+    const frictionCombine = this.settings.frictionCombine;
+    const collisionLayer = Collider.collisionLayer;
+    const collisionMask = Collider.collisionMask;
+    const contact = this.contact;
+
+    // Track collision pairs for callbacks (this frame's bullet hits go first)
     const collisionData = this.collisionData;
+    const contactData = this.contactData;
     const maxPairs = this.maxCollisionPairs;
+    let pairCount = collisionData ? this.writeBulletHits(maxPairs) : 0;
 
     // Process all entities for collision detection (including trigger-only entities like Mouse)
     for (let i = 0; i < this.entityCount; i++) {
       // Skip if entity not active or doesn't have a collider
       if (!active[i] || !colliderActive[i]) continue;
 
-      // Get neighbors from spatial worker
-      const offset = i * (1 + maxNeighbors);
+      // Get neighbors from spatial worker (unfiltered candidates for neighborQuery classes)
+      const offset =
+        i * (1 + maxNeighbors) +
+        (candidateListByType[entityType[i]] ? candidateBase : 0);
       const neighborCount = this.neighborData ? this.neighborData[offset] : 0;
+      const iWraps = boundaryModeByType[entityType[i]] === BOUNDARY_WRAP;
 
       // Check collisions with each neighbor
       for (let n = 0; n < neighborCount; n++) {
@@ -440,124 +1233,181 @@ class PhysicsWorker extends AbstractWorker {
         // Skip if neighbor not active or doesn't have a collider
         if (i === j || !active[j] || !colliderActive[j]) continue;
 
-        // Only process each pair once (i < j)
-        if (i >= j) continue;
-
-        // Calculate distance between entities
-        const dx = x[i] - x[j];
-        const dy = y[i] - y[j];
-        const dist2 = dx * dx + dy * dy;
-
-        // Check for overlap
-        const minDist = radius[i] + radius[j];
-
-        // Early exit if no collision possible
-        if (dist2 >= minDist * minDist) continue;
-
-        const dist = Math.sqrt(dist2);
-
-        // Handle exact overlap (rare but possible)
-        if (dist === 0) {
-          // Check if either entity is a trigger
-          const eitherIsTrigger = isTrigger[i] || isTrigger[j];
-
-          // Only apply physical response if neither is a trigger
-          if (!eitherIsTrigger) {
-            // Check if either entity is static
-            const isStatic = RigidBody.static;
-            const iStatic = isStatic[i];
-            const jStatic = isStatic[j];
-
-            // Push in random direction
-            const angle = rng() * Math.PI * 2;
-            const separation = 0.001;
-            const cosAngle = Math.cos(angle) * separation;
-            const sinAngle = Math.sin(angle) * separation;
-
-            if (iStatic && jStatic) {
-              // Both static - no movement
-            } else if (iStatic) {
-              // i is static - only move j
-              x[j] = x[j] - cosAngle * 2;
-              y[j] = y[j] - sinAngle * 2;
-            } else if (jStatic) {
-              // j is static - only move i
-              x[i] = x[i] + cosAngle * 2;
-              y[i] = y[i] + sinAngle * 2;
-            } else {
-              // Both dynamic - move both
-              x[i] = x[i] + cosAngle;
-              y[i] = y[i] + sinAngle;
-              x[j] = x[j] - cosAngle;
-              y[j] = y[j] - sinAngle;
-            }
-          }
+        // Across the world edges: offset that brings j next to i
+        const jWraps = boundaryModeByType[entityType[j]] === BOUNDARY_WRAP;
+        let shiftX = 0;
+        let shiftY = 0;
+        if (iWraps || jWraps) {
+          const dx = x[j] - x[i];
+          const dy = y[j] - y[i];
+          shiftX = wrapDelta(dx, worldWidth) - dx;
+          shiftY = wrapDelta(dy, worldHeight) - dy;
+        }
+        const acrossEdge = shiftX !== 0 || shiftY !== 0;
 
-          // Only increment collision count for entities with RigidBody
-          if (i < rigidBodyCount) collisionCount[i]++;
-          if (j < rigidBodyCount) collisionCount[j]++;
+        // Only process each pair once (i < j), but a non-wrapping j's list
+        // never reaches across the edges for i
+        if (i >= j && !(acrossEdge && !jWraps)) continue;
 
-          // Record collision pair for callbacks (even for triggers!)
-          if (collisionData && pairCount < maxPairs) {
-            collisionData[1 + pairCount * 2] = i;
-            collisionData[1 + pairCount * 2 + 1] = j;
-            pairCount++;
-          }
+        // Layer filtering: both sides must accept each other
+        if (
+          (collisionLayer[i] & collisionMask[j]) === 0 ||
+          (collisionLayer[j] & collisionMask[i]) === 0
+        ) {
+          continue;
+        }
+
+        // Narrow-phase: circle/box shape test (normal points from j to i)
+        if (acrossEdge) this.shiftBody(j, shiftX, shiftY, rigidBodyCount);
+        if (!collideColliders(i, j, contact)) {
+          if (acrossEdge) this.shiftBody(j, -shiftX, -shiftY, rigidBodyCount);
           continue;
         }
 
-        // Calculate overlap depth
-        const depth = minDist - dist;
-
-        if (depth > 0) {
-          // Check if either entity is a trigger (no physical response, just detection)
-          const eitherIsTrigger = isTrigger[i] || isTrigger[j];
-
-          // Only apply physical response if neither is a trigger
-          if (!eitherIsTrigger) {
-            // Normalize direction vector
-            const nx = dx / dist;
-            const ny = dy / dist;
-
-            // Check if either entity is static
-            const isStatic = RigidBody.static;
-            const iStatic = isStatic[i];
-            const jStatic = isStatic[j];
-
-            // Calculate push factor with response strength
-            const correction = depth * responseStrength;
-
-            if (iStatic && jStatic) {
-              // Both static - no movement (shouldn't happen often but handle it)
-            } else if (iStatic) {
-              // i is static - only push j away (full correction)
-              x[j] -= nx * correction;
-              y[j] -= ny * correction;
-            } else if (jStatic) {
-              // j is static - only push i away (full correction)
-              x[i] += nx * correction;
-              y[i] += ny * correction;
-            } else {
-              // Both dynamic - split correction evenly between both entities
-              const halfCorrection = correction * 0.5;
-              x[i] += nx * halfCorrection;
-              y[i] += ny * halfCorrection;
-              x[j] -= nx * halfCorrection;
-              y[j] -= ny * halfCorrection;
-            }
+        // Check if either entity is a trigger (no physical response, just detection)
+        const eitherIsTrigger = isTrigger[i] || isTrigger[j];
+
+        // Only apply physical response if neither is a trigger
+        if (!eitherIsTrigger) {
+          const nx = contact.nx;
+          const ny = contact.ny;
+
+          // Touching dynamic bodies share a sleep island
+          if (
+            trackIslands &&
+            i < rigidBodyCount &&
+            j < rigidBodyCount &&
+            rigidBodyActive[i] &&
+            rigidBodyActive[j] &&
+            !isStatic[i] &&
+            !isStatic[j] &&
+            !kinematic[i] &&
+            !kinematic[j]
+          ) {
+            this.joinIslands(i, j);
           }
 
-          // Track collision count for adaptive speed limiting (only for entities with RigidBody)
-          if (i < rigidBodyCount) collisionCount[i]++;
-          if (j < rigidBodyCount) collisionCount[j]++;
+          const iKinematic =
+            i < rigidBodyCount && rigidBodyActive[i] && kinematic[i] === 1;
+          const jKinematic =
+            j < rigidBodyCount && rigidBodyActive[j] && kinematic[j] === 1;
 
-          // Record collision pair for callbacks (even for triggers!)
-          if (collisionData && pairCount < maxPairs) {
-            collisionData[1 + pairCount * 2] = i;
-            collisionData[1 + pairCount * 2 + 1] = j;
-            pairCount++;
+          // Moving kinematic bodies wake what they run into
+          if (sleeping[j] && iKinematic && this.isKinematicMoving(i)) {
+            this.wakeBody(j);
+          } else if (sleeping[i] && jKinematic && this.isKinematicMoving(j)) {
+            this.wakeBody(i);
+          }
+
+          // Check if either entity is static (sleeping and kinematic bodies hold still like static ones)
+          const iStatic = isStatic[i] || sleeping[i] || iKinematic;
+          const jStatic = isStatic[j] || sleeping[j] || jKinematic;
+
+          // Calculate push factor with response strength
+          const correction = contact.depth * responseStrength;
+
+          // Pair materials (0 restitution and friction = pure position correction as before)
+          const pairRestitution = combineMaterial(
+            restitution[i],
+            restitution[j],
+            restitutionCombine
+          );
+          const pairFriction = combineMaterial(
+            rigidBodyActive[i] ? friction[i] : 0,
+            rigidBodyActive[j] ? friction[j] : 0,
+            frictionCombine
+          );
+          const hasMaterial = pairRestitution > 0 || pairFriction > 0;
+
+          // Dynamic bodies only: static ones and colliders without RigidBody don't carry velocity
+          const iMoves = !iStatic && i < rigidBodyCount && rigidBodyActive[i];
+          const jMoves = !jStatic && j < rigidBodyCount && rigidBodyActive[j];
+
+          // Approach speed along the normal, measured before the push apart
+          let normalSpeed = 0;
+          if (hasMaterial) {
+            const relative = this.getRelativeVelocity(
+              i,
+              j,
+              iMoves || iKinematic,
+              jMoves || jKinematic
+            );
+            normalSpeed = relative.x * nx + relative.y * ny;
+          }
+
+          // Angular physics (invInertia > 0) on either side: off-center contacts spin them
+          const invInertiaI =
+            i < rigidBodyCount && rigidBodyActive[i] ? invInertia[i] : 0;
+          const invInertiaJ =
+            j < rigidBodyCount && rigidBodyActive[j] ? invInertia[j] : 0;
+
+          if (invInertiaI > 0 || invInertiaJ > 0) {
+            this.resolveContactWithRotation(
+              i,
+              j,
+              iStatic,
+              jStatic,
+              invInertiaI,
+              invInertiaJ,
+              correction,
+              x,
+              y
+            );
+          } else if (iStatic && jStatic) {
+            // Both static - no movement (shouldn't happen often but handle it)
+          } else if (iStatic) {
+            // i is static - only push j away (full correction)
+            x[j] -= nx * correction;
+            y[j] -= ny * correction;
+          } else if (jStatic) {
+            // j is static - only push i away (full correction)
+            x[i] += nx * correction;
+            y[i] += ny * correction;
+          } else {
+            // Both dynamic - split correction evenly between both entities
+            const halfCorrection = correction * 0.5;
+            x[i] += nx * halfCorrection;
+            y[i] += ny * halfCorrection;
+            x[j] -= nx * halfCorrection;
+            y[j] -= ny * halfCorrection;
+          }
+
+          if (hasMaterial && (iMoves || jMoves)) {
+            this.applyContactMaterial(
+              i,
+              j,
+              iMoves,
+              jMoves,
+              iKinematic,
+              jKinematic,
+              normalSpeed,
+              correction,
+              pairRestitution,
+              pairFriction
+            );
           }
         }
+
+        // Track collision count for adaptive speed limiting (only for entities with RigidBody)
+        if (i < rigidBodyCount) collisionCount[i]++;
+        if (j < rigidBodyCount) collisionCount[j]++;
+
+        // Record collision pair for callbacks (even for triggers!)
+        if (collisionData && pairCount < maxPairs) {
+          collisionData[1 + pairCount * 2] = i;
+          collisionData[1 + pairCount * 2 + 1] = j;
+          if (contactData) {
+            const c = pairCount * CONTACT_DATA_STRIDE;
+            contactData[c] = contact.nx;
+            contactData[c + 1] = contact.ny;
+            contactData[c + 2] = contact.px;
+            contactData[c + 3] = contact.py;
+            contactData[c + 4] = 1;
+          }
+          pairCount++;
+        }
+
+        if (acrossEdge) this.shiftBody(j, -shiftX, -shiftY, rigidBodyCount);
       }
     }
 
@@ -567,6 +1417,582 @@ class PhysicsWorker extends AbstractWorker {
     }
   }
 
+  /**
+   * Move a body without changing its velocity (position and Verlet previous position)
+   * Used to resolve contacts across the world edges, then undone
+   * @param {number} i - Entity index
+   * @param {number} dx
+   * @param {number} dy
+   * @param {number} rigidBodyCount
+   */
+  shiftBody(i, dx, dy, rigidBodyCount) {
+    Transform.x[i] += dx;
+    Transform.y[i] += dy;
+    if (i < rigidBodyCount) {
+      RigidBody.px[i] += dx;
+      RigidBody.py[i] += dy;
+    }
+  }
+
+  /**
+   * Copy this frame's bullet hits to the start of collisionData / contactData
+   * @param {number} maxPairs - Capacity of collisionData
+   * @returns {number} Number of pairs written
+   */
+  writeBulletHits(maxPairs) {
+    const count = Math.min(this.bulletHitCount, maxPairs);
+    if (count === 0) return 0;
+
+    this.collisionData.set(this.bulletPairs.subarray(0, count * 2), 1);
+    if (this.contactData) {
+      this.contactData.set(
+        this.bulletContacts.subarray(0, count * CONTACT_DATA_STRIDE)
+      );
+    }
+    return count;
+  }
+
+  /**
+   * Continuous collision detection for bodies with RigidBody.bullet = 1
+   * Runs right after integration: a bullet that moved more than its radius this
+   * frame is swept as a circle from (px, py) to (x, y) against colliders (using
+   * the spatial grid, see Physics.circleCast) and solid tiles. It is moved back
+   * to the first time of impact and bounces there (combined restitution, equal
+   * masses against dynamic bodies); the regular solver takes it from there.
+   * Hits are reported to collision callbacks, tiles as other entity -1.
+   */
+  sweepBullets(
+    active,
+    rigidBodyActive,
+    colliderActive,
+    isTrigger,
+    dtRatio,
+    rigidBodyCount
+  ) {
+    this.bulletHitCount = 0;
+    if (!Spatial.cellStart) return;
+
+    const bullet = RigidBody.bullet;
+    const isStatic = RigidBody.static;
+    const x = Transform.x;
+    const y = Transform.y;
+    const px = RigidBody.px;
+    const py = RigidBody.py;
+    const collisionLayer = Collider.collisionLayer;
+    const collisionMask = Collider.collisionMask;
+    const center = this.scratchPoint;
+    const tileHit = this.sweepHit;
+    const castOptions = { mask: 0, layer: 0, ignore: -1 };
+
+    for (let i = 0; i < rigidBodyCount; i++) {
+      if (!bullet[i] || !active[i] || !rigidBodyActive[i]) continue;
+      if (!colliderActive[i] || isStatic[i] || isTrigger[i]) continue;
+      if (RigidBody.kinematic[i]) continue;
+
+      const moveX = x[i] - px[i];
+      const moveY = y[i] - py[i];
+      const distance = Math.sqrt(moveX * moveX + moveY * moveY);
+      const castRadius = this.getSweepRadius(i);
+
+      // Slow enough for the discrete solver
+      if (distance <= castRadius) continue;
+
+      const dirX = moveX / distance;
+      const dirY = moveY / distance;
+      getColliderCenter(i, center);
+      const startX = center.x - moveX;
+      const startY = center.y - moveY;
+
+      castOptions.mask = collisionMask[i];
+      castOptions.layer = collisionLayer[i];
+      castOptions.ignore = i;
+      const hit = Physics.circleCast(
+        startX,
+        startY,
+        center.x,
+        center.y,
+        castRadius,
+        castOptions
+      );
+
+      let toi = hit ? hit.distance : distance;
+      let nx = hit ? hit.nx : 0;
+      let ny = hit ? hit.ny : 0;
+      let other = hit ? hit.entity : -1;
+
+      if (
+        Tilemap.tiles &&
+        (collisionMask[i] & Tilemap.layerBit) !== 0 &&
+        this.sweepTilemap(startX, startY, dirX, dirY, toi, castRadius, tileHit)
+      ) {
+        toi = tileHit.distance;
+        nx = tileHit.nx;
+        ny = tileHit.ny;
+        other = -1;
+      } else if (!hit) {
+        continue;
+      }
+
+      // Back to the time of impact
+      x[i] = px[i] + dirX * toi;
+      y[i] = py[i] + dirY * toi;
+
+      this.bounceBullet(i, other, moveX, moveY, nx, ny, dtRatio);
+
+      if (this.bulletHitCount < MAX_BULLET_HITS) {
+        const k = this.bulletHitCount++;
+        this.bulletPairs[k * 2] = i;
+        this.bulletPairs[k * 2 + 1] = other;
+        const c = k * CONTACT_DATA_STRIDE;
+        this.bulletContacts[c] = nx;
+        this.bulletContacts[c + 1] = ny;
+        // Tiles: the swept circle's point touching the tile
+        this.bulletContacts[c + 2] =
+          other !== -1 ? hit.x : startX + dirX * toi - nx * castRadius;
+        this.bulletContacts[c + 3] =
+          other !== -1 ? hit.y : startY + dirY * toi - ny * castRadius;
+        this.bulletContacts[c + 4] = toi / distance;
+      }
+    }
+  }
+
+  /**
+   * Radius a bullet is swept with: its circle, the inner circle of a box,
+   * the bounding circle of a polygon
+   * @param {number} i - Entity index
+   * @returns {number}
+   */
+  getSweepRadius(i) {
+    const shape = Collider.shapeType[i];
+    if (shape === SHAPE_CIRCLE) return Collider.radius[i];
+    if (shape === SHAPE_BOX) {
+      return Math.min(Collider.width[i], Collider.height[i]) * 0.5;
+    }
+    return getBoundingRadius(i);
+  }
+
+  /**
+   * Sweep a circle against the solid tiles around its path
+   * @param {number} maxDistance - Only hits closer than this count
+   * @param {{distance:number, nx:number, ny:number}} hit - Output: closest hit
+   * @returns {boolean}
+   */
+  sweepTilemap(ox, oy, dirX, dirY, maxDistance, radius, hit) {
+    const tileSize = Tilemap.tileSize;
+    const invTileSize = Tilemap.invTileSize;
+    const endX = ox + dirX * maxDistance;
+    const endY = oy + dirY * maxDistance;
+
+    const startCol = Math.max(
+      0,
+      Math.floor((Math.min(ox, endX) - radius) * invTileSize)
+    );
+    const endCol = Math.min(
+      Tilemap.cols - 1,
+      Math.floor((Math.max(ox, endX) + radius) * invTileSize)
+    );
+    const startRow = Math.max(
+      0,
+      Math.floor((Math.min(oy, endY) - radius) * invTileSize)
+    );
+    const endRow = Math.min(
+      Tilemap.rows - 1,
+      Math.floor((Math.max(oy, endY) + radius) * invTileSize)
+    );
+
+    const tileHit = this.scratchTileHit;
+    let closest = maxDistance;
+    let found = false;
+
+    for (let row = startRow; row <= endRow; row++) {
+      for (let col = startCol; col <= endCol; col++) {
+        if (!Tilemap.isSolid(col, row)) continue;
+        const minX = col * tileSize;
+        const minY = row * tileSize;
+        if (
+          !rayVsBox(
+            ox,
+            oy,
+            dirX,
+            dirY,
+            closest,
+            minX,
+            minY,
+            minX + tileSize,
+            minY + tileSize,
+            radius,
+            tileHit
+          )
+        ) {
+          continue;
+        }
+        closest = tileHit.distance;
+        hit.distance = tileHit.distance;
+        hit.nx = tileHit.nx;
+        hit.ny = tileHit.ny;
+        found = true;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Velocity response of a bullet stopped at its time of impact
+   * Only the normal component changes: reflected with the combined restitution,
+   * split evenly with a dynamic target (the solver treats every body as mass 1)
+   * @param {number} i - Bullet entity index
+   * @param {number} other - Entity hit, or -1 for a tile
+   * @param {number} moveX - Bullet displacement this frame (its Verlet velocity)
+   * @param {number} moveY
+   * @param {number} nx - Surface normal at the hit (pointing towards the bullet)
+   * @param {number} ny
+   * @param {number} dtRatio
+   */
+  bounceBullet(i, other, moveX, moveY, nx, ny, dtRatio) {
+    const x = Transform.x;
+    const y = Transform.y;
+    const px = RigidBody.px;
+    const py = RigidBody.py;
+    const combine = this.settings.restitutionCombine;
+
+    const otherMoves =
+      other !== -1 &&
+      RigidBody.active[other] &&
+      !RigidBody.static[other] &&
+      other < px.length;
+    const otherKinematic = otherMoves && RigidBody.kinematic[other] === 1;
+
+    let relX = moveX;
+    let relY = moveY;
+    if (otherMoves) {
+      relX -= x[other] - px[other];
+      relY -= y[other] - py[other];
+    }
+
+    const normalSpeed = relX * nx + relY * ny;
+    let vxNew = moveX;
+    let vyNew = moveY;
+
+    if (normalSpeed < 0) {
+      const restitution = combineMaterial(
+        Collider.restitution[i],
+        other === -1 ? Tilemap.restitution : Collider.restitution[other],
+        combine
+      );
+      const change = -normalSpeed * (1 + restitution);
+
+      if (otherMoves && !otherKinematic) {
+        vxNew += nx * change * 0.5;
+        vyNew += ny * change * 0.5;
+        px[other] += nx * change * 0.5;
+        py[other] += ny * change * 0.5;
+        if (RigidBody.sleeping[other]) this.wakeBody(other);
+      } else {
+        vxNew += nx * change;
+        vyNew += ny * change;
+      }
+    }
+
+    px[i] = x[i] - vxNew;
+    py[i] = y[i] - vyNew;
+    RigidBody.vx[i] = vxNew / dtRatio;
+    RigidBody.vy[i] = vyNew / dtRatio;
+  }
+
+  /**
+   * Relative velocity of i with respect to j (Verlet: position - previous position)
+   * @returns {{x:number, y:number}} this.relativeVelocity
+   */
+  getRelativeVelocity(i, j, iMoves, jMoves) {
+    const x = Transform.x;
+    const y = Transform.y;
+    const px = RigidBody.px;
+    const py = RigidBody.py;
+    const out = this.relativeVelocity;
+
+    out.x = iMoves ? x[i] - px[i] : 0;
+    out.y = iMoves ? y[i] - py[i] : 0;
+    if (jMoves) {
+      out.x -= x[j] - px[j];
+      out.y -= y[j] - py[j];
+    }
+    return out;
+  }
+
+  /**
+   * Restitution and friction for a contact that was just pushed apart
+   * Works on velocity by moving previous positions (px/py), split evenly like
+   * the position correction (full change on the dynamic side against static ones)
+   *
+   * Restitution: separating speed along the normal becomes at least
+   * restitution * approach speed (the push apart alone already adds some)
+   * Friction: tangential relative speed is reduced by friction * normal push
+   * (Coulomb-style, so heavier contacts grip more), never reversed
+   *
+   * @param {boolean} iKinematic - i isn't changed but its velocity counts (moving platform)
+   * @param {boolean} jKinematic
+   * @param {number} normalSpeed - Relative normal speed before the push (< 0 = approaching)
+   * @param {number} correction - Position correction applied along the normal
+   */
+  applyContactMaterial(
+    i,
+    j,
+    iMoves,
+    jMoves,
+    iKinematic,
+    jKinematic,
+    normalSpeed,
+    correction,
+    restitution,
+    friction
+  ) {
+    const px = RigidBody.px;
+    const py = RigidBody.py;
+    const nx = this.contact.nx;
+    const ny = this.contact.ny;
+
+    const shareI = iMoves ? (jMoves ? 0.5 : 1) : 0;
+    const shareJ = jMoves ? (iMoves ? 0.5 : 1) : 0;
+
+    const relative = this.getRelativeVelocity(
+      i,
+      j,
+      iMoves || iKinematic,
+      jMoves || jKinematic
+    );
+    const currentNormal = relative.x * nx + relative.y * ny;
+
+    // Restitution (only while approaching, so later substeps don't bounce again)
+    let normalChange = 0;
+    if (restitution > 0 && normalSpeed < 0) {
+      normalChange = -restitution * normalSpeed - currentNormal;
+      if (normalChange < 0) normalChange = 0;
+    }
+
+    // Friction on the tangential part
+    let tangentX = 0;
+    let tangentY = 0;
+    let tangentChange = 0;
+    if (friction > 0) {
+      tangentX = relative.x - currentNormal * nx;
+      tangentY = relative.y - currentNormal * ny;
+      const tangentSpeed = Math.sqrt(tangentX * tangentX + tangentY * tangentY);
+      if (tangentSpeed > 0) {
+        tangentChange = Math.min(
+          tangentSpeed,
+          friction * (correction + normalChange)
+        );
+        tangentX /= tangentSpeed;
+        tangentY /= tangentSpeed;
+      }
+    }
+
+    // Velocity change of i relative to j; lowering px raises velocity
+    const dvx = nx * normalChange - tangentX * tangentChange;
+    const dvy = ny * normalChange - tangentY * tangentChange;
+    if (dvx === 0 && dvy === 0) return;
+
+    if (shareI > 0) {
+      px[i] -= dvx * shareI;
+      py[i] -= dvy * shareI;
+    }
+    if (shareJ > 0) {
+      px[j] += dvx * shareJ;
+      py[j] += dvy * shareJ;
+    }
+  }
+
+  /**
+   * Push a contact pair apart at the contact point (this.contact)
+   * Position-based: the correction is split by generalized inverse mass
+   * (1 + (r x n)^2 * invInertia per dynamic body), so with no rotation this
+   * is the same even split / full push against static bodies as above
+   */
+  resolveContactWithRotation(
+    i,
+    j,
+    iStatic,
+    jStatic,
+    invInertiaI,
+    invInertiaJ,
+    correction,
+    x,
+    y
+  ) {
+    const contact = this.contact;
+    const rotation = Transform.rotation;
+    const nx = contact.nx;
+    const ny = contact.ny;
+
+    // Lever arms (contact point relative to each body position) crossed with the normal
+    const crossI = (contact.px - x[i]) * ny - (contact.py - y[i]) * nx;
+    const crossJ = (contact.px - x[j]) * ny - (contact.py - y[j]) * nx;
+
+    const weightI = iStatic ? 0 : 1 + crossI * crossI * invInertiaI;
+    const weightJ = jStatic ? 0 : 1 + crossJ * crossJ * invInertiaJ;
+    const totalWeight = weightI + weightJ;
+    if (totalWeight === 0) return;
+
+    const step = correction / totalWeight;
+
+    if (!iStatic) {
+      x[i] += nx * step;
+      y[i] += ny * step;
+      rotation[i] += crossI * invInertiaI * step;
+    }
+    if (!jStatic) {
+      x[j] -= nx * step;
+      y[j] -= ny * step;
+      rotation[j] -= crossJ * invInertiaJ * step;
+    }
+  }
+
+  /**
+   * Start of a frame with sleeping enabled: every body is its own island,
+   * and positions are saved to measure how far each body moves this frame
+   */
+  beginSleepFrame(active, rigidBodyActive, rigidBodyCount) {
+    if (!this.islandParent || this.islandParent.length !== rigidBodyCount) {
+      this.islandParent = new Int32Array(rigidBodyCount);
+      this.islandRestTime = new Int32Array(rigidBodyCount);
+      this.islandRestless = new Uint8Array(rigidBodyCount);
+      this.frameStartX = new Float32Array(rigidBodyCount);
+      this.frameStartY = new Float32Array(rigidBodyCount);
+      this.frameStartRotation = new Float32Array(rigidBodyCount);
+    }
+
+    const parent = this.islandParent;
+    const x = Transform.x;
+    const y = Transform.y;
+    const rotation = Transform.rotation;
+
+    for (let i = 0; i < rigidBodyCount; i++) {
+      parent[i] = i;
+      if (!active[i] || !rigidBodyActive[i]) continue;
+      this.frameStartX[i] = x[i];
+      this.frameStartY[i] = y[i];
+      this.frameStartRotation[i] = rotation[i];
+    }
+  }
+
+  /**
+   * Root of a body's island (union-find with path halving)
+   * @param {number} i - Entity index
+   * @returns {number}
+   */
+  findIsland(i) {
+    const parent = this.islandParent;
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  }
+
+  /**
+   * Merge the islands of two touching / connected bodies
+   * @param {number} a - Entity index
+   * @param {number} b - Entity index
+   */
+  joinIslands(a, b) {
+    const rootA = this.findIsland(a);
+    const rootB = this.findIsland(b);
+    if (rootA !== rootB) this.islandParent[rootB] = rootA;
+  }
+
+  /**
+   * End of a frame with sleeping enabled
+   * A body rests while it moves less than sleepThreshold per frame (position
+   * and rotation); an island falls asleep once all its awake members have
+   * rested for sleepFrames, and wakes as soon as any member moves
+   */
+  updateSleeping(active, rigidBodyActive, rigidBodyCount) {
+    const x = Transform.x;
+    const y = Transform.y;
+    const rotation = Transform.rotation;
+    const isStatic = RigidBody.static;
+    const kinematic = RigidBody.kinematic;
+    const sleeping = RigidBody.sleeping;
+    const sleepTimer = RigidBody.sleepTimer;
+    const frameStartX = this.frameStartX;
+    const frameStartY = this.frameStartY;
+    const frameStartRotation = this.frameStartRotation;
+    const restTime = this.islandRestTime;
+    const restless = this.islandRestless;
+    const threshold = this.settings.sleepThreshold;
+    const sleepFrames = this.settings.sleepFrames;
+
+    restTime.fill(0x7fffffff);
+    restless.fill(0);
+
+    // Per body rest timers, folded into their island
+    for (let i = 0; i < rigidBodyCount; i++) {
+      if (!active[i] || !rigidBodyActive[i] || isStatic[i]) continue;
+      if (kinematic[i] || sleeping[i]) continue;
+
+      const root = this.findIsland(i);
+      const moved =
+        Math.abs(x[i] - frameStartX[i]) > threshold ||
+        Math.abs(y[i] - frameStartY[i]) > threshold ||
+        Math.abs(rotation[i] - frameStartRotation[i]) > threshold;
+
+      if (moved) {
+        sleepTimer[i] = 0;
+        restless[root] = 1;
+      } else if (sleepTimer[i] < 0xffff) {
+        sleepTimer[i]++;
+      }
+      if (sleepTimer[i] < restTime[root]) restTime[root] = sleepTimer[i];
+    }
+
+    for (let i = 0; i < rigidBodyCount; i++) {
+      if (!active[i] || !rigidBodyActive[i] || isStatic[i]) continue;
+      if (kinematic[i]) continue;
+
+      const root = this.findIsland(i);
+      if (sleeping[i]) {
+        if (restless[root]) this.wakeBody(i);
+      } else if (restTime[root] >= sleepFrames) {
+        this.putBodyToSleep(i);
+      }
+    }
+  }
+
+  /**
+   * Freeze a body in place: no velocity, skipped by the solver until woken
+   * @param {number} i - Entity index
+   */
+  putBodyToSleep(i) {
+    RigidBody.sleeping[i] = 1;
+    RigidBody.px[i] = Transform.x[i];
+    RigidBody.py[i] = Transform.y[i];
+    RigidBody.prevRotation[i] = Transform.rotation[i];
+    RigidBody.vx[i] = 0;
+    RigidBody.vy[i] = 0;
+    RigidBody.angularVelocity[i] = 0;
+  }
+
+  /**
+   * Wake a sleeping body (it has to rest sleepFrames again before sleeping)
+   * @param {number} i - Entity index
+   */
+  wakeBody(i) {
+    RigidBody.sleeping[i] = 0;
+    RigidBody.sleepTimer[i] = 0;
+  }
+
+  /**
+   * Wake every body (sleeping turned off, gravity changed)
+   */
+  wakeAllBodies() {
+    const sleeping = RigidBody.sleeping;
+    if (!sleeping) return;
+    for (let i = 0; i < sleeping.length; i++) {
+      if (sleeping[i]) this.wakeBody(i);
+    }
+  }
+
   /**
    * Update derived properties from positions
    * ENHANCED: Minimum speed threshold prevents rotation jitter when stationary
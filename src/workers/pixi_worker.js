@@ -20,6 +20,16 @@ import { Mouse } from "../core/Mouse.js";
 import { MouseComponent } from "../components/MouseComponent.js";
 import { LightEmitter } from "../components/LightEmitter.js";
 import { ShadowCaster } from "../components/ShadowCaster.js";
+import { Constraint } from "../components/Constraint.js";
+import { Tilemap } from "../core/Tilemap.js";
+import { Spatial } from "../core/Spatial.js";
+import { Scene } from "../core/Scene.js";
+import {
+  getColliderCenter,
+  getColliderVertices,
+  MAX_SHAPE_VERTICES,
+  SHAPE_CIRCLE,
+} from "../core/collision.js";
 
 // Import PixiJS 8 library (ES6 module with named exports)
 import {
@@ -88,6 +98,7 @@ class PixiRenderer extends AbstractWorker {
     ENTITIES: 3,
     LIGHTING: 4,
     LIGHT_GLOW: 5,
+    SCENE_FADE: 6,
   };
 
   constructor(selfRef) {
@@ -157,7 +168,18 @@ class PixiRenderer extends AbstractWorker {
       grid: 0x444444, // Gray
       aabb: 0xff8800, // Orange
       text: 0xffffff, // White
+      constraint: 0xff66cc, // Pink
+      constraintStressed: 0xff0000, // Red (tension above half of breakForce)
+      tile: 0x00aa44, // Dark green (solid tilemap tiles)
+      sleeping: 0x6677aa, // Slate blue (bodies put to sleep by physics)
+      cellBlocked: 0xff3333, // Red (Spatial.CELL_FLAGS.BLOCKED)
+      cellSlow: 0xffcc00, // Yellow
+      cellWater: 0x2288ff, // Blue
+      cellCustom: 0xaa66ff, // Purple (game-defined bits)
     };
+    // Scratch geometry for collider outlines (GC optimization)
+    this._debugCenter = { x: 0, y: 0 };
+    this._debugVerts = new Float32Array(MAX_SHAPE_VERTICES * 2);
 
     // Per-instance spritesheet tracking
     this.currentSpritesheetIds = null; // Will be initialized in createSprites
@@ -359,6 +381,11 @@ class PixiRenderer extends AbstractWorker {
       this.renderSpatialGrid();
     }
 
+    // Solid tiles are colliders too
+    if (this.debugFlags[DEBUG_FLAGS.SHOW_COLLIDERS] && Tilemap.tiles) {
+      this.renderTilemap();
+    }
+
     // Render per-entity debug visualizations
     // DENSE ALLOCATION: entityIndex === componentIndex for all components
     for (let i = 0; i < this.entityCount; i++) {
@@ -393,7 +420,57 @@ class PixiRenderer extends AbstractWorker {
 
     // Render neighbor connections (after all entities to avoid occlusion)
     if (this.debugFlags[DEBUG_FLAGS.SHOW_NEIGHBORS]) {
+      const neighbors = this.acquireNeighbors();
       this.renderNeighborConnections();
+      this.releaseNeighbors(neighbors);
+    }
+
+    // Render entity constraints
+    if (this.debugFlags[DEBUG_FLAGS.SHOW_CONSTRAINTS]) {
+      this.renderConstraints();
+    }
+  }
+
+  /**
+   * Render entity constraints as lines between their endpoints
+   * Stressed constraints (tension > breakForce / 2) are drawn red
+   */
+  renderConstraints() {
+    if (!Constraint.active) return;
+
+    const x = Transform.x;
+    const y = Transform.y;
+    const constraintActive = Constraint.active;
+    const entityA = Constraint.entityA;
+    const entityB = Constraint.entityB;
+    const tension = Constraint.tension;
+    const breakForce = Constraint.breakForce;
+    const width = 2 / this.cameraData[0];
+
+    // PixiJS 8: batch all lines per color, then stroke once per batch
+    for (const stressed of [false, true]) {
+      let drawn = 0;
+      for (let c = 0; c < Constraint.constraintCount; c++) {
+        if (constraintActive[c] !== 1) continue;
+        const isStressed =
+          breakForce[c] > 0 && tension[c] > breakForce[c] * 0.5;
+        if (isStressed !== stressed) continue;
+
+        const a = entityA[c];
+        const b = entityB[c];
+        this.debugLayer.moveTo(x[a], y[a]).lineTo(x[b], y[b]);
+        drawn++;
+      }
+
+      if (drawn > 0) {
+        this.debugLayer.stroke({
+          width,
+          color: stressed
+            ? this.debugColors.constraintStressed
+            : this.debugColors.constraint,
+          alpha: 0.8,
+        });
+      }
     }
   }
 
@@ -404,28 +481,38 @@ class PixiRenderer extends AbstractWorker {
   renderCollider(entityIndex, posX, posY) {
     if (!Collider) return;
 
-    // DENSE: use entity index directly for component access
-    const radius = Collider.radius[entityIndex];
-    if (radius === 0) return; // No collider (default value)
-
     const isTrigger = Collider.isTrigger[entityIndex];
 
-    // Debug: log a few mappings
-    if (this.frameNumber === 60 && entityIndex >= 1 && entityIndex <= 5) {
-      console.log(
-        `DEBUG: Entity ${entityIndex} -> Collider radius=${radius.toFixed(
-          2
-        )}, pos=(${posX.toFixed(0)}, ${posY.toFixed(0)})`
-      );
-    }
-
-    // Choose color based on trigger status
+    // Choose color based on trigger / sleeping status
     const color = isTrigger
       ? this.debugColors.trigger
+      : RigidBody.sleeping?.[entityIndex]
+      ? this.debugColors.sleeping
       : this.debugColors.collider;
 
-    // PixiJS 8: draw shape first, then stroke
-    this.debugLayer.circle(posX, posY, radius);
+    // DENSE: use entity index directly for component access
+    if (Collider.shapeType[entityIndex] === SHAPE_CIRCLE) {
+      const radius = Collider.radius[entityIndex];
+      if (radius === 0) return; // No collider (default value)
+
+      const center = getColliderCenter(entityIndex, this._debugCenter);
+
+      // PixiJS 8: draw shape first, then stroke
+      this.debugLayer.circle(center.x, center.y, radius);
+    } else {
+      // Convex shapes (boxes): outline the rotated world-space vertices
+      const center = getColliderCenter(entityIndex, this._debugCenter);
+      const verts = this._debugVerts;
+      const count = getColliderVertices(entityIndex, verts, center.x, center.y);
+      if (count === 0) return;
+
+      this.debugLayer.moveTo(verts[0], verts[1]);
+      for (let k = 1; k < count; k++) {
+        this.debugLayer.lineTo(verts[k * 2], verts[k * 2 + 1]);
+      }
+      this.debugLayer.closePath();
+    }
+
     this.debugLayer.stroke({
       width: 2 / this.cameraData[0],
       color,
@@ -643,6 +730,110 @@ class PixiRenderer extends AbstractWorker {
       color: this.debugColors.grid,
       alpha: 0.2,
     });
+
+    // Flagged cells (blocked, slow, water...)
+    if (Spatial.cellFlags) this.renderCellFlags();
+  }
+
+  /**
+   * Render flagged grid cells inside the camera view (Spatial cell flags)
+   * A cell with several flags shows the first of blocked, water, slow, custom
+   */
+  renderCellFlags() {
+    const zoom = this.cameraData[0];
+    const cellSize = Spatial.cellSize;
+    const invCellSize = Spatial.invCellSize;
+    const { BLOCKED, SLOW, WATER } = Spatial.CELL_FLAGS;
+
+    // Visible cell range
+    const viewX = this.cameraData[1];
+    const viewY = this.cameraData[2];
+    const startCol = Math.max(0, Math.floor(viewX * invCellSize));
+    const startRow = Math.max(0, Math.floor(viewY * invCellSize));
+    const endCol = Math.min(
+      Spatial.gridCols - 1,
+      Math.floor((viewX + this.canvasWidth / zoom) * invCellSize)
+    );
+    const endRow = Math.min(
+      Spatial.gridRows - 1,
+      Math.floor((viewY + this.canvasHeight / zoom) * invCellSize)
+    );
+
+    // One batch per color: PixiJS 8 fills every rect since the last fill
+    const colors = [
+      this.debugColors.cellBlocked,
+      this.debugColors.cellWater,
+      this.debugColors.cellSlow,
+      this.debugColors.cellCustom,
+    ];
+    for (let batch = 0; batch < colors.length; batch++) {
+      let drawn = 0;
+      for (let row = startRow; row <= endRow; row++) {
+        for (let col = startCol; col <= endCol; col++) {
+          const flags = Spatial.getCellFlags(col, row);
+          if (flags === 0) continue;
+          const cellBatch =
+            flags & BLOCKED ? 0 : flags & WATER ? 1 : flags & SLOW ? 2 : 3;
+          if (cellBatch !== batch) continue;
+          this.debugLayer.rect(
+            col * cellSize,
+            row * cellSize,
+            cellSize,
+            cellSize
+          );
+          drawn++;
+        }
+      }
+      if (drawn > 0) {
+        this.debugLayer.fill({ color: colors[batch], alpha: 0.3 });
+      }
+    }
+  }
+
+  /**
+   * Render solid tilemap tiles inside the camera view
+   */
+  renderTilemap() {
+    const zoom = this.cameraData[0];
+    const tileSize = Tilemap.tileSize;
+    const invTileSize = Tilemap.invTileSize;
+
+    // Visible tile range
+    const viewX = this.cameraData[1];
+    const viewY = this.cameraData[2];
+    const startCol = Math.max(0, Math.floor(viewX * invTileSize));
+    const startRow = Math.max(0, Math.floor(viewY * invTileSize));
+    const endCol = Math.min(
+      Tilemap.cols - 1,
+      Math.floor((viewX + this.canvasWidth / zoom) * invTileSize)
+    );
+    const endRow = Math.min(
+      Tilemap.rows - 1,
+      Math.floor((viewY + this.canvasHeight / zoom) * invTileSize)
+    );
+
+    // PixiJS 8: build all rects then fill/stroke once
+    let drawn = 0;
+    for (let row = startRow; row <= endRow; row++) {
+      for (let col = startCol; col <= endCol; col++) {
+        if (!Tilemap.isSolid(col, row)) continue;
+        this.debugLayer.rect(
+          col * tileSize,
+          row * tileSize,
+          tileSize,
+          tileSize
+        );
+        drawn++;
+      }
+    }
+    if (drawn === 0) return;
+
+    this.debugLayer.fill({ color: this.debugColors.tile, alpha: 0.25 });
+    this.debugLayer.stroke({
+      width: 1 / zoom,
+      color: this.debugColors.tile,
+      alpha: 0.8,
+    });
   }
 
   /**
@@ -1003,6 +1194,9 @@ class PixiRenderer extends AbstractWorker {
 
     this.updateSprites(deltaTime);
 
+    // Scene transition overlay (opacity written by the main thread)
+    this.updateSceneFade();
+
     // Render debug overlays (only if debug system is enabled)
     if (this.debugLayer) {
       this.renderDebugOverlays();
@@ -1130,6 +1324,34 @@ class PixiRenderer extends AbstractWorker {
     // Add background to stage directly (ParticleContainer can't hold TilingSprites)
     this.pixiApp.stage.addChild(this.backgroundSprite);
   }
+
+  /**
+   * Create the full-screen overlay scene transitions fade to
+   * Stage children are in screen space, so it needs no camera transform
+   */
+  createSceneFade() {
+    this.sceneFadeSprite = new PIXI.Sprite(PIXI.Texture.WHITE);
+    this.sceneFadeSprite.width = this.canvasWidth;
+    this.sceneFadeSprite.height = this.canvasHeight;
+    this.sceneFadeSprite.visible = false;
+    this.sceneFadeSprite.zIndex = PixiRenderer.Z_INDICES.SCENE_FADE;
+    this.pixiApp.stage.addChild(this.sceneFadeSprite);
+  }
+
+  /**
+   * Show the overlay at Scene.fade opacity in Scene.fadeColor
+   */
+  updateSceneFade() {
+    const fade = Scene.fade;
+    const sprite = this.sceneFadeSprite;
+    if (!sprite) return;
+
+    sprite.visible = fade > 0;
+    if (!sprite.visible) return;
+    sprite.alpha = fade;
+    sprite.tint = Scene.fadeColor;
+  }
+
   /* =====================
 LIGHTING SYSTEM SETUP
 ===================== */
@@ -2062,9 +2284,43 @@ UPDATE LIGHTING (NO ZOOM SCALING)
     // Handle old-style messages if they still arrive via main thread
     if (msg === "toRenderer") {
       this.handleSpriteCommand(data);
+    } else if (msg === "loadAssets") {
+      // Scene assets: registry metadata + standalone spritesheets
+      SpriteSheetRegistry.merge(data.registry);
+      this.loadSpritesheets(data.spritesheets);
+      self.postMessage({ msg: "assetsLoaded" });
+    } else if (msg === "unloadAssets") {
+      this.unloadAssets(data.names);
     }
   }
 
+  /**
+   * Destroy scene spritesheets loaded with the "loadAssets" message
+   * Sprites still showing them (entities not despawned yet) are blanked first
+   * @param {string[]} names - Spritesheet names
+   */
+  unloadAssets(names) {
+    const ids = names.map((name) => SpriteSheetRegistry.getSpritesheetId(name));
+
+    for (let i = 0; i < this.entityCount; i++) {
+      const sprite = this.bodySprites[i];
+      if (!sprite || !ids.includes(this.currentSpritesheetIds[i])) continue;
+      sprite.texture = PIXI.Texture.EMPTY;
+      this.currentSpritesheetIds[i] = 0;
+      this.currentAnimationFrames[i] = [];
+      this.previousAnimStates[i] = -1;
+    }
+
+    for (const name of names) {
+      const sheet = this.spritesheets[name];
+      if (!sheet) continue;
+      sheet.source.destroy();
+      delete this.spritesheets[name];
+    }
+
+    SpriteSheetRegistry.unregister(names);
+  }
+
   /**
    * Helper to set nested properties (supports dot notation)
    */
@@ -2331,6 +2587,9 @@ UPDATE LIGHTING (NO ZOOM SCALING)
       console.log("PIXI WORKER: Debug visualization layer initialized");
     }
 
+    // Scene transition overlay (on top of everything but the debug layer)
+    this.createSceneFade();
+
     // Build entity sprite configs from class definitions
     this.buildEntitySpriteConfigs(data.registeredClasses);
     // Build light emitter ranges for optimized lighting loops
@@ -10,7 +10,21 @@ self.postMessage({
 import { Transform } from "../components/Transform.js";
 import { Collider } from "../components/Collider.js";
 import { SpriteRenderer } from "../components/SpriteRenderer.js";
+import { Spatial } from "../core/Spatial.js";
+import { getBoundingRadius } from "../core/collision.js";
+import { createSpatialIndex } from "../core/SpatialIndex.js";
+import {
+  BOUNDARY_MODES,
+  getBoundaryModeTable,
+  wrapDelta,
+} from "../core/utils.js";
 import { AbstractWorker } from "./AbstractWorker.js";
+import { Lockstep } from "../core/Lockstep.js";
+import { FrameSync } from "../core/FrameSync.js";
+import { SpatialJobs } from "../core/SpatialJobs.js";
+
+// Max ms a helper blocks waiting for worker 0's next frame (keeps it handling messages)
+const HELPER_WAIT = 100;
 
 /**
  * SpatialWorker - Handles spatial partitioning and neighbor detection
@@ -24,6 +38,9 @@ class SpatialWorker extends AbstractWorker {
     // Spatial worker is generic - doesn't need game-specific classes
     this.needsGameScripts = false;
 
+    // First in each lockstep tick: neighbors for logic and physics
+    this.lockstepStage = Lockstep.STAGES.SPATIAL;
+
     // Spatial grid structure - initialized after receiving config
     this.grid = null;
 
@@ -36,13 +53,80 @@ class SpatialWorker extends AbstractWorker {
     this.maxNeighborsPerEntity = 0;
 
     // Track which cells are occupied - only clear these instead of all cells
-    this.occupiedCells = null; // Uint16Array - stores cell indices
+    this.occupiedCells = null; // Int32Array - stores cell indices
     this.occupiedCount = 0;
 
+    // A neighbor counts when any part of its collider is within range, so colliders
+    // are inserted in every cell their AABB overlaps
+    this.homeCell = null; // Int32Array - cell of each entity's position (-1 = not in grid)
+    this.multiCell = null; // Uint8Array - 1 = inserted in more than one cell this frame
+    this.reach = null; // Float32Array - farthest collider point from the position
+    this.largeEntities = null; // Int32Array - reach over half a cell (SpatialIndex searches)
+    this.largeCount = 0;
+    this.seenStamp = null; // Int32Array - de-duplicates multi-cell entities per search
+    this.searchStamp = 0;
+
+    // "center" (default): distanceData holds center-to-center distances
+    // "edge": distances to the neighbor's collider edge (0 when inside it)
+    this.edgeDistance = false;
+
+    // Per entity type neighbor filter (bitmask over Collider.collisionLayer)
+    // From static neighborLayers on the entity class, 0xffff = no filtering
+    this.neighborMaskByType = null;
+
+    // Per entity type: 1 = boundaryMode "wrap", neighbors are searched across the world edges
+    this.wrapByType = null;
+
+    // Per entity type, from static neighborQuery on the entity class
+    // Those classes also get an unfiltered candidate list for physics (second half of
+    // neighborData), so the query only changes what logic sees
+    this.queryByType = null; // Uint8Array - 1 = class has a neighborQuery
+    this.neighborTypesByType = null; // Uint8Array(256) of allowed neighbor types, null = any
+    this.neighborLimitByType = null; // Int32Array - list size (k, default maxNeighbors)
+    this.nearestByType = null; // Uint8Array - 1 = keep the closest ones, sorted
+    this.candidateBase = 0; // neighborData index of the candidate lists
+
+    // Current neighborQuery search (see beginQuery / addQueryNeighbor)
+    this.queryTypes = null;
+    this.queryLimit = 0;
+    this.queryNearest = false;
+    this.queryCount = 0;
+    this.candidateOffset = 0;
+    this.candidateCount = 0;
+
+    // Local copy of the published grid (CSR layout, see Spatial.js)
+    // Built here and copied in one go so readers see as little of a half-written grid as possible
+    this.publishedCellStart = null; // Int32Array(totalCells + 1)
+    this.publishedCellEntities = null; // Int32Array(entityCount)
+
+    // Neighbor search structure (config.spatial.structure)
+    // "grid" searches the uniform grid above; "quadtree" / "looseGrid" use a SpatialIndex
+    // (the grid is still built: Spatial queries, Physics raycasts and wrapping entities use it)
+    this.structure = "grid";
+    this.spatialIndex = null;
+    this.candidates = null; // Int32Array scratch for SpatialIndex queries
+    this.neighborTime = 0; // Smoothed ms spent finding neighbors (reported with FPS)
+
+    // Parallel search (config.spatial.numberOfWorkers > 1, see SpatialJobs)
+    // Worker 0 runs the frames and publishes, the others only take search jobs
+    this.workerIndex = 0;
+    this.parallel = false;
+    this.lastJobFrame = 0; // Helpers: frame they took jobs from last
+
     // Update frequency (rebuild grid every N frames)
     this.spatialUpdateInterval = 2;
   }
 
+  /**
+   * Helpers follow worker 0's frames, only worker 0 takes part in lockstep ticks
+   * @param {Object} data - Initialization data from main thread
+   */
+  async initializeCommonBuffers(data) {
+    this.workerIndex = data.workerIndex || 0;
+    if (this.workerIndex > 0) this.lockstepStage = Lockstep.STAGES.IDLE;
+    await super.initializeCommonBuffers(data);
+  }
+
   /**
    * Initialize spatial worker (implementation of AbstractWorker.initialize)
    */
@@ -85,6 +169,43 @@ class SpatialWorker extends AbstractWorker {
     this.maxNeighborsPerEntity =
       this.config.spatial?.maxNeighbors || this.config.maxNeighbors;
 
+    // Build per-type neighbor masks from class metadata
+    this.neighborMaskByType = new Uint16Array(256).fill(Collider.ALL_LAYERS);
+    for (const cls of this.registeredClasses) {
+      if (cls.neighborMask !== undefined) {
+        this.neighborMaskByType[cls.entityType] = cls.neighborMask;
+      }
+    }
+
+    // Wrapping entity types see neighbors on the other side of the world edges
+    const boundaryModes = getBoundaryModeTable(
+      this.registeredClasses,
+      this.config.physics?.boundaryMode
+    );
+    const wrapMode = BOUNDARY_MODES.indexOf("wrap");
+    this.wrapByType = boundaryModes.map((mode) => (mode === wrapMode ? 1 : 0));
+
+    // Neighbor type filters and k-nearest lists (static neighborQuery)
+    this.neighborTypesByType = new Array(256).fill(null);
+    this.neighborLimitByType = new Int32Array(256).fill(
+      this.maxNeighborsPerEntity
+    );
+    this.nearestByType = new Uint8Array(256);
+    this.queryByType = new Uint8Array(256);
+    for (const cls of this.registeredClasses) {
+      const query = cls.neighborQuery;
+      if (!query) continue;
+      this.queryByType[cls.entityType] = 1;
+      if (query.types) {
+        const allowed = new Uint8Array(256);
+        for (const type of query.types) allowed[type] = 1;
+        this.neighborTypesByType[cls.entityType] = allowed;
+      }
+      if (query.k > 0) this.neighborLimitByType[cls.entityType] = query.k;
+      this.nearestByType[cls.entityType] = query.sortByDistance ? 1 : 0;
+    }
+    this.candidateBase = this.entityCount * (1 + this.maxNeighborsPerEntity);
+
     // Store viewport dimensions for screen visibility checks
     this.canvasWidth = this.config.canvasWidth;
     this.canvasHeight = this.config.canvasHeight;
@@ -92,13 +213,36 @@ class SpatialWorker extends AbstractWorker {
     // Initialize spatial grid structure
     this.grid = Array.from({ length: this.totalCells }, () => []);
 
-    // Track occupied cells - worst case is all entities in different cells
-    // Use Uint16Array for better cache performance (supports up to 65535 cells)
-    this.occupiedCells = new Uint16Array(
-      Math.min(this.entityCount, this.totalCells)
-    );
+    // Track occupied cells - worst case is every cell (large entities cover several)
+    this.occupiedCells = new Int32Array(this.totalCells);
     this.occupiedCount = 0;
 
+    this.homeCell = new Int32Array(this.entityCount);
+    this.multiCell = new Uint8Array(this.entityCount);
+    this.reach = new Float32Array(this.entityCount);
+    this.largeEntities = new Int32Array(this.entityCount);
+    this.seenStamp = new Int32Array(this.entityCount);
+    this.edgeDistance = this.config.spatial?.neighborDistance === "edge";
+
+    this.spatialIndex = createSpatialIndex(this.config, this.entityCount);
+    if (this.spatialIndex) {
+      this.structure = this.config.spatial.structure;
+      // Index candidates, then every large entity
+      this.candidates = new Int32Array(this.entityCount * 2);
+    }
+
+    if (data.buffers?.spatialJobData) {
+      SpatialJobs.initialize(data.buffers.spatialJobData);
+      this.parallel = true;
+      // Paced by worker 0: waits for its frames instead of animation frames
+      if (this.workerIndex > 0) this.noLimitFPS = true;
+    }
+
+    if (Spatial.cellStart && this.workerIndex === 0) {
+      this.publishedCellStart = new Int32Array(this.totalCells + 1);
+      this.publishedCellEntities = new Int32Array(this.entityCount);
+    }
+
     // console.log(
     //   `SPATIAL WORKER: Grid is ${this.gridCols}x${this.gridRows} = ${this.totalCells} cells`
     // );
@@ -118,6 +262,8 @@ class SpatialWorker extends AbstractWorker {
   /**
    * Clear and rebuild spatial grid
    * Optimized: only clears previously occupied cells, uses multiply instead of divide
+   * Colliders are inserted in every cell their AABB (Collider.aabbMinX..aabbMaxX,
+   * from the last physics step) overlaps; everything else in its position's cell
    */
   rebuildGrid() {
     const grid = this.grid;
@@ -139,11 +285,22 @@ class SpatialWorker extends AbstractWorker {
     const maxCol = gridCols - 1;
     const maxRow = gridRows - 1;
     const entityCount = this.entityCount;
+    const colliderActive = Collider.active;
+    const homeCell = this.homeCell;
+    const multiCell = this.multiCell;
+    const reach = this.reach;
+    const largeEntities = this.largeEntities;
+    const halfCell = this.cellSize * 0.5;
 
     let occupiedIdx = 0;
+    let largeCount = 0;
 
     // Insert only active entities into grid
     for (let i = 0; i < entityCount; i++) {
+      homeCell[i] = -1;
+      multiCell[i] = 0;
+      reach[i] = 0;
+
       // Skip inactive entities - they don't participate in spatial queries
       if (!active[i]) continue;
 
@@ -159,6 +316,45 @@ class SpatialWorker extends AbstractWorker {
       col = col < 0 ? 0 : col > maxCol ? maxCol : col;
       row = row < 0 ? 0 : row > maxRow ? maxRow : row;
       const cellIndex = row * gridCols + col;
+      homeCell[i] = cellIndex;
+
+      // Collider larger than its cell: every cell of its AABB (grown to include
+      // the position, the AABB is a step old and zero before the first step)
+      if (colliderActive && colliderActive[i]) {
+        const r =
+          getBoundingRadius(i) +
+          Math.abs(Collider.offsetX[i]) +
+          Math.abs(Collider.offsetY[i]);
+        reach[i] = r;
+        if (r > halfCell) largeEntities[largeCount++] = i;
+
+        const minX = Math.min(Collider.aabbMinX[i], posX);
+        const minY = Math.min(Collider.aabbMinY[i], posY);
+        const maxX = Math.max(Collider.aabbMaxX[i], posX);
+        const maxY = Math.max(Collider.aabbMaxY[i], posY);
+        let startCol = Math.floor(minX * invCellSize);
+        let endCol = Math.floor(maxX * invCellSize);
+        let startRow = Math.floor(minY * invCellSize);
+        let endRow = Math.floor(maxY * invCellSize);
+        startCol = startCol < 0 ? 0 : startCol > maxCol ? maxCol : startCol;
+        endCol = endCol < 0 ? 0 : endCol > maxCol ? maxCol : endCol;
+        startRow = startRow < 0 ? 0 : startRow > maxRow ? maxRow : startRow;
+        endRow = endRow < 0 ? 0 : endRow > maxRow ? maxRow : endRow;
+
+        if (startCol !== endCol || startRow !== endRow) {
+          multiCell[i] = 1;
+          for (let r = startRow; r <= endRow; r++) {
+            for (let c = startCol; c <= endCol; c++) {
+              const cell = grid[r * gridCols + c];
+              if (cell.length === 0) {
+                occupiedCells[occupiedIdx++] = r * gridCols + c;
+              }
+              cell.push(i);
+            }
+          }
+          continue;
+        }
+      }
 
       const cell = grid[cellIndex];
       // Track newly occupied cells (only when first entity enters)
@@ -169,27 +365,146 @@ class SpatialWorker extends AbstractWorker {
     }
 
     this.occupiedCount = occupiedIdx;
+    this.largeCount = largeCount;
+  }
+
+  /**
+   * Squared distance from a point to an entity's collider edge (0 inside it)
+   * Circles are exact, other shapes use their AABB
+   * @param {number} j - Entity index
+   * @param {number} deltaX - Entity position minus the point (wrapped if needed)
+   * @param {number} deltaY
+   * @param {number} centerDistSq - deltaX² + deltaY²
+   * @returns {number}
+   */
+  getEdgeDistanceSq(j, deltaX, deltaY, centerDistSq) {
+    if (!Collider.active[j]) return centerDistSq;
+
+    if (
+      Collider.shapeType[j] === Collider.SHAPES.CIRCLE &&
+      Collider.offsetX[j] === 0 &&
+      Collider.offsetY[j] === 0
+    ) {
+      const d = Math.sqrt(centerDistSq) - Collider.radius[j];
+      return d > 0 ? d * d : 0;
+    }
+
+    // AABB relative to the entity position, the point at (-deltaX, -deltaY)
+    const xj = Transform.x[j];
+    const yj = Transform.y[j];
+    const minX = Collider.aabbMinX[j] - xj;
+    const minY = Collider.aabbMinY[j] - yj;
+    const maxX = Collider.aabbMaxX[j] - xj;
+    const maxY = Collider.aabbMaxY[j] - yj;
+    if (minX > 0 || maxX < 0 || minY > 0 || maxY < 0) {
+      // Stale AABB (not around the entity): fall back to the bounding circle
+      const d = Math.sqrt(centerDistSq) - getBoundingRadius(j);
+      return d > 0 ? d * d : 0;
+    }
+
+    const px = -deltaX;
+    const py = -deltaY;
+    const dx = px < minX ? minX - px : px > maxX ? px - maxX : 0;
+    const dy = py < minY ? minY - py : py > maxY ? py - maxY : 0;
+    return dx * dx + dy * dy;
+  }
+
+  /**
+   * New stamp for seenStamp (wraps around as an int32, like the array)
+   * @returns {number}
+   */
+  nextSearchStamp() {
+    this.searchStamp = (this.searchStamp + 1) | 0;
+    if (this.searchStamp === 0) this.searchStamp = 1; // 0 = never seen
+    return this.searchStamp;
+  }
+
+  /**
+   * Range check against the neighbor's collider edge, for candidates out of
+   * range by center (and all of them with neighborDistance "edge")
+   * @param {number} j - Candidate neighbor
+   * @param {number} deltaX - Its position minus the searching entity's
+   * @param {number} deltaY
+   * @param {number} centerDistSq - deltaX² + deltaY²
+   * @param {number} range - Searching entity's visual range
+   * @returns {number} Squared distance to store, -1 if out of range
+   */
+  getNeighborDistanceSq(j, deltaX, deltaY, centerDistSq, range) {
+    const reach = range + this.reach[j];
+    if (centerDistSq >= reach * reach) return -1;
+    const edgeSq = this.getEdgeDistanceSq(j, deltaX, deltaY, centerDistSq);
+    if (edgeSq >= range * range) return -1;
+    return this.edgeDistance ? edgeSq : centerDistSq;
+  }
+
+  /**
+   * Publish the grid to the shared gridData buffer for Spatial queries and Physics.raycast & co.
+   * Also stores the largest collider bounding radius, so queries know how far
+   * around a ray to look (the grid only knows entity centers)
+   */
+  publishGrid() {
+    if (!this.publishedCellStart) return;
+
+    const grid = this.grid;
+    const totalCells = this.totalCells;
+    const cellStart = this.publishedCellStart;
+    const cellEntities = this.publishedCellEntities;
+    const colliderActive = Collider.active;
+    const homeCell = this.homeCell;
+
+    let write = 0;
+    let maxRadius = 0;
+
+    for (let c = 0; c < totalCells; c++) {
+      cellStart[c] = write;
+      const cell = grid[c];
+      const cellLength = cell.length;
+
+      for (let k = 0; k < cellLength; k++) {
+        const i = cell[k];
+        // Published by position only (queries add the largest radius as margin)
+        if (homeCell[i] !== c) continue;
+        cellEntities[write++] = i;
+
+        if (colliderActive[i]) {
+          // Grid cells hold entity positions, so the collider offset counts too
+          const r =
+            getBoundingRadius(i) +
+            Math.abs(Collider.offsetX[i]) +
+            Math.abs(Collider.offsetY[i]);
+          if (r > maxRadius) maxRadius = r;
+        }
+      }
+    }
+    cellStart[totalCells] = write;
+
+    Spatial.gridHeader[0] = maxRadius;
+    Spatial.cellEntities.set(cellEntities.subarray(0, write));
+    Spatial.cellStart.set(cellStart);
   }
 
   /**
    * Find neighbors for all entities using spatial grid
    * Optimized: processes by occupied cell to improve cache locality
+   * Entity classes with static neighborLayers only get neighbors on those layers
+   * (physics reads pairs from these lists too, so keep layers it must collide with)
+   * Large colliders sit in several cells: each entity searches once, from its
+   * position's cell, and neighbors found in several cells are counted once
    */
   findAllNeighbors() {
-    const active = Transform.active;
-    const x = Transform.x;
-    const y = Transform.y;
-    const visualRange = Collider.visualRange;
+    if (this.spatialIndex) {
+      this.findIndexedNeighbors();
+      return;
+    }
+
     const grid = this.grid;
     const occupiedCells = this.occupiedCells;
     const occupiedCount = this.occupiedCount;
-    const neighborData = this.neighborData;
-    const distanceData = this.distanceData;
-    const invCellSize = this.invCellSize;
-    const gridCols = this.gridCols;
-    const gridRows = this.gridRows;
-    const maxNeighbors = this.maxNeighborsPerEntity;
-    const stride = 1 + maxNeighbors;
+    const homeCell = this.homeCell;
+
+    for (let i = 0; i < this.entityCount; i++) {
+      if (homeCell[i] === -1) this.clearEntityNeighbors(i);
+    }
 
     // Process only entities in occupied cells - better cache locality
     for (let cellIdx = 0; cellIdx < occupiedCount; cellIdx++) {
@@ -197,83 +512,619 @@ class SpatialWorker extends AbstractWorker {
       const centerCell = grid[centerCellIndex];
       const centerCellLen = centerCell.length;
 
-      // Process each entity in this cell
       for (let e = 0; e < centerCellLen; e++) {
         const i = centerCell[e];
+        // Large entities are in several cells, search once from their position's
+        if (homeCell[i] !== centerCellIndex) continue;
+        this.findEntityNeighbors(i);
+      }
+    }
+  }
 
-        // Entity data (skip inactive check - already filtered in rebuildGrid)
-        const myX = x[i];
-        const myY = y[i];
-        const myVisualRange = visualRange[i];
-        const visualRangeSq = myVisualRange * myVisualRange;
-
-        // Cell radius for neighbor search
-        const cellRadius = Math.ceil(myVisualRange * invCellSize);
-
-        // Entity's cell coordinates
-        const col = (myX * invCellSize) | 0;
-        const row = (myY * invCellSize) | 0;
-
-        // Buffer offset for this entity's neighbor list
-        const offset = i * stride;
-        let neighborCount = 0;
-
-        // Pre-calculate row bounds (avoid repeated bound checks)
-        const rowMin = row - cellRadius;
-        const rowMax = row + cellRadius;
-        const colMin = col - cellRadius;
-        const colMax = col + cellRadius;
-
-        // Clamp bounds once
-        const startRow = rowMin < 0 ? 0 : rowMin;
-        const endRow = rowMax >= gridRows ? gridRows - 1 : rowMax;
-        const startCol = colMin < 0 ? 0 : colMin;
-        const endCol = colMax >= gridCols ? gridCols - 1 : colMax;
-
-        // Check grid cells within cellRadius
-        for (let checkRow = startRow; checkRow <= endRow; checkRow++) {
-          const rowBase = checkRow * gridCols;
-
-          for (let checkCol = startCol; checkCol <= endCol; checkCol++) {
-            const cell = grid[rowBase + checkCol];
-            const cellLength = cell.length;
-
-            // Skip empty cells
-            if (cellLength === 0) continue;
-
-            // Check all entities in this cell
-            for (let k = 0; k < cellLength; k++) {
-              const j = cell[k];
-
-              // Skip self
-              if (i === j) continue;
-
-              // Calculate squared distance
-              const deltaX = x[j] - myX;
-              const deltaY = y[j] - myY;
-              const distSq = deltaX * deltaX + deltaY * deltaY;
-
-              // Only add if within visual range and not at same position
-              if (distSq < visualRangeSq && distSq > 0) {
-                const writeIdx = offset + 1 + neighborCount;
-                neighborData[writeIdx] = j;
-                distanceData[writeIdx] = distSq;
-                neighborCount++;
-
-                // Stop if we've hit the neighbor limit
-                if (neighborCount >= maxNeighbors) break;
-              }
-            }
+  /**
+   * findAllNeighbors with a quadtree / loose grid (config.spatial.structure)
+   * The index only returns candidates; range, layer and limit checks are the
+   * same as the grid's, so the lists come out the same (order may differ)
+   */
+  findIndexedNeighbors() {
+    const index = this.spatialIndex;
+    index.build(this.entityCount);
+
+    const homeCell = this.homeCell;
+    for (let i = 0; i < this.entityCount; i++) {
+      if (homeCell[i] === -1) this.clearEntityNeighbors(i);
+    }
+
+    // Index order keeps nearby entities together (better cache locality)
+    const entities = index.entities;
+    for (let e = 0; e < index.count; e++) {
+      this.findEntityNeighbors(entities[e]);
+    }
+  }
+
+  /**
+   * Find neighbors for the entities of an index range (parallel search jobs)
+   * Entities that aren't in the grid (inactive, invalid position) get empty lists
+   * @param {number} start - First entity index
+   * @param {number} end - Entity index after the last one
+   */
+  findNeighborsInRange(start, end) {
+    const homeCell = this.homeCell;
+    for (let i = start; i < end; i++) {
+      if (homeCell[i] !== -1) this.findEntityNeighbors(i);
+      else this.clearEntityNeighbors(i);
+    }
+  }
+
+  /**
+   * Run this frame's search with the helper workers (worker 0)
+   * Returns once every job is done, whoever took it
+   * @param {number} copy - Neighbor copy being written (pipeline mode), -1 = neighborData
+   */
+  findNeighborsInParallel(copy) {
+    if (this.spatialIndex) this.spatialIndex.build(this.entityCount);
+    SpatialJobs.beginFrame(copy);
+    this.runSearchJobs(SpatialJobs.getFrame());
+    SpatialJobs.waitUntilDone();
+  }
+
+  /**
+   * Claim search jobs until none is left in the current frame
+   * @param {number} builtFrame - Frame the grid was built for
+   * @returns {number} Jobs done
+   */
+  runSearchJobs(builtFrame) {
+    let jobs = 0;
+    let job;
+    while ((job = SpatialJobs.claim()) !== -1) {
+      if (jobs === 0 && this.workerIndex > 0) {
+        // Worker 0 opened a newer frame meanwhile: search on its positions
+        // (in lockstep they only match for the frame being run)
+        if (SpatialJobs.getFrame() !== builtFrame) {
+          this.rebuildGrid();
+          if (this.spatialIndex) this.spatialIndex.build(this.entityCount);
+        }
+        const copy = SpatialJobs.getCopy();
+        if (copy !== -1) this.useNeighborCopy(copy);
+      }
+      this.findNeighborsInRange(
+        SpatialJobs.getStart(job),
+        SpatialJobs.getEnd(job)
+      );
+      jobs++;
+    }
+    if (jobs > 0) SpatialJobs.finishJobs(jobs);
+    return jobs;
+  }
+
+  /**
+   * Write one entity's neighbor list (count first, then neighbors and distances)
+   * @param {number} i - Entity index (must be in the grid)
+   */
+  findEntityNeighbors(i) {
+    const entityType = Transform.entityType[i];
+    const offset = i * (1 + this.maxNeighborsPerEntity);
+    let neighborCount;
+    if (this.queryByType[entityType]) this.beginQuery(entityType, offset);
+
+    // Toroidal world: search wraps around the edges on the uniform grid (slower path)
+    if (this.wrapByType[entityType]) {
+      const invCellSize = this.invCellSize;
+      neighborCount = this.findWrappedNeighbors(
+        i,
+        (Transform.x[i] * invCellSize) | 0,
+        (Transform.y[i] * invCellSize) | 0,
+        Math.ceil(Collider.visualRange[i] * invCellSize) + 1, // Last column/row may be narrower than a cell
+        offset,
+        this.neighborMaskByType[entityType]
+      );
+    } else if (this.spatialIndex) {
+      neighborCount = this.findIndexedEntityNeighbors(i, offset);
+    } else {
+      neighborCount = this.findGridNeighbors(i, offset);
+    }
+
+    // neighborQuery: k-nearest lists were kept as a max-heap (sort them, closest
+    // first), the unfiltered candidates for physics get their own count
+    if (this.queryByType[entityType]) {
+      if (this.queryNearest) this.sortNearest(offset, neighborCount);
+      this.neighborData[this.candidateOffset] = this.candidateCount;
+    }
+
+    // Store neighbor count at the beginning
+    this.neighborData[offset] = neighborCount;
+    this.distanceData[offset] = neighborCount;
+  }
+
+  /**
+   * Empty the neighbor list of an entity that isn't in the grid (inactive,
+   * invalid position), so a despawned entity doesn't keep its last neighbors
+   * @param {number} i - Entity index
+   */
+  clearEntityNeighbors(i) {
+    const offset = i * (1 + this.maxNeighborsPerEntity);
+    this.neighborData[offset] = 0;
+    this.distanceData[offset] = 0;
+    if (this.queryByType[Transform.entityType[i]]) {
+      this.neighborData[this.candidateBase + offset] = 0;
+    }
+  }
+
+  /**
+   * Start a neighbor search for a class with a neighborQuery
+   * @param {number} type - Entity type of the searching entity
+   * @param {number} offset - Start of its neighbor list
+   */
+  beginQuery(type, offset) {
+    this.queryTypes = this.neighborTypesByType[type];
+    this.queryLimit = this.neighborLimitByType[type];
+    this.queryNearest = this.nearestByType[type] === 1;
+    this.queryCount = 0;
+    this.candidateOffset = this.candidateBase + offset;
+    this.candidateCount = 0;
+  }
+
+  /**
+   * Add a neighbor found by a neighborQuery search: every one goes in the
+   * candidate list (up to maxNeighbors, for physics), the ones matching types
+   * in the neighbor list (the first k, or the k closest with sortByDistance)
+   * @param {number} offset - Start of the entity's neighbor list
+   * @param {number} j - Neighbor entity index
+   * @param {number} distSq - Its distance
+   * @returns {boolean} true when both lists are full and the search can stop
+   */
+  addQueryNeighbor(offset, j, distSq) {
+    if (this.candidateCount < this.maxNeighborsPerEntity) {
+      this.neighborData[this.candidateOffset + 1 + this.candidateCount++] = j;
+    }
 
-            if (neighborCount >= maxNeighbors) break;
+    const types = this.queryTypes;
+    if (types !== null && types[Transform.entityType[j]] === 0) {
+      // Not for logic, but a nearest list has to see every neighbor in range
+      return (
+        !this.queryNearest &&
+        this.queryCount >= this.queryLimit &&
+        this.candidateCount >= this.maxNeighborsPerEntity
+      );
+    }
+
+    // k-nearest: the list is a max-heap of the closest ones so far
+    if (this.queryNearest) {
+      this.queryCount = this.keepNearest(
+        offset,
+        this.queryCount,
+        this.queryLimit,
+        j,
+        distSq
+      );
+      return false;
+    }
+
+    if (this.queryCount < this.queryLimit) {
+      const writeIdx = offset + 1 + this.queryCount++;
+      this.neighborData[writeIdx] = j;
+      this.distanceData[writeIdx] = distSq;
+    }
+    return (
+      this.queryCount >= this.queryLimit &&
+      this.candidateCount >= this.maxNeighborsPerEntity
+    );
+  }
+
+  /**
+   * Neighbor search on the uniform grid
+   * @param {number} i - Entity index
+   * @param {number} offset - Start of this entity's neighbor list
+   * @returns {number} Number of neighbors written
+   */
+  findGridNeighbors(i, offset) {
+    const x = Transform.x;
+    const y = Transform.y;
+    const collisionLayer = Collider.collisionLayer;
+    const grid = this.grid;
+    const neighborData = this.neighborData;
+    const distanceData = this.distanceData;
+    const invCellSize = this.invCellSize;
+    const gridCols = this.gridCols;
+    const gridRows = this.gridRows;
+    const type = Transform.entityType[i];
+    const maxNeighbors = this.maxNeighborsPerEntity;
+    const query = this.queryByType[type] === 1;
+    const multiCell = this.multiCell;
+    const seenStamp = this.seenStamp;
+    const edgeDistance = this.edgeDistance;
+    const stamp = this.nextSearchStamp();
+
+    // Entity data (skip inactive check - already filtered in rebuildGrid)
+    const myX = x[i];
+    const myY = y[i];
+    const myVisualRange = Collider.visualRange[i];
+    const visualRangeSq = myVisualRange * myVisualRange;
+    const neighborMask = this.neighborMaskByType[type];
+    const filterLayers = neighborMask !== 0xffff;
+
+    // Cell radius for neighbor search
+    const cellRadius = Math.ceil(myVisualRange * invCellSize);
+
+    // Entity's cell coordinates
+    const col = (myX * invCellSize) | 0;
+    const row = (myY * invCellSize) | 0;
+
+    // Pre-calculate row bounds (avoid repeated bound checks)
+    const rowMin = row - cellRadius;
+    const rowMax = row + cellRadius;
+    const colMin = col - cellRadius;
+    const colMax = col + cellRadius;
+
+    // Clamp bounds once
+    const startRow = rowMin < 0 ? 0 : rowMin;
+    const endRow = rowMax >= gridRows ? gridRows - 1 : rowMax;
+    const startCol = colMin < 0 ? 0 : colMin;
+    const endCol = colMax >= gridCols ? gridCols - 1 : colMax;
+
+    let neighborCount = 0;
+
+    // Check grid cells within cellRadius
+    for (let checkRow = startRow; checkRow <= endRow; checkRow++) {
+      const rowBase = checkRow * gridCols;
+
+      for (let checkCol = startCol; checkCol <= endCol; checkCol++) {
+        const cell = grid[rowBase + checkCol];
+        const cellLength = cell.length;
+
+        // Check all entities in this cell
+        for (let k = 0; k < cellLength; k++) {
+          const j = cell[k];
+
+          // Skip self
+          if (i === j) continue;
+
+          // Large entities show up in several cells, count them once
+          if (multiCell[j]) {
+            if (seenStamp[j] === stamp) continue;
+            seenStamp[j] = stamp;
           }
-          if (neighborCount >= maxNeighbors) break;
+
+          // Skip neighbors on layers this entity type doesn't care about
+          if (filterLayers && (collisionLayer[j] & neighborMask) === 0) {
+            continue;
+          }
+
+          // Calculate squared distance
+          const deltaX = x[j] - myX;
+          const deltaY = y[j] - myY;
+          let distSq = deltaX * deltaX + deltaY * deltaY;
+
+          // Only add if within visual range and not at same position
+          if (distSq === 0) continue; // Same position
+          // Out of range by center: its collider may still reach (or edge distances wanted)
+          if (edgeDistance || distSq >= visualRangeSq) {
+            distSq = this.getNeighborDistanceSq(
+              j,
+              deltaX,
+              deltaY,
+              distSq,
+              myVisualRange
+            );
+            if (distSq < 0) continue;
+          }
+
+          // neighborQuery: filtered list for logic, every neighbor for physics
+          if (query) {
+            if (!this.addQueryNeighbor(offset, j, distSq)) continue;
+            return this.queryCount; // Both lists are full
+          }
+
+          const writeIdx = offset + 1 + neighborCount;
+          neighborData[writeIdx] = j;
+          distanceData[writeIdx] = distSq;
+          neighborCount++;
+
+          // Stop if we've hit the neighbor limit
+          if (neighborCount >= maxNeighbors) return neighborCount;
         }
+      }
+    }
+
+    return query ? this.queryCount : neighborCount;
+  }
+
+  /**
+   * Neighbor search with the SpatialIndex (already built this frame)
+   * @param {number} i - Entity index
+   * @param {number} offset - Start of this entity's neighbor list
+   * @returns {number} Number of neighbors written
+   */
+  findIndexedEntityNeighbors(i, offset) {
+    const x = Transform.x;
+    const y = Transform.y;
+    const collisionLayer = Collider.collisionLayer;
+    const neighborData = this.neighborData;
+    const distanceData = this.distanceData;
+    const candidates = this.candidates;
+    const type = Transform.entityType[i];
+    const maxNeighbors = this.maxNeighborsPerEntity;
+    const query = this.queryByType[type] === 1;
+    const seenStamp = this.seenStamp;
+    const edgeDistance = this.edgeDistance;
+    const largeEntities = this.largeEntities;
+    const largeCount = this.largeCount;
+    const reach = this.reach;
+
+    const myX = x[i];
+    const myY = y[i];
+    const myVisualRange = Collider.visualRange[i];
+    const visualRangeSq = myVisualRange * myVisualRange;
+    const neighborMask = this.neighborMaskByType[type];
+    const filterLayers = neighborMask !== 0xffff;
+
+    // The index only knows positions: search half a cell further for colliders
+    // reaching in, large entities are candidates when their reach gets in range
+    let candidateCount = this.spatialIndex.query(
+      myX,
+      myY,
+      myVisualRange + this.cellSize * 0.5,
+      candidates
+    );
+    for (let l = 0; l < largeCount; l++) {
+      const j = largeEntities[l];
+      const deltaX = x[j] - myX;
+      const deltaY = y[j] - myY;
+      const range = myVisualRange + reach[j];
+      if (deltaX * deltaX + deltaY * deltaY < range * range) {
+        candidates[candidateCount++] = j;
+      }
+    }
+
+    const stamp = this.nextSearchStamp();
+    let neighborCount = 0;
+    for (let k = 0; k < candidateCount; k++) {
+      const j = candidates[k];
+      if (i === j) continue;
+
+      // Large entities can come from the query and the list
+      if (seenStamp[j] === stamp) continue;
+      seenStamp[j] = stamp;
+
+      if (filterLayers && (collisionLayer[j] & neighborMask) === 0) {
+        continue;
+      }
+
+      const deltaX = x[j] - myX;
+      const deltaY = y[j] - myY;
+      let distSq = deltaX * deltaX + deltaY * deltaY;
+
+      if (distSq === 0) continue; // Same position
+      // Out of range by center: its collider may still reach (or edge distances wanted)
+      if (edgeDistance || distSq >= visualRangeSq) {
+        distSq = this.getNeighborDistanceSq(
+          j,
+          deltaX,
+          deltaY,
+          distSq,
+          myVisualRange
+        );
+        if (distSq < 0) continue;
+      }
+
+      // neighborQuery: filtered list for logic, every neighbor for physics
+      if (query) {
+        if (this.addQueryNeighbor(offset, j, distSq)) break;
+        continue;
+      }
+
+      const writeIdx = offset + 1 + neighborCount;
+      neighborData[writeIdx] = j;
+      distanceData[writeIdx] = distSq;
+      neighborCount++;
 
-        // Store neighbor count at the beginning
-        neighborData[offset] = neighborCount;
-        distanceData[offset] = neighborCount;
+      if (neighborCount >= maxNeighbors) break;
+    }
+
+    return query ? this.queryCount : neighborCount;
+  }
+
+  /**
+   * Add a neighbor to a k-nearest list, kept as a max-heap on distance
+   * (the farthest one first, so it's the one a closer neighbor replaces)
+   * @param {number} offset - Start of the entity's neighbor list
+   * @param {number} count - Neighbors in the list
+   * @param {number} k - List size
+   * @param {number} j - Neighbor entity index
+   * @param {number} distSq - Its distance (as stored in distanceData)
+   * @returns {number} New count
+   */
+  keepNearest(offset, count, k, j, distSq) {
+    const neighborData = this.neighborData;
+    const distanceData = this.distanceData;
+    const base = offset + 1;
+    const dist = Math.fround(distSq); // Compare what distanceData holds
+
+    let c;
+    if (count < k) {
+      // Sift up from the new last slot
+      c = count++;
+      while (c > 0) {
+        const parent = (c - 1) >> 1;
+        if (distanceData[base + parent] >= dist) break;
+        neighborData[base + c] = neighborData[base + parent];
+        distanceData[base + c] = distanceData[base + parent];
+        c = parent;
       }
+    } else {
+      // Full: replace the farthest if closer, then sift down
+      if (k === 0 || dist >= distanceData[base]) return count;
+      c = this.siftDown(base, 0, count, dist);
+    }
+    neighborData[base + c] = j;
+    distanceData[base + c] = dist;
+    return count;
+  }
+
+  /**
+   * Move the hole at slot c of a max-heap down until dist fits there
+   * @param {number} base - First slot of the heap in neighborData/distanceData
+   * @param {number} c - Hole
+   * @param {number} count - Heap size
+   * @param {number} dist - Distance that goes in the hole
+   * @returns {number} Slot for dist
+   */
+  siftDown(base, c, count, dist) {
+    const neighborData = this.neighborData;
+    const distanceData = this.distanceData;
+    while (true) {
+      const left = c * 2 + 1;
+      if (left >= count) return c;
+      const right = left + 1;
+      const child =
+        right < count && distanceData[base + right] > distanceData[base + left]
+          ? right
+          : left;
+      if (distanceData[base + child] <= dist) return c;
+      neighborData[base + c] = neighborData[base + child];
+      distanceData[base + c] = distanceData[base + child];
+      c = child;
+    }
+  }
+
+  /**
+   * Sort a k-nearest heap in place, closest first (heapsort)
+   * @param {number} offset - Start of the entity's neighbor list
+   * @param {number} count - Neighbors in the list
+   */
+  sortNearest(offset, count) {
+    const neighborData = this.neighborData;
+    const distanceData = this.distanceData;
+    const base = offset + 1;
+    for (let end = count - 1; end > 0; end--) {
+      // Farthest left goes to the end, the last one is re-inserted from the top
+      const j = neighborData[base + end];
+      const dist = distanceData[base + end];
+      neighborData[base + end] = neighborData[base];
+      distanceData[base + end] = distanceData[base];
+      const c = this.siftDown(base, 0, end, dist);
+      neighborData[base + c] = j;
+      distanceData[base + c] = dist;
+    }
+  }
+
+  /**
+   * Neighbor search for an entity with boundaryMode "wrap"
+   * Cell indices wrap around the grid and distances use the shortest way
+   * around the world, so entities near opposite edges are neighbors
+   * @param {number} i - Entity index
+   * @param {number} col - Entity's cell column
+   * @param {number} row - Entity's cell row
+   * @param {number} cellRadius - Cells to search in each direction
+   * @param {number} offset - Start of this entity's neighbor list
+   * @param {number} neighborMask - Layer filter (0xffff = none)
+   * @returns {number} Number of neighbors written
+   */
+  findWrappedNeighbors(i, col, row, cellRadius, offset, neighborMask) {
+    const x = Transform.x;
+    const y = Transform.y;
+    const collisionLayer = Collider.collisionLayer;
+    const grid = this.grid;
+    const neighborData = this.neighborData;
+    const distanceData = this.distanceData;
+    const gridCols = this.gridCols;
+    const gridRows = this.gridRows;
+    const worldWidth = this.config.worldWidth;
+    const worldHeight = this.config.worldHeight;
+    const type = Transform.entityType[i];
+    const maxNeighbors = this.maxNeighborsPerEntity;
+    const query = this.queryByType[type] === 1;
+    const filterLayers = neighborMask !== 0xffff;
+    const multiCell = this.multiCell;
+    const seenStamp = this.seenStamp;
+    const edgeDistance = this.edgeDistance;
+    const stamp = this.nextSearchStamp();
+
+    const myX = x[i];
+    const myY = y[i];
+    const myVisualRange = Collider.visualRange[i];
+    const visualRangeSq = myVisualRange * myVisualRange;
+
+    // Never visit a column/row twice when the range covers the whole world
+    const colSpan = Math.min(cellRadius * 2 + 1, gridCols);
+    const rowSpan = Math.min(cellRadius * 2 + 1, gridRows);
+    const firstCol = col - cellRadius + gridCols;
+    const firstRow = row - cellRadius + gridRows;
+
+    let neighborCount = 0;
+
+    for (let r = 0; r < rowSpan; r++) {
+      const rowBase = ((firstRow + r) % gridRows) * gridCols;
+
+      for (let c = 0; c < colSpan; c++) {
+        const cell = grid[rowBase + ((firstCol + c) % gridCols)];
+        const cellLength = cell.length;
+
+        for (let k = 0; k < cellLength; k++) {
+          const j = cell[k];
+          if (i === j) continue;
+
+          if (multiCell[j]) {
+            if (seenStamp[j] === stamp) continue;
+            seenStamp[j] = stamp;
+          }
+
+          if (filterLayers && (collisionLayer[j] & neighborMask) === 0) {
+            continue;
+          }
+
+          const deltaX = wrapDelta(x[j] - myX, worldWidth);
+          const deltaY = wrapDelta(y[j] - myY, worldHeight);
+          let distSq = deltaX * deltaX + deltaY * deltaY;
+
+          if (distSq === 0) continue; // Same position
+          // Out of range by center: its collider may still reach (or edge distances wanted)
+          if (edgeDistance || distSq >= visualRangeSq) {
+            distSq = this.getNeighborDistanceSq(
+              j,
+              deltaX,
+              deltaY,
+              distSq,
+              myVisualRange
+            );
+            if (distSq < 0) continue;
+          }
+
+          // neighborQuery: filtered list for logic, every neighbor for physics
+          if (query) {
+            if (!this.addQueryNeighbor(offset, j, distSq)) continue;
+            return this.queryCount; // Both lists are full
+          }
+
+          const writeIdx = offset + 1 + neighborCount;
+          neighborData[writeIdx] = j;
+          distanceData[writeIdx] = distSq;
+          neighborCount++;
+
+          if (neighborCount >= maxNeighbors) return neighborCount;
+        }
+      }
+    }
+
+    return query ? this.queryCount : neighborCount;
+  }
+
+  /**
+   * Override reportFPS to include the structure and neighbor search time
+   * (compare structures with demos/balls/spatial.html)
+   */
+  reportFPS() {
+    if (this.workerIndex > 0) {
+      super.reportFPS(); // Helpers don't time the whole search
+      return;
+    }
+    if (this.frameNumber % this.fpsReportInterval === 0) {
+      self.postMessage({
+        msg: "fps",
+        fps: this.currentFPS.toFixed(2),
+        structure: this.structure,
+        neighborTime: this.neighborTime.toFixed(2),
+      });
     }
   }
 
@@ -281,6 +1132,17 @@ class SpatialWorker extends AbstractWorker {
    * Update method called each frame (implementation of AbstractWorker.update)
    */
   update(deltaTime, dtRatio, resuming) {
+    // Helper: take jobs from worker 0's next frame
+    if (this.workerIndex > 0) {
+      const frame = SpatialJobs.waitForFrame(this.lastJobFrame, HELPER_WAIT);
+      if (frame === -1) return;
+      this.lastJobFrame = frame;
+      this.rebuildGrid();
+      if (this.spatialIndex) this.spatialIndex.build(this.entityCount);
+      this.runSearchJobs(frame);
+      return;
+    }
+
     // Mouse position is now written directly to Transform by main thread
     // No special syncing needed - spatial grid will see current position
 
@@ -288,7 +1150,26 @@ class SpatialWorker extends AbstractWorker {
     // Was previously skipping frames which causes physics objects to "pass through" each other
     // if they move fast enough to cross cells in the skipped frames.
     this.rebuildGrid();
-    this.findAllNeighbors();
+    const neighborStart = performance.now();
+
+    // Pipeline mode: fill the copy nobody reads, then hand it over in one go
+    // (skip the frame if logic/physics still hold it after the timeout)
+    if (FrameSync.enabled && this.neighborViews) {
+      const back = 1 - FrameSync.getFront(FrameSync.NEIGHBORS);
+      if (FrameSync.waitUntilWritable(FrameSync.NEIGHBORS, back)) {
+        this.useNeighborCopy(back);
+        if (this.parallel) this.findNeighborsInParallel(back);
+        else this.findAllNeighbors();
+        FrameSync.publish(FrameSync.NEIGHBORS, back);
+      }
+    } else if (this.parallel) {
+      this.findNeighborsInParallel(-1);
+    } else {
+      this.findAllNeighbors();
+    }
+    this.neighborTime +=
+      (performance.now() - neighborStart - this.neighborTime) * 0.1;
+    this.publishGrid();
 
     // Screen visibility is now handled by particle_worker to balance workload
   }